@@ -8,8 +8,12 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const packageDir = join(__dirname, '..');
 
-const child = fork(join(packageDir, 'server.cjs'), {
-  cwd: packageDir,
+// Arguments are passed through, e.g. `lobsterboard --port 3000`, or a command
+// such as `lobsterboard backup` or `lobsterboard import <template>`, which
+// server.cjs runs against the data directory and exits (`--help` lists them).
+// The working directory is kept so relative paths in flags and commands
+// (--config, --data-dir, --output, files to import) mean what the user typed.
+const child = fork(join(packageDir, 'server.cjs'), process.argv.slice(2), {
   env: { ...process.env },
   stdio: 'inherit'
 });
@@ -34,6 +34,14 @@ const myWidget = {
   hasApiKey: false,
   // apiKeyName: 'MY_SERVICE_API',  // Uncomment if hasApiKey is true
 
+  // Properties that must never end up in shared templates or copied widgets.
+  //   secretProperties  — moved to the server's encrypted secrets store on save and
+  //                       sent to the browser masked as '••••••••'
+  //   privateProperties — kept in the config (your widget can read them) but reset
+  //                       to their default value in template exports
+  // secretProperties: ['apiKey'],
+  // privateProperties: ['streamUrl'],
+
   // ── Properties ─────────────────────────────────────────────────
   // These become editable fields in the property panel (right sidebar).
   // Users can change these values per widget instance.
@@ -0,0 +1,90 @@
+/**
+ * LobsterBoard Audit Log (Security modal → Audit Log)
+ */
+(function() {
+  const PAGE_SIZE = 20;
+  const auditList = document.getElementById('audit-list');
+  const auditStatus = document.getElementById('audit-status');
+  const actionFilter = document.getElementById('audit-action');
+  const userFilter = document.getElementById('audit-user');
+  const newerBtn = document.getElementById('audit-newer');
+  const olderBtn = document.getElementById('audit-older');
+  let offset = 0;
+
+  function describeEntry(e) {
+    const d = e.details || {};
+    switch (e.action) {
+      case 'config.save': return `Saved dashboard "${e.target}" (#${d.rev}, ${d.widgets} widgets)`;
+      case 'config.rollback': return `Rolled dashboard "${e.target}" back to #${d.restored}`;
+      case 'dashboard.create': return `Created dashboard "${e.target}"${d.copyFrom ? ` from "${d.copyFrom}"` : ''}`;
+      case 'dashboard.update': return `Updated dashboard "${e.target}"`;
+      case 'dashboard.delete': return `Deleted dashboard "${e.target}"`;
+      case 'template.import': return `Imported template "${e.target}" into "${d.dashboard}" (${d.mode})`;
+      case 'template.export': return `Exported "${d.dashboard}" as template "${e.target}"`;
+      case 'template.delete': return `Deleted template "${e.target}"`;
+      case 'secret.set': return `Set ${(d.keys || []).join(', ')} for widget ${e.target}`;
+      case 'secret.delete': return `Removed ${d.key} from widget ${e.target}`;
+      case 'secrets.rotate': return 'Rotated the secrets master key';
+      case 'auth.login': return 'Logged in';
+      case 'auth.login-failed': return 'Failed login';
+      case 'auth.set-pin': return 'Set the edit PIN';
+      case 'auth.change-pin': return 'Changed the edit PIN';
+      case 'auth.remove-pin': return 'Removed the edit PIN';
+      case 'mode.public': return `Turned public mode ${d.publicMode ? 'on' : 'off'}`;
+      case 'user.create': return `Added user "${e.target}" (${d.role})`;
+      case 'user.update': return `Updated user "${e.target}"${d.role ? ` → ${d.role}` : ''}${d.passwordReset ? ' (password reset)' : ''}`;
+      case 'user.delete': return `Deleted user "${e.target}"`;
+      case 'token.create': return `Created ${d.scope} API token "${d.name}"`;
+      case 'token.revoke': return `Revoked API token "${d.name}"`;
+      default: return e.action + (e.target ? ` ${e.target}` : '');
+    }
+  }
+
+  // ── Entry list ──
+  async function loadAudit() {
+    const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+    if (actionFilter.value) params.set('action', actionFilter.value);
+    if (userFilter.value.trim()) params.set('user', userFilter.value.trim());
+    try {
+      const res = await fetch('/api/audit?' + params);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      renderAudit(data);
+    } catch (e) {
+      auditList.innerHTML = `<div class="tpl-empty">Failed to load audit log: ${escapeHtml(e.message)}</div>`;
+    }
+  }
+
+  function renderAudit({ total, entries }) {
+    auditStatus.textContent = `${total} entr${total === 1 ? 'y' : 'ies'}`;
+    document.getElementById('audit-range').textContent = total ? `${offset + 1}–${offset + entries.length} of ${total}` : '';
+    newerBtn.disabled = offset === 0;
+    olderBtn.disabled = offset + entries.length >= total;
+    if (!entries.length) {
+      auditList.innerHTML = '<div class="tpl-empty">No matching entries.</div>';
+      return;
+    }
+    auditList.innerHTML = entries.map(e => `
+      <div class="audit-row">
+        <div>${escapeHtml(describeEntry(e))}</div>
+        <small>${escapeHtml(new Date(e.at).toLocaleString())} · ${escapeHtml(e.user || 'PIN / open access')} · ${escapeHtml(e.address)}</small>
+      </div>
+    `).join('');
+  }
+
+  // ── Filters & paging ──
+  actionFilter.addEventListener('change', () => { offset = 0; loadAudit(); });
+  let userTimer = null;
+  userFilter.addEventListener('input', () => {
+    clearTimeout(userTimer);
+    userTimer = setTimeout(() => { offset = 0; loadAudit(); }, 300);
+  });
+  newerBtn.addEventListener('click', () => { offset = Math.max(0, offset - PAGE_SIZE); loadAudit(); });
+  olderBtn.addEventListener('click', () => { offset += PAGE_SIZE; loadAudit(); });
+
+  // Called by openSecurityModal() in builder.js
+  window.refreshAuditLog = () => {
+    offset = 0;
+    loadAudit();
+  };
+})();
@@ -0,0 +1,27 @@
+/**
+ * LobsterBoard Base Path — injected by the server into every HTML page when
+ * LOBSTERBOARD_BASE_PATH is set (e.g. /board behind a reverse proxy)
+ *
+ * Pages, the builder and widgets call root-relative URLs like '/api/stats';
+ * this prefixes them for fetch() and EventSource so they reach the server.
+ */
+(function() {
+  const base = window.LOBSTERBOARD_BASE_PATH || '';
+  if (!base) return;
+
+  function withBase(url) {
+    if (typeof url !== 'string' || !url.startsWith('/') || url.startsWith('//')) return url;
+    if (url === base || url.startsWith(base + '/')) return url;
+    return base + url;
+  }
+
+  const nativeFetch = window.fetch.bind(window);
+  window.fetch = (input, init) => nativeFetch(withBase(input), init);
+
+  if (window.EventSource) {
+    const NativeEventSource = window.EventSource;
+    window.EventSource = class extends NativeEventSource {
+      constructor(url, options) { super(withBase(url), options); }
+    };
+  }
+})();
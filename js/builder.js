@@ -23,14 +23,22 @@ const state = {
   canvas: { width: 1920, height: 1080 },
   zoom: 0.5,
   widgets: [],
-  selectedWidget: null,
+  selectedWidget: null, // Widget shown in the properties panel (only when exactly one is selected)
+  selectedIds: [], // All selected widget ids (shift-click / rubber-band)
   draggedWidget: null,
   idCounter: 0,
   fontScale: 1,
+  configVersion: null, // Config format version from /config (the server migrates older ones)
+  configRev: null, // ETag of the loaded config, sent back as If-Match when saving
+  gridSize: 20, // Snap grid in px (0 = off), saved with the config
   editMode: false, // New: Track edit mode state
-  pinVerified: false, // Track if PIN has been verified this session
+  user: null, // Signed-in { username, role } from /api/auth/status (username is null for PIN or open access)
   hasPin: false, // Whether a PIN is configured
-  publicMode: false // Whether public mode is enabled
+  hasUsers: false, // Whether user accounts replace the PIN for logging in
+  loginToView: false, // The dashboard needs a login before it can be shown (user accounts, no public mode)
+  publicMode: false, // Whether public mode is enabled
+  remoteChange: null, // config-changed event from another client received while editing
+  dashboardId: new URLSearchParams(window.location.search).get('dashboard') || 'default' // Active dashboard (?dashboard=<id>)
 };
 
 // ─────────────────────────────────────────────
@@ -38,18 +46,12 @@ const state = {
 // ─────────────────────────────────────────────
 
 function isScrollableMode() {
-  return state.canvas.height === 'auto';
+  return isScrollableLayout(state);
 }
 
 /** Return the pixel height the canvas should actually use (based on lowest widget + padding). */
 function getScrollableCanvasHeight() {
-  if (!state.widgets.length) return 1080; // sensible default when empty
-  let maxBottom = 0;
-  state.widgets.forEach(w => {
-    const bottom = w.y + w.height;
-    if (bottom > maxBottom) maxBottom = bottom;
-  });
-  return maxBottom + 100; // 100px breathing room below lowest widget
+  return scrollableLayoutHeight(state);
 }
 
 // ─────────────────────────────────────────────
@@ -71,8 +73,8 @@ function addPublicUnlockButton() {
   unlock.addEventListener('mouseenter', () => unlock.style.opacity = '0.8');
   unlock.addEventListener('mouseleave', () => unlock.style.opacity = '0.3');
   unlock.addEventListener('click', () => {
-    if (state.hasPin) {
-      showPinModal('verify');
+    if (state.hasPin || state.hasUsers) {
+      showLoginPrompt();
     } else {
       openSecurityModal();
     }
@@ -85,7 +87,10 @@ async function checkAuthStatus() {
     const res = await fetch('/api/auth/status');
     const data = await res.json();
     state.hasPin = data.hasPin;
+    state.hasUsers = !!data.hasUsers;
     state.publicMode = data.publicMode;
+    state.user = data.user || null;
+    applyRoleUI();
     if (state.publicMode) {
       const editBtn = document.getElementById('btn-edit-layout');
       if (editBtn) editBtn.style.display = 'none';
@@ -94,6 +99,90 @@ async function checkAuthStatus() {
   } catch (e) { console.error('Auth status check failed:', e); }
 }
 
+/** Whether the current user has at least the given role (viewer < editor < admin) */
+function userHasRole(role) {
+  const roles = ['viewer', 'editor', 'admin'];
+  return !!state.user && roles.indexOf(state.user.role) >= roles.indexOf(role);
+}
+
+/** Hide the edit-mode controls the current role may not use */
+function applyRoleUI() {
+  const isAdmin = userHasRole('admin');
+  document.getElementById('btn-security').style.display = isAdmin ? '' : 'none';
+  document.getElementById('btn-export-template').style.display = isAdmin ? '' : 'none';
+  const logoutBtn = document.getElementById('btn-logout');
+  logoutBtn.style.display = state.hasUsers && state.user ? '' : 'none';
+  if (state.user && state.user.username) logoutBtn.textContent = `👤 ${state.user.username} · Log out`;
+}
+
+/** Ask for whatever credential the server expects: a username/password once accounts exist, else the PIN */
+function showLoginPrompt() {
+  if (state.hasUsers) showLoginModal();
+  else showPinModal('verify');
+}
+
+/** Public mode is turned off after an unlock login; restore the edit UI */
+async function leavePublicMode(pin) {
+  state.publicMode = false;
+  await fetch('/api/mode', {
+    method: 'POST', headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ publicMode: false, pin })
+  });
+  const editBtn = document.getElementById('btn-edit-layout');
+  if (editBtn) editBtn.style.display = '';
+  const unlock = document.getElementById('public-unlock');
+  if (unlock) unlock.remove();
+  const pubToggle = document.getElementById('public-mode-toggle');
+  if (pubToggle) pubToggle.checked = false;
+}
+
+function showLoginModal() {
+  document.getElementById('login-username').value = '';
+  document.getElementById('login-password').value = '';
+  document.getElementById('login-error').textContent = '';
+  document.getElementById('login-modal').style.display = 'flex';
+  setTimeout(() => document.getElementById('login-username').focus(), 100);
+}
+
+function closeLoginModal() {
+  document.getElementById('login-modal').style.display = 'none';
+}
+
+async function submitLogin() {
+  const error = document.getElementById('login-error');
+  error.textContent = '';
+  const res = await fetch('/api/auth/login', {
+    method: 'POST', headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      username: document.getElementById('login-username').value.trim().toLowerCase(),
+      password: document.getElementById('login-password').value
+    })
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    // 403 wrong credentials, 429 locked out after too many attempts
+    error.textContent = data.error || 'Login failed';
+    return;
+  }
+  state.user = data.user;
+  closeLoginModal();
+  if (state.loginToView) {
+    // Nothing has loaded yet: start over with the session cookie
+    location.reload();
+    return;
+  }
+  applyRoleUI();
+  if (state.publicMode) {
+    if (!userHasRole('admin')) { alert('Only an admin can turn off public mode.'); return; }
+    await leavePublicMode();
+  }
+  if (userHasRole('editor')) {
+    setEditMode(true);
+  } else {
+    alert(`Signed in as ${data.user.username}. Viewers can look at dashboards but not edit them.`);
+  }
+}
+
 function showPinModal(mode) {
   // mode: 'verify', 'set', 'change', 'remove'
   const modal = document.getElementById('pin-modal');
@@ -157,13 +246,13 @@ async function submitPin() {
   error.textContent = '';
 
   if (mode === 'verify') {
-    const res = await fetch('/api/auth/verify-pin', {
+    const res = await fetch('/api/auth/login', {
       method: 'POST', headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ pin })
     });
     const data = await res.json();
-    if (data.valid) {
-      state.pinVerified = true;
+    if (res.ok) {
+      state.user = data.user;
       // If there's a pending public mode toggle, handle that instead of entering edit mode
       if (state._publicModeCallback) {
         const callback = state._publicModeCallback;
@@ -173,23 +262,12 @@ async function submitPin() {
         return;
       }
       // If in public mode (unlock button clicked), disable it and restore edit UI
-      if (state.publicMode) {
-        state.publicMode = false;
-        await fetch('/api/mode', {
-          method: 'POST', headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ publicMode: false, pin })
-        });
-        const editBtn = document.getElementById('btn-edit-layout');
-        if (editBtn) editBtn.style.display = '';
-        const unlock = document.getElementById('public-unlock');
-        if (unlock) unlock.remove();
-        const pubToggle = document.getElementById('public-mode-toggle');
-        if (pubToggle) pubToggle.checked = false;
-      }
+      if (state.publicMode) await leavePublicMode(pin);
       closePinModal();
       setEditMode(true);
     } else {
-      error.textContent = 'Incorrect PIN';
+      // 403 wrong PIN, 429 locked out after too many attempts
+      error.textContent = data.error || 'Incorrect PIN';
     }
   } else if (mode === 'set') {
     if (pin !== pin2) { error.textContent = 'PINs do not match'; return; }
@@ -201,7 +279,7 @@ async function submitPin() {
     const data = await res.json();
     if (data.status === 'ok') {
       state.hasPin = true;
-      state.pinVerified = true;
+      state.user = data.user || { username: null, role: 'admin' };
       closePinModal();
       setEditMode(true);
     } else { error.textContent = data.error || 'Failed to set PIN'; }
@@ -225,6 +303,7 @@ async function submitPin() {
     const data = await res.json();
     if (data.status === 'ok') {
       state.hasPin = false;
+      state.user = { username: null, role: 'admin' };
       closePinModal();
       alert('PIN removed');
     } else { error.textContent = data.error || 'Failed to remove PIN'; }
@@ -233,36 +312,59 @@ async function submitPin() {
 
 async function requestEditMode() {
   if (state.publicMode) { alert('Dashboard is in public mode. Editing is disabled.'); return; }
-  if (state.hasPin && !state.pinVerified) {
-    showPinModal('verify');
-  } else if (!state.hasPin) {
-    // No PIN set — offer to set one, or go straight to edit
+  if (userHasRole('editor')) {
     setEditMode(true);
+  } else if (state.user) {
+    // Signed in as a viewer — offer to switch accounts
+    if (confirm(`${state.user.username} is a viewer and cannot edit. Log in as someone else?`)) {
+      await lockEditing();
+      showLoginPrompt();
+    }
   } else {
-    setEditMode(true);
+    showLoginPrompt();
   }
 }
 
+/** End the session on the server and drop back to view mode */
+async function lockEditing() {
+  try {
+    await fetch('/api/auth/logout', { method: 'POST' });
+  } catch (e) { console.error('Logout failed:', e); }
+  state.user = null;
+  document.getElementById('security-modal').style.display = 'none';
+  if (state.editMode) setEditMode(false);
+  await checkAuthStatus();
+}
+
 function openSecurityModal() {
   const modal = document.getElementById('security-modal');
   const pinStatus = document.getElementById('pin-status');
   const setBtn = document.getElementById('sec-set-pin');
   const changeBtn = document.getElementById('sec-change-pin');
   const removeBtn = document.getElementById('sec-remove-pin');
+  const lockBtn = document.getElementById('sec-lock');
   const publicToggle = document.getElementById('public-mode-toggle');
 
+  // With user accounts the PIN no longer applies; the Users section takes its place
+  document.getElementById('sec-pin-section').style.display = state.hasUsers ? 'none' : '';
+  if (window.refreshUserAccounts) window.refreshUserAccounts();
+  if (window.refreshApiTokens) window.refreshApiTokens();
+  if (window.refreshAuditLog) window.refreshAuditLog();
+
   if (state.hasPin) {
     pinStatus.textContent = 'Active';
     pinStatus.className = 'security-badge active';
     setBtn.style.display = 'none';
     changeBtn.style.display = '';
     removeBtn.style.display = '';
+    lockBtn.style.display = state.hasUsers ? 'none' : '';
   } else {
     pinStatus.textContent = 'Not Set';
     pinStatus.className = 'security-badge';
     setBtn.style.display = '';
     changeBtn.style.display = 'none';
     removeBtn.style.display = 'none';
+    lockBtn.style.display = 'none';
   }
   publicToggle.checked = state.publicMode;
   modal.style.display = 'flex';
@@ -382,6 +484,8 @@ function stopWidgetScripts() {
     _statsSource = null;
     _statsCallbacks = [];
   }
+  // Edits (e.g. a new feed URL under the same widget id) should not see old data
+  _dataRequests.clear();
 }
 
 function scaleCanvasToFit() {
@@ -437,33 +541,38 @@ function updateEmptyState() {
 // CONFIG MANAGEMENT
 // ─────────────────────────────────────────────
 
+/** Config endpoint for the active dashboard — /config alone is the default one */
+function getConfigUrl() {
+  if (state.dashboardId === 'default') return '/config';
+  return '/config?dashboard=' + encodeURIComponent(state.dashboardId);
+}
+
 async function loadConfig() {
   try {
-    const response = await fetch('/config');
+    const response = await fetch(getConfigUrl());
+    if (response.status === 401) {
+      // User accounts exist and public mode is off — sign in to see the dashboard
+      state.loginToView = true;
+      showLoginModal();
+      return;
+    }
     if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      // e.g. a config saved by a newer LobsterBoard version
+      const body = await response.json().catch(() => ({}));
+      const message = body.error || body.message;
+      if (message) alert(`Could not load dashboard: ${message}`);
+      throw new Error(message || `HTTP error! status: ${response.status}`);
     }
     const config = await response.json();
-    
-    state.canvas = config.canvas || { width: 1920, height: 1080 };
-    state.fontScale = config.fontScale || 1;
-
-    // Restore canvas size dropdown to match loaded config
-    const sizeSelect = document.getElementById('canvas-size');
-    if (state.canvas.height === 'auto') {
-      sizeSelect.value = 'scrollable';
-    } else {
-      const sizeKey = state.canvas.width + 'x' + state.canvas.height;
-      if (sizeSelect.querySelector(`option[value="${sizeKey}"]`)) {
-        sizeSelect.value = sizeKey;
-      } else {
-        sizeSelect.value = 'custom';
-      }
-    }
+
+    // Reloading (e.g. after another client saved) replaces what is on the canvas
+    state.widgets.forEach(w => document.getElementById(w.id)?.remove());
+    clearRemoteChange();
+    state.configRev = response.headers.get('ETag');
+    state.configVersion = config.version || null;
+    applyConfigSettings(config);
     state.widgets = config.widgets || [];
-    document.documentElement.style.setProperty('--font-scale', state.fontScale);
-    const fontScaleEl = document.getElementById('font-scale');
-    if (fontScaleEl) fontScaleEl.value = String(state.fontScale);
+    clearUndoHistory();
     state.idCounter = state.widgets.reduce((maxId, w) => Math.max(maxId, parseInt(w.id.replace('widget-', ''))), 0);
 
     updateCanvasSize(true); // Preserve zoom on load
@@ -475,9 +584,7 @@ async function loadConfig() {
       }
     });
     updateCanvasInfo();
-    if (state.widgets.length > 0) {
-      document.getElementById('canvas').classList.add('has-widgets');
-    }
+    document.getElementById('canvas').classList.toggle('has-widgets', state.widgets.length > 0);
     console.log('Dashboard config loaded successfully.');
     setEditMode(false); // Start in view mode
     if (state.widgets.length > 0) {
@@ -490,44 +597,208 @@ async function loadConfig() {
   }
 }
 
+/** Apply a config's canvas size, font scale and grid size to the builder */
+function applyConfigSettings(config) {
+  state.canvas = config.canvas || { width: 1920, height: 1080 };
+  state.fontScale = config.fontScale || 1;
+  setGridSize(config.gridSize !== undefined ? config.gridSize : 20);
+
+  // Restore canvas size dropdown to match loaded config
+  const sizeSelect = document.getElementById('canvas-size');
+  if (state.canvas.height === 'auto') {
+    sizeSelect.value = 'scrollable';
+  } else {
+    const sizeKey = state.canvas.width + 'x' + state.canvas.height;
+    if (sizeSelect.querySelector(`option[value="${sizeKey}"]`)) {
+      sizeSelect.value = sizeKey;
+    } else {
+      sizeSelect.value = 'custom';
+    }
+  }
+  document.documentElement.style.setProperty('--font-scale', state.fontScale);
+  const fontScaleEl = document.getElementById('font-scale');
+  if (fontScaleEl) fontScaleEl.value = String(state.fontScale);
+}
+
+/**
+ * Format schema validation errors from the server ({ path, message }) for an alert
+ */
+function formatValidationErrors(errors, limit = 8) {
+  const lines = errors.slice(0, limit).map(e => `• ${e.path} ${e.message}`);
+  if (errors.length > limit) lines.push(`…and ${errors.length - limit} more`);
+  return lines.join('\n');
+}
+
+/**
+ * Save the layout. The save carries the revision it was loaded at (If-Match);
+ * if someone else saved since, the server answers 409 and the merge dialog
+ * takes over. Resolves to true once the layout is saved.
+ */
 async function saveConfig() {
+  saveInFlight = true;
   try {
     const configToSave = {
+      ...(state.configVersion ? { version: state.configVersion } : {}),
       canvas: state.canvas,
       fontScale: state.fontScale || 1,
+      gridSize: state.gridSize,
       widgets: state.widgets
     };
-    const response = await fetch('/config', {
+    const response = await fetch(getConfigUrl(), {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'If-Match': state.configRev || '*'
       },
       body: JSON.stringify(configToSave)
     });
+    if (response.status === 401) {
+      // Session expired (or the server restarted) — log in again, then save
+      state.user = null;
+      alert('Your session has expired. Log in, then save again.');
+      showLoginPrompt();
+      return false;
+    }
+    if (response.status === 409) {
+      openMergeDialog(await response.json(), configToSave);
+      return false;
+    }
     if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      const body = await response.json().catch(() => ({}));
+      if (body.errors) {
+        console.error('Dashboard config failed validation:', body.errors);
+        alert(`${body.error}:\n\n${formatValidationErrors(body.errors)}`);
+        return false;
+      }
+      throw new Error(body.error || `HTTP error! status: ${response.status}`);
     }
     const result = await response.json();
+    state.widgets.forEach(w => { delete w.secretsFrom; }); // The server has copied the duplicates' secrets
+    if (result.rev) ownSavedRevs.add(result.rev);
+    state.configRev = response.headers.get('ETag');
+    clearRemoteChange();
     console.log('Dashboard config saved successfully:', result);
     alert('Dashboard layout saved!');
+    return true;
   } catch (error) {
     console.error('Failed to save dashboard config:', error);
-    alert('Failed to save dashboard layout. See console for details.');
+    alert(`Failed to save dashboard layout: ${error.message}`);
+    return false;
+  } finally {
+    saveInFlight = false;
+    flushConfigEvents();
   }
 }
 
 // ─────────────────────────────────────────────
-// HELPERS
+// LIVE SYNC
+// The server sends a config-changed event whenever this dashboard is saved,
+// from any window, the API, a rollback or a template import. View mode
+// reloads the layout; edit mode shows a warning instead of reloading, and
+// the next save goes through the merge dialog.
+// ─────────────────────────────────────────────
+
+const ownSavedRevs = new Set(); // Revisions this window saved — their events are echoes
+let saveInFlight = false;
+let deferredConfigEvents = []; // Events that arrived before our own save returned its rev
+
+function connectConfigEvents() {
+  if (typeof EventSource === 'undefined') return;
+  const query = state.dashboardId === 'default' ? '' : '?dashboard=' + encodeURIComponent(state.dashboardId);
+  // EventSource reconnects on its own if the server restarts
+  const source = new EventSource('/api/config/events' + query);
+  source.addEventListener('config-changed', (e) => {
+    try { onConfigChanged(JSON.parse(e.data)); } catch (err) { console.error('Bad config-changed event:', err); }
+  });
+}
+
+function onConfigChanged(event) {
+  if (saveInFlight) { deferredConfigEvents.push(event); return; }
+  if (ownSavedRevs.has(event.rev)) return;
+  if (state.editMode) {
+    state.remoteChange = event;
+    showRemoteChangeBanner(event);
+  } else {
+    loadConfig();
+  }
+}
+
+function flushConfigEvents() {
+  const events = deferredConfigEvents;
+  deferredConfigEvents = [];
+  events.forEach(onConfigChanged);
+}
+
+function showRemoteChangeBanner(event) {
+  const source = event.source || '';
+  const what = source.startsWith('rollback') ? 'rolled back'
+    : source.startsWith('template') ? 'imported a template into' : 'saved';
+  const time = new Date(event.savedAt || Date.now()).toLocaleTimeString();
+  document.getElementById('sync-banner-text').textContent =
+    `Someone else ${what} this dashboard at ${time}. When you save, you can merge your changes with theirs.`;
+  document.getElementById('sync-banner').style.display = 'flex';
+}
+
+function clearRemoteChange() {
+  state.remoteChange = null;
+  const banner = document.getElementById('sync-banner');
+  if (banner) banner.style.display = 'none';
+}
+
+/** Drop local edits and continue editing from the latest saved layout */
+async function reloadRemoteChange() {
+  if (state.widgets.length && !confirm('Discard your unsaved changes and load the latest saved layout?')) return;
+  await loadConfig();
+  setEditMode(true);
+}
+
+// ─────────────────────────────────────────────
+// DASHBOARDS
 // ─────────────────────────────────────────────
 
-// Process widget HTML to conditionally remove header
-function processWidgetHtml(html, showHeader) {
-  if (showHeader !== false) return html;
-  // Remove the dash-card-head element (handles multi-line with newlines)
-  const headerRegex = /<div\s+class="dash-card-head"[^>]*>[\s\S]*?<\/div>/i;
-  return html.replace(headerRegex, '');
+async function loadDashboardList() {
+  const select = document.getElementById('dashboard-select');
+  if (!select) return;
+  try {
+    const res = await fetch('/api/dashboards');
+    const dashboards = await res.json();
+    select.innerHTML = dashboards.map(d =>
+      `<option value="${escapeHtml(d.id)}">${escapeHtml(d.name)} (${d.widgetCount})</option>`
+    ).join('') + '<option value="__new__">+ New Dashboard…</option>';
+    select.value = state.dashboardId;
+  } catch (e) { console.error('Failed to load dashboard list:', e); }
+}
+
+function switchDashboard(id) {
+  const url = new URL(window.location.href);
+  if (id === 'default') url.searchParams.delete('dashboard');
+  else url.searchParams.set('dashboard', id);
+  window.location.href = url.toString();
+}
+
+async function createDashboard() {
+  const name = prompt('Name for the new dashboard:');
+  if (!name || !name.trim()) return;
+  const copy = state.widgets.length > 0 && confirm('Start from a copy of the current dashboard?\n\nOK = copy, Cancel = blank canvas');
+  try {
+    const res = await fetch('/api/dashboards', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: name.trim(), copyFrom: copy ? state.dashboardId : undefined })
+    });
+    const data = await res.json();
+    if (!res.ok) { alert(data.error || data.message || 'Failed to create dashboard'); return; }
+    switchDashboard(data.dashboard.id);
+  } catch (e) {
+    alert('Failed to create dashboard: ' + e.message);
+  }
 }
 
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+// processWidgetHtml() is in export.js, shared with the dashboard export
+
 // ─────────────────────────────────────────────
 // INITIALIZATION
 // ─────────────────────────────────────────────
@@ -537,8 +808,15 @@ document.addEventListener('DOMContentLoaded', () => {
   initDragDrop();
   initControls();
   initProperties();
+  initSelectionTools();
   loadConfig(); // New: Load config on startup
   // setEditMode(false) is called inside loadConfig()
+  connectConfigEvents();
+  document.getElementById('sync-reload').addEventListener('click', reloadRemoteChange);
+  document.getElementById('sync-dismiss').addEventListener('click', () => {
+    // Only hides the banner — saving still opens the merge dialog
+    document.getElementById('sync-banner').style.display = 'none';
+  });
 
   // Initialize Edit Layout button
   document.getElementById('btn-edit-layout').addEventListener('click', requestEditMode);
@@ -574,12 +852,19 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('security-modal').style.display = 'none';
     showPinModal('remove');
   });
+  document.getElementById('sec-lock').addEventListener('click', lockEditing);
+  document.getElementById('btn-logout').addEventListener('click', lockEditing);
+
+  // Login modal (user accounts)
+  document.getElementById('login-submit').addEventListener('click', submitLogin);
+  document.getElementById('login-cancel').addEventListener('click', closeLoginModal);
+  document.getElementById('login-password').addEventListener('keydown', (e) => { if (e.key === 'Enter') submitLogin(); });
   document.getElementById('public-mode-toggle').addEventListener('change', async (e) => {
     const enable = e.target.checked;
     if (enable && !confirm('Enable Public Mode? This will hide the Edit button and block config APIs.')) {
       e.target.checked = false; return;
     }
-    if (state.hasPin) {
+    if (state.hasPin && !state.hasUsers) {
       // Use PIN modal instead of prompt() so input is masked
       state._pendingPublicMode = enable;
       document.getElementById('security-modal').style.display = 'none';
@@ -632,10 +917,18 @@ function initCanvas() {
 
   // Canvas click to deselect
   canvas.addEventListener('click', (e) => {
+    if (ignoreNextClick) { ignoreNextClick = false; return; }
     if (e.target === canvas || e.target.classList.contains('canvas-grid')) {
       selectWidget(null);
     }
   });
+
+  // Drag on empty canvas to rubber-band select
+  canvas.addEventListener('mousedown', (e) => {
+    if (!state.editMode || e.button !== 0) return;
+    if (e.target !== canvas && !e.target.classList.contains('canvas-grid')) return;
+    startRubberBand(e);
+  });
 }
 
 function updateCanvasSize(preserveZoom = false) {
@@ -796,9 +1089,8 @@ function createWidget(type, x, y) {
     properties: JSON.parse(JSON.stringify(template.properties))
   };
 
-  // Snap to grid (20px)
-  widget.x = Math.round(widget.x / 20) * 20;
-  widget.y = Math.round(widget.y / 20) * 20;
+  widget.x = snapToGrid(widget.x);
+  widget.y = snapToGrid(widget.y);
 
   // Keep in bounds
   widget.x = Math.min(widget.x, state.canvas.width - widget.width);
@@ -819,6 +1111,8 @@ function createWidget(type, x, y) {
 
   // Show has-widgets state
   document.getElementById('canvas').classList.add('has-widgets');
+
+  pushCommand(addWidgetCommand(widget, state.widgets.length - 1));
 }
 
 function applyWidgetFontScale(widget) {
@@ -892,11 +1186,12 @@ function renderWidget(widget) {
     el.classList.remove('builder-edit-mode');
   }
 
-  // Click to select
+  // Click to select (shift-click and group drags are handled on mousedown)
   el.addEventListener('click', (e) => {
     if (state.editMode) {
       e.stopPropagation();
-      selectWidget(widget.id);
+      if (ignoreNextClick) { ignoreNextClick = false; return; }
+      if (!e.shiftKey) selectWidget(widget.id);
     }
   });
 
@@ -939,26 +1234,60 @@ function renderWidgetPreview(widget) {
 }
 
 function selectWidget(id) {
+  setSelection(id ? [id] : []);
+}
+
+/** Replace the selection. The properties panel only follows a single selected widget. */
+function setSelection(ids) {
   // Deselect previous
   document.querySelectorAll('.placed-widget.selected').forEach(el => {
     el.classList.remove('selected');
   });
 
-  state.selectedWidget = id ? state.widgets.find(w => w.id === id) : null;
+  state.selectedIds = ids.filter((id, i) => ids.indexOf(id) === i && state.widgets.some(w => w.id === id));
+  state.selectedIds.forEach(id => document.getElementById(id)?.classList.add('selected'));
+  state.selectedWidget = state.selectedIds.length === 1
+    ? state.widgets.find(w => w.id === state.selectedIds[0])
+    : null;
 
   if (state.selectedWidget) {
-    document.getElementById(id).classList.add('selected');
     showProperties(state.selectedWidget);
   } else {
     hideProperties();
   }
+  updateSelectionTools();
+}
+
+function toggleWidgetSelection(id) {
+  if (state.selectedIds.includes(id)) {
+    setSelection(state.selectedIds.filter(x => x !== id));
+  } else {
+    setSelection([...state.selectedIds, id]);
+  }
+}
+
+function getSelectedWidgets() {
+  return state.selectedIds.map(id => state.widgets.find(w => w.id === id)).filter(Boolean);
+}
+
+function deleteSelectedWidgets() {
+  const ids = state.selectedIds.slice();
+  if (ids.length === 1) { deleteWidget(ids[0]); return; }
+  if (ids.length === 0) return;
+
+  const before = state.widgets.slice();
+  ids.forEach(id => document.getElementById(id)?.remove());
+  state.widgets = state.widgets.filter(w => !ids.includes(w.id));
+  selectWidget(null);
+  refreshCanvasState();
+  recordLayoutChange(`Delete ${ids.length} widgets`, before);
 }
 
 function deleteWidget(id) {
   const idx = state.widgets.findIndex(w => w.id === id);
   if (idx === -1) return;
 
-  state.widgets.splice(idx, 1);
+  const [widget] = state.widgets.splice(idx, 1);
   document.getElementById(id)?.remove();
   selectWidget(null);
   updateCanvasInfo();
@@ -967,6 +1296,175 @@ function deleteWidget(id) {
   if (state.widgets.length === 0) {
     document.getElementById('canvas').classList.remove('has-widgets');
   }
+
+  pushCommand(deleteWidgetCommand(widget, idx));
+}
+
+/** Refresh canvas-level UI after widgets were added, removed or restored */
+function refreshCanvasState() {
+  if (isScrollableMode()) updateCanvasSize(true);
+  updateCanvasInfo();
+  updateEmptyState();
+  document.getElementById('canvas').classList.toggle('has-widgets', state.widgets.length > 0);
+}
+
+/** Render a widget and move its element to match its position in state.widgets (stacking order) */
+function renderWidgetInOrder(widget) {
+  renderWidget(widget);
+  const el = document.getElementById(widget.id);
+  const next = state.widgets[state.widgets.indexOf(widget) + 1];
+  const nextEl = next && document.getElementById(next.id);
+  if (el && nextEl) nextEl.parentNode.insertBefore(el, nextEl);
+}
+
+// ─────────────────────────────────────────────
+// UNDO / REDO
+// Every edit is pushed as a command { label, undo(), redo() } after it has
+// been applied. Commands that share a coalesce key and arrive within
+// COALESCE_MS of each other (typing in a property field) merge into one step.
+// ─────────────────────────────────────────────
+
+const UNDO_LIMIT = 100;
+const COALESCE_MS = 1000;
+
+const undoState = {
+  undoStack: [],
+  redoStack: [],
+  applying: false // True while undo/redo runs, so replayed edits aren't recorded again
+};
+
+function cloneWidget(widget) {
+  return JSON.parse(JSON.stringify(widget));
+}
+
+function pushCommand(cmd) {
+  if (undoState.applying || !cmd) return;
+  const last = undoState.undoStack[undoState.undoStack.length - 1];
+  const now = Date.now();
+  if (last && cmd.coalesceKey && last.coalesceKey === cmd.coalesceKey && now - last.at < COALESCE_MS) {
+    // Keep the oldest "before" and take the newest "after"
+    last.redo = cmd.redo;
+    last.at = now;
+  } else {
+    cmd.at = now;
+    undoState.undoStack.push(cmd);
+    if (undoState.undoStack.length > UNDO_LIMIT) undoState.undoStack.shift();
+  }
+  undoState.redoStack = [];
+}
+
+function clearUndoHistory() {
+  undoState.undoStack = [];
+  undoState.redoStack = [];
+}
+
+function undo() {
+  const cmd = undoState.undoStack.pop();
+  if (!cmd) return;
+  undoState.applying = true;
+  try { cmd.undo(); } finally { undoState.applying = false; }
+  undoState.redoStack.push(cmd);
+  refreshCanvasState();
+}
+
+function redo() {
+  const cmd = undoState.redoStack.pop();
+  if (!cmd) return;
+  undoState.applying = true;
+  try { cmd.redo(); } finally { undoState.applying = false; }
+  undoState.undoStack.push(cmd);
+  refreshCanvasState();
+}
+
+function addWidgetCommand(widget, index) {
+  const snapshot = cloneWidget(widget);
+  return {
+    label: 'Add widget',
+    undo: () => removeWidgetFromCanvas(snapshot.id),
+    redo: () => insertWidgetOnCanvas(snapshot, index)
+  };
+}
+
+function deleteWidgetCommand(widget, index) {
+  const snapshot = cloneWidget(widget);
+  return {
+    label: 'Delete widget',
+    undo: () => insertWidgetOnCanvas(snapshot, index),
+    redo: () => removeWidgetFromCanvas(snapshot.id)
+  };
+}
+
+/**
+ * Record a change to one widget (move, resize, property edit). `before` is a
+ * cloneWidget() snapshot taken before the change; nothing is recorded if the
+ * widget ended up unchanged.
+ */
+function recordWidgetChange(label, widget, before, coalesceKey) {
+  recordWidgetsChange(label, [before], coalesceKey);
+}
+
+/** Same as recordWidgetChange, for several widgets changed in one step (group move, align) */
+function recordWidgetsChange(label, befores, coalesceKey) {
+  const afters = befores.map(b => state.widgets.find(w => w.id === b.id)).filter(Boolean).map(cloneWidget);
+  if (JSON.stringify(befores) === JSON.stringify(afters)) return;
+  pushCommand({
+    label,
+    coalesceKey,
+    undo: () => restoreWidgets(befores),
+    redo: () => restoreWidgets(afters)
+  });
+}
+
+/** Record a change that replaced the whole widget list (clear all, template merge) */
+function recordLayoutChange(label, beforeWidgets) {
+  const before = beforeWidgets.map(cloneWidget);
+  const after = state.widgets.map(cloneWidget);
+  pushCommand({
+    label,
+    undo: () => replaceAllWidgets(before),
+    redo: () => replaceAllWidgets(after)
+  });
+}
+
+function insertWidgetOnCanvas(snapshot, index) {
+  const widget = cloneWidget(snapshot);
+  state.widgets.splice(Math.min(index, state.widgets.length), 0, widget);
+  renderWidgetInOrder(widget);
+  selectWidget(widget.id);
+}
+
+function removeWidgetFromCanvas(id) {
+  const idx = state.widgets.findIndex(w => w.id === id);
+  if (idx === -1) return;
+  state.widgets.splice(idx, 1);
+  document.getElementById(id)?.remove();
+  if (state.selectedIds.includes(id)) setSelection(state.selectedIds.filter(x => x !== id));
+}
+
+/** Restore widgets in place, keeping the object identity that event handlers hold on to */
+function restoreWidgets(snapshots) {
+  snapshots.forEach(snapshot => {
+    const widget = state.widgets.find(w => w.id === snapshot.id);
+    if (!widget) return;
+    Object.keys(widget).forEach(key => delete widget[key]);
+    Object.assign(widget, cloneWidget(snapshot));
+    document.getElementById(widget.id)?.remove();
+    renderWidgetInOrder(widget);
+  });
+  setSelection(snapshots.map(s => s.id));
+}
+
+function replaceAllWidgets(widgets) {
+  state.widgets.forEach(w => document.getElementById(w.id)?.remove());
+  state.widgets = widgets.map(cloneWidget);
+  state.widgets.forEach(w => {
+    try {
+      renderWidget(w);
+    } catch (e) {
+      console.error(`Failed to render widget ${w.id} (type: ${w.type}):`, e);
+    }
+  });
+  selectWidget(null);
 }
 
 // ─────────────────────────────────────────────
@@ -976,29 +1474,57 @@ function deleteWidget(id) {
 function startDragWidget(e, widget) {
   if (e.button !== 0) return;
 
-  const el = document.getElementById(widget.id);
+  // Shift+mousedown toggles the widget in the selection; mousedown on an
+  // unselected widget selects it; mousedown inside a selection drags the group
+  if (e.shiftKey) {
+    toggleWidgetSelection(widget.id);
+    if (!state.selectedIds.includes(widget.id)) return;
+  } else if (!state.selectedIds.includes(widget.id)) {
+    selectWidget(widget.id);
+  }
+
+  const group = getSelectedWidgets();
   const startX = e.clientX;
   const startY = e.clientY;
   const origX = widget.x;
   const origY = widget.y;
+  const origins = group.map(w => ({ x: w.x, y: w.y }));
+  const befores = group.map(cloneWidget);
+  const box = getBoundingBox(group);
+  const targets = getGuideTargets(state.selectedIds);
+  let moved = false;
 
   function onMove(e) {
     const dx = (e.clientX - startX) / state.zoom;
     const dy = (e.clientY - startY) / state.zoom;
 
-    widget.x = Math.round((origX + dx) / 20) * 20;
-    widget.y = Math.round((origY + dy) / 20) * 20;
+    // Snap the grabbed widget, move the rest of the group by the same amount
+    let offsetX = snapToGrid(origX + dx, e) - origX;
+    let offsetY = snapToGrid(origY + dy, e) - origY;
 
-    // Keep in bounds
-    widget.x = Math.max(0, Math.min(widget.x, state.canvas.width - widget.width));
+    // Edges and centers lining up with other widgets win over the grid
+    const edgesX = () => [box.left + offsetX, (box.left + box.right) / 2 + offsetX, box.right + offsetX];
+    const edgesY = () => [box.top + offsetY, (box.top + box.bottom) / 2 + offsetY, box.bottom + offsetY];
+    if (!e.altKey) {
+      offsetX += snapToGuides(edgesX(), targets.x);
+      offsetY += snapToGuides(edgesY(), targets.y);
+    }
+
+    // Keep the whole group in bounds
+    offsetX = Math.max(-box.left, Math.min(offsetX, state.canvas.width - box.right));
     if (isScrollableMode()) {
-      widget.y = Math.max(0, widget.y);
+      offsetY = Math.max(-box.top, offsetY);
     } else {
-      widget.y = Math.max(0, Math.min(widget.y, state.canvas.height - widget.height));
+      offsetY = Math.max(-box.top, Math.min(offsetY, state.canvas.height - box.bottom));
     }
 
-    el.style.left = widget.x + 'px';
-    el.style.top = widget.y + 'px';
+    if (offsetX !== 0 || offsetY !== 0) moved = true;
+    group.forEach((w, i) => {
+      w.x = origins[i].x + offsetX;
+      w.y = origins[i].y + offsetY;
+      applyWidgetGeometry(w);
+    });
+    showGuides(matchingGuides(edgesX(), targets.x), matchingGuides(edgesY(), targets.y));
 
     // In scrollable mode, grow canvas to fit
     if (isScrollableMode()) {
@@ -1011,6 +1537,11 @@ function startDragWidget(e, widget) {
   function onUp() {
     document.removeEventListener('mousemove', onMove);
     document.removeEventListener('mouseup', onUp);
+    showGuides([], []);
+    // A drag isn't a click: keep the group selected
+    if (moved) ignoreNextClick = true;
+    // The whole drag is a single undo step
+    recordWidgetsChange(group.length > 1 ? `Move ${group.length} widgets` : 'Move widget', befores);
   }
 
   document.addEventListener('mousemove', onMove);
@@ -1018,31 +1549,47 @@ function startDragWidget(e, widget) {
 }
 
 function startResizeWidget(e, widget) {
-  const el = document.getElementById(widget.id);
+  // Resizing one widget of a selection resizes the whole selection by the same amount
+  const group = state.selectedIds.includes(widget.id) ? getSelectedWidgets() : [widget];
   const startX = e.clientX;
   const startY = e.clientY;
-  const origW = widget.width;
-  const origH = widget.height;
+  const origSizes = group.map(w => ({ width: w.width, height: w.height }));
+  const befores = group.map(cloneWidget);
+  const targets = getGuideTargets(group.map(w => w.id));
+  const grabbed = group.indexOf(widget);
 
   function onMove(e) {
     const dw = (e.clientX - startX) / state.zoom;
     const dh = (e.clientY - startY) / state.zoom;
 
-    widget.width = Math.round((origW + dw) / 20) * 20;
-    widget.height = Math.round((origH + dh) / 20) * 20;
+    // Line the grabbed widget's right/bottom edge up with other widgets; the group follows
+    let guideW = 0;
+    let guideH = 0;
+    if (!e.altKey) {
+      guideW = snapToGuides([widget.x + snapToGrid(origSizes[grabbed].width + dw, e)], targets.x);
+      guideH = snapToGuides([widget.y + snapToGrid(origSizes[grabbed].height + dh, e)], targets.y);
+    }
 
-    // Minimum size
-    widget.width = Math.max(100, widget.width);
-    widget.height = Math.max(60, widget.height);
+    group.forEach((w, i) => {
+      w.width = snapToGrid(origSizes[i].width + dw, e) + guideW;
+      w.height = snapToGrid(origSizes[i].height + dh, e) + guideH;
 
-    // Keep in bounds
-    widget.width = Math.min(widget.width, state.canvas.width - widget.x);
-    if (!isScrollableMode()) {
-      widget.height = Math.min(widget.height, state.canvas.height - widget.y);
-    }
+      // Minimum size
+      w.width = Math.max(100, w.width);
+      w.height = Math.max(60, w.height);
+
+      // Keep in bounds
+      w.width = Math.min(w.width, state.canvas.width - w.x);
+      if (!isScrollableMode()) {
+        w.height = Math.min(w.height, state.canvas.height - w.y);
+      }
 
-    el.style.width = widget.width + 'px';
-    el.style.height = widget.height + 'px';
+      applyWidgetGeometry(w);
+    });
+    showGuides(
+      matchingGuides([widget.x + widget.width], targets.x),
+      matchingGuides([widget.y + widget.height], targets.y)
+    );
 
     // In scrollable mode, grow canvas to fit
     if (isScrollableMode()) {
@@ -1055,6 +1602,8 @@ function startResizeWidget(e, widget) {
   function onUp() {
     document.removeEventListener('mousemove', onMove);
     document.removeEventListener('mouseup', onUp);
+    showGuides([], []);
+    recordWidgetsChange(group.length > 1 ? `Resize ${group.length} widgets` : 'Resize widget', befores);
   }
 
   document.addEventListener('mousemove', onMove);
@@ -1062,66 +1611,431 @@ function startResizeWidget(e, widget) {
 }
 
 // ─────────────────────────────────────────────
-// PROPERTIES PANEL
+// SNAP GRID & ALIGNMENT GUIDES
+// Holding Alt while dragging or resizing disables both.
 // ─────────────────────────────────────────────
 
-function initProperties() {
-  // Position/size inputs
-  ['prop-x', 'prop-y', 'prop-width', 'prop-height'].forEach(id => {
-    document.getElementById(id).addEventListener('change', onPropertyChange);
-  });
-
-  // Title
-  document.getElementById('prop-title').addEventListener('input', onPropertyChange);
+const GUIDE_THRESHOLD = 6; // Screen px within which an edge snaps to a guide
 
-  // Location fields
-  document.getElementById('prop-location').addEventListener('input', onPropertyChange);
-  document.getElementById('prop-locations').addEventListener('input', onPropertyChange);
-  document.getElementById('prop-units').addEventListener('change', onPropertyChange);
+function setGridSize(size) {
+  state.gridSize = Math.max(0, parseInt(size) || 0);
+  const canvas = document.getElementById('canvas');
+  canvas.style.setProperty('--grid-size', (state.gridSize || 20) + 'px');
+  canvas.classList.toggle('grid-off', state.gridSize === 0);
+  const gridSelect = document.getElementById('grid-size');
+  if (gridSelect) gridSelect.value = String(state.gridSize);
+}
 
-  // API key and endpoint
-  document.getElementById('prop-api-key').addEventListener('input', onPropertyChange);
-  document.getElementById('prop-api-key-value').addEventListener('input', onPropertyChange);
-  document.getElementById('prop-endpoint').addEventListener('input', onPropertyChange);
-  if (document.getElementById('prop-directorypath')) {
-    document.getElementById('prop-directorypath').addEventListener('input', onPropertyChange);
-    document.getElementById('btn-browse-dir').addEventListener('click', () => openDirBrowser());
-  }
-  document.getElementById('prop-refresh').addEventListener('change', onPropertyChange);
-  document.getElementById('prop-widgetfontscale').addEventListener('change', onPropertyChange);
-  document.getElementById('prop-timeformat').addEventListener('change', onPropertyChange);
+function snapToGrid(value, e) {
+  if (!state.gridSize || (e && e.altKey)) return Math.round(value);
+  return Math.round(value / state.gridSize) * state.gridSize;
+}
 
-  // Show header checkbox
-  document.getElementById('prop-show-header').addEventListener('change', onPropertyChange);
+/** Edge and center lines of every widget not being moved, plus the canvas center */
+function getGuideTargets(excludeIds) {
+  const targets = { x: [state.canvas.width / 2], y: [] };
+  if (!isScrollableMode()) targets.y.push(state.canvas.height / 2);
+  state.widgets.forEach(w => {
+    if (excludeIds.includes(w.id)) return;
+    targets.x.push(w.x, w.x + w.width / 2, w.x + w.width);
+    targets.y.push(w.y, w.y + w.height / 2, w.y + w.height);
+  });
+  return targets;
+}
 
-  // Countdown-specific fields
-  document.getElementById('prop-targetdate').addEventListener('change', onPropertyChange);
-  document.getElementById('prop-show-hours').addEventListener('change', onPropertyChange);
-  document.getElementById('prop-show-minutes').addEventListener('change', onPropertyChange);
+/** Smallest nudge that lines one of `values` up with a target, or 0 if none is close enough */
+function snapToGuides(values, targets) {
+  const threshold = GUIDE_THRESHOLD / state.zoom;
+  let best = 0;
+  let bestDist = Infinity;
+  values.forEach(v => targets.forEach(t => {
+    const dist = Math.abs(t - v);
+    if (dist <= threshold && dist < bestDist) { best = t - v; bestDist = dist; }
+  }));
+  return best;
+}
 
-  // Pomodoro-specific fields
-  document.getElementById('prop-work-minutes').addEventListener('change', onPropertyChange);
-  document.getElementById('prop-break-minutes').addEventListener('change', onPropertyChange);
+function matchingGuides(values, targets) {
+  return targets.filter((t, i) => targets.indexOf(t) === i && values.some(v => Math.abs(t - v) < 0.5));
+}
 
-  // Show border checkbox
-  document.getElementById('prop-showborder').addEventListener('change', onPropertyChange);
+function showGuides(xs, ys) {
+  const canvas = document.getElementById('canvas');
+  canvas.querySelectorAll('.snap-guide').forEach(el => el.remove());
+  xs.forEach(x => {
+    const line = document.createElement('div');
+    line.className = 'snap-guide snap-guide-v';
+    line.style.left = x + 'px';
+    canvas.appendChild(line);
+  });
+  ys.forEach(y => {
+    const line = document.createElement('div');
+    line.className = 'snap-guide snap-guide-h';
+    line.style.top = y + 'px';
+    canvas.appendChild(line);
+  });
+}
 
-  // Columns
-  document.getElementById('prop-columns').addEventListener('change', onPropertyChange);
+// ─────────────────────────────────────────────
+// MULTI-SELECT, ALIGN & DISTRIBUTE
+// ─────────────────────────────────────────────
 
-  // Feed URL
-  document.getElementById('prop-feedurl').addEventListener('change', onPropertyChange);
-  document.getElementById('prop-layout').addEventListener('change', onPropertyChange);
+// Set after a drag or rubber-band so the click that ends it doesn't change the selection
+let ignoreNextClick = false;
 
-  // Text header fields
-  document.getElementById('prop-fontsize').addEventListener('change', onPropertyChange);
-  document.getElementById('prop-fontcolor').addEventListener('input', onPropertyChange);
-  document.getElementById('prop-textalign').addEventListener('change', onPropertyChange);
-  document.getElementById('prop-fontweight').addEventListener('change', onPropertyChange);
+function applyWidgetGeometry(widget) {
+  const el = document.getElementById(widget.id);
+  if (!el) return;
+  el.style.left = widget.x + 'px';
+  el.style.top = widget.y + 'px';
+  el.style.width = widget.width + 'px';
+  el.style.height = widget.height + 'px';
+}
 
-  // Line fields
-  document.getElementById('prop-linecolor').addEventListener('input', onPropertyChange);
-  document.getElementById('prop-linethickness').addEventListener('change', onPropertyChange);
+function getBoundingBox(widgets) {
+  return {
+    left: Math.min(...widgets.map(w => w.x)),
+    top: Math.min(...widgets.map(w => w.y)),
+    right: Math.max(...widgets.map(w => w.x + w.width)),
+    bottom: Math.max(...widgets.map(w => w.y + w.height))
+  };
+}
+
+/** Canvas area as sized by updateCanvasSize() */
+function getCanvasBounds() {
+  return {
+    left: 0,
+    top: 0,
+    right: state.canvas.width,
+    bottom: isScrollableMode() ? getScrollableCanvasHeight() : state.canvas.height
+  };
+}
+
+function clampToCanvas(widget) {
+  widget.x = Math.max(0, Math.min(widget.x, state.canvas.width - widget.width));
+  if (isScrollableMode()) {
+    widget.y = Math.max(0, widget.y);
+  } else {
+    widget.y = Math.max(0, Math.min(widget.y, state.canvas.height - widget.height));
+  }
+}
+
+function startRubberBand(e) {
+  const canvas = document.getElementById('canvas');
+  const rect = canvas.getBoundingClientRect();
+  const startX = (e.clientX - rect.left) / state.zoom;
+  const startY = (e.clientY - rect.top) / state.zoom;
+  const additive = e.shiftKey;
+  const initial = state.selectedIds.slice();
+  let band = null;
+
+  function onMove(e) {
+    const x = (e.clientX - rect.left) / state.zoom;
+    const y = (e.clientY - rect.top) / state.zoom;
+    const box = {
+      left: Math.min(startX, x), top: Math.min(startY, y),
+      right: Math.max(startX, x), bottom: Math.max(startY, y)
+    };
+    if (!band) {
+      if (box.right - box.left < 4 && box.bottom - box.top < 4) return; // Plain click
+      band = document.createElement('div');
+      band.className = 'selection-band';
+      canvas.appendChild(band);
+    }
+    band.style.left = box.left + 'px';
+    band.style.top = box.top + 'px';
+    band.style.width = (box.right - box.left) + 'px';
+    band.style.height = (box.bottom - box.top) + 'px';
+
+    // Select every widget the band touches
+    const hit = state.widgets.filter(w =>
+      w.x < box.right && w.x + w.width > box.left && w.y < box.bottom && w.y + w.height > box.top
+    ).map(w => w.id);
+    setSelection(additive ? [...initial, ...hit] : hit);
+  }
+
+  function onUp() {
+    document.removeEventListener('mousemove', onMove);
+    document.removeEventListener('mouseup', onUp);
+    if (band) {
+      band.remove();
+      ignoreNextClick = true;
+    }
+  }
+
+  document.addEventListener('mousemove', onMove);
+  document.addEventListener('mouseup', onUp);
+}
+
+/**
+ * Align the selection. A single widget aligns to the canvas; several widgets
+ * align to their shared bounding box.
+ */
+function alignSelection(edge) {
+  const group = getSelectedWidgets();
+  if (group.length === 0) return;
+  const befores = group.map(cloneWidget);
+  const bounds = group.length === 1 ? getCanvasBounds() : getBoundingBox(group);
+
+  group.forEach(w => {
+    switch (edge) {
+      case 'left': w.x = bounds.left; break;
+      case 'right': w.x = bounds.right - w.width; break;
+      case 'center': w.x = Math.round((bounds.left + bounds.right - w.width) / 2); break;
+      case 'top': w.y = bounds.top; break;
+      case 'bottom': w.y = bounds.bottom - w.height; break;
+      case 'middle': w.y = Math.round((bounds.top + bounds.bottom - w.height) / 2); break;
+    }
+    clampToCanvas(w);
+    applyWidgetGeometry(w);
+  });
+
+  recordWidgetsChange(`Align ${edge}`, befores);
+  refreshCanvasState();
+  updatePropertyInputs();
+}
+
+/** Space three or more widgets evenly between the outermost two */
+function distributeSelection(axis) {
+  const group = getSelectedWidgets();
+  if (group.length < 3) return;
+  const befores = group.map(cloneWidget);
+  const pos = axis === 'horizontal' ? 'x' : 'y';
+  const size = axis === 'horizontal' ? 'width' : 'height';
+
+  const sorted = group.slice().sort((a, b) => a[pos] - b[pos]);
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const span = last[pos] + last[size] - first[pos];
+  const totalSize = sorted.reduce((sum, w) => sum + w[size], 0);
+  const gap = (span - totalSize) / (sorted.length - 1);
+
+  let cursor = first[pos];
+  sorted.forEach(w => {
+    w[pos] = Math.round(cursor);
+    cursor += w[size] + gap;
+    clampToCanvas(w);
+    applyWidgetGeometry(w);
+  });
+
+  recordWidgetsChange(`Distribute ${axis}ly`, befores);
+  refreshCanvasState();
+  updatePropertyInputs();
+}
+
+function updateSelectionTools() {
+  const count = state.selectedIds.length;
+  document.querySelectorAll('#align-tools [data-align]').forEach(btn => { btn.disabled = count === 0; });
+  document.querySelectorAll('#align-tools [data-distribute]').forEach(btn => { btn.disabled = count < 3; });
+  const hint = document.querySelector('.no-selection p');
+  if (hint) {
+    hint.textContent = count > 1
+      ? `${count} widgets selected — drag to move them together, or use the align tools below the canvas`
+      : 'Select a widget to edit its properties';
+  }
+}
+
+function initSelectionTools() {
+  document.querySelectorAll('#align-tools [data-align]').forEach(btn => {
+    btn.addEventListener('click', () => alignSelection(btn.dataset.align));
+  });
+  document.querySelectorAll('#align-tools [data-distribute]').forEach(btn => {
+    btn.addEventListener('click', () => distributeSelection(btn.dataset.distribute));
+  });
+  updateSelectionTools();
+}
+
+// ─────────────────────────────────────────────
+// CLIPBOARD — copy, paste & duplicate
+// Widgets travel as JSON text on the system clipboard, so they can be pasted
+// into another dashboard or another LobsterBoard instance.
+// ─────────────────────────────────────────────
+
+const CLIPBOARD_TYPE = 'lobsterboard/widgets';
+const PASTE_OFFSET = 20;
+
+// Same rules as stripSensitiveProps() in server.cjs (used by /api/templates/export)
+const PRIVATE_IP_REGEX = /^https?:\/\/(10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|localhost|127\.0\.0\.1)/i;
+
+let pasteCount = 0; // Repeated pastes of the same copy cascade instead of stacking
+
+function stripPrivateUrls(props) {
+  if (!props || typeof props !== 'object') return props;
+  const result = Array.isArray(props) ? [...props] : { ...props };
+  for (const key of Object.keys(result)) {
+    if (result[key] === '••••••••') {
+      result[key] = ''; // Masked server-side secret — the real value never reaches the browser
+    } else if ((key === 'url' || key === 'endpoint') && typeof result[key] === 'string' && PRIVATE_IP_REGEX.test(result[key])) {
+      result[key] = 'http://your-server:port/path';
+    } else if (typeof result[key] === 'object' && result[key] !== null) {
+      result[key] = stripPrivateUrls(result[key]);
+    }
+  }
+  return result;
+}
+
+/** Reset the secret and private properties a widget type declares to its defaults */
+function stripSensitiveProps(type, props) {
+  const result = stripPrivateUrls(props);
+  const template = WIDGETS[type];
+  if (!template || !result || typeof result !== 'object') return result;
+  const defaults = template.properties || {};
+  for (const key of [...(template.secretProperties || []), ...(template.privateProperties || [])]) {
+    if (key in result) result[key] = key in defaults ? defaults[key] : '';
+  }
+  return result;
+}
+
+/** Clipboard payload for widgets: ids dropped, secrets stripped */
+function serializeWidgets(widgets) {
+  return JSON.stringify({
+    type: CLIPBOARD_TYPE,
+    version: 1,
+    widgets: widgets.map(w => ({
+      type: w.type,
+      x: w.x,
+      y: w.y,
+      width: w.width,
+      height: w.height,
+      properties: stripSensitiveProps(w.type, JSON.parse(JSON.stringify(w.properties || {})))
+    }))
+  }, null, 2);
+}
+
+/** Parse clipboard text; returns null if it isn't LobsterBoard widgets */
+function parseClipboardWidgets(text) {
+  let data;
+  try { data = JSON.parse(text); } catch (_) { return null; }
+  if (!data || data.type !== CLIPBOARD_TYPE || !Array.isArray(data.widgets)) return null;
+  return data.widgets.filter(w => w && WIDGETS[w.type]);
+}
+
+/** Add copies of widgets to the canvas with fresh ids, offset so they don't hide the originals */
+function pasteWidgets(widgets, offset) {
+  if (!widgets.length) return;
+  const before = state.widgets.slice();
+  const ids = widgets.map(w => {
+    const template = WIDGETS[w.type];
+    const widget = {
+      id: `widget-${++state.idCounter}`,
+      type: w.type,
+      x: (parseInt(w.x) || 0) + offset,
+      y: (parseInt(w.y) || 0) + offset,
+      width: parseInt(w.width) || template.defaultWidth,
+      height: parseInt(w.height) || template.defaultHeight,
+      properties: { ...JSON.parse(JSON.stringify(template.properties)), ...(w.properties || {}) },
+      ...(w.secretsFrom ? { secretsFrom: w.secretsFrom } : {})
+    };
+    clampToCanvas(widget);
+    state.widgets.push(widget);
+    renderWidget(widget);
+    return widget.id;
+  });
+  setSelection(ids);
+  refreshCanvasState();
+  recordLayoutChange(ids.length > 1 ? `Paste ${ids.length} widgets` : 'Paste widget', before);
+}
+
+function onCopy(e) {
+  if (!state.editMode || isTypingTarget(e.target)) return;
+  const widgets = getSelectedWidgets();
+  if (!widgets.length) return;
+  e.preventDefault();
+  e.clipboardData.setData('text/plain', serializeWidgets(widgets));
+  pasteCount = 0;
+}
+
+function onPaste(e) {
+  if (!state.editMode || isTypingTarget(e.target)) return;
+  const widgets = parseClipboardWidgets(e.clipboardData.getData('text/plain'));
+  if (!widgets) return;
+  e.preventDefault();
+  pasteWidgets(widgets, ++pasteCount * PASTE_OFFSET);
+}
+
+/**
+ * Ctrl+D: copy the selection in place without touching the clipboard. Secrets
+ * are kept: the server copies the original's saved ones on the next save.
+ */
+function duplicateSelection() {
+  const widgets = getSelectedWidgets();
+  if (!widgets.length) return;
+  pasteWidgets(widgets.map(w => ({
+    type: w.type,
+    x: w.x,
+    y: w.y,
+    width: w.width,
+    height: w.height,
+    properties: JSON.parse(JSON.stringify(w.properties || {})),
+    secretsFrom: w.secretsFrom || w.id
+  })), state.gridSize || PASTE_OFFSET);
+}
+
+function isTypingTarget(el) {
+  return el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable;
+}
+
+// ─────────────────────────────────────────────
+// PROPERTIES PANEL
+// ─────────────────────────────────────────────
+
+function initProperties() {
+  // Position/size inputs
+  ['prop-x', 'prop-y', 'prop-width', 'prop-height'].forEach(id => {
+    document.getElementById(id).addEventListener('change', onPropertyChange);
+  });
+
+  // Title
+  document.getElementById('prop-title').addEventListener('input', onPropertyChange);
+
+  // Location fields
+  document.getElementById('prop-location').addEventListener('input', onPropertyChange);
+  document.getElementById('prop-locations').addEventListener('input', onPropertyChange);
+  document.getElementById('prop-units').addEventListener('change', onPropertyChange);
+
+  // API key and endpoint
+  document.getElementById('prop-api-key').addEventListener('input', onPropertyChange);
+  document.getElementById('prop-api-key-value').addEventListener('input', onPropertyChange);
+  document.getElementById('prop-endpoint').addEventListener('input', onPropertyChange);
+  if (document.getElementById('prop-directorypath')) {
+    document.getElementById('prop-directorypath').addEventListener('input', onPropertyChange);
+    document.getElementById('btn-browse-dir').addEventListener('click', () => openDirBrowser());
+  }
+  document.getElementById('prop-refresh').addEventListener('change', onPropertyChange);
+  document.getElementById('prop-widgetfontscale').addEventListener('change', onPropertyChange);
+  document.getElementById('prop-timeformat').addEventListener('change', onPropertyChange);
+
+  // Show header checkbox
+  document.getElementById('prop-show-header').addEventListener('change', onPropertyChange);
+
+  // Countdown-specific fields
+  document.getElementById('prop-targetdate').addEventListener('change', onPropertyChange);
+  document.getElementById('prop-show-hours').addEventListener('change', onPropertyChange);
+  document.getElementById('prop-show-minutes').addEventListener('change', onPropertyChange);
+
+  // Pomodoro-specific fields
+  document.getElementById('prop-work-minutes').addEventListener('change', onPropertyChange);
+  document.getElementById('prop-break-minutes').addEventListener('change', onPropertyChange);
+
+  // Show border checkbox
+  document.getElementById('prop-showborder').addEventListener('change', onPropertyChange);
+
+  // Columns
+  document.getElementById('prop-columns').addEventListener('change', onPropertyChange);
+
+  // Feed URL
+  document.getElementById('prop-feedurl').addEventListener('change', onPropertyChange);
+  document.getElementById('prop-layout').addEventListener('change', onPropertyChange);
+
+  // Text header fields
+  document.getElementById('prop-fontsize').addEventListener('change', onPropertyChange);
+  document.getElementById('prop-fontcolor').addEventListener('input', onPropertyChange);
+  document.getElementById('prop-textalign').addEventListener('change', onPropertyChange);
+  document.getElementById('prop-fontweight').addEventListener('change', onPropertyChange);
+
+  // Line fields
+  document.getElementById('prop-linecolor').addEventListener('input', onPropertyChange);
+  document.getElementById('prop-linethickness').addEventListener('change', onPropertyChange);
 
   // Image embed fields
   document.getElementById('prop-imagepath').addEventListener('input', onPropertyChange);
@@ -1432,10 +2346,12 @@ const PROP_OPTIONS = {
   period: ['today', 'week', 'month', 'year'],
   units: ['F', 'C'],
   maxLength: ['0', '50', '100', '150', '200', '300'],
+  display: ['kpi', 'gauge', 'table', 'sparkline'],
 };
 
 const PROP_LABELS = {
   maxLength: { '0': 'No limit', '50': '50 chars', '100': '100 chars', '150': '150 chars', '200': '200 chars', '300': '300 chars' },
+  display: { kpi: 'KPI' },
 };
 
 function renderExtraProperties(widget, template) {
@@ -1516,6 +2432,7 @@ function onExtraPropertyChange(e) {
   if (!state.selectedWidget) return;
   const key = e.target.dataset.extraProp;
   const type = e.target.dataset.extraType;
+  const before = cloneWidget(state.selectedWidget);
 
   if (type === 'boolean') {
     state.selectedWidget.properties[key] = e.target.checked;
@@ -1525,6 +2442,7 @@ function onExtraPropertyChange(e) {
     state.selectedWidget.properties[key] = e.target.value;
   }
   renderWidgetPreview(state.selectedWidget);
+  recordWidgetChange('Edit property', state.selectedWidget, before, `prop:${state.selectedWidget.id}:${key}`);
 }
 
 function hideProperties() {
@@ -1546,6 +2464,8 @@ function onImageFileSelect(e) {
   const file = e.target.files[0];
   if (!file) return;
   
+  const widget = state.selectedWidget;
+  const before = cloneWidget(widget);
   const reader = new FileReader();
   reader.onload = function(event) {
     state.selectedWidget.properties.imagePath = event.target.result;
@@ -1553,6 +2473,7 @@ function onImageFileSelect(e) {
     document.getElementById('prop-imagepath').style.display = 'none';
     document.querySelector('#prop-imagepath-group small').style.display = 'none';
     renderWidgetPreview(state.selectedWidget);
+    recordWidgetChange('Set image', widget, before);
   };
   reader.readAsDataURL(file);
 }
@@ -1607,8 +2528,10 @@ function renderRandomImageList() {
 
 window.removeRandomImage = function(index) {
   if (!state.selectedWidget || !state.selectedWidget.properties.images) return;
+  const before = cloneWidget(state.selectedWidget);
   state.selectedWidget.properties.images.splice(index, 1);
   renderRandomImageList();
+  recordWidgetChange('Remove image', state.selectedWidget, before);
 };
 
 function onAddQuickLink() {
@@ -1626,6 +2549,7 @@ function onAddQuickLink() {
     url = 'https://' + url;
   }
   
+  const before = cloneWidget(state.selectedWidget);
   if (!state.selectedWidget.properties.links) {
     state.selectedWidget.properties.links = [];
   }
@@ -1633,6 +2557,7 @@ function onAddQuickLink() {
   state.selectedWidget.properties.links.push({ name, url });
   renderQuickLinksList();
   renderWidgetPreview(state.selectedWidget);
+  recordWidgetChange('Add link', state.selectedWidget, before);
   
   // Clear inputs
   nameInput.value = '';
@@ -1666,9 +2591,11 @@ function renderQuickLinksList() {
 
 window.removeQuickLink = function(index) {
   if (!state.selectedWidget || !state.selectedWidget.properties.links) return;
+  const before = cloneWidget(state.selectedWidget);
   state.selectedWidget.properties.links.splice(index, 1);
   renderQuickLinksList();
   renderWidgetPreview(state.selectedWidget);
+  recordWidgetChange('Remove link', state.selectedWidget, before);
 };
 
 function onPropertyChange(e) {
@@ -1676,6 +2603,7 @@ function onPropertyChange(e) {
 
   const widget = state.selectedWidget;
   const el = document.getElementById(widget.id);
+  const before = cloneWidget(widget);
 
   switch (e.target.id) {
     case 'prop-x':
@@ -1826,6 +2754,8 @@ function onPropertyChange(e) {
       widget.properties.feedUrl = e.target.value;
       break;
   }
+
+  recordWidgetChange('Edit property', widget, before, `prop:${widget.id}:${e.target.id}`);
 }
 
 // ─────────────────────────────────────────────
@@ -1833,6 +2763,20 @@ function onPropertyChange(e) {
 // ─────────────────────────────────────────────
 
 function initControls() {
+  // Dashboard selector
+  const dashboardSelect = document.getElementById('dashboard-select');
+  if (dashboardSelect) {
+    dashboardSelect.addEventListener('change', (e) => {
+      if (e.target.value === '__new__') {
+        e.target.value = state.dashboardId;
+        createDashboard();
+      } else if (e.target.value !== state.dashboardId) {
+        switchDashboard(e.target.value);
+      }
+    });
+    loadDashboardList();
+  }
+
   // Canvas size selector
   document.getElementById('canvas-size').addEventListener('change', (e) => {
     if (e.target.value === 'custom') {
@@ -1877,15 +2821,22 @@ function initControls() {
     state.widgets.forEach(w => applyWidgetFontScale(w));
   });
 
+  // Grid size selector
+  document.getElementById('grid-size').addEventListener('change', (e) => {
+    setGridSize(e.target.value);
+  });
+
   // Clear button
   document.getElementById('btn-clear').addEventListener('click', () => {
     if (confirm('Clear all widgets?')) {
+      const before = state.widgets;
       state.widgets.forEach(w => document.getElementById(w.id)?.remove());
       state.widgets = [];
       selectWidget(null);
       updateCanvasInfo();
       updateEmptyState();
       document.getElementById('canvas').classList.remove('has-widgets');
+      recordLayoutChange('Clear all', before);
     }
   });
 
@@ -1908,11 +2859,16 @@ function initControls() {
   // Keyboard shortcuts for zoom and edit mode
   document.addEventListener('keydown', (e) => {
     // Check if not typing in an input/editable element
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT' || e.target.isContentEditable) return;
+    if (isTypingTarget(e.target)) return;
 
     if (e.ctrlKey && e.key === 'e') { // Ctrl+E to toggle edit mode
       e.preventDefault();
       if (state.editMode) setEditMode(false); else requestEditMode();
+    } else if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y')) {
+      // Ctrl+Z undo, Ctrl+Shift+Z / Ctrl+Y redo
+      if (!state.editMode) return;
+      e.preventDefault();
+      if (e.key === 'y' || e.shiftKey) redo(); else undo();
     } else if (e.key === '=' || e.key === '+') {
       e.preventDefault();
       zoomIn();
@@ -1925,14 +2881,28 @@ function initControls() {
     } else if (e.key === 'f' || e.key === 'F') {
       e.preventDefault();
       zoomFit();
+    } else if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
+      if (!state.editMode) return;
+      e.preventDefault();
+      duplicateSelection();
+    } else if ((e.ctrlKey || e.metaKey) && e.key === 'a') {
+      if (!state.editMode) return;
+      e.preventDefault();
+      setSelection(state.widgets.map(w => w.id));
+    } else if (e.key === 'Escape') {
+      if (state.editMode) selectWidget(null);
     } else if (e.key === 'Delete' || e.key === 'Backspace') {
-      if (state.selectedWidget && state.editMode) {
+      if (state.selectedIds.length && state.editMode) {
         e.preventDefault();
-        deleteWidget(state.selectedWidget.id);
+        deleteSelectedWidgets();
       }
     }
   });
 
+  // Copy / paste widgets (Ctrl+C / Ctrl+V)
+  document.addEventListener('copy', onCopy);
+  document.addEventListener('paste', onPaste);
+
   // Mouse wheel zoom (with Ctrl/Cmd)
   document.getElementById('canvas-wrapper').addEventListener('wheel', (e) => {
     if (e.ctrlKey || e.metaKey) {
@@ -1952,7 +2922,7 @@ function initControls() {
 
 function showPreview() {
   const css = generateDashboardCss();
-  const js = generateDashboardJs();
+  const js = generateDashboardJs(state);
 
   const widgetHtml = state.widgets.map(widget => {
     const template = WIDGETS[widget.type];
@@ -1993,9 +2963,7 @@ function showPreview() {
 // ─────────────────────────────────────────────
 
 async function exportDashboard() {
-  const html = generateDashboardHtml();
-  const css = generateDashboardCss();
-  const js = generateDashboardJs();
+  const files = dashboardExportFiles(state);
 
   // Load JSZip dynamically
   if (!window.JSZip) {
@@ -2014,11 +2982,7 @@ async function exportDashboard() {
   }
 
   const zip = new JSZip();
-  zip.file('index.html', html);
-  zip.file('css/style.css', css);
-  zip.file('js/dashboard.js', js);
-  zip.file('README.md', generateReadme());
-  zip.file('server.js', generateServerJs());
+  for (const [name, content] of Object.entries(files)) zip.file(name, content);
 
   // Capture preview screenshot automatically
   try {
@@ -2046,1240 +3010,6 @@ async function exportDashboard() {
   URL.revokeObjectURL(url);
 }
 
-function generateDashboardHtml() {
-  const widgetHtml = state.widgets.map(widget => {
-    const template = WIDGETS[widget.type];
-    if (!template) return '';
-
-    const props = { ...widget.properties, id: widget.id };
-    let html = processWidgetHtml(template.generateHtml(props), widget.properties.showHeader);
-
-    // Wrap in positioned container with data-widget-id for post-export editing
-    return `
-      <div class="widget-container" data-widget-id="${widget.id}" style="position:absolute;left:${widget.x}px;top:${widget.y}px;width:${widget.width}px;height:${widget.height}px;">
-        ${html}
-      </div>`;
-  }).join('\n');
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>My OpenClaw Dashboard</title>
-  <link rel="stylesheet" href="css/style.css">
-</head>
-<body>
-  <main class="dashboard" style="width:${state.canvas.width}px;height:${isScrollableMode() ? 'auto' : state.canvas.height + 'px'};min-height:${isScrollableMode() ? getScrollableCanvasHeight() + 'px' : 'auto'};position:relative;">
-    ${widgetHtml}
-  </main>
-  <script src="js/dashboard.js"></script>
-</body>
-</html>`;
-}
-
-function generateDashboardCss() {
-  return `/* OpenClaw Dashboard - Generated Styles */
-
-:root {
-  --bg-primary: #0d1117;
-  --bg-secondary: #161b22;
-  --bg-tertiary: #21262d;
-  --bg-hover: #30363d;
-  --border: #30363d;
-  --text-primary: #e6edf3;
-  --text-secondary: #8b949e;
-  --text-muted: #6e7681;
-  --accent-blue: #58a6ff;
-  --accent-green: #3fb950;
-  --accent-orange: #d29922;
-  --accent-red: #f85149;
-  --accent-purple: #a371f7;
-}
-
-* {
-  box-sizing: border-box;
-  margin: 0;
-  padding: 0;
-}
-
-body {
-  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-  background: var(--bg-primary);
-  color: var(--text-primary);
-  min-height: 100vh;
-}
-
-.dashboard {
-  margin: 0 auto;
-  overflow: hidden;
-}
-
-.widget-container {
-  overflow: hidden;
-}
-
-/* KPI Cards */
-.kpi-card {
-  background: var(--bg-secondary);
-  border: 1px solid var(--border);
-  border-radius: 8px;
-  padding: 16px;
-  display: flex;
-  align-items: center;
-  gap: 12px;
-  height: 100%;
-}
-
-.kpi-sm {
-  padding: 12px;
-}
-
-.kpi-icon {
-  font-size: 24px;
-}
-
-.kpi-data {
-  flex: 1;
-}
-
-.kpi-value {
-  font-size: 20px;
-  font-weight: 600;
-}
-
-.kpi-value.blue { color: var(--accent-blue); }
-.kpi-value.green { color: var(--accent-green); }
-.kpi-value.orange { color: var(--accent-orange); }
-.kpi-value.red { color: var(--accent-red); }
-
-.kpi-label {
-  font-size: 12px;
-  color: var(--text-secondary);
-  margin-top: 2px;
-}
-
-.kpi-indicator {
-  width: 10px;
-  height: 10px;
-  border-radius: 50%;
-  background: var(--text-muted);
-}
-
-.kpi-indicator.green { background: var(--accent-green); }
-.kpi-indicator.yellow { background: var(--accent-orange); }
-.kpi-indicator.red { background: var(--accent-red); }
-
-/* Ring */
-.kpi-ring-wrap {
-  position: relative;
-  display: flex;
-  align-items: center;
-  justify-content: center;
-}
-
-.kpi-ring-sm {
-  width: 48px;
-  height: 48px;
-}
-
-.kpi-ring {
-  width: 100%;
-  height: 100%;
-}
-
-.kpi-ring-label {
-  position: absolute;
-  font-size: 14px;
-  font-weight: 600;
-}
-
-/* Dash Cards */
-.dash-card {
-  background: var(--bg-secondary);
-  border: 1px solid var(--border);
-  border-radius: 8px;
-  display: flex;
-  flex-direction: column;
-  height: 100%;
-  overflow: hidden;
-}
-
-.dash-card-head {
-  display: flex;
-  justify-content: space-between;
-  align-items: center;
-  padding: 12px 16px;
-  border-bottom: 1px solid var(--border);
-  background: var(--bg-tertiary);
-}
-
-.dash-card-title {
-  font-size: calc(13px * var(--font-scale, 1));
-  font-weight: 600;
-}
-
-.dash-card-badge {
-  font-size: 11px;
-  color: var(--text-secondary);
-  background: var(--bg-primary);
-  padding: 2px 8px;
-  border-radius: 10px;
-}
-
-.dash-card-body {
-  flex: 1;
-  padding: 12px 16px;
-  overflow-y: auto;
-}
-
-.compact-list {
-  font-size: 12px;
-}
-
-.syslog-scroll {
-  font-family: 'SF Mono', Monaco, monospace;
-  font-size: 11px;
-}
-
-/* Top Bar */
-.topbar {
-  display: flex;
-  justify-content: space-between;
-  align-items: center;
-  padding: 8px 20px;
-  background: var(--bg-secondary);
-  border-bottom: 1px solid var(--border);
-  height: 100%;
-}
-
-.topbar-left {
-  display: flex;
-  align-items: center;
-  gap: 20px;
-}
-
-.topbar-brand {
-  font-weight: 600;
-  font-size: 14px;
-}
-
-.topbar-link {
-  color: var(--text-secondary);
-  text-decoration: none;
-  font-size: 13px;
-}
-
-.topbar-link:hover,
-.topbar-link.active {
-  color: var(--accent-blue);
-}
-
-.topbar-right {
-  display: flex;
-  align-items: center;
-  gap: 12px;
-}
-
-.topbar-meta {
-  font-size: 12px;
-  color: var(--text-muted);
-}
-
-.topbar-refresh {
-  background: var(--bg-tertiary);
-  border: 1px solid var(--border);
-  color: var(--text-secondary);
-  padding: 4px 8px;
-  border-radius: 4px;
-  cursor: pointer;
-}
-
-/* News Ticker */
-.news-ticker-wrap {
-  display: flex;
-  align-items: center;
-  gap: 12px;
-  padding: 10px 16px;
-  background: var(--bg-secondary);
-  border: 1px solid var(--border);
-  border-radius: 8px;
-  overflow: hidden;
-  height: 100%;
-}
-
-.ticker-label {
-  font-size: 16px;
-}
-
-.ticker-track {
-  flex: 1;
-  overflow: hidden;
-}
-
-.ticker-content {
-  white-space: nowrap;
-  animation: ticker 30s linear infinite;
-  font-size: 13px;
-  color: var(--text-secondary);
-}
-
-@keyframes ticker {
-  0% { transform: translateX(100%); }
-  100% { transform: translateX(-100%); }
-}
-
-/* Utilities */
-.loading-sm {
-  display: flex;
-  align-items: center;
-  justify-content: center;
-  padding: 20px;
-}
-
-.spinner-sm {
-  width: 20px;
-  height: 20px;
-  border: 2px solid var(--bg-tertiary);
-  border-top-color: var(--accent-blue);
-  border-radius: 50%;
-  animation: spin 1s linear infinite;
-}
-
-@keyframes spin {
-  to { transform: rotate(360deg); }
-}
-
-.error {
-  color: var(--accent-red);
-  padding: 10px;
-  text-align: center;
-}
-
-.list-item {
-  padding: 6px 0;
-  border-bottom: 1px solid var(--border);
-}
-
-.list-item:last-child {
-  border-bottom: none;
-}
-
-.cron-item {
-  display: flex;
-  justify-content: space-between;
-  padding: 6px 0;
-  border-bottom: 1px solid var(--border);
-}
-
-.cron-name {
-  color: var(--text-primary);
-}
-
-.cron-next {
-  color: var(--text-muted);
-  font-size: 11px;
-}
-
-.log-line {
-  padding: 2px 0;
-  border-bottom: 1px solid rgba(48, 54, 61, 0.5);
-}
-
-.event-item {
-  padding: 8px 0;
-  border-bottom: 1px solid var(--border);
-}
-
-.weather-row {
-  display: flex;
-  align-items: center;
-  gap: 10px;
-  padding: 8px 0;
-  border-bottom: 1px solid var(--border);
-}
-
-.weather-row:last-child {
-  border-bottom: none;
-}
-
-.weather-icon {
-  font-size: 18px;
-}
-
-.weather-loc {
-  flex: 1;
-  color: var(--text-primary);
-}
-
-.weather-temp {
-  font-weight: 600;
-  color: var(--accent-blue);
-}
-
-/* World Clock */
-.tz-row {
-  display: flex;
-  justify-content: space-between;
-  align-items: center;
-  padding: 8px 0;
-  border-bottom: 1px solid var(--border);
-}
-
-.tz-row:last-child {
-  border-bottom: none;
-}
-
-.tz-city {
-  color: var(--text-primary);
-}
-
-.tz-time {
-  font-weight: 600;
-  color: var(--accent-blue);
-  font-variant-numeric: tabular-nums;
-}
-
-.usage-row {
-  display: flex;
-  justify-content: space-between;
-  align-items: center;
-  padding: 10px 0;
-  border-bottom: 1px solid var(--border);
-}
-
-.usage-row:last-child {
-  border-bottom: none;
-}
-
-.usage-tokens {
-  font-weight: 600;
-  color: var(--text-primary);
-}
-
-/* Pomodoro Button */
-.pomo-btn {
-  background: var(--bg-tertiary);
-  border: 1px solid var(--border);
-  color: var(--text-primary);
-  padding: 8px 20px;
-  border-radius: 6px;
-  font-size: 13px;
-  font-weight: 500;
-  cursor: pointer;
-  transition: all 0.15s ease;
-}
-
-.pomo-btn:hover {
-  background: var(--bg-hover);
-  border-color: var(--accent-blue);
-  color: var(--accent-blue);
-}
-
-.pomo-btn:active {
-  background: var(--bg-secondary);
-}
-
-::-webkit-scrollbar {
-  width: 6px;
-}
-
-::-webkit-scrollbar-track {
-  background: var(--bg-primary);
-}
-
-::-webkit-scrollbar-thumb {
-  background: var(--bg-tertiary);
-  border-radius: 3px;
-}
-
-/* Post-Export Edit Mode */
-.edit-mode .widget-container {
-  cursor: move;
-  outline: 2px dashed #3b82f6;
-  outline-offset: -2px;
-}
-
-.edit-mode .widget-container:hover {
-  outline-color: #60a5fa;
-}
-
-.edit-mode .widget-container.dragging {
-  opacity: 0.8;
-  z-index: 1000;
-}
-
-.resize-handle-edit {
-  display: none;
-  position: absolute;
-  bottom: 0;
-  right: 0;
-  width: 16px;
-  height: 16px;
-  cursor: se-resize;
-  background: #3b82f6;
-  border-radius: 2px 0 0 0;
-  z-index: 10;
-}
-
-.resize-handle-edit::before {
-  content: '';
-  position: absolute;
-  right: 3px;
-  bottom: 3px;
-  width: 6px;
-  height: 6px;
-  border-right: 2px solid white;
-  border-bottom: 2px solid white;
-}
-
-.edit-mode .resize-handle-edit {
-  display: block;
-}
-
-#edit-toggle {
-  position: fixed;
-  bottom: 20px;
-  right: 20px;
-  z-index: 9999;
-  padding: 8px 16px;
-  background: #1e293b;
-  color: white;
-  border: none;
-  border-radius: 6px;
-  cursor: pointer;
-  font-size: 13px;
-  font-weight: 500;
-  box-shadow: 0 2px 8px rgba(0,0,0,0.3);
-  transition: background 0.15s, transform 0.1s;
-}
-
-#edit-toggle:hover {
-  background: #334155;
-}
-
-#edit-toggle:active {
-  transform: scale(0.98);
-}
-
-#edit-toggle.active {
-  background: #3b82f6;
-}
-`;
-}
-
-function generateEditJs() {
-  return `
-// ─────────────────────────────────────────────
-// POST-EXPORT LAYOUT EDITING
-// ─────────────────────────────────────────────
-
-(function() {
-  const STORAGE_KEY = 'lobsterboard-layout';
-  const GRID_SIZE = 20;
-  const MIN_WIDTH = 100;
-  const MIN_HEIGHT = 60;
-  
-  let editMode = false;
-  let activeWidget = null;
-  let startX, startY, origLeft, origTop, origWidth, origHeight;
-  let isResizing = false;
-
-  // Initialize on DOM ready
-  document.addEventListener('DOMContentLoaded', initEditMode);
-
-  function initEditMode() {
-    // Create edit toggle button
-    const btn = document.createElement('button');
-    btn.id = 'edit-toggle';
-    btn.textContent = '✏️ Edit Layout';
-    btn.onclick = toggleEditMode;
-    document.body.appendChild(btn);
-
-    // Add resize handles and event listeners to all widgets
-    document.querySelectorAll('.widget-container').forEach(initWidget);
-
-    // Load saved positions
-    loadPositions();
-  }
-
-  function initWidget(widget) {
-    // Add resize handle
-    const handle = document.createElement('div');
-    handle.className = 'resize-handle-edit';
-    widget.appendChild(handle);
-
-    // Drag to move
-    widget.addEventListener('mousedown', onWidgetMouseDown);
-    
-    // Resize handle
-    handle.addEventListener('mousedown', onResizeMouseDown);
-  }
-
-  function toggleEditMode() {
-    editMode = !editMode;
-    document.body.classList.toggle('edit-mode', editMode);
-    document.getElementById('edit-toggle').classList.toggle('active', editMode);
-    document.getElementById('edit-toggle').textContent = editMode ? '💾 Save Layout' : '✏️ Edit Layout';
-    
-    if (!editMode) {
-      savePositions();
-    }
-  }
-
-  function onWidgetMouseDown(e) {
-    if (!editMode) return;
-    if (e.target.classList.contains('resize-handle-edit')) return;
-    if (e.button !== 0) return;
-
-    e.preventDefault();
-    activeWidget = e.currentTarget;
-    isResizing = false;
-    
-    startX = e.clientX;
-    startY = e.clientY;
-    origLeft = activeWidget.offsetLeft;
-    origTop = activeWidget.offsetTop;
-
-    activeWidget.classList.add('dragging');
-    
-    document.addEventListener('mousemove', onMouseMove);
-    document.addEventListener('mouseup', onMouseUp);
-  }
-
-  function onResizeMouseDown(e) {
-    if (!editMode) return;
-    e.preventDefault();
-    e.stopPropagation();
-    
-    activeWidget = e.target.parentElement;
-    isResizing = true;
-    
-    startX = e.clientX;
-    startY = e.clientY;
-    origWidth = activeWidget.offsetWidth;
-    origHeight = activeWidget.offsetHeight;
-
-    activeWidget.classList.add('dragging');
-    
-    document.addEventListener('mousemove', onMouseMove);
-    document.addEventListener('mouseup', onMouseUp);
-  }
-
-  function onMouseMove(e) {
-    if (!activeWidget) return;
-
-    const dx = e.clientX - startX;
-    const dy = e.clientY - startY;
-
-    if (isResizing) {
-      // Resize
-      const newWidth = Math.max(MIN_WIDTH, origWidth + dx);
-      const newHeight = Math.max(MIN_HEIGHT, origHeight + dy);
-      activeWidget.style.width = newWidth + 'px';
-      activeWidget.style.height = newHeight + 'px';
-    } else {
-      // Move
-      const newLeft = Math.max(0, origLeft + dx);
-      const newTop = Math.max(0, origTop + dy);
-      activeWidget.style.left = newLeft + 'px';
-      activeWidget.style.top = newTop + 'px';
-    }
-  }
-
-  function onMouseUp() {
-    if (!activeWidget) return;
-
-    // Snap to grid
-    if (isResizing) {
-      activeWidget.style.width = snapToGrid(activeWidget.offsetWidth) + 'px';
-      activeWidget.style.height = snapToGrid(activeWidget.offsetHeight) + 'px';
-    } else {
-      activeWidget.style.left = snapToGrid(activeWidget.offsetLeft) + 'px';
-      activeWidget.style.top = snapToGrid(activeWidget.offsetTop) + 'px';
-    }
-
-    activeWidget.classList.remove('dragging');
-    activeWidget = null;
-    isResizing = false;
-    
-    document.removeEventListener('mousemove', onMouseMove);
-    document.removeEventListener('mouseup', onMouseUp);
-  }
-
-  function snapToGrid(value) {
-    return Math.round(value / GRID_SIZE) * GRID_SIZE;
-  }
-
-  function savePositions() {
-    const positions = {};
-    document.querySelectorAll('.widget-container').forEach(widget => {
-      const id = widget.dataset.widgetId;
-      if (id) {
-        positions[id] = {
-          left: widget.offsetLeft,
-          top: widget.offsetTop,
-          width: widget.offsetWidth,
-          height: widget.offsetHeight
-        };
-      }
-    });
-    
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(positions));
-      console.log('Layout saved');
-    } catch (e) {
-      console.warn('Failed to save layout:', e);
-    }
-  }
-
-  function loadPositions() {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEY);
-      if (!saved) return;
-      
-      const positions = JSON.parse(saved);
-      document.querySelectorAll('.widget-container').forEach(widget => {
-        const id = widget.dataset.widgetId;
-        const pos = positions[id];
-        if (pos) {
-          widget.style.left = pos.left + 'px';
-          widget.style.top = pos.top + 'px';
-          widget.style.width = pos.width + 'px';
-          widget.style.height = pos.height + 'px';
-        }
-      });
-      console.log('Layout restored from localStorage');
-    } catch (e) {
-      console.warn('Failed to load saved layout:', e);
-    }
-  }
-})();
-`;
-}
-
-function sanitizeProps(props) {
-  const safe = { ...props };
-  for (const key of Object.keys(safe)) {
-    if (typeof safe[key] === 'string') {
-      safe[key] = safe[key].replace(/[`$\\]/g, '\\$&').replace(/'/g, "\\'").replace(/"/g, '\\"');
-    }
-  }
-  return safe;
-}
-
-function generateDashboardJs() {
-  const widgetJs = state.widgets.map(widget => {
-    const template = WIDGETS[widget.type];
-    if (!template || !template.generateJs) return '';
-
-    const props = sanitizeProps({ ...widget.properties, id: widget.id });
-    return template.generateJs(props);
-  }).join('\n\n');
-
-  const editJs = generateEditJs();
-
-  return `/**
- * OpenClaw Dashboard - Generated JavaScript
- * Replace YOUR_*_API_KEY placeholders with your actual API keys
- */
-
-document.addEventListener('DOMContentLoaded', () => {
-  console.log('Dashboard loaded');
-});
-
-${widgetJs}
-
-${editJs}
-`;
-}
-
-function generateServerJs() {
-  return `/**
- * LobsterBoard Dashboard Server
- * 
- * A server that:
- * - Serves your dashboard static files
- * - Provides OpenClaw data via CLI commands (not HTTP proxy)
- * 
- * Usage: node server.js
- * 
- * Environment variables:
- *   PORT - Server port (default: 8080)
- *   HOST - Bind address (default: 127.0.0.1 for security)
- * 
- * Security: By default binds to localhost only. To expose on network:
- *   HOST=0.0.0.0 node server.js
- *   ⚠️  Only do this on trusted networks!
- */
-
-const http = require('http');
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
-const { execSync } = require('child_process');
-
-const PORT = process.env.PORT || 8080;
-const HOST = process.env.HOST || '127.0.0.1';
-
-const MIME_TYPES = {
-  '.html': 'text/html', '.css': 'text/css', '.js': 'application/javascript',
-  '.json': 'application/json', '.png': 'image/png', '.jpg': 'image/jpeg',
-  '.gif': 'image/gif', '.svg': 'image/svg+xml', '.ico': 'image/x-icon'
-};
-
-// Cache for expensive CLI operations (30 second TTL)
-let statusCache = { data: null, timestamp: 0 };
-let cronCache = { data: null, timestamp: 0 };
-let activityCache = { data: null, timestamp: 0 };
-let logsCache = { data: null, timestamp: 0 };
-const CACHE_TTL = 30000;
-
-// Run openclaw CLI command and return output
-function runOpenClawCmd(args) {
-  try {
-    return execSync(\`openclaw \${args}\`, { 
-      encoding: 'utf8',
-      timeout: 10000,
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-  } catch (e) {
-    console.error(\`openclaw \${args} failed:\`, e.message);
-    return null;
-  }
-}
-
-// Parse openclaw status output
-function parseStatus() {
-  const now = Date.now();
-  if (statusCache.data && (now - statusCache.timestamp) < CACHE_TTL) {
-    return statusCache.data;
-  }
-
-  const output = runOpenClawCmd('status');
-  if (!output) return null;
-
-  const versionOutput = runOpenClawCmd('--version');
-  const currentVersion = versionOutput ? versionOutput.trim() : 'unknown';
-
-  const data = {
-    authMode: 'unknown',
-    version: currentVersion,
-    sessions: 0,
-    gateway: 'unknown'
-  };
-
-  // Detect auth mode from status output
-  if (output.includes('oauth') || output.includes('claude-cli')) {
-    data.authMode = 'oauth';
-  } else if (output.includes('api-key') || output.match(/sk-ant-/)) {
-    data.authMode = 'api-key';
-  } else {
-    data.authMode = 'oauth';
-  }
-
-  // Look for version update info
-  const versionMatch = output.match(/npm update ([\\\\d.-]+)/);
-  if (versionMatch) data.latestVersion = versionMatch[1];
-
-  // Look for sessions count
-  const sessionsMatch = output.match(/sessions?\\\\s+(\\\\d+)/i);
-  if (sessionsMatch) data.sessions = parseInt(sessionsMatch[1]);
-
-  // Look for gateway status
-  if (output.includes('running')) data.gateway = 'running';
-
-  statusCache = { data, timestamp: now };
-  return data;
-}
-
-// Parse cron jobs via CLI
-function parseCronJobs() {
-  const now = Date.now();
-  if (cronCache.data && (now - cronCache.timestamp) < CACHE_TTL) {
-    return cronCache.data;
-  }
-
-  const output = runOpenClawCmd('cron list --json');
-  let jobs = [];
-  try {
-    if (output) {
-      const parsed = JSON.parse(output);
-      // Transform jobs to widget-expected format
-      jobs = (parsed.jobs || []).map(job => ({
-        name: job.name || job.id || 'Unnamed',
-        next: job.state?.nextRunAtMs 
-          ? new Date(job.state.nextRunAtMs).toLocaleString('en-US', { 
-              month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' 
-            })
-          : (job.schedule?.expr || '—'),
-        enabled: job.enabled !== false,
-        lastStatus: job.state?.lastStatus || null
-      }));
-    }
-  } catch (e) {
-    console.error('Failed to parse cron jobs:', e.message);
-  }
-
-  const data = { jobs };
-  cronCache = { data, timestamp: now };
-  return data;
-}
-
-// Response helpers
-function sendSuccess(res, data) {
-  res.writeHead(200, { 
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*'
-  });
-  res.end(JSON.stringify({ status: 'ok', data }));
-}
-
-function sendError(res, message, statusCode = 500) {
-  res.writeHead(statusCode, { 
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*'
-  });
-  res.end(JSON.stringify({ status: 'error', message }));
-}
-
-// API handlers
-const API_HANDLERS = {
-  '/api/status': (req, res) => {
-    const data = parseStatus();
-    if (!data) {
-      sendError(res, 'Failed to get OpenClaw status');
-      return;
-    }
-    sendSuccess(res, data);
-  },
-
-  '/api/cron': (req, res) => {
-    const data = parseCronJobs();
-    sendSuccess(res, data);
-  },
-
-  '/api/activity': (req, res) => {
-    const now = Date.now();
-    if (activityCache.data && (now - activityCache.timestamp) < CACHE_TTL) {
-      sendSuccess(res, activityCache.data);
-      return;
-    }
-
-    const cronRunsDir = path.join(os.homedir(), '.openclaw', 'cron', 'runs');
-    const cronJobsFile = path.join(os.homedir(), '.openclaw', 'cron', 'jobs.json');
-    
-    // Build job ID to name mapping
-    let jobMap = {};
-    try {
-      if (fs.existsSync(cronJobsFile)) {
-        const jobsData = JSON.parse(fs.readFileSync(cronJobsFile, 'utf8'));
-        jobMap = Object.fromEntries((jobsData.jobs || []).map(j => [j.id, j.name || j.id]));
-      }
-    } catch (e) { /* ignore */ }
-
-    // Read all run files and merge entries
-    let allRuns = [];
-    try {
-      if (fs.existsSync(cronRunsDir)) {
-        const files = fs.readdirSync(cronRunsDir).filter(f => f.endsWith('.jsonl'));
-        for (const file of files) {
-          try {
-            const content = fs.readFileSync(path.join(cronRunsDir, file), 'utf8');
-            const lines = content.trim().split('\\n').filter(l => l.trim());
-            for (const line of lines) {
-              try {
-                const entry = JSON.parse(line);
-                if (entry.ts && entry.action === 'finished') {
-                  allRuns.push(entry);
-                }
-              } catch (e) { /* skip malformed lines */ }
-            }
-          } catch (e) { /* skip unreadable files */ }
-        }
-      }
-    } catch (e) { /* ignore */ }
-
-    // Sort by timestamp descending and take last 15
-    allRuns.sort((a, b) => b.ts - a.ts);
-    const recentRuns = allRuns.slice(0, 15);
-
-    const items = recentRuns.map(run => {
-      const jobName = jobMap[run.jobId] || run.jobId || 'Unknown Job';
-      const duration = run.durationMs ? \`(\${Math.round(run.durationMs / 1000)}s)\` : '';
-      const summary = run.summary ? \`: \${run.summary.slice(0, 50)}\` : '';
-      return {
-        text: \`\${jobName} \${duration}\${summary}\`,
-        time: new Date(run.ts).toISOString(),
-        status: run.status || 'unknown'
-      };
-    });
-
-    // Fallback if no runs found
-    if (items.length === 0) {
-      items.push({ text: 'No recent activity', time: new Date().toISOString(), status: 'info' });
-    }
-
-    const data = { items };
-    activityCache = { data, timestamp: now };
-    sendSuccess(res, data);
-  },
-
-  '/api/logs': (req, res) => {
-    const now = Date.now();
-    if (logsCache.data && (now - logsCache.timestamp) < CACHE_TTL) {
-      sendSuccess(res, logsCache.data);
-      return;
-    }
-
-    const logPath = path.join(os.homedir(), '.openclaw', 'logs', 'gateway.log');
-    let lines = [];
-
-    try {
-      if (fs.existsSync(logPath)) {
-        const content = fs.readFileSync(logPath, 'utf8');
-        const rawLines = content.split('\\n').filter(l => l.trim());
-        // Take last 75 lines, reverse for newest first
-        const recentLines = rawLines.slice(-75).reverse();
-        
-        lines = recentLines.map(line => {
-          // Parse format: TIMESTAMP [subsystem] message
-          const match = line.match(/^(\\S+)\\s+\\[(\\w+)\\]\\s+(.*)$/);
-          if (match) {
-            return { time: match[1], subsystem: match[2], message: match[3] };
-          }
-          return { raw: line };
-        });
-      } else {
-        lines = [{ message: 'Log file not found', subsystem: 'info' }];
-      }
-    } catch (e) {
-      lines = [{ message: \`Error reading logs: \${e.message}\`, subsystem: 'error' }];
-    }
-
-    const data = { lines };
-    logsCache = { data, timestamp: now };
-    sendSuccess(res, data);
-  },
-
-  '/api/sessions': (req, res) => {
-    const status = parseStatus();
-    sendSuccess(res, { count: status?.sessions || 0 });
-  }
-};
-
-// Static file server with path traversal protection
-function serveStatic(filePath, res) {
-  if (filePath === '/') filePath = '/index.html';
-  const fullPath = path.resolve(__dirname, '.' + filePath);
-  
-  // Prevent path traversal attacks
-  if (!fullPath.startsWith(path.resolve(__dirname))) {
-    res.writeHead(403, { 'Content-Type': 'text/plain' });
-    res.end('Forbidden');
-    return;
-  }
-  
-  const ext = path.extname(fullPath).toLowerCase();
-  
-  fs.readFile(fullPath, (err, data) => {
-    if (err) {
-      res.writeHead(err.code === 'ENOENT' ? 404 : 500);
-      res.end(err.code === 'ENOENT' ? 'Not Found' : 'Server Error');
-      return;
-    }
-    res.writeHead(200, { 'Content-Type': MIME_TYPES[ext] || 'application/octet-stream' });
-    res.end(data);
-  });
-}
-
-const server = http.createServer((req, res) => {
-  const pathname = new URL(req.url, 'http://' + req.headers.host).pathname;
-  
-  // CORS preflight
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
-    });
-    res.end();
-    return;
-  }
-  
-  // API endpoints
-  if (API_HANDLERS[pathname]) {
-    API_HANDLERS[pathname](req, res);
-    return;
-  }
-  
-  // Static files
-  serveStatic(pathname, res);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => server.close(() => process.exit(0)));
-process.on('SIGINT', () => server.close(() => process.exit(0)));
-
-server.listen(PORT, HOST, () => {
-  console.log(\`
-🦞 LobsterBoard Dashboard Server
-
-   Dashboard: http://\${HOST}:\${PORT}
-   
-   API Endpoints:
-   • /api/status   - Auth mode & version
-   • /api/cron     - Cron jobs list  
-   • /api/activity - Activity feed
-   • /api/logs     - System logs
-   • /api/sessions - Session count
-   
-\${HOST === '127.0.0.1' ? '   ✓ Bound to localhost (secure)' : '   ⚠️  Exposed to network'}
-
-   Press Ctrl+C to stop
-\`);
-});
-`;
-}
-
-function generateReadme() {
-  const apiKeys = [];
-  const needsOpenClaw = state.widgets.some(w => 
-    ['openclaw-release', 'auth-status', 'activity-list', 'cron-jobs', 'system-log', 'session-count', 'token-gauge'].includes(w.type)
-  );
-  
-  state.widgets.forEach(widget => {
-    const template = WIDGETS[widget.type];
-    if (template?.hasApiKey && template.apiKeyName) {
-      if (!apiKeys.includes(template.apiKeyName)) {
-        apiKeys.push(template.apiKeyName);
-      }
-    }
-  });
-
-  return `# LobsterBoard Dashboard
-
-This dashboard was generated with LobsterBoard Dashboard Builder.
-
-## ⚠️ Security Notice
-
-**Never blindly trust scripts from the internet.**
-
-Before running \`server.js\`, we recommend reviewing it for security:
-
-\`\`\`
-Hey [Your AI Assistant], please review the server.js file in this folder 
-and check for any security concerns, suspicious code, or potential issues.
-\`\`\`
-
-The server.js included here uses the OpenClaw CLI to query data locally
-(no network proxying). It binds to localhost by default for security. 
-But always verify for yourself!
-
----
-
-## Quick Start
-
-${needsOpenClaw ? `### Running with OpenClaw widgets
-
-Your dashboard includes widgets that connect to OpenClaw. The server uses
-the OpenClaw CLI to query data, so make sure OpenClaw is installed and configured.
-
-\`\`\`bash
-# Make sure OpenClaw CLI is available:
-openclaw status
-
-# Then start the dashboard:
-node server.js
-\`\`\`
-
-Open http://localhost:8080 in your browser.
-
-### Configuration
-
-**Environment variables:**
-
-| Variable | Default | Description |
-|----------|---------|-------------|
-| \`PORT\` | 8080 | Server port |
-| \`HOST\` | 127.0.0.1 | Bind address (localhost = secure) |
-
-**Examples:**
-\`\`\`bash
-# Custom port
-PORT=3000 node server.js
-
-# Expose to network (trusted networks only!)
-HOST=0.0.0.0 node server.js
-\`\`\`
-
-### Set It and Forget It (Auto-Start)
-
-To have your dashboard start automatically on boot:
-
-\`\`\`bash
-# Install pm2 (process manager)
-npm install -g pm2
-
-# Start the dashboard
-pm2 start server.js --name my-dashboard
-
-# Save the process list
-pm2 save
-
-# Set up auto-start on boot
-pm2 startup
-# (follow the instructions it prints)
-\`\`\`
-
-**Useful pm2 commands:**
-- \`pm2 status\` - Check if running
-- \`pm2 logs my-dashboard\` - View logs
-- \`pm2 restart my-dashboard\` - Restart
-- \`pm2 stop my-dashboard\` - Stop
-
-### Without server (static only)
-` : ''}
-Open \`index.html\` directly, or serve with any static file server.
-Note: OpenClaw widgets won't work without the server proxy.
-
-## Files
-
-| File | Description |
-|------|-------------|
-| \`index.html\` | Dashboard page |
-| \`css/style.css\` | Styles |
-| \`js/dashboard.js\` | Widget logic |
-| \`server.js\` | Server with OpenClaw API proxy |
-
-${apiKeys.length > 0 ? `## API Keys
-
-Edit \`js/dashboard.js\` and replace these placeholders:
-${apiKeys.map(key => `- \`YOUR_${key}\``).join('\n')}
-` : ''}
-## Customization
-
-Edit CSS variables in \`style.css\`:
-
-\`\`\`css
-:root {
-  --bg-primary: #0d1117;
-  --accent-blue: #58a6ff;
-  /* etc */
-}
-\`\`\`
-
-## Links
-
-- LobsterBoard Builder: https://github.com/curbob/LobsterBoard
-- OpenClaw: https://github.com/openclaw/openclaw
-
----
-
-Generated: ${new Date().toISOString()}
-`;
-}
-
 // ─── Directory Browser for Latest Image widget ───
 async function openDirBrowser(startDir) {
   const browser = document.getElementById('dir-browser');
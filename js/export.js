@@ -0,0 +1,1375 @@
+/**
+ * LobsterBoard Dashboard Export — generates the standalone dashboard (HTML,
+ * CSS, JS, README and a small server) for a layout. Used by the builder's
+ * Export ZIP button and preview, and by `lobsterboard export` on the server.
+ * A layout is anything with `canvas` and `widgets`: the builder state or a config.
+ */
+
+/** A canvas height of 'auto' grows with the widgets instead of being fixed */
+function isScrollableLayout(layout) {
+  return layout.canvas.height === 'auto';
+}
+
+/** The pixel height a scrollable canvas uses (based on lowest widget + padding) */
+function scrollableLayoutHeight(layout) {
+  if (!layout.widgets.length) return 1080; // sensible default when empty
+  let maxBottom = 0;
+  layout.widgets.forEach(w => {
+    const bottom = w.y + w.height;
+    if (bottom > maxBottom) maxBottom = bottom;
+  });
+  return maxBottom + 100; // 100px breathing room below lowest widget
+}
+
+// Process widget HTML to conditionally remove header
+function processWidgetHtml(html, showHeader) {
+  if (showHeader !== false) return html;
+  // Remove the dash-card-head element (handles multi-line with newlines)
+  const headerRegex = /<div\s+class="dash-card-head"[^>]*>[\s\S]*?<\/div>/i;
+  return html.replace(headerRegex, '');
+}
+
+/** Files of the exported dashboard zip, by path, in the order they are added */
+function dashboardExportFiles(layout) {
+  return {
+    'index.html': generateDashboardHtml(layout),
+    'css/style.css': generateDashboardCss(),
+    'js/dashboard.js': generateDashboardJs(layout),
+    'README.md': generateReadme(layout),
+    'server.js': generateServerJs()
+  };
+}
+
+function generateDashboardHtml(layout) {
+  const widgetHtml = layout.widgets.map(widget => {
+    const template = WIDGETS[widget.type];
+    if (!template) return '';
+
+    const props = { ...widget.properties, id: widget.id };
+    let html = processWidgetHtml(template.generateHtml(props), widget.properties.showHeader);
+
+    // Wrap in positioned container with data-widget-id for post-export editing
+    return `
+      <div class="widget-container" data-widget-id="${widget.id}" style="position:absolute;left:${widget.x}px;top:${widget.y}px;width:${widget.width}px;height:${widget.height}px;">
+        ${html}
+      </div>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>My OpenClaw Dashboard</title>
+  <link rel="stylesheet" href="css/style.css">
+</head>
+<body>
+  <main class="dashboard" style="width:${layout.canvas.width}px;height:${isScrollableLayout(layout) ? 'auto' : layout.canvas.height + 'px'};min-height:${isScrollableLayout(layout) ? scrollableLayoutHeight(layout) + 'px' : 'auto'};position:relative;">
+    ${widgetHtml}
+  </main>
+  <script src="js/dashboard.js"></script>
+</body>
+</html>`;
+}
+
+function generateDashboardCss() {
+  return `/* OpenClaw Dashboard - Generated Styles */
+
+:root {
+  --bg-primary: #0d1117;
+  --bg-secondary: #161b22;
+  --bg-tertiary: #21262d;
+  --bg-hover: #30363d;
+  --border: #30363d;
+  --text-primary: #e6edf3;
+  --text-secondary: #8b949e;
+  --text-muted: #6e7681;
+  --accent-blue: #58a6ff;
+  --accent-green: #3fb950;
+  --accent-orange: #d29922;
+  --accent-red: #f85149;
+  --accent-purple: #a371f7;
+}
+
+* {
+  box-sizing: border-box;
+  margin: 0;
+  padding: 0;
+}
+
+body {
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  background: var(--bg-primary);
+  color: var(--text-primary);
+  min-height: 100vh;
+}
+
+.dashboard {
+  margin: 0 auto;
+  overflow: hidden;
+}
+
+.widget-container {
+  overflow: hidden;
+}
+
+/* KPI Cards */
+.kpi-card {
+  background: var(--bg-secondary);
+  border: 1px solid var(--border);
+  border-radius: 8px;
+  padding: 16px;
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  height: 100%;
+}
+
+.kpi-sm {
+  padding: 12px;
+}
+
+.kpi-icon {
+  font-size: 24px;
+}
+
+.kpi-data {
+  flex: 1;
+}
+
+.kpi-value {
+  font-size: 20px;
+  font-weight: 600;
+}
+
+.kpi-value.blue { color: var(--accent-blue); }
+.kpi-value.green { color: var(--accent-green); }
+.kpi-value.orange { color: var(--accent-orange); }
+.kpi-value.red { color: var(--accent-red); }
+
+.kpi-label {
+  font-size: 12px;
+  color: var(--text-secondary);
+  margin-top: 2px;
+}
+
+.kpi-indicator {
+  width: 10px;
+  height: 10px;
+  border-radius: 50%;
+  background: var(--text-muted);
+}
+
+.kpi-indicator.green { background: var(--accent-green); }
+.kpi-indicator.yellow { background: var(--accent-orange); }
+.kpi-indicator.red { background: var(--accent-red); }
+
+/* Ring */
+.kpi-ring-wrap {
+  position: relative;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+}
+
+.kpi-ring-sm {
+  width: 48px;
+  height: 48px;
+}
+
+.kpi-ring {
+  width: 100%;
+  height: 100%;
+}
+
+.kpi-ring-label {
+  position: absolute;
+  font-size: 14px;
+  font-weight: 600;
+}
+
+/* Dash Cards */
+.dash-card {
+  background: var(--bg-secondary);
+  border: 1px solid var(--border);
+  border-radius: 8px;
+  display: flex;
+  flex-direction: column;
+  height: 100%;
+  overflow: hidden;
+}
+
+.dash-card-head {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 12px 16px;
+  border-bottom: 1px solid var(--border);
+  background: var(--bg-tertiary);
+}
+
+.dash-card-title {
+  font-size: calc(13px * var(--font-scale, 1));
+  font-weight: 600;
+}
+
+.dash-card-badge {
+  font-size: 11px;
+  color: var(--text-secondary);
+  background: var(--bg-primary);
+  padding: 2px 8px;
+  border-radius: 10px;
+}
+
+.dash-card-body {
+  flex: 1;
+  padding: 12px 16px;
+  overflow-y: auto;
+}
+
+.compact-list {
+  font-size: 12px;
+}
+
+.syslog-scroll {
+  font-family: 'SF Mono', Monaco, monospace;
+  font-size: 11px;
+}
+
+/* Top Bar */
+.topbar {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 8px 20px;
+  background: var(--bg-secondary);
+  border-bottom: 1px solid var(--border);
+  height: 100%;
+}
+
+.topbar-left {
+  display: flex;
+  align-items: center;
+  gap: 20px;
+}
+
+.topbar-brand {
+  font-weight: 600;
+  font-size: 14px;
+}
+
+.topbar-link {
+  color: var(--text-secondary);
+  text-decoration: none;
+  font-size: 13px;
+}
+
+.topbar-link:hover,
+.topbar-link.active {
+  color: var(--accent-blue);
+}
+
+.topbar-right {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+}
+
+.topbar-meta {
+  font-size: 12px;
+  color: var(--text-muted);
+}
+
+.topbar-refresh {
+  background: var(--bg-tertiary);
+  border: 1px solid var(--border);
+  color: var(--text-secondary);
+  padding: 4px 8px;
+  border-radius: 4px;
+  cursor: pointer;
+}
+
+/* News Ticker */
+.news-ticker-wrap {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 10px 16px;
+  background: var(--bg-secondary);
+  border: 1px solid var(--border);
+  border-radius: 8px;
+  overflow: hidden;
+  height: 100%;
+}
+
+.ticker-label {
+  font-size: 16px;
+}
+
+.ticker-track {
+  flex: 1;
+  overflow: hidden;
+}
+
+.ticker-content {
+  white-space: nowrap;
+  animation: ticker 30s linear infinite;
+  font-size: 13px;
+  color: var(--text-secondary);
+}
+
+@keyframes ticker {
+  0% { transform: translateX(100%); }
+  100% { transform: translateX(-100%); }
+}
+
+/* Utilities */
+.loading-sm {
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  padding: 20px;
+}
+
+.spinner-sm {
+  width: 20px;
+  height: 20px;
+  border: 2px solid var(--bg-tertiary);
+  border-top-color: var(--accent-blue);
+  border-radius: 50%;
+  animation: spin 1s linear infinite;
+}
+
+@keyframes spin {
+  to { transform: rotate(360deg); }
+}
+
+.error {
+  color: var(--accent-red);
+  padding: 10px;
+  text-align: center;
+}
+
+.list-item {
+  padding: 6px 0;
+  border-bottom: 1px solid var(--border);
+}
+
+.list-item:last-child {
+  border-bottom: none;
+}
+
+.cron-item {
+  display: flex;
+  justify-content: space-between;
+  padding: 6px 0;
+  border-bottom: 1px solid var(--border);
+}
+
+.cron-name {
+  color: var(--text-primary);
+}
+
+.cron-next {
+  color: var(--text-muted);
+  font-size: 11px;
+}
+
+.log-line {
+  padding: 2px 0;
+  border-bottom: 1px solid rgba(48, 54, 61, 0.5);
+}
+
+.event-item {
+  padding: 8px 0;
+  border-bottom: 1px solid var(--border);
+}
+
+.weather-row {
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  padding: 8px 0;
+  border-bottom: 1px solid var(--border);
+}
+
+.weather-row:last-child {
+  border-bottom: none;
+}
+
+.weather-icon {
+  font-size: 18px;
+}
+
+.weather-loc {
+  flex: 1;
+  color: var(--text-primary);
+}
+
+.weather-temp {
+  font-weight: 600;
+  color: var(--accent-blue);
+}
+
+/* World Clock */
+.tz-row {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 8px 0;
+  border-bottom: 1px solid var(--border);
+}
+
+.tz-row:last-child {
+  border-bottom: none;
+}
+
+.tz-city {
+  color: var(--text-primary);
+}
+
+.tz-time {
+  font-weight: 600;
+  color: var(--accent-blue);
+  font-variant-numeric: tabular-nums;
+}
+
+.usage-row {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 10px 0;
+  border-bottom: 1px solid var(--border);
+}
+
+.usage-row:last-child {
+  border-bottom: none;
+}
+
+.usage-tokens {
+  font-weight: 600;
+  color: var(--text-primary);
+}
+
+/* Pomodoro Button */
+.pomo-btn {
+  background: var(--bg-tertiary);
+  border: 1px solid var(--border);
+  color: var(--text-primary);
+  padding: 8px 20px;
+  border-radius: 6px;
+  font-size: 13px;
+  font-weight: 500;
+  cursor: pointer;
+  transition: all 0.15s ease;
+}
+
+.pomo-btn:hover {
+  background: var(--bg-hover);
+  border-color: var(--accent-blue);
+  color: var(--accent-blue);
+}
+
+.pomo-btn:active {
+  background: var(--bg-secondary);
+}
+
+::-webkit-scrollbar {
+  width: 6px;
+}
+
+::-webkit-scrollbar-track {
+  background: var(--bg-primary);
+}
+
+::-webkit-scrollbar-thumb {
+  background: var(--bg-tertiary);
+  border-radius: 3px;
+}
+
+/* Post-Export Edit Mode */
+.edit-mode .widget-container {
+  cursor: move;
+  outline: 2px dashed #3b82f6;
+  outline-offset: -2px;
+}
+
+.edit-mode .widget-container:hover {
+  outline-color: #60a5fa;
+}
+
+.edit-mode .widget-container.dragging {
+  opacity: 0.8;
+  z-index: 1000;
+}
+
+.resize-handle-edit {
+  display: none;
+  position: absolute;
+  bottom: 0;
+  right: 0;
+  width: 16px;
+  height: 16px;
+  cursor: se-resize;
+  background: #3b82f6;
+  border-radius: 2px 0 0 0;
+  z-index: 10;
+}
+
+.resize-handle-edit::before {
+  content: '';
+  position: absolute;
+  right: 3px;
+  bottom: 3px;
+  width: 6px;
+  height: 6px;
+  border-right: 2px solid white;
+  border-bottom: 2px solid white;
+}
+
+.edit-mode .resize-handle-edit {
+  display: block;
+}
+
+#edit-toggle {
+  position: fixed;
+  bottom: 20px;
+  right: 20px;
+  z-index: 9999;
+  padding: 8px 16px;
+  background: #1e293b;
+  color: white;
+  border: none;
+  border-radius: 6px;
+  cursor: pointer;
+  font-size: 13px;
+  font-weight: 500;
+  box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+  transition: background 0.15s, transform 0.1s;
+}
+
+#edit-toggle:hover {
+  background: #334155;
+}
+
+#edit-toggle:active {
+  transform: scale(0.98);
+}
+
+#edit-toggle.active {
+  background: #3b82f6;
+}
+`;
+}
+
+function generateEditJs() {
+  return `
+// ─────────────────────────────────────────────
+// POST-EXPORT LAYOUT EDITING
+// ─────────────────────────────────────────────
+
+(function() {
+  const STORAGE_KEY = 'lobsterboard-layout';
+  const GRID_SIZE = 20;
+  const MIN_WIDTH = 100;
+  const MIN_HEIGHT = 60;
+  
+  let editMode = false;
+  let activeWidget = null;
+  let startX, startY, origLeft, origTop, origWidth, origHeight;
+  let isResizing = false;
+
+  // Initialize on DOM ready
+  document.addEventListener('DOMContentLoaded', initEditMode);
+
+  function initEditMode() {
+    // Create edit toggle button
+    const btn = document.createElement('button');
+    btn.id = 'edit-toggle';
+    btn.textContent = '✏️ Edit Layout';
+    btn.onclick = toggleEditMode;
+    document.body.appendChild(btn);
+
+    // Add resize handles and event listeners to all widgets
+    document.querySelectorAll('.widget-container').forEach(initWidget);
+
+    // Load saved positions
+    loadPositions();
+  }
+
+  function initWidget(widget) {
+    // Add resize handle
+    const handle = document.createElement('div');
+    handle.className = 'resize-handle-edit';
+    widget.appendChild(handle);
+
+    // Drag to move
+    widget.addEventListener('mousedown', onWidgetMouseDown);
+    
+    // Resize handle
+    handle.addEventListener('mousedown', onResizeMouseDown);
+  }
+
+  function toggleEditMode() {
+    editMode = !editMode;
+    document.body.classList.toggle('edit-mode', editMode);
+    document.getElementById('edit-toggle').classList.toggle('active', editMode);
+    document.getElementById('edit-toggle').textContent = editMode ? '💾 Save Layout' : '✏️ Edit Layout';
+    
+    if (!editMode) {
+      savePositions();
+    }
+  }
+
+  function onWidgetMouseDown(e) {
+    if (!editMode) return;
+    if (e.target.classList.contains('resize-handle-edit')) return;
+    if (e.button !== 0) return;
+
+    e.preventDefault();
+    activeWidget = e.currentTarget;
+    isResizing = false;
+    
+    startX = e.clientX;
+    startY = e.clientY;
+    origLeft = activeWidget.offsetLeft;
+    origTop = activeWidget.offsetTop;
+
+    activeWidget.classList.add('dragging');
+    
+    document.addEventListener('mousemove', onMouseMove);
+    document.addEventListener('mouseup', onMouseUp);
+  }
+
+  function onResizeMouseDown(e) {
+    if (!editMode) return;
+    e.preventDefault();
+    e.stopPropagation();
+    
+    activeWidget = e.target.parentElement;
+    isResizing = true;
+    
+    startX = e.clientX;
+    startY = e.clientY;
+    origWidth = activeWidget.offsetWidth;
+    origHeight = activeWidget.offsetHeight;
+
+    activeWidget.classList.add('dragging');
+    
+    document.addEventListener('mousemove', onMouseMove);
+    document.addEventListener('mouseup', onMouseUp);
+  }
+
+  function onMouseMove(e) {
+    if (!activeWidget) return;
+
+    const dx = e.clientX - startX;
+    const dy = e.clientY - startY;
+
+    if (isResizing) {
+      // Resize
+      const newWidth = Math.max(MIN_WIDTH, origWidth + dx);
+      const newHeight = Math.max(MIN_HEIGHT, origHeight + dy);
+      activeWidget.style.width = newWidth + 'px';
+      activeWidget.style.height = newHeight + 'px';
+    } else {
+      // Move
+      const newLeft = Math.max(0, origLeft + dx);
+      const newTop = Math.max(0, origTop + dy);
+      activeWidget.style.left = newLeft + 'px';
+      activeWidget.style.top = newTop + 'px';
+    }
+  }
+
+  function onMouseUp() {
+    if (!activeWidget) return;
+
+    // Snap to grid
+    if (isResizing) {
+      activeWidget.style.width = snapToGrid(activeWidget.offsetWidth) + 'px';
+      activeWidget.style.height = snapToGrid(activeWidget.offsetHeight) + 'px';
+    } else {
+      activeWidget.style.left = snapToGrid(activeWidget.offsetLeft) + 'px';
+      activeWidget.style.top = snapToGrid(activeWidget.offsetTop) + 'px';
+    }
+
+    activeWidget.classList.remove('dragging');
+    activeWidget = null;
+    isResizing = false;
+    
+    document.removeEventListener('mousemove', onMouseMove);
+    document.removeEventListener('mouseup', onMouseUp);
+  }
+
+  function snapToGrid(value) {
+    return Math.round(value / GRID_SIZE) * GRID_SIZE;
+  }
+
+  function savePositions() {
+    const positions = {};
+    document.querySelectorAll('.widget-container').forEach(widget => {
+      const id = widget.dataset.widgetId;
+      if (id) {
+        positions[id] = {
+          left: widget.offsetLeft,
+          top: widget.offsetTop,
+          width: widget.offsetWidth,
+          height: widget.offsetHeight
+        };
+      }
+    });
+    
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(positions));
+      console.log('Layout saved');
+    } catch (e) {
+      console.warn('Failed to save layout:', e);
+    }
+  }
+
+  function loadPositions() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (!saved) return;
+      
+      const positions = JSON.parse(saved);
+      document.querySelectorAll('.widget-container').forEach(widget => {
+        const id = widget.dataset.widgetId;
+        const pos = positions[id];
+        if (pos) {
+          widget.style.left = pos.left + 'px';
+          widget.style.top = pos.top + 'px';
+          widget.style.width = pos.width + 'px';
+          widget.style.height = pos.height + 'px';
+        }
+      });
+      console.log('Layout restored from localStorage');
+    } catch (e) {
+      console.warn('Failed to load saved layout:', e);
+    }
+  }
+})();
+`;
+}
+
+/**
+ * fetchData for the exported dashboard. Served by LobsterBoard it uses
+ * /api/data like the builder; the standalone server.js has no such route, so
+ * the public sources are then fetched straight from the browser, in the same
+ * shape the server returns them.
+ */
+function generateDataJs() {
+  return `
+// ─────────────────────────────────────────────
+// WIDGET DATA
+// ─────────────────────────────────────────────
+
+window.fetchData = (function() {
+  const requests = new Map(); // url → { promise, expires }
+  let dataRoute = true; // false once this server turns out not to have /api/data
+
+  async function getJson(url, options) {
+    const res = await fetch(url, options);
+    if (!res.ok) throw new Error('HTTP ' + res.status);
+    return res.json();
+  }
+
+  const DIRECT_SOURCES = {
+    weather: ({ location }) => getJson('https://wttr.in/' + encodeURIComponent(location) + '?format=j1'),
+    crypto: ({ coins, currency }) => getJson('https://api.coingecko.com/api/v3/simple/price?ids=' + coins + '&vs_currencies=' + (currency || 'usd') + '&include_24hr_change=true'),
+    github: async ({ repo }) => {
+      const [info, pulls] = await Promise.all([
+        getJson('https://api.github.com/repos/' + repo),
+        fetch('https://api.github.com/repos/' + repo + '/pulls?state=open&per_page=1').catch(() => null)
+      ]);
+      // One PR per page, so the last page number is the open PR count
+      let openPRs = null;
+      if (pulls && pulls.ok) {
+        const last = (pulls.headers.get('Link') || '').match(/[?&]page=(\\d+)>; rel="last"/);
+        openPRs = last ? parseInt(last[1]) : (await pulls.json()).length;
+      }
+      return {
+        repo: info.full_name,
+        stars: info.stargazers_count,
+        forks: info.forks_count,
+        openIssues: info.open_issues_count,
+        openPRs,
+        pushedAt: info.pushed_at
+      };
+    },
+    'github-release': async ({ repo }) => {
+      const res = await fetch('https://api.github.com/repos/' + repo + '/releases/latest');
+      // 404 means the repo has no releases yet
+      if (res.status === 404) return { tag: null, name: null, url: null, publishedAt: null };
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      const release = await res.json();
+      return { tag: release.tag_name, name: release.name, url: release.html_url, publishedAt: release.published_at };
+    }
+  };
+
+  async function load(source, params) {
+    if (dataRoute) {
+      const query = new URLSearchParams();
+      Object.keys(params).sort().forEach(key => {
+        if (params[key] !== undefined && params[key] !== null && params[key] !== '') query.set(key, params[key]);
+      });
+      const dashboard = new URLSearchParams(location.search).get('dashboard');
+      if (dashboard) query.set('dashboard', dashboard);
+      const res = await fetch('/api/data/' + source + '?' + query).catch(() => null);
+      if (res && (res.headers.get('Content-Type') || '').includes('application/json')) {
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || 'HTTP ' + res.status);
+        return { data: body.data, maxAge: body.maxAge || 0 };
+      }
+      dataRoute = false;
+    }
+    if (!DIRECT_SOURCES[source]) throw new Error('needs the LobsterBoard server');
+    return { data: await DIRECT_SOURCES[source](params), maxAge: 0 };
+  }
+
+  return function fetchData(source, params = {}) {
+    const key = source + ':' + JSON.stringify(params);
+    const cached = requests.get(key);
+    if (cached && !(cached.expires <= Date.now())) return cached.promise;
+    const entry = { expires: undefined };
+    entry.promise = load(source, params).then(({ data, maxAge }) => {
+      entry.expires = Date.now() + maxAge * 1000;
+      return data;
+    });
+    entry.promise.catch(() => { if (requests.get(key) === entry) requests.delete(key); });
+    requests.set(key, entry);
+    return entry.promise;
+  };
+})();
+`;
+}
+
+function sanitizeProps(props) {
+  const safe = { ...props };
+  for (const key of Object.keys(safe)) {
+    if (typeof safe[key] === 'string') {
+      safe[key] = safe[key].replace(/[`$\\]/g, '\\$&').replace(/'/g, "\\'").replace(/"/g, '\\"');
+    }
+  }
+  return safe;
+}
+
+function generateDashboardJs(layout) {
+  const widgetJs = layout.widgets.map(widget => {
+    const template = WIDGETS[widget.type];
+    if (!template || !template.generateJs) return '';
+
+    const props = sanitizeProps({ ...widget.properties, id: widget.id });
+    return template.generateJs(props);
+  }).join('\n\n');
+
+  const dataJs = generateDataJs();
+  const editJs = generateEditJs();
+
+  return `/**
+ * OpenClaw Dashboard - Generated JavaScript
+ * Replace YOUR_*_API_KEY placeholders with your actual API keys
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  console.log('Dashboard loaded');
+});
+
+${dataJs}
+
+${widgetJs}
+
+${editJs}
+`;
+}
+
+function generateServerJs() {
+  return `/**
+ * LobsterBoard Dashboard Server
+ * 
+ * A server that:
+ * - Serves your dashboard static files
+ * - Provides OpenClaw data via CLI commands (not HTTP proxy)
+ * 
+ * Usage: node server.js
+ * 
+ * Environment variables:
+ *   PORT - Server port (default: 8080)
+ *   HOST - Bind address (default: 127.0.0.1 for security)
+ * 
+ * Security: By default binds to localhost only. To expose on network:
+ *   HOST=0.0.0.0 node server.js
+ *   ⚠️  Only do this on trusted networks!
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+
+const PORT = process.env.PORT || 8080;
+const HOST = process.env.HOST || '127.0.0.1';
+
+const MIME_TYPES = {
+  '.html': 'text/html', '.css': 'text/css', '.js': 'application/javascript',
+  '.json': 'application/json', '.png': 'image/png', '.jpg': 'image/jpeg',
+  '.gif': 'image/gif', '.svg': 'image/svg+xml', '.ico': 'image/x-icon'
+};
+
+// Cache for expensive CLI operations (30 second TTL)
+let statusCache = { data: null, timestamp: 0 };
+let cronCache = { data: null, timestamp: 0 };
+let activityCache = { data: null, timestamp: 0 };
+let logsCache = { data: null, timestamp: 0 };
+const CACHE_TTL = 30000;
+
+// Run openclaw CLI command and return output
+function runOpenClawCmd(args) {
+  try {
+    return execSync(\`openclaw \${args}\`, { 
+      encoding: 'utf8',
+      timeout: 10000,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+  } catch (e) {
+    console.error(\`openclaw \${args} failed:\`, e.message);
+    return null;
+  }
+}
+
+// Parse openclaw status output
+function parseStatus() {
+  const now = Date.now();
+  if (statusCache.data && (now - statusCache.timestamp) < CACHE_TTL) {
+    return statusCache.data;
+  }
+
+  const output = runOpenClawCmd('status');
+  if (!output) return null;
+
+  const versionOutput = runOpenClawCmd('--version');
+  const currentVersion = versionOutput ? versionOutput.trim() : 'unknown';
+
+  const data = {
+    authMode: 'unknown',
+    version: currentVersion,
+    sessions: 0,
+    gateway: 'unknown'
+  };
+
+  // Detect auth mode from status output
+  if (output.includes('oauth') || output.includes('claude-cli')) {
+    data.authMode = 'oauth';
+  } else if (output.includes('api-key') || output.match(/sk-ant-/)) {
+    data.authMode = 'api-key';
+  } else {
+    data.authMode = 'oauth';
+  }
+
+  // Look for version update info
+  const versionMatch = output.match(/npm update ([\\\\d.-]+)/);
+  if (versionMatch) data.latestVersion = versionMatch[1];
+
+  // Look for sessions count
+  const sessionsMatch = output.match(/sessions?\\\\s+(\\\\d+)/i);
+  if (sessionsMatch) data.sessions = parseInt(sessionsMatch[1]);
+
+  // Look for gateway status
+  if (output.includes('running')) data.gateway = 'running';
+
+  statusCache = { data, timestamp: now };
+  return data;
+}
+
+// Parse cron jobs via CLI
+function parseCronJobs() {
+  const now = Date.now();
+  if (cronCache.data && (now - cronCache.timestamp) < CACHE_TTL) {
+    return cronCache.data;
+  }
+
+  const output = runOpenClawCmd('cron list --json');
+  let jobs = [];
+  try {
+    if (output) {
+      const parsed = JSON.parse(output);
+      // Transform jobs to widget-expected format
+      jobs = (parsed.jobs || []).map(job => ({
+        name: job.name || job.id || 'Unnamed',
+        next: job.state?.nextRunAtMs 
+          ? new Date(job.state.nextRunAtMs).toLocaleString('en-US', { 
+              month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' 
+            })
+          : (job.schedule?.expr || '—'),
+        enabled: job.enabled !== false,
+        lastStatus: job.state?.lastStatus || null
+      }));
+    }
+  } catch (e) {
+    console.error('Failed to parse cron jobs:', e.message);
+  }
+
+  const data = { jobs };
+  cronCache = { data, timestamp: now };
+  return data;
+}
+
+// Response helpers
+function sendSuccess(res, data) {
+  res.writeHead(200, { 
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify({ status: 'ok', data }));
+}
+
+function sendError(res, message, statusCode = 500) {
+  res.writeHead(statusCode, { 
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify({ status: 'error', message }));
+}
+
+// API handlers
+const API_HANDLERS = {
+  '/api/status': (req, res) => {
+    const data = parseStatus();
+    if (!data) {
+      sendError(res, 'Failed to get OpenClaw status');
+      return;
+    }
+    sendSuccess(res, data);
+  },
+
+  '/api/cron': (req, res) => {
+    const data = parseCronJobs();
+    sendSuccess(res, data);
+  },
+
+  '/api/activity': (req, res) => {
+    const now = Date.now();
+    if (activityCache.data && (now - activityCache.timestamp) < CACHE_TTL) {
+      sendSuccess(res, activityCache.data);
+      return;
+    }
+
+    const cronRunsDir = path.join(os.homedir(), '.openclaw', 'cron', 'runs');
+    const cronJobsFile = path.join(os.homedir(), '.openclaw', 'cron', 'jobs.json');
+    
+    // Build job ID to name mapping
+    let jobMap = {};
+    try {
+      if (fs.existsSync(cronJobsFile)) {
+        const jobsData = JSON.parse(fs.readFileSync(cronJobsFile, 'utf8'));
+        jobMap = Object.fromEntries((jobsData.jobs || []).map(j => [j.id, j.name || j.id]));
+      }
+    } catch (e) { /* ignore */ }
+
+    // Read all run files and merge entries
+    let allRuns = [];
+    try {
+      if (fs.existsSync(cronRunsDir)) {
+        const files = fs.readdirSync(cronRunsDir).filter(f => f.endsWith('.jsonl'));
+        for (const file of files) {
+          try {
+            const content = fs.readFileSync(path.join(cronRunsDir, file), 'utf8');
+            const lines = content.trim().split('\\n').filter(l => l.trim());
+            for (const line of lines) {
+              try {
+                const entry = JSON.parse(line);
+                if (entry.ts && entry.action === 'finished') {
+                  allRuns.push(entry);
+                }
+              } catch (e) { /* skip malformed lines */ }
+            }
+          } catch (e) { /* skip unreadable files */ }
+        }
+      }
+    } catch (e) { /* ignore */ }
+
+    // Sort by timestamp descending and take last 15
+    allRuns.sort((a, b) => b.ts - a.ts);
+    const recentRuns = allRuns.slice(0, 15);
+
+    const items = recentRuns.map(run => {
+      const jobName = jobMap[run.jobId] || run.jobId || 'Unknown Job';
+      const duration = run.durationMs ? \`(\${Math.round(run.durationMs / 1000)}s)\` : '';
+      const summary = run.summary ? \`: \${run.summary.slice(0, 50)}\` : '';
+      return {
+        text: \`\${jobName} \${duration}\${summary}\`,
+        time: new Date(run.ts).toISOString(),
+        status: run.status || 'unknown'
+      };
+    });
+
+    // Fallback if no runs found
+    if (items.length === 0) {
+      items.push({ text: 'No recent activity', time: new Date().toISOString(), status: 'info' });
+    }
+
+    const data = { items };
+    activityCache = { data, timestamp: now };
+    sendSuccess(res, data);
+  },
+
+  '/api/logs': (req, res) => {
+    const now = Date.now();
+    if (logsCache.data && (now - logsCache.timestamp) < CACHE_TTL) {
+      sendSuccess(res, logsCache.data);
+      return;
+    }
+
+    const logPath = path.join(os.homedir(), '.openclaw', 'logs', 'gateway.log');
+    let lines = [];
+
+    try {
+      if (fs.existsSync(logPath)) {
+        const content = fs.readFileSync(logPath, 'utf8');
+        const rawLines = content.split('\\n').filter(l => l.trim());
+        // Take last 75 lines, reverse for newest first
+        const recentLines = rawLines.slice(-75).reverse();
+        
+        lines = recentLines.map(line => {
+          // Parse format: TIMESTAMP [subsystem] message
+          const match = line.match(/^(\\S+)\\s+\\[(\\w+)\\]\\s+(.*)$/);
+          if (match) {
+            return { time: match[1], subsystem: match[2], message: match[3] };
+          }
+          return { raw: line };
+        });
+      } else {
+        lines = [{ message: 'Log file not found', subsystem: 'info' }];
+      }
+    } catch (e) {
+      lines = [{ message: \`Error reading logs: \${e.message}\`, subsystem: 'error' }];
+    }
+
+    const data = { lines };
+    logsCache = { data, timestamp: now };
+    sendSuccess(res, data);
+  },
+
+  '/api/sessions': (req, res) => {
+    const status = parseStatus();
+    sendSuccess(res, { count: status?.sessions || 0 });
+  }
+};
+
+// Static file server with path traversal protection
+function serveStatic(filePath, res) {
+  if (filePath === '/') filePath = '/index.html';
+  const fullPath = path.resolve(__dirname, '.' + filePath);
+  
+  // Prevent path traversal attacks
+  if (!fullPath.startsWith(path.resolve(__dirname))) {
+    res.writeHead(403, { 'Content-Type': 'text/plain' });
+    res.end('Forbidden');
+    return;
+  }
+  
+  const ext = path.extname(fullPath).toLowerCase();
+  
+  fs.readFile(fullPath, (err, data) => {
+    if (err) {
+      res.writeHead(err.code === 'ENOENT' ? 404 : 500);
+      res.end(err.code === 'ENOENT' ? 'Not Found' : 'Server Error');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[ext] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const pathname = new URL(req.url, 'http://' + req.headers.host).pathname;
+  
+  // CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end();
+    return;
+  }
+  
+  // API endpoints
+  if (API_HANDLERS[pathname]) {
+    API_HANDLERS[pathname](req, res);
+    return;
+  }
+  
+  // Static files
+  serveStatic(pathname, res);
+});
+
+// Graceful shutdown
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
+process.on('SIGINT', () => server.close(() => process.exit(0)));
+
+server.listen(PORT, HOST, () => {
+  console.log(\`
+🦞 LobsterBoard Dashboard Server
+
+   Dashboard: http://\${HOST}:\${PORT}
+   
+   API Endpoints:
+   • /api/status   - Auth mode & version
+   • /api/cron     - Cron jobs list  
+   • /api/activity - Activity feed
+   • /api/logs     - System logs
+   • /api/sessions - Session count
+   
+\${HOST === '127.0.0.1' ? '   ✓ Bound to localhost (secure)' : '   ⚠️  Exposed to network'}
+
+   Press Ctrl+C to stop
+\`);
+});
+`;
+}
+
+function generateReadme(layout) {
+  const apiKeys = [];
+  const needsOpenClaw = layout.widgets.some(w => 
+    ['openclaw-release', 'auth-status', 'activity-list', 'cron-jobs', 'system-log', 'session-count', 'token-gauge'].includes(w.type)
+  );
+  
+  layout.widgets.forEach(widget => {
+    const template = WIDGETS[widget.type];
+    if (template?.hasApiKey && template.apiKeyName) {
+      if (!apiKeys.includes(template.apiKeyName)) {
+        apiKeys.push(template.apiKeyName);
+      }
+    }
+  });
+
+  return `# LobsterBoard Dashboard
+
+This dashboard was generated with LobsterBoard Dashboard Builder.
+
+## ⚠️ Security Notice
+
+**Never blindly trust scripts from the internet.**
+
+Before running \`server.js\`, we recommend reviewing it for security:
+
+\`\`\`
+Hey [Your AI Assistant], please review the server.js file in this folder 
+and check for any security concerns, suspicious code, or potential issues.
+\`\`\`
+
+The server.js included here uses the OpenClaw CLI to query data locally
+(no network proxying). It binds to localhost by default for security. 
+But always verify for yourself!
+
+---
+
+## Quick Start
+
+${needsOpenClaw ? `### Running with OpenClaw widgets
+
+Your dashboard includes widgets that connect to OpenClaw. The server uses
+the OpenClaw CLI to query data, so make sure OpenClaw is installed and configured.
+
+\`\`\`bash
+# Make sure OpenClaw CLI is available:
+openclaw status
+
+# Then start the dashboard:
+node server.js
+\`\`\`
+
+Open http://localhost:8080 in your browser.
+
+### Configuration
+
+**Environment variables:**
+
+| Variable | Default | Description |
+|----------|---------|-------------|
+| \`PORT\` | 8080 | Server port |
+| \`HOST\` | 127.0.0.1 | Bind address (localhost = secure) |
+
+**Examples:**
+\`\`\`bash
+# Custom port
+PORT=3000 node server.js
+
+# Expose to network (trusted networks only!)
+HOST=0.0.0.0 node server.js
+\`\`\`
+
+### Set It and Forget It (Auto-Start)
+
+To have your dashboard start automatically on boot:
+
+\`\`\`bash
+# Install pm2 (process manager)
+npm install -g pm2
+
+# Start the dashboard
+pm2 start server.js --name my-dashboard
+
+# Save the process list
+pm2 save
+
+# Set up auto-start on boot
+pm2 startup
+# (follow the instructions it prints)
+\`\`\`
+
+**Useful pm2 commands:**
+- \`pm2 status\` - Check if running
+- \`pm2 logs my-dashboard\` - View logs
+- \`pm2 restart my-dashboard\` - Restart
+- \`pm2 stop my-dashboard\` - Stop
+
+### Without server (static only)
+` : ''}
+Open \`index.html\` directly, or serve with any static file server.
+Note: OpenClaw widgets won't work without the server proxy.
+
+## Files
+
+| File | Description |
+|------|-------------|
+| \`index.html\` | Dashboard page |
+| \`css/style.css\` | Styles |
+| \`js/dashboard.js\` | Widget logic |
+| \`server.js\` | Server with OpenClaw API proxy |
+
+${apiKeys.length > 0 ? `## API Keys
+
+Edit \`js/dashboard.js\` and replace these placeholders:
+${apiKeys.map(key => `- \`YOUR_${key}\``).join('\n')}
+` : ''}
+## Customization
+
+Edit CSS variables in \`style.css\`:
+
+\`\`\`css
+:root {
+  --bg-primary: #0d1117;
+  --accent-blue: #58a6ff;
+  /* etc */
+}
+\`\`\`
+
+## Links
+
+- LobsterBoard Builder: https://github.com/curbob/LobsterBoard
+- OpenClaw: https://github.com/openclaw/openclaw
+
+---
+
+Generated: ${new Date().toISOString()}
+`;
+}
+
+// Export for the server (`lobsterboard export`), which runs this file next to widgets.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { dashboardExportFiles };
+}
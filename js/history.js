@@ -0,0 +1,142 @@
+/**
+ * LobsterBoard Config History Panel
+ */
+(function() {
+  const historyModal = document.getElementById('history-modal');
+  const historyList = document.getElementById('history-list');
+  const historyDiff = document.getElementById('history-diff');
+
+  function historyUrl(path) {
+    const base = '/api/config/' + path;
+    if (state.dashboardId === 'default') return base;
+    return base + (base.includes('?') ? '&' : '?') + 'dashboard=' + encodeURIComponent(state.dashboardId);
+  }
+
+  function describeSource(source) {
+    if (!source) return '';
+    if (source === 'save') return 'Saved from builder';
+    if (source === 'initial') return 'Before history was enabled';
+    if (source === 'api') return 'Saved via API';
+    if (source === 'create') return 'Dashboard created';
+    const [kind, ref] = source.split(':');
+    if (kind === 'rollback') return `Rolled back to #${ref}`;
+    if (kind === 'copy') return `Copied from "${ref}"`;
+    if (kind === 'template-replace') return `Template "${ref}" (replace)`;
+    if (kind === 'template-merge') return `Template "${ref}" (merge)`;
+    return source;
+  }
+
+  // ── Open/Close ──
+  document.getElementById('btn-history').addEventListener('click', () => {
+    historyModal.style.display = 'flex';
+    historyDiff.style.display = 'none';
+    historyList.style.display = '';
+    loadHistory();
+  });
+
+  document.getElementById('history-close').addEventListener('click', () => {
+    historyModal.style.display = 'none';
+  });
+
+  historyModal.addEventListener('click', (e) => {
+    if (e.target === historyModal) historyModal.style.display = 'none';
+  });
+
+  document.getElementById('history-back').addEventListener('click', () => {
+    historyDiff.style.display = 'none';
+    historyList.style.display = '';
+  });
+
+  // ── Revision list ──
+  async function loadHistory() {
+    historyList.innerHTML = '<div class="tpl-empty">Loading...</div>';
+    try {
+      const res = await fetch(historyUrl('history'));
+      const revisions = await res.json();
+      if (!res.ok) throw new Error(revisions.error || `HTTP ${res.status}`);
+      renderHistory(revisions);
+    } catch (e) {
+      historyList.innerHTML = `<div class="tpl-empty">Failed to load history: ${escapeHtml(e.message)}</div>`;
+    }
+  }
+
+  function renderHistory(revisions) {
+    if (revisions.length === 0) {
+      historyList.innerHTML = '<div class="tpl-empty">No saved revisions yet. Every save from now on is kept here.</div>';
+      return;
+    }
+    historyList.innerHTML = revisions.map((r, i) => `
+      <div class="history-row">
+        <div class="history-rev">#${r.rev}</div>
+        <div class="history-info">
+          <div>${r.savedAt ? escapeHtml(new Date(r.savedAt).toLocaleString()) : 'Unknown time'}${i === 0 ? ' <span class="security-badge active">Current</span>' : ''}</div>
+          <small>${r.widgetCount} widget${r.widgetCount === 1 ? '' : 's'} · ${escapeHtml(describeSource(r.source))}</small>
+        </div>
+        <div class="history-actions">
+          ${i === 0 ? '' : `
+          <button class="btn btn-secondary btn-sm" data-diff="${r.rev}">Diff</button>
+          <button class="btn btn-primary btn-sm" data-rollback="${r.rev}">Restore</button>`}
+        </div>
+      </div>
+    `).join('');
+
+    historyList.querySelectorAll('[data-diff]').forEach(btn => {
+      btn.addEventListener('click', () => showDiff(btn.dataset.diff));
+    });
+    historyList.querySelectorAll('[data-rollback]').forEach(btn => {
+      btn.addEventListener('click', () => rollback(btn.dataset.rollback));
+    });
+  }
+
+  // ── Diff view ──
+  async function showDiff(rev) {
+    const body = document.getElementById('history-diff-body');
+    document.getElementById('history-diff-title').textContent = `Changes from #${rev} to current`;
+    body.innerHTML = '<div class="tpl-empty">Loading...</div>';
+    historyList.style.display = 'none';
+    historyDiff.style.display = '';
+    document.getElementById('history-diff-restore').onclick = () => rollback(rev);
+    try {
+      const res = await fetch(historyUrl(`diff?from=${rev}&to=current`));
+      const diff = await res.json();
+      if (!res.ok) throw new Error(diff.error || `HTTP ${res.status}`);
+      body.innerHTML = renderDiff(diff);
+    } catch (e) {
+      body.innerHTML = `<div class="tpl-empty">Failed to load diff: ${escapeHtml(e.message)}</div>`;
+    }
+  }
+
+  function renderDiff(diff) {
+    const label = w => `${escapeHtml(w.title || w.type)} <small>(${escapeHtml(w.id)})</small>`;
+    const sections = [];
+    if (diff.added.length) {
+      sections.push(`<h4 class="history-added">+ Added since #${escapeHtml(diff.from)} (${diff.added.length})</h4>` +
+        diff.added.map(w => `<div class="history-diff-item">${label(w)}</div>`).join(''));
+    }
+    if (diff.removed.length) {
+      sections.push(`<h4 class="history-removed">− Removed since #${escapeHtml(diff.from)} (${diff.removed.length})</h4>` +
+        diff.removed.map(w => `<div class="history-diff-item">${label(w)}</div>`).join(''));
+    }
+    if (diff.changed.length) {
+      sections.push(`<h4 class="history-changed">~ Changed (${diff.changed.length})</h4>` +
+        diff.changed.map(w => `<div class="history-diff-item">${label(w)}<br><small>${w.fields.map(escapeHtml).join(', ')}</small></div>`).join(''));
+    }
+    if (diff.settings.length) {
+      sections.push(`<h4 class="history-changed">~ Dashboard settings</h4><div class="history-diff-item">${diff.settings.map(escapeHtml).join(', ')}</div>`);
+    }
+    return sections.join('') || '<div class="tpl-empty">No differences.</div>';
+  }
+
+  // ── Rollback ──
+  async function rollback(rev) {
+    if (!confirm(`Restore revision #${rev}? Your current layout stays in the history and can be restored again.`)) return;
+    try {
+      const res = await fetch(historyUrl(`rollback/${rev}`), { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      location.reload();
+    } catch (e) {
+      alert('Rollback failed: ' + e.message);
+    }
+  }
+})();
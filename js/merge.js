@@ -0,0 +1,167 @@
+/**
+ * LobsterBoard Merge Dialog — shown when a save is rejected because someone
+ * else saved the dashboard first (409 from POST /config)
+ */
+(function() {
+  const mergeModal = document.getElementById('merge-modal');
+  const conflictList = document.getElementById('merge-conflicts');
+  let conflict = null; // 409 body: { rev, config, mine, theirs }
+  let local = null; // The config this window tried to save
+
+  const label = w => `${escapeHtml(w.title || w.type)} <small>(${escapeHtml(w.id)})</small>`;
+  const ids = list => new Set(list.map(w => w.id));
+
+  function renderChanges(diff) {
+    const sections = [];
+    if (diff.added.length) {
+      sections.push('<h4 class="history-added">+ Added</h4>' +
+        diff.added.map(w => `<div class="history-diff-item">${label(w)}</div>`).join(''));
+    }
+    if (diff.removed.length) {
+      sections.push('<h4 class="history-removed">− Removed</h4>' +
+        diff.removed.map(w => `<div class="history-diff-item">${label(w)}</div>`).join(''));
+    }
+    if (diff.changed.length) {
+      sections.push('<h4 class="history-changed">~ Changed</h4>' +
+        diff.changed.map(w => `<div class="history-diff-item">${label(w)}<br><small>${w.fields.map(escapeHtml).join(', ')}</small></div>`).join(''));
+    }
+    if (diff.settings.length) {
+      sections.push(`<h4 class="history-changed">~ Dashboard settings</h4><div class="history-diff-item">${diff.settings.map(escapeHtml).join(', ')}</div>`);
+    }
+    return sections.join('') || '<div class="tpl-empty">No changes.</div>';
+  }
+
+  /**
+   * Widgets (and the dashboard settings) both sides touched. Both removing
+   * the same widget agrees, so it is not a conflict; widgets both sides
+   * added under the same id are kept twice rather than asked about.
+   */
+  function findConflicts(mine, theirs) {
+    const theirTouched = new Set([...ids(theirs.changed), ...ids(theirs.removed)]);
+    const theirRemoved = ids(theirs.removed);
+    const conflicts = [...mine.changed, ...mine.removed]
+      .filter(w => theirTouched.has(w.id) && !(ids(mine.removed).has(w.id) && theirRemoved.has(w.id)))
+      .map(w => ({ id: w.id, label: label(w) }));
+    if (mine.settings.some(key => theirs.settings.includes(key))) {
+      conflicts.push({ id: 'settings', label: 'Dashboard settings' });
+    }
+    return conflicts;
+  }
+
+  function render() {
+    const { mine, theirs } = conflict;
+    const resolvable = !!(mine && theirs);
+    document.getElementById('merge-summary').textContent = resolvable
+      ? `Someone else saved this dashboard (now at #${conflict.rev}) after you started editing.`
+      : `Someone else saved this dashboard (now at #${conflict.rev}). The revision you started from is no longer in the history, so the changes can't be compared.`;
+    document.getElementById('merge-columns').style.display = resolvable ? '' : 'none';
+    document.getElementById('merge-apply').style.display = resolvable ? '' : 'none';
+    if (!resolvable) { conflictList.innerHTML = ''; return; }
+
+    document.getElementById('merge-mine').innerHTML = renderChanges(mine);
+    document.getElementById('merge-theirs').innerHTML = renderChanges(theirs);
+    const conflicts = findConflicts(mine, theirs);
+    conflictList.innerHTML = conflicts.length ? `
+      <h3>Changed on both sides (${conflicts.length})</h3>
+      ${conflicts.map(c => `
+        <div class="merge-conflict">
+          <span>${c.label}</span>
+          <label><input type="radio" name="merge-${escapeHtml(c.id)}" data-conflict="${escapeHtml(c.id)}" value="mine" checked> Mine</label>
+          <label><input type="radio" name="merge-${escapeHtml(c.id)}" data-conflict="${escapeHtml(c.id)}" value="theirs"> Theirs</label>
+        </div>
+      `).join('')}` : '<div class="tpl-empty">No conflicting widgets — both sets of changes can be combined.</div>';
+  }
+
+  function getChoices() {
+    const choices = {};
+    conflictList.querySelectorAll('[data-conflict]:checked').forEach(input => {
+      choices[input.dataset.conflict] = input.value;
+    });
+    return choices;
+  }
+
+  /** Their saved layout with this window's changes replayed on top */
+  function mergeLayouts(choices) {
+    const { config, mine } = conflict;
+    const localWidgets = new Map(local.widgets.map(w => [w.id, w]));
+    const merged = (config.widgets || []).slice();
+    const indexOf = id => merged.findIndex(w => w.id === id);
+    let nextId = [...merged, ...local.widgets]
+      .reduce((maxId, w) => Math.max(maxId, parseInt(String(w.id).replace('widget-', '')) || 0), 0);
+
+    for (const { id } of mine.added) {
+      const widget = localWidgets.get(id);
+      // Both sides added a widget with the same id — keep both
+      merged.push(indexOf(id) === -1 ? widget : { ...widget, id: `widget-${++nextId}` });
+    }
+    for (const { id } of mine.changed) {
+      if (choices[id] === 'theirs') continue;
+      const i = indexOf(id);
+      if (i === -1) merged.push(localWidgets.get(id)); // They removed it; mine brings it back
+      else merged[i] = localWidgets.get(id);
+    }
+    for (const { id } of mine.removed) {
+      if (choices[id] === 'theirs') continue;
+      const i = indexOf(id);
+      if (i !== -1) merged.splice(i, 1);
+    }
+
+    const settings = { canvas: config.canvas, fontScale: config.fontScale, gridSize: config.gridSize };
+    if (choices.settings !== 'theirs') {
+      mine.settings.forEach(key => { settings[key] = local[key]; });
+    }
+    return { settings, widgets: merged };
+  }
+
+  function close() {
+    mergeModal.style.display = 'none';
+    conflict = null;
+    local = null;
+  }
+
+  /** Save again on top of their revision; view mode reloads to start the widgets' scripts */
+  async function saveOverTheirs(rev) {
+    state.configRev = `"${rev}"`;
+    if (await saveConfig() && !state.editMode) loadConfig();
+  }
+
+  // ── Actions ──
+  document.getElementById('merge-apply').addEventListener('click', () => {
+    const { settings, widgets } = mergeLayouts(getChoices());
+    const rev = conflict.rev;
+    close();
+    const before = state.widgets;
+    applyConfigSettings(settings);
+    updateCanvasSize(true);
+    replaceAllWidgets(widgets);
+    state.idCounter = state.widgets.reduce((maxId, w) => Math.max(maxId, parseInt(w.id.replace('widget-', '')) || 0), 0);
+    recordLayoutChange('Merge changes', before);
+    refreshCanvasState();
+    saveOverTheirs(rev);
+  });
+
+  document.getElementById('merge-keep-mine').addEventListener('click', () => {
+    if (!confirm('Overwrite their changes with your layout? Their version stays in the history.')) return;
+    const rev = conflict.rev;
+    close();
+    saveOverTheirs(rev);
+  });
+
+  document.getElementById('merge-take-theirs').addEventListener('click', async () => {
+    if (!confirm('Discard your unsaved changes and load the latest saved layout?')) return;
+    const wasEditing = state.editMode;
+    close();
+    await loadConfig();
+    if (wasEditing) setEditMode(true);
+  });
+
+  document.getElementById('merge-close').addEventListener('click', close);
+
+  // Called by saveConfig() in builder.js
+  window.openMergeDialog = (body, attempted) => {
+    conflict = body;
+    local = attempted;
+    render();
+    mergeModal.style.display = 'flex';
+  };
+})();
@@ -90,7 +90,7 @@
     tplGrid.innerHTML = templates.map(t => `
       <div class="tpl-card" data-id="${t.id}">
         <div class="tpl-card-img">
-          <img src="/api/templates/${t.id}/preview" alt="${t.name}" onerror="this.parentElement.innerHTML='<div class=\\'tpl-no-preview\\'>🦞</div>'">
+          <img src="${window.LOBSTERBOARD_BASE_PATH || ''}/api/templates/${t.id}/preview" alt="${t.name}" onerror="this.parentElement.innerHTML='<div class=\\'tpl-no-preview\\'>🦞</div>'">
         </div>
         <div class="tpl-card-body">
           <h3>${t.name}</h3>
@@ -118,7 +118,7 @@
     tplGrid.style.display = 'none';
     tplDetail.style.display = 'block';
 
-    document.getElementById('tpl-detail-img').src = `/api/templates/${id}/preview`;
+    document.getElementById('tpl-detail-img').src = `${window.LOBSTERBOARD_BASE_PATH || ''}/api/templates/${id}/preview`;
     document.getElementById('tpl-detail-name').textContent = selectedTemplate.name;
     document.getElementById('tpl-detail-desc').textContent = selectedTemplate.description || '';
     document.getElementById('tpl-detail-meta').innerHTML = `
@@ -179,15 +179,27 @@
       const res = await fetch('/api/templates/import', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ id, mode })
+        body: JSON.stringify({ id, mode, dashboard: state.dashboardId })
       });
       const data = await res.json();
-      if (data.status === 'success') {
+      if (data.status === 'success' && mode === 'merge') {
+        // Apply the merged layout in place so the merge is a single undo step
+        galleryModal.style.display = 'none';
+        const before = state.widgets;
+        const response = await fetch(getConfigUrl());
+        const config = await response.json();
+        state.configRev = response.headers.get('ETag');
+        replaceAllWidgets(config.widgets || []);
+        recordLayoutChange('Merge template', before);
+        refreshCanvasState();
+        alert(`✅ ${data.message}\n\nPress Ctrl+Z to undo the merge (then Save to keep it undone).`);
+      } else if (data.status === 'success') {
         galleryModal.style.display = 'none';
         alert(`✅ ${data.message}\n\nReloading dashboard...`);
         location.reload();
       } else {
-        alert('❌ ' + (data.error || data.message || 'Import failed'));
+        const details = data.errors ? '\n\n' + formatValidationErrors(data.errors) : '';
+        alert('❌ ' + (data.error || data.message || 'Import failed') + details);
       }
     } catch (e) {
       alert('❌ Import failed: ' + e.message);
@@ -223,7 +235,7 @@
       const res = await fetch('/api/templates/export', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name, description, author, tags, widgetTypes })
+        body: JSON.stringify({ name, description, author, tags, widgetTypes, dashboard: state.dashboardId })
       });
       const data = await res.json();
       const resultEl = document.getElementById('tpl-export-result');
@@ -0,0 +1,90 @@
+/**
+ * LobsterBoard API Tokens (Security modal → API Tokens)
+ */
+(function() {
+  const tokenList = document.getElementById('token-list');
+  const tokenError = document.getElementById('token-error');
+  const tokensStatus = document.getElementById('tokens-status');
+  const tokenCreated = document.getElementById('token-created');
+
+  const SCOPE_LABELS = {
+    'read-only': 'Read-only',
+    'write-config': 'Write config',
+    'write-data': 'Write data',
+    admin: 'Admin'
+  };
+
+  async function api(path, options = {}) {
+    const res = await fetch('/api/tokens' + path, {
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || data.message || `HTTP ${res.status}`);
+    return data;
+  }
+
+  // ── Token list ──
+  async function loadTokens() {
+    tokenError.textContent = '';
+    try {
+      renderTokens(await api(''));
+    } catch (e) {
+      tokenList.innerHTML = `<div class="tpl-empty">Failed to load tokens: ${escapeHtml(e.message)}</div>`;
+    }
+  }
+
+  function renderTokens(tokens) {
+    tokensStatus.textContent = tokens.length ? `${tokens.length} active` : 'None';
+    tokensStatus.className = tokens.length ? 'security-badge active' : 'security-badge';
+    tokenList.innerHTML = tokens.map(t => `
+      <div class="user-row">
+        <span class="user-name" title="${escapeHtml(t.prefix)}…">${escapeHtml(t.name)} <small>${escapeHtml(SCOPE_LABELS[t.scope] || t.scope)}</small></span>
+        <span class="token-meta">${t.lastUsedAt ? 'Used ' + escapeHtml(new Date(t.lastUsedAt).toLocaleString()) : 'Never used'}</span>
+        <button class="btn btn-danger btn-sm" data-revoke="${escapeHtml(t.id)}" data-name="${escapeHtml(t.name)}" title="Revoke token">✕</button>
+      </div>
+    `).join('');
+
+    tokenList.querySelectorAll('[data-revoke]').forEach(btn => {
+      btn.addEventListener('click', () => revokeToken(btn.dataset.revoke, btn.dataset.name));
+    });
+  }
+
+  // ── Changes ──
+  async function revokeToken(id, name) {
+    if (!confirm(`Revoke token "${name}"? Clients using it will stop working.`)) return;
+    tokenError.textContent = '';
+    try {
+      await api('/' + encodeURIComponent(id), { method: 'DELETE' });
+    } catch (e) {
+      tokenError.textContent = e.message;
+    }
+    loadTokens();
+  }
+
+  document.getElementById('token-add').addEventListener('click', async () => {
+    const nameInput = document.getElementById('token-new-name');
+    tokenError.textContent = '';
+    tokenCreated.style.display = 'none';
+    try {
+      const { token } = await api('', {
+        method: 'POST',
+        body: JSON.stringify({ name: nameInput.value.trim(), scope: document.getElementById('token-new-scope').value })
+      });
+      nameInput.value = '';
+      const valueInput = document.getElementById('token-created-value');
+      valueInput.value = token;
+      tokenCreated.style.display = '';
+      valueInput.select();
+    } catch (e) {
+      tokenError.textContent = e.message;
+    }
+    loadTokens();
+  });
+
+  // Called by openSecurityModal() in builder.js
+  window.refreshApiTokens = () => {
+    tokenCreated.style.display = 'none';
+    loadTokens();
+  };
+})();
@@ -0,0 +1,115 @@
+/**
+ * LobsterBoard User Accounts (Security modal → Users)
+ */
+(function() {
+  const userList = document.getElementById('user-list');
+  const userError = document.getElementById('user-error');
+  const usersStatus = document.getElementById('users-status');
+
+  async function api(path, options = {}) {
+    const res = await fetch('/api/users' + path, {
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+  }
+
+  // ── User list ──
+  async function loadUsers() {
+    userError.textContent = '';
+    try {
+      renderUsers(await api(''));
+    } catch (e) {
+      userList.innerHTML = `<div class="tpl-empty">Failed to load users: ${escapeHtml(e.message)}</div>`;
+    }
+  }
+
+  function renderUsers(users) {
+    usersStatus.textContent = users.length ? `${users.length} user${users.length === 1 ? '' : 's'}` : 'Off';
+    usersStatus.className = users.length ? 'security-badge active' : 'security-badge';
+    // The first account has to be an admin
+    document.getElementById('user-new-role').value = users.length ? 'editor' : 'admin';
+    const self = state.user && state.user.username;
+    userList.innerHTML = users.map(u => `
+      <div class="user-row">
+        <span class="user-name">${escapeHtml(u.username)}${u.username === self ? ' <small>(you)</small>' : ''}</span>
+        <select data-role="${escapeHtml(u.username)}">
+          ${['viewer', 'editor', 'admin'].map(r => `<option value="${r}"${r === u.role ? ' selected' : ''}>${r[0].toUpperCase() + r.slice(1)}</option>`).join('')}
+        </select>
+        <button class="btn btn-secondary btn-sm" data-password="${escapeHtml(u.username)}" title="Reset password">🔑</button>
+        <button class="btn btn-danger btn-sm" data-delete="${escapeHtml(u.username)}" title="Delete user">✕</button>
+      </div>
+    `).join('');
+
+    userList.querySelectorAll('[data-role]').forEach(sel => {
+      sel.addEventListener('change', () => updateUser(sel.dataset.role, { role: sel.value }));
+    });
+    userList.querySelectorAll('[data-password]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const password = prompt(`New password for ${btn.dataset.password} (at least 8 characters):`);
+        if (password) updateUser(btn.dataset.password, { password });
+      });
+    });
+    userList.querySelectorAll('[data-delete]').forEach(btn => {
+      btn.addEventListener('click', () => deleteUser(btn.dataset.delete));
+    });
+  }
+
+  // ── Changes ──
+  async function updateUser(username, changes) {
+    userError.textContent = '';
+    try {
+      await api('/' + encodeURIComponent(username), { method: 'PUT', body: JSON.stringify(changes) });
+      // Changing your own account ends your session
+      if (state.user && username === state.user.username) { location.reload(); return; }
+    } catch (e) {
+      userError.textContent = e.message;
+    }
+    loadUsers();
+  }
+
+  async function deleteUser(username) {
+    if (!confirm(`Delete user "${username}"?`)) return;
+    userError.textContent = '';
+    try {
+      await api('/' + encodeURIComponent(username), { method: 'DELETE' });
+      if (state.user && username === state.user.username) { location.reload(); return; }
+    } catch (e) {
+      userError.textContent = e.message;
+    }
+    loadUsers();
+  }
+
+  document.getElementById('user-add').addEventListener('click', async () => {
+    const nameInput = document.getElementById('user-new-name');
+    const passwordInput = document.getElementById('user-new-password');
+    const first = !state.hasUsers;
+    userError.textContent = '';
+    try {
+      const { user } = await api('', {
+        method: 'POST',
+        body: JSON.stringify({
+          username: nameInput.value.trim().toLowerCase(),
+          password: passwordInput.value,
+          role: document.getElementById('user-new-role').value
+        })
+      });
+      nameInput.value = '';
+      passwordInput.value = '';
+      if (first) {
+        // The PIN no longer applies and the current session has ended
+        alert(`User accounts are now on. Log in as "${user.username}" to keep editing.`);
+        location.reload();
+        return;
+      }
+    } catch (e) {
+      userError.textContent = e.message;
+    }
+    loadUsers();
+  });
+
+  // Called by openSecurityModal() in builder.js
+  window.refreshUserAccounts = loadUsers;
+})();
@@ -30,6 +30,7 @@ const WIDGET_ICONS = {
   'docker': { emoji: '🐳', phosphor: 'cube' },
   'uptime': { emoji: '📡', phosphor: 'broadcast' },
   'system-log': { emoji: '🔧', phosphor: 'wrench' },
+  'prometheus': { emoji: '🔥', phosphor: 'flame' },
   
   // Auth / Security
   'auth': { emoji: '🔐', phosphor: 'lock-key' },
@@ -79,6 +80,7 @@ const WIDGET_ICONS = {
   'links': { emoji: '🔗', phosphor: 'link' },
   'embed': { emoji: '🌐', phosphor: 'browser' },
   'rss': { emoji: '📡', phosphor: 'rss' },
+  'api': { emoji: '🧩', phosphor: 'brackets-curly' },
   
   // Layout
   'header': { emoji: '🔤', phosphor: 'text-aa' },
@@ -150,12 +152,275 @@ function _formatUptime(seconds) {
   return m + 'm';
 }
 
+// ─────────────────────────────────────────────
+// Shared data sources (GET /api/data/:source)
+// Widgets asking for the same source and params share one request, and the
+// answer is reused for as long as the server still has it cached.
+// ─────────────────────────────────────────────
+const _dataRequests = new Map(); // url → { promise, expires }
+
+function fetchData(source, params = {}) {
+  const query = new URLSearchParams();
+  Object.keys(params).sort().forEach(key => {
+    if (params[key] !== undefined && params[key] !== null && params[key] !== '') query.set(key, params[key]);
+  });
+  const dashboard = new URLSearchParams(location.search).get('dashboard');
+  if (dashboard) query.set('dashboard', dashboard);
+  const url = '/api/data/' + source + '?' + query;
+
+  const cached = _dataRequests.get(url);
+  if (cached && !(cached.expires <= Date.now())) return cached.promise;
+  const entry = { expires: undefined };
+  entry.promise = fetch(url).then(async res => {
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error || 'HTTP ' + res.status);
+    entry.expires = Date.now() + (body.maxAge || 0) * 1000;
+    return body.data;
+  });
+  entry.promise.catch(() => { if (_dataRequests.get(url) === entry) _dataRequests.delete(url); });
+  _dataRequests.set(url, entry);
+  return entry.promise;
+}
+
 // Expose helpers globally for executeWidgetScripts (new Function runs in global scope)
 window.onSystemStats = onSystemStats;
+window.fetchData = fetchData;
 window._formatBytes = _formatBytes;
 window._formatBytesPerSec = _formatBytesPerSec;
 window._formatUptime = _formatUptime;
 
+// ─────────────────────────────────────────────
+// Shared helpers for data widgets (JSON API, Prometheus)
+// ─────────────────────────────────────────────
+
+/**
+ * Read a value out of parsed JSON with a dot path (`main.temp`, `items.0.name`)
+ * or simple JSONPath (`$.items[0].name`, `$['odd key']`, `$.items[*].name`).
+ * A `*` step collects every element, giving an array; an empty path is the
+ * whole document and a missing step gives undefined.
+ */
+function _jsonPath(data, path) {
+  const steps = [];
+  const stepPattern = /\[(\d+|\*)\]|\[(['"])(.*?)\2\]|\.?([^.[\]]+)/g;
+  const source = String(path || '').trim().replace(/^\$/, '');
+  let match;
+  while ((match = stepPattern.exec(source))) {
+    steps.push(match[1] !== undefined ? match[1] : match[3] !== undefined ? match[3] : match[4]);
+  }
+  let values = [data];
+  let collected = false;
+  for (const step of steps) {
+    const next = [];
+    for (const value of values) {
+      if (value === null || typeof value !== 'object') continue;
+      if (step === '*') {
+        next.push(...Object.values(value));
+        collected = true;
+      } else if (Object.prototype.hasOwnProperty.call(value, step)) {
+        next.push(value[step]);
+      }
+    }
+    values = next;
+  }
+  return collected ? values : values[0];
+}
+
+const _escapeValue = v => String(v).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+/**
+ * Render a mustache-style template. {{name}} inserts a value, always
+ * HTML-escaped; {{#name}}…{{/name}} repeats for each item of an array (or
+ * shows once for any other non-empty value) and {{^name}}…{{/name}} shows when
+ * it is empty. {{.}} is the current item. Names are paths as in _jsonPath,
+ * looked up from the innermost section outwards.
+ */
+function _renderTemplate(template, view) {
+  const lookup = (name, contexts) => {
+    if (name === '.') return contexts[contexts.length - 1];
+    for (let i = contexts.length - 1; i >= 0; i--) {
+      if (contexts[i] === null || typeof contexts[i] !== 'object') continue;
+      const value = _jsonPath(contexts[i], name);
+      if (value !== undefined) return value;
+    }
+    return undefined;
+  };
+
+  // Parse into a tree of text, {{value}} and section nodes; stray closing tags are dropped
+  const root = { children: [] };
+  const open = [root];
+  for (const part of String(template || '').split(/(\{\{[^{}]*\}\})/)) {
+    const tag = part.match(/^\{\{\s*([#^/]?)\s*(.*?)\s*\}\}$/);
+    const parent = open[open.length - 1];
+    if (!tag) {
+      if (part) parent.children.push(part);
+    } else if (tag[1] === '#' || tag[1] === '^') {
+      const section = { kind: tag[1], name: tag[2], children: [] };
+      parent.children.push(section);
+      open.push(section);
+    } else if (tag[1] === '/') {
+      if (open.length > 1 && parent.name === tag[2]) open.pop();
+    } else {
+      parent.children.push({ name: tag[2] });
+    }
+  }
+
+  const render = (nodes, contexts) => nodes.map(node => {
+    if (typeof node === 'string') return node;
+    const value = lookup(node.name, contexts);
+    const empty = value === undefined || value === null || value === false || value === '' || (Array.isArray(value) && !value.length);
+    if (node.kind === '^') return empty ? render(node.children, contexts) : '';
+    if (node.kind === '#') {
+      if (empty) return '';
+      return (Array.isArray(value) ? value : [value]).map(item => render(node.children, [...contexts, item])).join('');
+    }
+    if (value === undefined || value === null) return '';
+    return _escapeValue(typeof value === 'object' ? JSON.stringify(value) : value);
+  }).join('');
+  return render(root.children, [view]);
+}
+
+const _THRESHOLD_COLORS = {
+  green: 'var(--accent-green)',
+  blue: 'var(--accent-blue)',
+  orange: 'var(--accent-orange)',
+  red: 'var(--accent-red)',
+  purple: 'var(--accent-purple)'
+};
+
+/**
+ * The color for a number from thresholds like "50:orange, 80:red": the highest
+ * threshold the value reaches wins. Theme names (green, orange, red…) use the
+ * theme's accents; other CSS color names and hex colors pass through. Null
+ * below every threshold or for a non-number.
+ */
+function _thresholdColor(value, thresholds) {
+  const number = parseFloat(value);
+  if (!thresholds || isNaN(number)) return null;
+  let color = null;
+  let reached = -Infinity;
+  for (const part of String(thresholds).split(',')) {
+    const [limit, name] = part.split(':').map(t => t.trim());
+    const at = parseFloat(limit);
+    const css = _THRESHOLD_COLORS[(name || '').toLowerCase()] || (/^(#[0-9a-f]{3,8}|[a-z]+)$/i.test(name) ? name : null);
+    if (!css || isNaN(at) || number < at || at < reached) continue;
+    color = css;
+    reached = at;
+  }
+  return color;
+}
+
+window._jsonPath = _jsonPath;
+window._renderTemplate = _renderTemplate;
+window._thresholdColor = _thresholdColor;
+
+const _SERIES_COLORS = ['var(--accent-blue)', 'var(--accent-green)', 'var(--accent-orange)', 'var(--accent-purple)', 'var(--accent-red)'];
+
+/**
+ * Flatten a result from the prometheus data source into [{ labels, value,
+ * values }]: values are the [time, value] samples (one for an instant query)
+ * and value is the latest. "NaN" and "+Inf" become NaN and Infinity.
+ */
+function _promSeries(data) {
+  const sample = value => value === '+Inf' ? Infinity : value === '-Inf' ? -Infinity : Number(value);
+  if (!data) return [];
+  if (data.resultType === 'scalar' || data.resultType === 'string') {
+    return [{ labels: {}, value: sample(data.result[1]), values: [[data.result[0], sample(data.result[1])]] }];
+  }
+  return (data.result || []).map(series => {
+    const values = (series.values || [series.value]).map(([time, value]) => [time, sample(value)]);
+    return { labels: series.metric || {}, value: values.length ? values[values.length - 1][1] : NaN, values };
+  });
+}
+
+/**
+ * A series' legend as HTML: the format with {{label}} filled in from its
+ * labels, as in Grafana, or name{label="value", …} without a format.
+ */
+function _promLegend(format, labels) {
+  if (format) return _renderTemplate(format, labels);
+  const { __name__: name = '', ...rest } = labels;
+  const pairs = Object.keys(rest).map(key => `${key}="${rest[key]}"`).join(', ');
+  return _escapeValue(name + (pairs ? `{${pairs}}` : '')) || 'value';
+}
+
+/** A sample for display: "bytes" and "bytes/s" scale the unit, anything else is appended */
+function _promFormat(value, decimals, unit) {
+  if (isNaN(value)) return 'NaN';
+  if (!isFinite(value)) return value > 0 ? '∞' : '-∞';
+  if (unit === 'bytes' && Math.abs(value) >= 1) return _formatBytes(value, decimals);
+  if (unit === 'bytes/s') return _formatBytesPerSec(value);
+  return value.toFixed(decimals) + (unit ? (unit === '%' ? '' : ' ') + _escapeValue(unit) : '');
+}
+
+/** An SVG sparkline with one line per series, all on the same scale */
+function _promSparkline(series, colors) {
+  let t0 = Infinity, t1 = -Infinity, lo = Infinity, hi = -Infinity;
+  for (const s of series) {
+    for (const [time, value] of s.values) {
+      if (!isFinite(value)) continue;
+      t0 = Math.min(t0, time); t1 = Math.max(t1, time);
+      lo = Math.min(lo, value); hi = Math.max(hi, value);
+    }
+  }
+  if (t0 === Infinity) return '';
+  const x = time => t1 === t0 ? 50 : (time - t0) / (t1 - t0) * 100;
+  const y = value => hi === lo ? 50 : 96 - (value - lo) / (hi - lo) * 92;
+  const lines = series.map((s, i) => {
+    const points = s.values.filter(([, value]) => isFinite(value)).map(([time, value]) => x(time).toFixed(2) + ',' + y(value).toFixed(2));
+    return `<polyline fill="none" stroke="${colors[i]}" stroke-width="2" vector-effect="non-scaling-stroke" stroke-linejoin="round" points="${points.join(' ')}"/>`;
+  });
+  return `<svg viewBox="0 0 100 100" preserveAspectRatio="none" style="width:100%;height:100%;display:block;">${lines.join('')}</svg>`;
+}
+
+/**
+ * HTML for a query result shown as a "kpi" (the first series' value), "gauge"
+ * (the first series between min and max), "table" (one row per series) or
+ * "sparkline" (one line per series). Thresholds color values and lines by
+ * their latest value.
+ */
+function _renderPromResult(data, options) {
+  const { display = 'kpi', legend = '', unit = '', decimals = 2, thresholds = '', min = 0, max = 100, limit = 10 } = options;
+  const series = _promSeries(data).slice(0, Math.max(1, limit));
+  if (!series.length) return '<div style="color:var(--text-muted);">No data</div>';
+  const format = value => _promFormat(value, decimals, unit);
+  const colorOf = (s, fallback) => _thresholdColor(s.value, thresholds) || fallback;
+  const first = series[0];
+
+  if (display === 'table') {
+    return series.map(s => `<div class="sys-row"><span>${_promLegend(legend, s.labels)}</span><span style="color:${colorOf(s, 'var(--text-primary)')};">${format(s.value)}</span></div>`).join('');
+  }
+  if (display === 'sparkline') {
+    const colors = series.map((s, i) => colorOf(s, _SERIES_COLORS[i % _SERIES_COLORS.length]));
+    const key = series.map((s, i) => `<div class="sys-row"><span><span style="color:${colors[i]};">●</span> ${_promLegend(legend, s.labels)}</span><span>${format(s.value)}</span></div>`).join('');
+    return `<div style="display:flex;flex-direction:column;height:100%;gap:6px;">
+      <div style="flex:1;min-height:30px;">${_promSparkline(series, colors)}</div>
+      <div>${key}</div>
+    </div>`;
+  }
+  if (display === 'gauge') {
+    const pct = max > min ? Math.min(1, Math.max(0, (first.value - min) / (max - min))) || 0 : 0;
+    const circumference = 125.66;
+    return `<div style="display:flex;flex-direction:column;align-items:center;justify-content:center;height:100%;gap:4px;">
+      <div class="kpi-ring-wrap" style="width:72px;height:72px;">
+        <svg class="kpi-ring" viewBox="0 0 48 48">
+          <circle cx="24" cy="24" r="20" fill="none" stroke="var(--bg-tertiary)" stroke-width="4"/>
+          <circle cx="24" cy="24" r="20" fill="none" stroke="${colorOf(first, 'var(--accent-blue)')}" stroke-width="4"
+            stroke-dasharray="${circumference}" stroke-dashoffset="${(circumference - pct * circumference).toFixed(2)}" stroke-linecap="round"
+            transform="rotate(-90 24 24)"/>
+        </svg>
+        <div class="kpi-ring-label">${format(first.value)}</div>
+      </div>
+      <div class="kpi-label">${_promLegend(legend, first.labels)}</div>
+    </div>`;
+  }
+  return `<div style="display:flex;flex-direction:column;align-items:center;justify-content:center;height:100%;">
+    <div class="kpi-value" style="color:${colorOf(first, 'var(--text-primary)')};">${format(first.value)}</div>
+    <div class="kpi-label">${_promLegend(legend, first.labels)}</div>
+  </div>`;
+}
+
+window._renderPromResult = _renderPromResult;
+
 const WIDGETS = {
   // ─────────────────────────────────────────────
   // SMALL CARDS (KPI style)
@@ -193,15 +458,13 @@ const WIDGETS = {
         </div>
       </div>`,
     generateJs: (props) => `
-      // Weather Widget: ${props.id} (uses free wttr.in API - no key needed)
+      // Weather Widget: ${props.id} (free wttr.in API via the weather data source - no key needed)
       async function update_${props.id.replace(/-/g, '_')}() {
         const valEl = document.getElementById('${props.id}-value');
         const labelEl = document.getElementById('${props.id}-label');
         const iconEl = document.getElementById('${props.id}-icon');
         try {
-          const location = encodeURIComponent('${props.location || 'Atlanta'}');
-          const res = await fetch('https://wttr.in/' + location + '?format=j1');
-          const data = await res.json();
+          const data = await fetchData('weather', { location: '${props.location || 'Atlanta'}' });
           const current = data.current_condition[0];
           const temp = '${props.units}' === 'C' ? current.temp_C : current.temp_F;
           const unit = '${props.units}' === 'C' ? '°C' : '°F';
@@ -260,7 +523,7 @@ const WIDGETS = {
         </div>
       </div>`,
     generateJs: (props) => `
-      // Multi Weather Widget: ${props.id} (uses free wttr.in API - no key needed)
+      // Multi Weather Widget: ${props.id} (free wttr.in API via the weather data source - no key needed)
       async function update_${props.id.replace(/-/g, '_')}() {
         const locations = '${props.locations || 'New York; London; Tokyo'}'.split(';').map(l => l.trim());
         const container = document.getElementById('${props.id}-list');
@@ -269,8 +532,7 @@ const WIDGETS = {
         
         const results = await Promise.all(locations.map(async (loc) => {
           try {
-            const res = await fetch('https://wttr.in/' + encodeURIComponent(loc) + '?format=j1');
-            const data = await res.json();
+            const data = await fetchData('weather', { location: loc });
             const current = data.current_condition[0];
             const temp = unit === 'C' ? current.temp_C : current.temp_F;
             const code = parseInt(current.weatherCode);
@@ -610,9 +872,8 @@ const WIDGETS = {
         const statusEl = document.getElementById('${props.id}-status');
         
         try {
-          const res = await fetch('https://api.github.com/repos/${props.repo || 'openclaw/openclaw'}/releases/latest');
-          const data = await res.json();
-          const lat = (data.tag_name || '').replace(/^v/, '');
+          const data = await fetchData('github-release', { repo: '${props.repo || 'openclaw/openclaw'}' });
+          const lat = (data.tag || '').replace(/^v/, '');
           
           if (!currentVersion) {
             currentEl.textContent = 'v' + lat;
@@ -933,6 +1194,7 @@ const WIDGETS = {
     description: 'Displays upcoming events from an iCal (.ics) feed URL. Works with Google Calendar, Outlook, and Apple Calendar.',
     defaultWidth: 400,
     defaultHeight: 300,
+    secretProperties: ['icalUrl'],
     properties: {
       title: 'Calendar',
       icalUrl: '',
@@ -961,9 +1223,8 @@ const WIDGETS = {
           return;
         }
         try {
-          const resp = await fetch('/api/calendar?url=' + encodeURIComponent(icalUrl) + '&max=${props.maxEvents || 5}');
-          if (!resp.ok) throw new Error('HTTP ' + resp.status);
-          const events = await resp.json();
+          // A saved icalUrl arrives masked; the server looks it up by widget id
+          const events = await fetchData('calendar', { url: icalUrl, max: ${props.maxEvents || 5}, widgetId: '${props.id.replace(/^preview-/, '')}' });
           if (!events.length) {
             container.innerHTML = '<div style="color:#8b949e;font-size:calc(13px * var(--font-scale, 1));">No upcoming events</div>';
             return;
@@ -1799,6 +2060,89 @@ const WIDGETS = {
     `
   },
 
+  'prometheus': {
+    name: 'Prometheus Query',
+    icon: '🔥',
+    category: 'large',
+    description: 'Runs a PromQL query on your Prometheus server. Leave Range empty for an instant query, or set it (e.g. 1h) for a range query; Step defaults to about 100 points. Display: KPI or gauge (first series — aggregate with sum() etc. to combine), table, or sparkline. Legend uses labels, e.g. "{{instance}} ({{job}})". Unit "bytes" and "bytes/s" scale the value. Thresholds like "80:orange, 90:red" color values and lines. The URL and bearer token stay on the server once saved.',
+    defaultWidth: 320,
+    defaultHeight: 200,
+    hasApiKey: true,
+    hideApiKeyVar: true,
+    secretProperties: ['url', 'apiKey'],
+    properties: {
+      title: 'Prometheus',
+      url: '',
+      query: 'up',
+      range: '',
+      step: '',
+      display: 'kpi',
+      legend: '',
+      unit: '',
+      decimals: 2,
+      thresholds: '',
+      min: 0,
+      max: 100,
+      limit: 10,
+      apiKey: '',
+      apiKeyNote: 'Optional. Sent as "Authorization: Bearer <token>"',
+      refreshInterval: 30
+    },
+    preview: `<div style="padding:8px;font-size:11px;">
+      <div>node-1 <span style="color:#3fb950;">23.4%</span></div>
+      <div>node-2 <span style="color:#d29922;">81.0%</span></div>
+    </div>`,
+    generateHtml: (props) => `
+      <div class="dash-card" id="widget-${props.id}" style="height:100%;">
+        <div class="dash-card-head">
+          <span class="dash-card-title">${renderIcon('prometheus')} ${props.title || 'Prometheus'}</span>
+        </div>
+        <div class="dash-card-body" id="${props.id}-body" style="font-size:calc(13px * var(--font-scale, 1));">
+          <div style="color:var(--text-muted);">Loading...</div>
+        </div>
+      </div>`,
+    generateJs: (props) => `
+      // Prometheus Query Widget: ${props.id}
+      async function update_${props.id.replace(/-/g, '_')}() {
+        const el = document.getElementById('${props.id}-body');
+        if (!el) return;
+        const url = ${JSON.stringify(props.url || '')};
+        if (!url) {
+          el.innerHTML = '<div style="color:var(--text-muted);">Set a Prometheus URL in Edit Mode (Ctrl+E)</div>';
+          return;
+        }
+        const display = ${JSON.stringify(props.display || 'kpi')};
+        try {
+          // A saved URL and token arrive masked; the server looks them up by widget id
+          const data = await fetchData('prometheus', {
+            url,
+            widgetId: '${props.id.replace(/^preview-/, '')}',
+            query: ${JSON.stringify(props.query || '')},
+            range: ${JSON.stringify(props.range || '')} || (display === 'sparkline' ? '1h' : ''),
+            step: ${JSON.stringify(props.step || '')}
+          });
+          el.innerHTML = _renderPromResult(data, {
+            display,
+            legend: ${JSON.stringify(props.legend || '')},
+            unit: ${JSON.stringify(props.unit || '')},
+            decimals: ${Number(props.decimals) >= 0 ? Number(props.decimals) : 2},
+            thresholds: ${JSON.stringify(props.thresholds || '')},
+            min: ${Number(props.min) || 0},
+            max: ${Number(props.max ?? 100) || 0},
+            limit: ${Number(props.limit) || 10}
+          });
+          el.style.color = '';
+        } catch (e) {
+          console.error('Prometheus widget error:', e);
+          el.textContent = 'Failed to load: ' + e.message;
+          el.style.color = 'var(--accent-red,#f85149)';
+        }
+      }
+      update_${props.id.replace(/-/g, '_')}();
+      setInterval(update_${props.id.replace(/-/g, '_')}, ${(props.refreshInterval || 30) * 1000});
+    `
+  },
+
   // ─────────────────────────────────────────────
   // PRODUCTIVITY
   // ─────────────────────────────────────────────
@@ -2286,6 +2630,7 @@ const WIDGETS = {
     defaultWidth: 380,
     defaultHeight: 200,
     hasApiKey: false,
+    secretProperties: ['apiKey'],
     properties: {
       title: 'GitHub',
       username: 'openclaw',
@@ -2312,22 +2657,10 @@ const WIDGETS = {
       async function update_${props.id.replace(/-/g, '_')}() {
         const owner = '${props.username || 'openclaw'}';
         const repo = '${props.repo || 'openclaw'}';
-        const headers = {};
-        ${props.apiKey ? `headers['Authorization'] = 'token ${props.apiKey}';` : ''}
         try {
-          const [repoRes, prRes] = await Promise.all([
-            fetch('https://api.github.com/repos/' + owner + '/' + repo, { headers }),
-            fetch('https://api.github.com/repos/' + owner + '/' + repo + '/pulls?state=open&per_page=1', { headers })
-          ]);
-          if (!repoRes.ok) throw new Error(repoRes.status);
-          const d = await repoRes.json();
-          // Get open PR count from Link header (total_count) or array length
-          let openPRs = '?';
-          if (prRes.ok) {
-            const link = prRes.headers.get('Link') || '';
-            const lastMatch = link.match(/page=(\\d+)>; rel="last"/);
-            openPRs = lastMatch ? lastMatch[1] : (await prRes.json()).length;
-          }
+          // A saved token stays on the server, which looks it up by widget id
+          const d = await fetchData('github', { repo: owner + '/' + repo, widgetId: '${props.id.replace(/^preview-/, '')}' });
+          const openPRs = d.openPRs === null ? '?' : d.openPRs;
           function timeAgo(date) {
             const s = Math.floor((Date.now() - new Date(date)) / 1000);
             if (s < 60) return s + 's ago';
@@ -2339,13 +2672,13 @@ const WIDGETS = {
           el.innerHTML =
             '<div style="margin-bottom:6px;font-weight:600;color:var(--text-primary);">' + owner + '/' + repo + '</div>' +
             '<div style="display:grid;grid-template-columns:1fr 1fr;gap:4px;">' +
-              '<div>⭐ ' + d.stargazers_count.toLocaleString() + ' stars</div>' +
-              '<div>🍴 ' + d.forks_count.toLocaleString() + ' forks</div>' +
-              '<div>🐛 ' + d.open_issues_count + ' open issues</div>' +
+              '<div>⭐ ' + d.stars.toLocaleString() + ' stars</div>' +
+              '<div>🍴 ' + d.forks.toLocaleString() + ' forks</div>' +
+              '<div>🐛 ' + d.openIssues + ' open issues</div>' +
               '<div>🔀 ' + openPRs + ' open PRs</div>' +
             '</div>' +
             '<div style="margin-top:6px;color:var(--text-secondary);font-size:calc(11px * var(--font-scale, 1));">' +
-              '📅 Last push: ' + timeAgo(d.pushed_at) +
+              '📅 Last push: ' + timeAgo(d.pushedAt) +
             '</div>';
         } catch (e) {
           console.error('GitHub stats widget error:', e);
@@ -2371,6 +2704,7 @@ const WIDGETS = {
     hasApiKey: true,
     apiKeyName: 'FINNHUB_API_KEY',
     hideApiKeyVar: true,
+    secretProperties: ['apiKey'],
     properties: {
       title: 'Stocks',
       symbol: 'AAPL, MSFT, GOOGL, AMZN, TSLA',
@@ -2399,21 +2733,18 @@ const WIDGETS = {
         }
         const symbols = '${props.symbol || 'AAPL'}'.split(',').map(s => s.trim()).filter(Boolean);
         try {
-          const results = await Promise.all(symbols.map(async (sym) => {
-            try {
-              const res = await fetch('https://finnhub.io/api/v1/quote?symbol=' + sym + '&token=' + apiKey);
-              const data = await res.json();
-              if (data.c === 0 && data.h === 0) return '<span class="ticker-link" style="color:#8b949e;">' + sym + ' —</span>';
-              const change = ((data.c - data.pc) / data.pc * 100).toFixed(2);
-              const color = change >= 0 ? '#3fb950' : '#f85149';
-              const arrow = change >= 0 ? '▲' : '▼';
-              return '<span class="ticker-link" style="cursor:default;">' +
-                '<strong>' + sym + '</strong> $' + data.c.toFixed(2) +
-                ' <span style="color:' + color + ';">' + arrow + ' ' + (change >= 0 ? '+' : '') + change + '%</span></span>';
-            } catch (_) {
-              return '<span class="ticker-link" style="color:#8b949e;">' + sym + ' —</span>';
-            }
-          }));
+          // The saved key stays on the server, which looks it up by widget id
+          const quotes = await fetchData('stocks', { symbols: symbols.join(','), widgetId: '${props.id.replace(/^preview-/, '')}' });
+          const results = symbols.map(sym => {
+            const quote = quotes[sym.toUpperCase()];
+            if (!quote) return '<span class="ticker-link" style="color:#8b949e;">' + sym + ' —</span>';
+            const change = ((quote.price - quote.previousClose) / quote.previousClose * 100).toFixed(2);
+            const color = change >= 0 ? '#3fb950' : '#f85149';
+            const arrow = change >= 0 ? '▲' : '▼';
+            return '<span class="ticker-link" style="cursor:default;">' +
+              '<strong>' + sym + '</strong> $' + quote.price.toFixed(2) +
+              ' <span style="color:' + color + ';">' + arrow + ' ' + (change >= 0 ? '+' : '') + change + '%</span></span>';
+          });
           el.innerHTML = results.join('<span class="ticker-sep"> \\u2022\\u2022\\u2022 </span>');
         } catch (e) {
           if (!el.dataset.loaded) el.textContent = 'Failed to load stocks';
@@ -2468,8 +2799,7 @@ const WIDGETS = {
         const hasData = priceText.dataset.loaded;
         if (hasData) spinner.style.display = 'inline';
         try {
-          const res = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=${props.coin || 'bitcoin'}&vs_currencies=${props.currency || 'usd'}&include_24hr_change=true');
-          const data = await res.json();
+          const data = await fetchData('crypto', { coins: '${props.coin || 'bitcoin'}', currency: '${props.currency || 'usd'}' });
           const coin = data['${props.coin || 'bitcoin'}'];
           priceText.textContent = '$' + (coin['${props.currency || 'usd'}'] || 0).toLocaleString();
           priceText.dataset.loaded = '1';
@@ -2548,6 +2878,7 @@ const WIDGETS = {
     defaultHeight: 300,
     hasApiKey: true,
     apiKeyName: 'CAMERA_URL',
+    privateProperties: ['streamUrl'],
     properties: {
       title: 'Camera',
       streamUrl: 'http://your-camera/stream',
@@ -2682,6 +3013,67 @@ const WIDGETS = {
   // MISCELLANEOUS
   // ─────────────────────────────────────────────
 
+  'json-api': {
+    name: 'JSON API',
+    icon: '🧩',
+    category: 'large',
+    description: 'Shows data from any JSON API, fetched through the server. Path picks a value ($.main.temp or main.temp). In the template, {{value}} inserts it and {{data.some.field}} any other field (HTML-escaped), {{#items}}…{{/items}} repeats for a list. Thresholds like "20:orange, 30:red" color the value. The URL and API key stay on the server once saved.',
+    defaultWidth: 300,
+    defaultHeight: 150,
+    hasApiKey: true,
+    hideApiKeyVar: true,
+    secretProperties: ['url', 'apiKey'],
+    properties: {
+      title: 'JSON API',
+      url: 'https://api.example.com/data.json',
+      path: '',
+      template: '{{value}}',
+      thresholds: '',
+      apiKeyHeader: 'Authorization',
+      apiKey: '',
+      apiKeyNote: 'Optional. Sent in the Api Key Header, e.g. "Bearer <token>"',
+      refreshInterval: 60
+    },
+    preview: `<div style="text-align:center;padding:8px;">
+      <div style="font-size:20px;">21.5°C</div>
+      <div style="font-size:11px;color:#8b949e;">{{value}} from any API</div>
+    </div>`,
+    generateHtml: (props) => `
+      <div class="dash-card" id="widget-${props.id}" style="height:100%;">
+        <div class="dash-card-head">
+          <span class="dash-card-title">${renderIcon('api')} ${props.title || 'JSON API'}</span>
+        </div>
+        <div class="dash-card-body" id="${props.id}-body" style="font-size:calc(13px * var(--font-scale, 1));">
+          <div style="color:var(--text-muted);">Loading...</div>
+        </div>
+      </div>`,
+    generateJs: (props) => `
+      // JSON API Widget: ${props.id}
+      async function update_${props.id.replace(/-/g, '_')}() {
+        const el = document.getElementById('${props.id}-body');
+        if (!el) return;
+        const url = ${JSON.stringify(props.url || '')};
+        if (!url || url === 'https://api.example.com/data.json') {
+          el.innerHTML = '<div style="color:var(--text-muted);">Set a URL in Edit Mode (Ctrl+E)</div>';
+          return;
+        }
+        try {
+          // A saved URL and API key arrive masked; the server looks them up by widget id
+          const data = await fetchData('json', { url, widgetId: '${props.id.replace(/^preview-/, '')}', header: ${JSON.stringify(props.apiKeyHeader || 'Authorization')} });
+          const value = _jsonPath(data, ${JSON.stringify(props.path || '')});
+          el.innerHTML = _renderTemplate(${JSON.stringify(props.template || '{{value}}')}, { value, data });
+          el.style.color = _thresholdColor(value, ${JSON.stringify(props.thresholds || '')}) || '';
+        } catch (e) {
+          console.error('JSON API widget error:', e);
+          el.textContent = 'Failed to load: ' + e.message;
+          el.style.color = 'var(--accent-red,#f85149)';
+        }
+      }
+      update_${props.id.replace(/-/g, '_')}();
+      setInterval(update_${props.id.replace(/-/g, '_')}, ${(props.refreshInterval || 60) * 1000});
+    `
+  },
+
   'quote-of-day': {
     name: 'Quote of Day',
     icon: '💭',
@@ -3071,6 +3463,7 @@ const WIDGETS = {
     defaultWidth: 1920,
     defaultHeight: 40,
     hasApiKey: false,
+    secretProperties: ['feedUrl'],
     properties: {
       title: 'RSS',
       feedUrl: 'https://example.com/feed.xml',
@@ -3098,9 +3491,8 @@ const WIDGETS = {
             el.textContent = 'Set a Feed URL in Edit Mode (Ctrl+E)';
             return;
           }
-          var res = await fetch('/api/rss?url=' + encodeURIComponent(feedUrl));
-          if (!res.ok) { el.textContent = 'Feed error: ' + res.status; return; }
-          var xml = await res.text();
+          // A saved feedUrl arrives masked; the server looks it up by widget id
+          var xml = (await fetchData('rss', { url: feedUrl, widgetId: '${props.id.replace(/^preview-/, '')}' })).xml;
           var parser = new DOMParser();
           var doc = parser.parseFromString(xml, 'text/xml');
           var items = Array.from(doc.querySelectorAll('item')).slice(0, ${props.maxItems || 10});
@@ -3148,7 +3540,7 @@ const WIDGETS = {
         </div>
       </div>`,
     generateJs: (props) => `
-      // World Clock Widget: ${props.id} (uses wttr.in for timezone data)
+      // World Clock Widget: ${props.id} (uses wttr.in for timezone data, via the weather data source)
       const locs_${props.id.replace(/-/g, '_')} = '${props.locations || 'New York; London; Tokyo'}'.split(';').map(s => s.trim());
       const hour12_${props.id.replace(/-/g, '_')} = ${!props.format24h};
       
@@ -3156,8 +3548,7 @@ const WIDGETS = {
         const container = document.getElementById('${props.id}-clocks');
         const results = await Promise.all(locs_${props.id.replace(/-/g, '_')}.map(async (loc) => {
           try {
-            const res = await fetch('https://wttr.in/' + encodeURIComponent(loc) + '?format=j1');
-            const data = await res.json();
+            const data = await fetchData('weather', { location: loc });
             const area = data.nearest_area[0];
             const city = area.areaName[0].value;
             const localTime = data.current_condition[0].localObsDateTime;
@@ -3232,7 +3623,7 @@ const WIDGETS = {
           const list = document.getElementById('${props.id}-list');
           if (!pages.length) { list.innerHTML = '<span class="pages-menu-item">No pages found</span>'; return; }
           list.innerHTML = pages.map(p =>
-            '<a class="pages-menu-item" href="/pages/' + p.id + '" title="' + (p.description || p.title || p.name || '') + '">' +
+            '<a class="pages-menu-item" href="' + (window.LOBSTERBOARD_BASE_PATH || '') + '/pages/' + p.id + '" title="' + (p.description || p.title || p.name || '') + '">' +
             '<span class="pages-menu-icon">' + (p.icon || '📄') + '</span>' +
             '<span>' + (p.title || p.name || p.id) + '</span></a>'
           ).join('');
@@ -6,15 +6,17 @@
   const navEl = document.getElementById('page-nav');
   if (!navEl) return;
 
+  // Set by the server when LobsterBoard runs under a prefix such as /board
+  const base = window.LOBSTERBOARD_BASE_PATH || '';
   const currentPath = window.location.pathname;
 
-  fetch('/api/pages')
+  fetch(base + '/api/pages')
     .then(r => r.json())
     .then(pages => {
       const links = [
-        { href: '/', icon: '🦞', title: 'Dashboard' }
+        { href: base + '/', icon: '🦞', title: 'Dashboard' }
       ].concat(pages.map(p => ({
-        href: '/pages/' + p.id,
+        href: base + '/pages/' + p.id,
         icon: p.icon,
         title: p.title
       })));
@@ -23,7 +25,7 @@
         <div class="lb-nav">
           <div class="lb-nav-left">
             ${links.map(l => {
-              const active = l.href === currentPath || (l.href !== '/' && currentPath.startsWith(l.href));
+              const active = l.href === currentPath || (l.href !== base + '/' && currentPath.startsWith(l.href));
               return `<a href="${l.href}" class="lb-nav-link${active ? ' active' : ''}">${l.icon} ${l.title}</a>`;
             }).join('')}
           </div>
@@ -32,7 +34,7 @@
     })
     .catch(() => {
       navEl.innerHTML = `<div class="lb-nav"><div class="lb-nav-left">
-        <a href="/" class="lb-nav-link">🦞 Dashboard</a>
+        <a href="${base}/" class="lb-nav-link">🦞 Dashboard</a>
       </div></div>`;
     });
 
@@ -8,23 +8,296 @@
 
 const http = require('http');
 const https = require('https');
+const net = require('net');
+const dns = require('dns');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const readline = require('readline');
+const zlib = require('zlib');
 const si = require('systeminformation');
 const crypto = require('crypto');
 const WebSocket = require('ws');
+const vm = require('vm');
 
-const PORT = process.env.PORT || 8080;
-const HOST = process.env.HOST || '127.0.0.1';
+// ─────────────────────────────────────────────
+// Settings
+// Each setting comes from, highest precedence first: a command-line flag, an
+// environment variable, the settings file (lobsterboard.config.json in the
+// default data directory, or the file named by --config / LOBSTERBOARD_CONFIG),
+// and its default. `lobsterboard --print-config` shows the result and where each value
+// came from. Relative paths resolve against the working directory, or against
+// the settings file's folder for paths written in it.
+// ─────────────────────────────────────────────
+/** $XDG_DATA_HOME/lobsterboard (~/.local/share/lobsterboard), or %APPDATA%\lobsterboard on Windows */
+function defaultDataDir() {
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'lobsterboard');
+  }
+  return path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'lobsterboard');
+}
+
+const DEFAULT_SETTINGS_FILE = path.join(defaultDataDir(), 'lobsterboard.config.json');
+
+const SETTING_DEFINITIONS = [
+  { key: 'port', flag: '--port', env: 'PORT', type: 'port', default: 8080, help: 'Port to listen on' },
+  { key: 'host', flag: '--host', env: 'HOST', default: '127.0.0.1', help: 'Address to bind (0.0.0.0 for the whole network)' },
+  { key: 'dataDir', flag: '--data-dir', env: 'LOBSTERBOARD_DATA_DIR', type: 'path', default: defaultDataDir(), help: 'Folder for dashboards, accounts, secrets and all other saved data' },
+  { key: 'openclaw', flag: '--no-openclaw', env: 'LOBSTERBOARD_OPENCLAW', type: 'boolean', default: true, help: "Don't connect to the OpenClaw gateway" },
+  { key: 'openclawUrl', env: 'OPENCLAW_WS_URL', default: 'ws://127.0.0.1:18789' },
+  { key: 'openclawToken', env: 'OPENCLAW_TOKEN', secret: true, default: '' },
+  { key: 'tls', flag: '--tls', env: 'LOBSTERBOARD_TLS', default: '', help: '"self-signed" to serve HTTPS with a generated certificate' },
+  { key: 'tlsCert', flag: '--tls-cert', env: 'LOBSTERBOARD_TLS_CERT', type: 'path', default: '', help: 'HTTPS certificate (PEM)' },
+  { key: 'tlsKey', flag: '--tls-key', env: 'LOBSTERBOARD_TLS_KEY', type: 'path', default: '', help: 'HTTPS private key (PEM)' },
+  { key: 'trustProxy', flag: '--trust-proxy', env: 'LOBSTERBOARD_TRUST_PROXY', default: '', help: 'Proxy addresses whose X-Forwarded-* headers are trusted' },
+  { key: 'basePath', flag: '--base-path', env: 'LOBSTERBOARD_BASE_PATH', default: '', help: 'Serve under a path prefix such as /board' },
+  { key: 'proxyHosts', flag: '--proxy-hosts', env: 'LOBSTERBOARD_PROXY_HOSTS', default: '', help: 'Allowlist for /api/proxy: host names, *.domains, IPs or CIDR ranges' },
+  { key: 'proxyAllowPrivate', flag: '--proxy-allow-private', env: 'LOBSTERBOARD_PROXY_ALLOW_PRIVATE', type: 'boolean', default: false, help: 'Let allowlisted hosts be private (LAN) addresses' },
+  { key: 'metrics', flag: '--no-metrics', env: 'LOBSTERBOARD_METRICS', type: 'boolean', default: true, help: "Don't serve Prometheus metrics at /metrics" },
+  { key: 'secretsKey', env: 'LOBSTERBOARD_SECRETS_KEY', secret: true, default: '' },
+  { key: 'secretsKeyFile', env: 'LOBSTERBOARD_SECRETS_KEY_FILE', type: 'path', default: values => path.join(values.dataDir, 'secrets.key') },
+  { key: 'todoistToken', env: 'TODOIST_API_TOKEN', secret: true, default: '' },
+  { key: 'telegramBridgePort', env: 'TG_BRIDGE_PORT', type: 'port', default: 18790 },
+  { key: 'anthropicAdminKey', env: 'ANTHROPIC_ADMIN_KEY', secret: true, default: '' },
+  { key: 'openaiApiKey', env: 'OPENAI_API_KEY', secret: true, default: '' }
+];
+
+// Options of the administration commands (see runCommand)
+const COMMAND_OPTIONS = [
+  { key: 'dashboard', flag: '--dashboard', value: '<id>', help: 'Dashboard to export, import into or save as a template' },
+  { key: 'mode', flag: '--mode', value: '<mode>', help: 'import: "replace" the layout (default) or "merge" into it' },
+  { key: 'output', flag: '--output', value: '<file>', help: 'export, backup: file to write' },
+  { key: 'includeKey', flag: '--include-key', help: 'backup: also save secrets.key, which decrypts secrets.json' },
+  { key: 'force', flag: '--force', help: 'Overwrite the output file; restore: replace existing data' }
+];
+
+function parseSettingValue(def, raw, baseDir) {
+  if (def.type === 'port') {
+    const port = typeof raw === 'number' ? raw : Number(String(raw).trim());
+    if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`${def.key} must be a port number, got "${raw}"`);
+    return port;
+  }
+  if (def.type === 'boolean') {
+    if (typeof raw === 'boolean') return raw;
+    const text = String(raw).trim().toLowerCase();
+    if (['1', 'true', 'yes', 'on'].includes(text)) return true;
+    if (['0', 'false', 'no', 'off'].includes(text)) return false;
+    throw new Error(`${def.key} must be true or false, got "${raw}"`);
+  }
+  if (typeof raw !== 'string') throw new Error(`${def.key} must be a string`);
+  return def.type === 'path' && raw ? path.resolve(baseDir, raw) : raw;
+}
+
+/**
+ * Split argv into setting flags, command options, --config/--print-config/--help
+ * and the positional command (e.g. ["secrets", "rotate"]). Flags take
+ * "--flag value" or "--flag=value".
+ */
+function parseCommandLine(argv) {
+  const parsed = { flags: {}, options: {}, configFile: null, printConfig: false, help: false, command: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) { parsed.command.push(arg); continue; }
+    const eq = arg.indexOf('=');
+    const flag = eq === -1 ? arg : arg.slice(0, eq);
+    const takeValue = () => {
+      if (eq !== -1) return arg.slice(eq + 1);
+      if (i + 1 >= argv.length) throw new Error(`${flag} needs a value`);
+      return argv[++i];
+    };
+    if (flag === '--help') parsed.help = true;
+    else if (flag === '--print-config') parsed.printConfig = true;
+    else if (flag === '--config') parsed.configFile = takeValue();
+    else if (COMMAND_OPTIONS.some(o => o.flag === flag)) {
+      const option = COMMAND_OPTIONS.find(o => o.flag === flag);
+      parsed.options[option.key] = option.value ? takeValue() : true;
+    } else {
+      const def = SETTING_DEFINITIONS.find(d => d.flag === flag);
+      if (!def) throw new Error(`Unknown option ${flag} (see --help)`);
+      parsed.flags[def.key] = def.type === 'boolean' ? !flag.startsWith('--no-') : takeValue();
+    }
+  }
+  return parsed;
+}
+
+function loadSettings(cli, env) {
+  const explicitFile = cli.configFile || env.LOBSTERBOARD_CONFIG;
+  const file = explicitFile ? path.resolve(explicitFile) : DEFAULT_SETTINGS_FILE;
+  let fromFile = {};
+  let fileFound = false;
+  try {
+    fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    fileFound = true;
+  } catch (e) {
+    // The default file is optional; one asked for by name is not
+    if (e.code !== 'ENOENT' || explicitFile) throw new Error(`Cannot read settings file ${file}: ${e.message}`);
+  }
+  if (!fromFile || typeof fromFile !== 'object' || Array.isArray(fromFile)) throw new Error(`${file} must contain a JSON object`);
+  for (const key of Object.keys(fromFile)) {
+    if (!SETTING_DEFINITIONS.some(d => d.key === key)) console.warn(`[settings] Ignoring unknown setting "${key}" in ${file}`);
+  }
+
+  const values = {};
+  const sources = {};
+  for (const def of SETTING_DEFINITIONS) {
+    if (cli.flags[def.key] !== undefined) {
+      values[def.key] = parseSettingValue(def, cli.flags[def.key], process.cwd());
+      sources[def.key] = def.flag;
+    } else if (env[def.env] !== undefined && env[def.env] !== '') {
+      values[def.key] = parseSettingValue(def, env[def.env], process.cwd());
+      sources[def.key] = `env ${def.env}`;
+    } else if (fromFile[def.key] !== undefined) {
+      values[def.key] = parseSettingValue(def, fromFile[def.key], path.dirname(file));
+      sources[def.key] = 'settings file';
+    } else {
+      // A default may depend on settings listed before it (e.g. files inside dataDir)
+      values[def.key] = typeof def.default === 'function' ? def.default(values) : def.default;
+      sources[def.key] = 'default';
+    }
+  }
+  return { values, sources, file, fileFound };
+}
+
+function printUsage() {
+  const lines = SETTING_DEFINITIONS.filter(d => d.flag).map(d =>
+    `  ${(d.flag + (d.type === 'boolean' ? '' : ' <value>')).padEnd(24)}${d.help}`);
+  const commandOptions = COMMAND_OPTIONS.map(o =>
+    `  ${(o.flag + (o.value ? ' ' + o.value : '')).padEnd(24)}${o.help}`);
+  console.log(`Usage: lobsterboard [options]
+       lobsterboard <command> [arguments] [options]
+
+Commands (they work on the data directory and don't need a running server):
+  export                  Export a dashboard as a standalone site (zip)
+  import <template|zip>   Load a template (id, folder or zip) into a dashboard
+  validate <config.json>  Check a config file against the schema
+  set-pin [pin]           Set the edit PIN (asks for it when not given)
+  public on|off           Turn public mode on or off
+  templates list          List shipped and exported templates
+  templates export <name> Save a dashboard as a template
+  templates delete <id>   Delete a template
+  backup                  Write the data directory, without secrets.key, to a zip
+  restore <backup.zip>    Restore the data directory from a backup
+  secrets rotate          Re-encrypt secrets.json under a new master key
+
+Options:
+${lines.join('\n')}
+  ${'--config <file>'.padEnd(24)}Settings file (default: ${DEFAULT_SETTINGS_FILE})
+  ${'--print-config'.padEnd(24)}Show the effective settings and exit
+  ${'--help'.padEnd(24)}Show this help
+
+Command options:
+${commandOptions.join('\n')}
+
+Every setting can also be set in the settings file or by environment variable;
+see "Settings" in the README.`);
+}
+
+/** The effective settings with their sources; secret values are redacted */
+function printSettings({ values, sources, file, fileFound }) {
+  console.log(`Settings file: ${file}${fileFound ? '' : ' (not found)'}\n`);
+  for (const def of SETTING_DEFINITIONS) {
+    const value = def.secret ? (values[def.key] ? '********' : '') : values[def.key];
+    console.log(`  ${def.key.padEnd(20)}${JSON.stringify(value).padEnd(40)}${sources[def.key]}`);
+  }
+}
+
+const CLI = (() => {
+  try {
+    return parseCommandLine(process.argv.slice(2));
+  } catch (e) {
+    console.error(`[settings] ${e.message}`);
+    process.exit(2);
+  }
+})();
+if (CLI.help) { printUsage(); process.exit(0); }
+
+const LOADED_SETTINGS = (() => {
+  try {
+    return loadSettings(CLI, process.env);
+  } catch (e) {
+    console.error(`[settings] ${e.message}`);
+    process.exit(1);
+  }
+})();
+if (CLI.printConfig) { printSettings(LOADED_SETTINGS); process.exit(0); }
+const SETTINGS = LOADED_SETTINGS.values;
+
+const PORT = SETTINGS.port;
+const HOST = SETTINGS.host;
+
+// `lobsterboard <command>` (or `node server.cjs <command>`) runs an
+// administration command and exits instead of starting the server
+const COMMAND_NAMES = ['export', 'import', 'validate', 'set-pin', 'public', 'templates', 'backup', 'restore', 'secrets'];
+const COMMAND = CLI.command.length ? CLI.command : null;
+if (COMMAND && !COMMAND_NAMES.includes(COMMAND[0])) {
+  console.error(`[settings] Unknown command "${CLI.command.join(' ')}" (see --help)`);
+  process.exit(2);
+}
+
+// ─────────────────────────────────────────────
+// Data root
+// Everything the server writes — dashboards, auth, secrets, users, tokens,
+// todos, notes, exported templates, history, the audit log and page data —
+// lives under one folder: the dataDir setting, by default an XDG-style user
+// directory. Files from older versions, which kept them next to server.cjs,
+// are moved there once on the first start.
+// ─────────────────────────────────────────────
+const DATA_ROOT = SETTINGS.dataDir;
+
+// What older versions wrote into the package folder, by name
+const LEGACY_DATA_ITEMS = [
+  'config.json', 'auth.json', 'secrets.json', 'todos.json', 'notes.json',
+  '.openclaw-device-identity.json', 'data'
+];
+const LEGACY_MIGRATION_MARKER = path.join(DATA_ROOT, '.legacy-migrated');
+
+function isSameOrInside(target, folder) {
+  const relative = path.relative(folder, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function migrateLegacyData() {
+  fs.mkdirSync(DATA_ROOT, { recursive: true });
+  if (path.resolve(DATA_ROOT) === __dirname || fs.existsSync(LEGACY_MIGRATION_MARKER)) return;
+  const moved = [];
+  const copied = [];
+  for (const name of LEGACY_DATA_ITEMS) {
+    const from = path.join(__dirname, name);
+    const to = path.join(DATA_ROOT, name);
+    // e.g. --data-dir <install>/data: that folder is the root now, not something to move into it
+    if (!fs.existsSync(from) || isSameOrInside(path.resolve(DATA_ROOT), from)) continue;
+    if (fs.existsSync(to)) {
+      console.warn(`[data] Not migrating ${from}: ${to} already exists`);
+      continue;
+    }
+    try {
+      fs.renameSync(from, to);
+      moved.push(name);
+    } catch (_) {
+      // Another filesystem or a read-only install: copy, and remove the original if allowed
+      fs.cpSync(from, to, { recursive: true });
+      try { fs.rmSync(from, { recursive: true }); moved.push(name); } catch (_) { copied.push(name); }
+    }
+  }
+  fs.writeFileSync(LEGACY_MIGRATION_MARKER, JSON.stringify({ from: __dirname, at: new Date().toISOString(), moved, copied }, null, 2));
+  if (moved.length) console.log(`[data] Moved ${moved.join(', ')} from ${__dirname} to ${DATA_ROOT}`);
+  if (copied.length) console.log(`[data] Copied ${copied.join(', ')} to ${DATA_ROOT}; the originals in ${__dirname} could not be removed and are no longer used`);
+}
+
+try {
+  migrateLegacyData();
+} catch (e) {
+  console.error(`[data] Cannot set up the data directory ${DATA_ROOT}: ${e.message}`);
+  process.exit(1);
+}
 
 // ─────────────────────────────────────────────
 // OpenClaw WebSocket RPC Client
 // Connects to OpenClaw gateway over SSH tunnel
 // ─────────────────────────────────────────────
-const OC_WS_URL = process.env.OPENCLAW_WS_URL || 'ws://127.0.0.1:18789';
-let OC_TOKEN = process.env.OPENCLAW_TOKEN || '';
-const OC_IDENTITY_FILE = path.join(__dirname, '.openclaw-device-identity.json');
+const OC_WS_URL = SETTINGS.openclawUrl;
+let OC_TOKEN = SETTINGS.openclawToken;
+const OC_IDENTITY_FILE = path.join(DATA_ROOT, '.openclaw-device-identity.json');
 const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
 
 function _b64url(buf) { return Buffer.from(buf).toString('base64url'); }
@@ -190,21 +463,23 @@ function ocRpc(method, params = {}, timeoutMs = 10000) {
 }
 
 // Boot the OpenClaw WS client
-ocConnect();
+if (!COMMAND && SETTINGS.openclaw) ocConnect();
 
 // ─────────────────────────────────────────────
 // Pages System — auto-discovery and mounting
 // ─────────────────────────────────────────────
 const PAGES_DIR = path.join(__dirname, 'pages');
-const PAGES_JSON = path.join(__dirname, 'pages.json');
-const DATA_DIR = path.join(__dirname, 'data');
+// pages.json in the data root overrides the one shipped in the package
+const PAGES_JSON_FILES = [path.join(DATA_ROOT, 'pages.json'), path.join(__dirname, 'pages.json')];
+const DATA_DIR = path.join(DATA_ROOT, 'data'); // history, audit log, page data
 
 let loadedPages = []; // { id, title, icon, description, order, routes: { 'METHOD /path': handler } }
 
 function loadPages() {
   const pages = [];
   let overrides = { pages: {} };
-  try { overrides = JSON.parse(fs.readFileSync(PAGES_JSON, 'utf8')); } catch (_) {}
+  const overridesFile = PAGES_JSON_FILES.find(f => fs.existsSync(f));
+  try { overrides = JSON.parse(fs.readFileSync(overridesFile, 'utf8')); } catch (_) {}
 
   let dirs;
   try { dirs = fs.readdirSync(PAGES_DIR); } catch (_) { return pages; }
@@ -354,9 +629,11 @@ function matchPageRoute(pages, method, pathname, parsedUrl) {
   return null;
 }
 
-// Initialize pages
-loadedPages = loadPages();
-console.log(`📄 Loaded ${loadedPages.length} page(s): ${loadedPages.map(p => p.icon + ' ' + p.title).join(', ') || 'none'}`);
+// Initialize pages (not needed by the administration commands)
+if (!COMMAND) {
+  loadedPages = loadPages();
+  console.log(`📄 Loaded ${loadedPages.length} page(s): ${loadedPages.map(p => p.icon + ' ' + p.title).join(', ') || 'none'}`);
+}
 
 // ─────────────────────────────────────────────
 // System Stats Collection (cached, tiered intervals)
@@ -470,16 +747,48 @@ const MIME_TYPES = {
   '.map': 'application/json' // For sourcemaps
 };
 
-const CONFIG_FILE = path.join(__dirname, 'config.json');
-const AUTH_FILE = path.join(__dirname, 'auth.json');
-const SECRETS_FILE = path.join(__dirname, 'secrets.json');
+const CONFIG_FILE = path.join(DATA_ROOT, 'config.json');
+const AUTH_FILE = path.join(DATA_ROOT, 'auth.json');
+const SECRETS_FILE = path.join(DATA_ROOT, 'secrets.json');
 
 // ─────────────────────────────────────────────
 // Security helpers
 // ─────────────────────────────────────────────
 
-function hashPin(pin) {
-  return crypto.createHash('sha256').update(pin).digest('hex');
+// The PIN and user passwords are stored as "scrypt$N$r$p$<salt>$<hash>". PIN hashes
+// from older versions are unsalted SHA-256 hex and are upgraded on the next login.
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+function scryptAsync(secret, salt, keylen, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(secret, salt, keylen, params, (err, key) => err ? reject(err) : resolve(key));
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scryptAsync(String(password), salt, 64, SCRYPT_PARAMS);
+  return `scrypt$${N}$${r}$${p}$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || !password || typeof stored !== 'string') return false;
+  if (!stored.startsWith('scrypt$')) {
+    const actual = crypto.createHash('sha256').update(password).digest();
+    const expected = Buffer.from(stored, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(actual, expected);
+  }
+  const [, N, r, p, saltHex, hashHex] = stored.split('$');
+  const expected = Buffer.from(hashHex || '', 'hex');
+  if (!expected.length) return false;
+  const params = { ...SCRYPT_PARAMS, N: Number(N), r: Number(r), p: Number(p) };
+  const actual = await scryptAsync(password, Buffer.from(saltHex, 'hex'), expected.length, params);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function passwordNeedsRehash(stored) {
+  return typeof stored === 'string' && !stored.startsWith(`scrypt$${SCRYPT_PARAMS.N}$${SCRYPT_PARAMS.r}$${SCRYPT_PARAMS.p}$`);
 }
 
 function readJsonFile(filepath, fallback) {
@@ -491,12 +800,648 @@ function writeJsonFile(filepath, data) {
 }
 
 function getAuth() { return readJsonFile(AUTH_FILE, {}); }
-function getSecrets() { return readJsonFile(SECRETS_FILE, {}); }
 
-const SENSITIVE_KEYS = ['apiKey', 'api_key', 'token', 'secret', 'password', 'icalUrl'];
+// ─────────────────────────────────────────────
+// Encrypted secrets store
+// ─────────────────────────────────────────────
+
+// secrets.json holds one AES-256-GCM envelope around the { widgetKey: { prop: value } }
+// map. The master key comes from LOBSTERBOARD_SECRETS_KEY, or else from the key
+// file (LOBSTERBOARD_SECRETS_KEY_FILE, default secrets.key), which is generated on
+// first use. The key file is re-read on every access, so a running server picks
+// up a key rotated by `lobsterboard secrets rotate`.
+const SECRETS_KEY_FILE = SETTINGS.secretsKeyFile;
+const SECRETS_CIPHER = 'aes-256-gcm';
+const derivedSecretsKeys = new Map();
+
+function generateSecretsKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+function writeSecretsKeyFile(material) {
+  fs.writeFileSync(SECRETS_KEY_FILE, material + '\n', { mode: 0o600 });
+}
+
+/** The master key and where it came from: { material, source: 'env' | 'file' } */
+function getSecretsKey() {
+  if (SETTINGS.secretsKey) {
+    return { material: SETTINGS.secretsKey, source: 'env' };
+  }
+  let material = '';
+  try { material = fs.readFileSync(SECRETS_KEY_FILE, 'utf8').trim(); } catch (_) {}
+  if (!material) {
+    material = generateSecretsKey();
+    writeSecretsKeyFile(material);
+    console.log(`[secrets] Generated a master key in ${SECRETS_KEY_FILE} — back it up, secrets.json cannot be read without it`);
+  }
+  return { material, source: 'file' };
+}
+
+/** 256-bit cipher key from a generated key or any passphrase (scrypt is slow, so cached) */
+function deriveSecretsKey(material) {
+  if (!derivedSecretsKeys.has(material)) {
+    derivedSecretsKeys.set(material, crypto.scryptSync(material, 'lobsterboard-secrets', 32));
+  }
+  return derivedSecretsKeys.get(material);
+}
+
+// Short fingerprint stored with the envelope, so a wrong key gets a clear error
+function secretsKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+function isEncryptedSecrets(data) {
+  return !!data && data.algorithm === SECRETS_CIPHER && typeof data.ciphertext === 'string';
+}
+
+function encryptSecrets(secrets, material) {
+  const key = deriveSecretsKey(material);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(SECRETS_CIPHER, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+  return {
+    algorithm: SECRETS_CIPHER,
+    keyId: secretsKeyId(key),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+function decryptSecrets(envelope, material) {
+  const key = deriveSecretsKey(material);
+  if (envelope.keyId && envelope.keyId !== secretsKeyId(key)) {
+    throw new Error('secrets.json was encrypted with a different master key');
+  }
+  try {
+    const decipher = crypto.createDecipheriv(SECRETS_CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (_) {
+    throw new Error('secrets.json could not be decrypted (wrong master key or damaged file)');
+  }
+}
+
+function getSecrets() {
+  const data = readJsonFile(SECRETS_FILE, {});
+  // Plaintext files from older versions are encrypted by initSecretsStore() on start
+  return isEncryptedSecrets(data) ? decryptSecrets(data, getSecretsKey().material) : data;
+}
+
+function saveSecrets(secrets, material = getSecretsKey().material) {
+  const tmp = SECRETS_FILE + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(encryptSecrets(secrets, material), null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, SECRETS_FILE);
+}
+
+/** On start: check the master key opens secrets.json, and encrypt a plaintext one */
+function initSecretsStore() {
+  if (!fs.existsSync(SECRETS_FILE)) return;
+  const data = readJsonFile(SECRETS_FILE, null);
+  if (data === null) throw new Error('secrets.json is not valid JSON');
+  if (isEncryptedSecrets(data)) {
+    decryptSecrets(data, getSecretsKey().material);
+    return;
+  }
+  saveSecrets(data);
+  console.log(`[secrets] Encrypted plaintext secrets.json (${Object.keys(data).length} widget${Object.keys(data).length === 1 ? '' : 's'})`);
+}
+
+/**
+ * Re-encrypt secrets.json under a new master key. With a key file the new key is
+ * generated (or taken from LOBSTERBOARD_SECRETS_NEW_KEY) and written to the file;
+ * with LOBSTERBOARD_SECRETS_KEY the new key must come from LOBSTERBOARD_SECRETS_NEW_KEY.
+ */
+function rotateSecretsKey() {
+  const current = getSecretsKey();
+  const secrets = getSecrets();
+  const material = process.env.LOBSTERBOARD_SECRETS_NEW_KEY || (current.source === 'file' ? generateSecretsKey() : null);
+  if (!material) {
+    throw new Error('The master key comes from LOBSTERBOARD_SECRETS_KEY; set LOBSTERBOARD_SECRETS_NEW_KEY to the new key');
+  }
+  if (material === current.material) throw new Error('The new master key is the same as the current one');
+
+  if (current.source === 'file') {
+    // Keep the old key until secrets.json is rewritten, so an interrupted
+    // rotation can be recovered by restoring secrets.key.old
+    const backup = SECRETS_KEY_FILE + '.old';
+    fs.copyFileSync(SECRETS_KEY_FILE, backup);
+    writeSecretsKeyFile(material);
+    saveSecrets(secrets, material);
+    fs.unlinkSync(backup);
+  } else {
+    saveSecrets(secrets, material);
+  }
+  return { widgets: Object.keys(secrets).length, source: current.source };
+}
+
+function runSecretsCommand(args) {
+  if (args[0] !== 'rotate') {
+    console.error('Usage: lobsterboard secrets rotate');
+    return 1;
+  }
+  try {
+    const { widgets, source } = rotateSecretsKey();
+    recordAudit(null, 'secrets.rotate', { details: { widgets, source } });
+    console.log(`[secrets] Re-encrypted secrets for ${widgets} widget${widgets === 1 ? '' : 's'} with a new master key`);
+    console.log(source === 'file'
+      ? `[secrets] The new key is in ${SECRETS_KEY_FILE}; running servers pick it up automatically`
+      : '[secrets] Restart the server with LOBSTERBOARD_SECRETS_KEY (or "secretsKey" in the settings file) set to the new key');
+    return 0;
+  } catch (e) {
+    console.error(`[secrets] ${e.message}`);
+    return 1;
+  }
+}
+
+// ─────────────────────────────────────────────
+// HTTPS, reverse proxies & base path
+// ─────────────────────────────────────────────
+
+// HTTPS is on when LOBSTERBOARD_TLS_CERT and LOBSTERBOARD_TLS_KEY name PEM files,
+// or with LOBSTERBOARD_TLS=self-signed, which generates a certificate for this
+// machine's names and LAN addresses under tls/ (renewed shortly before it expires).
+const TLS_CERT_FILE = SETTINGS.tlsCert;
+const TLS_KEY_FILE = SETTINGS.tlsKey;
+const TLS_MODE = SETTINGS.tls;
+const SELF_SIGNED_DIR = path.join(DATA_ROOT, 'tls');
+const SELF_SIGNED_DAYS = 365;
+const SELF_SIGNED_RENEW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// X-Forwarded-For/-Proto/-Host are only believed when the connection comes from
+// an address in LOBSTERBOARD_TRUST_PROXY: a comma-separated list of IPs and CIDR
+// ranges, or "loopback" for a proxy on the same machine.
+const TRUSTED_PROXIES = parseTrustedProxies(SETTINGS.trustProxy);
+
+// LOBSTERBOARD_BASE_PATH (e.g. /board) serves LobsterBoard under a prefix. Requests
+// are accepted with or without it, so the proxy may strip it or pass it through.
+const BASE_PATH = SETTINGS.basePath.trim().replace(/\/+$/, '').replace(/^(?=[^/])/, '/');
+
+function isValidBasePath(basePath) {
+  return basePath === '' || /^(\/[A-Za-z0-9._~-]+)+$/.test(basePath);
+}
+
+/** Read the configured certificate, or the self-signed one; null for plain HTTP */
+function loadTlsOptions() {
+  if (TLS_CERT_FILE || TLS_KEY_FILE) {
+    if (!TLS_CERT_FILE || !TLS_KEY_FILE) throw new Error('Set both the certificate and the key (tlsCert and tlsKey, or LOBSTERBOARD_TLS_CERT and LOBSTERBOARD_TLS_KEY)');
+    return { cert: fs.readFileSync(TLS_CERT_FILE), key: fs.readFileSync(TLS_KEY_FILE) };
+  }
+  if (!TLS_MODE) return null;
+  if (TLS_MODE !== 'self-signed') throw new Error(`Unknown tls setting "${TLS_MODE}" (expected "self-signed")`);
+
+  const certFile = path.join(SELF_SIGNED_DIR, 'cert.pem');
+  const keyFile = path.join(SELF_SIGNED_DIR, 'key.pem');
+  try {
+    const cert = fs.readFileSync(certFile);
+    const key = fs.readFileSync(keyFile);
+    if (new Date(new crypto.X509Certificate(cert).validTo) - Date.now() > SELF_SIGNED_RENEW_MS) return { cert, key };
+  } catch (_) {}
+
+  const names = selfSignedNames();
+  const generated = generateSelfSignedCertificate(names);
+  fs.mkdirSync(SELF_SIGNED_DIR, { recursive: true });
+  fs.writeFileSync(keyFile, generated.key, { mode: 0o600 });
+  fs.writeFileSync(certFile, generated.cert);
+  console.log(`[tls] Generated a self-signed certificate for ${names.join(', ')} in ${SELF_SIGNED_DIR}`);
+  return generated;
+}
+
+/** localhost, the hostname and every IPv4 address of this machine */
+function selfSignedNames() {
+  const names = new Set(['localhost', os.hostname(), '127.0.0.1']);
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    for (const a of addresses || []) {
+      if (a.family === 'IPv4' || a.family === 4) names.add(a.address);
+    }
+  }
+  if (net.isIPv4(HOST) && HOST !== '0.0.0.0') names.add(HOST);
+  return [...names];
+}
+
+// Minimal DER encoding — just enough X.509 to issue a self-signed certificate
+function derEncode(tag, ...parts) {
+  const body = Buffer.concat(parts);
+  const length = [];
+  for (let n = body.length; n > 0; n = Math.floor(n / 256)) length.unshift(n & 0xff);
+  const header = body.length < 0x80 ? [tag, body.length] : [tag, 0x80 | length.length, ...length];
+  return Buffer.concat([Buffer.from(header), body]);
+}
+
+function derOid(oid) {
+  const [first, second, ...rest] = oid.split('.').map(Number);
+  const bytes = [40 * first + second];
+  for (const n of rest) {
+    const encoded = [n & 0x7f];
+    for (let v = Math.floor(n / 128); v > 0; v = Math.floor(v / 128)) encoded.unshift(0x80 | (v & 0x7f));
+    bytes.push(...encoded);
+  }
+  return derEncode(0x06, Buffer.from(bytes));
+}
+
+function derTime(date) {
+  const stamp = date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+  // UTCTime until 2049, GeneralizedTime after
+  return date.getUTCFullYear() < 2050 ? derEncode(0x17, Buffer.from(stamp.slice(2))) : derEncode(0x18, Buffer.from(stamp));
+}
+
+function generateSelfSignedCertificate(names) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const seq = (...parts) => derEncode(0x30, ...parts);
+  const signatureAlgorithm = seq(derOid('1.2.840.113549.1.1.11'), Buffer.from([0x05, 0x00])); // sha256WithRSAEncryption
+  const name = seq(derEncode(0x31, seq(derOid('2.5.4.3'), derEncode(0x0c, Buffer.from('LobsterBoard')))));
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+  const notBefore = new Date(Date.now() - 60 * 60 * 1000);
+  const notAfter = new Date(Date.now() + SELF_SIGNED_DAYS * 24 * 60 * 60 * 1000);
+  const altNames = names.map(n => net.isIPv4(n)
+    ? derEncode(0x87, Buffer.from(n.split('.').map(Number)))
+    : derEncode(0x82, Buffer.from(n)));
+  const extensions = derEncode(0xa3, seq(
+    seq(derOid('2.5.29.17'), derEncode(0x04, seq(...altNames))), // subjectAltName
+    seq(derOid('2.5.29.37'), derEncode(0x04, seq(derOid('1.3.6.1.5.5.7.3.1')))) // extKeyUsage: serverAuth
+  ));
+  const tbsCertificate = seq(
+    derEncode(0xa0, derEncode(0x02, Buffer.from([2]))), // v3
+    derEncode(0x02, serial),
+    signatureAlgorithm,
+    name,
+    seq(derTime(notBefore), derTime(notAfter)),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    extensions
+  );
+  const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+  const certificate = seq(tbsCertificate, signatureAlgorithm, derEncode(0x03, Buffer.from([0]), signature));
+  const pem = certificate.toString('base64').match(/.{1,64}/g).join('\n');
+  return {
+    cert: `-----BEGIN CERTIFICATE-----\n${pem}\n-----END CERTIFICATE-----\n`,
+    key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+}
+
+function parseTrustedProxies(value) {
+  const list = new net.BlockList();
+  let count = 0;
+  for (const entry of value.split(',').map(s => s.trim()).filter(Boolean)) {
+    try {
+      if (entry === 'loopback') {
+        list.addSubnet('127.0.0.0', 8, 'ipv4');
+        list.addAddress('::1', 'ipv6');
+      } else {
+        const [address, prefix] = entry.split('/');
+        const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+        if (!type || (prefix !== undefined && !/^\d+$/.test(prefix))) throw new Error('not an IP address or CIDR range');
+        if (prefix === undefined) list.addAddress(address, type);
+        else list.addSubnet(address, parseInt(prefix, 10), type);
+      }
+      count++;
+    } catch (e) {
+      console.warn(`[proxy] Ignoring trusted proxy "${entry}": ${e.message}`);
+    }
+  }
+  return count ? list : null;
+}
+
+/** "::ffff:10.0.0.5" (IPv4 on a dual-stack socket) → "10.0.0.5" */
+function plainAddress(address) {
+  return address && address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+}
+
+function isTrustedProxy(address) {
+  if (!TRUSTED_PROXIES || !net.isIP(address)) return false;
+  return TRUSTED_PROXIES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function forwardedHeader(req, name) {
+  if (!isTrustedProxy(plainAddress(req.socket.remoteAddress))) return '';
+  return (req.headers[name] || '').split(',')[0].trim();
+}
+
+/** The browser's address: the connection's, or the nearest untrusted hop of X-Forwarded-For */
+function getClientAddress(req) {
+  const peer = plainAddress(req.socket.remoteAddress) || 'unknown';
+  if (!isTrustedProxy(peer)) return peer;
+  const hops = (req.headers['x-forwarded-for'] || '').split(',').map(s => plainAddress(s.trim())).filter(Boolean);
+  // Entries left of the first untrusted hop could have been made up by the client
+  for (let i = hops.length - 1; i >= 0; i--) {
+    if (!isTrustedProxy(hops[i])) return hops[i];
+  }
+  return hops[0] || peer;
+}
+
+/** Whether the browser is talking HTTPS — to us directly or to a trusted proxy */
+function isSecureRequest(req) {
+  return !!req.socket.encrypted || forwardedHeader(req, 'x-forwarded-proto').toLowerCase() === 'https';
+}
+
+/** Origin as the browser sees it */
+function getRequestOrigin(req) {
+  const host = forwardedHeader(req, 'x-forwarded-host') || req.headers.host || `${HOST}:${PORT}`;
+  return `${isSecureRequest(req) ? 'https' : 'http'}://${host}`;
+}
+
+/** Path below BASE_PATH; unprefixed paths pass through for proxies that strip it */
+function stripBasePath(pathname) {
+  if (BASE_PATH && pathname.startsWith(BASE_PATH + '/')) return pathname.slice(BASE_PATH.length);
+  return pathname;
+}
+
+/**
+ * HTML served under a base path: root-relative src/href/action attributes get
+ * the prefix, and js/base-path.js does the same for fetch() and EventSource.
+ */
+function withBasePath(html) {
+  if (!BASE_PATH) return html;
+  const script = `<script>window.LOBSTERBOARD_BASE_PATH = ${JSON.stringify(BASE_PATH)};</script><script src="${BASE_PATH}/js/base-path.js"></script>`;
+  const rewritten = html.toString().replace(/(\s(?:src|href|action)=["'])\/(?!\/)/g, `$1${BASE_PATH}/`);
+  return /<head[^>]*>/i.test(rewritten) ? rewritten.replace(/<head[^>]*>/i, tag => tag + script) : script + rewritten;
+}
+
+// ─────────────────────────────────────────────
+// Users, roles & sessions
+// Logging in (PIN, or username/password once user accounts exist) issues an
+// HttpOnly session cookie carrying a role; requiredRole() maps each route to
+// the role it needs. Sessions are kept in memory; a restart logs everyone out.
+// ─────────────────────────────────────────────
+const USERS_FILE = path.join(DATA_ROOT, 'users.json');
+const ROLES = ['viewer', 'editor', 'admin'];
+const SESSION_COOKIE = 'lb_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const MAX_LOGIN_FAILURES = 5;
+const LOCKOUT_BASE_MS = 60 * 1000; // doubles with each lockout in a row
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+const sessions = new Map(); // token -> { username, role, createdAt, expiresAt }
+const loginFailures = new Map(); // client address -> { count, lockouts, lockedUntil }
+
+/** Users as stored in users.json: [{ username, role, passwordHash, createdAt }] */
+function getUsers() { return readJsonFile(USERS_FILE, []); }
+function saveUsers(users) { writeJsonFile(USERS_FILE, users); }
+
+function publicUser(user) {
+  return { username: user.username, role: user.role, createdAt: user.createdAt || null };
+}
+
+function isValidUsername(username) {
+  return typeof username === 'string' && /^[a-z0-9][a-z0-9._-]{0,31}$/.test(username);
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    const name = part.slice(0, eq).trim();
+    try { cookies[name] = decodeURIComponent(part.slice(eq + 1).trim()); } catch (_) {}
+  }
+  return cookies;
+}
+
+/** Scoped to the base path; Secure whenever the browser reached us over HTTPS */
+function sessionCookie(req, value, maxAgeSeconds) {
+  const secure = isSecureRequest(req) ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${value}; HttpOnly; SameSite=Strict; Path=${BASE_PATH}/; Max-Age=${maxAgeSeconds}${secure}`;
+}
+
+/** Start a session; username is null for a PIN login, which acts as admin */
+function createSession(req, res, username = null, role = 'admin') {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  sessions.set(token, { username, role, createdAt: now, expiresAt: now + SESSION_TTL_MS });
+  res.setHeader('Set-Cookie', sessionCookie(req, token, Math.floor(SESSION_TTL_MS / 1000)));
+  return token;
+}
+
+function getSession(req) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  const session = token && sessions.get(token);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) { sessions.delete(token); return null; }
+  return session;
+}
+
+function destroySession(req, res) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (token) sessions.delete(token);
+  res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+}
+
+/** Drop every session of one user (after a role change, password reset or deletion) */
+function endUserSessions(username) {
+  for (const [token, session] of sessions) {
+    if (session.username === username) sessions.delete(token);
+  }
+}
+
+/**
+ * Who is making the request: an API token (Authorization: Bearer), the
+ * session's user, an implicit admin when neither a PIN nor user accounts are
+ * configured, or null (anonymous). A token user carries `token` with its scope.
+ */
+function getRequestUser(req) {
+  const bearer = getBearerToken(req);
+  if (bearer !== null) {
+    const token = findApiToken(bearer);
+    if (!token) return null;
+    touchApiToken(token);
+    return { username: null, role: TOKEN_SCOPE_ROLES[token.scope], token: { id: token.id, name: token.name, scope: token.scope } };
+  }
+  const session = getSession(req);
+  if (session) return { username: session.username, role: session.role };
+  if (!getAuth().pinHash && getUsers().length === 0) return { username: null, role: 'admin' };
+  return null;
+}
+
+/**
+ * What a request needs, or null when anyone may make it: 'read' (dashboards
+ * and widget data), 'write-config' (layouts), 'write-data' (notes, todos, page
+ * data, Todoist and Telegram) or 'admin'. The page itself, its scripts and the
+ * login routes stay open so the login form can load. A write not listed here
+ * needs write-data, so a new route is never open by accident.
+ */
+function requiredScope(method, pathname) {
+  if (pathname === '/api/users' || pathname.startsWith('/api/users/')) return 'admin';
+  if (pathname === '/api/tokens' || pathname.startsWith('/api/tokens/')) return 'admin';
+  if (pathname === '/api/audit') return 'admin';
+  if (method === 'OPTIONS') return null;
+  if (method === 'GET' || method === 'HEAD') {
+    const isDataRead = pathname === '/config' || pathname === '/metrics' ||
+      (pathname.startsWith('/api/') && !pathname.startsWith('/api/auth/'));
+    return isDataRead ? 'read' : null;
+  }
+  if (pathname === '/api/templates/import') return 'write-config';
+  if (pathname.startsWith('/api/secrets/') ||
+      pathname.startsWith('/api/templates/') ||
+      pathname === '/api/auth/set-pin' ||
+      pathname === '/api/auth/remove-pin') return 'admin';
+  if (pathname === '/config' ||
+      pathname.startsWith('/api/dashboards') ||
+      pathname.startsWith('/api/config/rollback/')) return 'write-config';
+  // Logging in and out, validating a config, and /api/mode (which checks the PIN itself)
+  if (pathname === '/api/auth/login' ||
+      pathname === '/api/auth/logout' ||
+      pathname === '/api/config/validate' ||
+      pathname === '/api/mode') return null;
+  return 'write-data';
+}
+
+// Roles need editor for either kind of write; tokens are scoped more narrowly
+const SCOPE_ROLES = { read: 'viewer', 'write-config': 'editor', 'write-data': 'editor', admin: 'admin' };
+
+/** Whether a request user may do something that needs `scope` */
+function isAllowed(user, scope) {
+  if (user.token) return scope === 'read' || user.token.scope === 'admin' || user.token.scope === scope;
+  return hasRole(user, SCOPE_ROLES[scope]);
+}
+
+// ── API tokens ──
+// Headless clients send "Authorization: Bearer lb_…". Only a SHA-256 of each
+// token is stored; the token itself is shown once when it is created.
+const TOKENS_FILE = path.join(DATA_ROOT, 'tokens.json');
+const TOKEN_SCOPES = ['read-only', 'write-config', 'write-data', 'admin'];
+const TOKEN_SCOPE_ROLES = { 'read-only': 'viewer', 'write-config': 'editor', 'write-data': 'editor', admin: 'admin' };
+const TOKEN_TOUCH_INTERVAL_MS = 60 * 1000; // lastUsedAt is written at most once a minute
+
+/** Tokens as stored in tokens.json: [{ id, name, scope, tokenHash, prefix, createdAt, createdBy, lastUsedAt }] */
+function getApiTokens() { return readJsonFile(TOKENS_FILE, []); }
+function saveApiTokens(tokens) { writeJsonFile(TOKENS_FILE, tokens); }
+
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function publicApiToken(token) {
+  const { tokenHash, ...rest } = token;
+  return rest;
+}
+
+/** The bearer token of a request, or null when there is no Authorization: Bearer header */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+function findApiToken(token) {
+  const expected = Buffer.from(hashApiToken(token), 'hex');
+  return getApiTokens().find(t => {
+    const stored = Buffer.from(t.tokenHash || '', 'hex');
+    return stored.length === expected.length && crypto.timingSafeEqual(stored, expected);
+  }) || null;
+}
+
+function touchApiToken(token) {
+  const now = Date.now();
+  if (token.lastUsedAt && now - Date.parse(token.lastUsedAt) < TOKEN_TOUCH_INTERVAL_MS) return;
+  const tokens = getApiTokens();
+  const stored = tokens.find(t => t.id === token.id);
+  if (!stored) return;
+  stored.lastUsedAt = new Date(now).toISOString();
+  saveApiTokens(tokens);
+}
+
+/** Layout, secrets and template changes — blocked for everyone in public mode */
+function isLayoutEditRequest(method, pathname) {
+  if (method === 'GET' || method === 'OPTIONS' || method === 'HEAD') return false;
+  return pathname === '/config' ||
+    pathname.startsWith('/api/secrets/') ||
+    pathname.startsWith('/api/templates/') ||
+    pathname.startsWith('/api/dashboards') ||
+    pathname.startsWith('/api/config/rollback/');
+}
+
+/** Seconds until this client may try to log in again (0 when not locked out) */
+function loginRetryAfter(req) {
+  const entry = loginFailures.get(getClientAddress(req));
+  if (!entry || entry.lockedUntil <= Date.now()) return 0;
+  return Math.ceil((entry.lockedUntil - Date.now()) / 1000);
+}
+
+function recordLoginFailure(req) {
+  const address = getClientAddress(req);
+  const entry = loginFailures.get(address) || { count: 0, lockouts: 0, lockedUntil: 0 };
+  entry.count++;
+  if (entry.count >= MAX_LOGIN_FAILURES) {
+    const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** entry.lockouts, LOCKOUT_MAX_MS);
+    entry.lockedUntil = Date.now() + lockMs;
+    entry.lockouts++;
+    entry.count = 0;
+    console.warn(`[auth] ${MAX_LOGIN_FAILURES} failed login attempts from ${address} — locked out for ${lockMs / 1000}s`);
+  }
+  loginFailures.set(address, entry);
+}
+
+/**
+ * Run a credential check with throttling. On failure the 403/429 response is
+ * sent here and false is returned.
+ */
+async function checkCredentialAttempt(req, res, verify, message) {
+  const retryAfter = loginRetryAfter(req);
+  if (retryAfter) {
+    res.setHeader('Retry-After', String(retryAfter));
+    sendJson(res, 429, { error: `Too many failed attempts. Try again in ${retryAfter}s`, retryAfter });
+    return false;
+  }
+  if (!(await verify())) {
+    recordLoginFailure(req);
+    sendJson(res, 403, { error: message });
+    return false;
+  }
+  loginFailures.delete(getClientAddress(req));
+  return true;
+}
+
+/** Check the PIN in auth.json; a legacy hash is upgraded once the PIN is known to be correct */
+async function checkPinAttempt(req, res, pin, message = 'Incorrect PIN') {
+  const auth = getAuth();
+  if (!(await checkCredentialAttempt(req, res, () => verifyPassword(pin, auth.pinHash), message))) return false;
+  if (passwordNeedsRehash(auth.pinHash)) {
+    auth.pinHash = await hashPassword(pin);
+    writeJsonFile(AUTH_FILE, auth);
+  }
+  return true;
+}
+
+let _dummyPasswordHash = null;
+
+/** Check a username/password; unknown users still cost one hash so timing does not reveal them */
+async function checkUserLogin(req, res, username, password) {
+  const user = getUsers().find(u => u.username === username);
+  if (!_dummyPasswordHash) _dummyPasswordHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+  const ok = await checkCredentialAttempt(req, res,
+    async () => (await verifyPassword(password, user ? user.passwordHash : _dummyPasswordHash)) && !!user,
+    'Incorrect username or password');
+  return ok ? user : null;
+}
+
+// Widget types missing from WIDGETS (removed or unknown) treat these property names as secret
+const FALLBACK_SECRET_KEYS = ['apiKey', 'api_key', 'token', 'secret', 'password'];
+
+/**
+ * Sensitive properties declared by a widget type in js/widgets.js. `secret` ones
+ * are kept in secrets.json and masked in the browser; `private` ones stay in the
+ * config because the widget needs them client-side. Both are reset on export.
+ */
+function widgetSensitiveProperties(type) {
+  const def = WIDGET_DEFINITIONS[type];
+  if (!def) return { secret: FALLBACK_SECRET_KEYS, private: [] };
+  return { secret: def.secretProperties || [], private: def.privateProperties || [] };
+}
+
+function isSecretProperty(type, key) {
+  return widgetSensitiveProperties(type).secret.includes(key);
+}
 
-function isSensitiveKey(key) {
-  return SENSITIVE_KEYS.includes(key);
+// A property still at its widget default (e.g. an example feed URL) is a placeholder, not a secret
+function isDefaultValue(type, key, value) {
+  const def = WIDGET_DEFINITIONS[type];
+  return !!def && !!def.properties && def.properties[key] === value;
 }
 
 function isPublicMode() {
@@ -504,16 +1449,25 @@ function isPublicMode() {
   return auth.publicMode === true;
 }
 
+/**
+ * Secrets are keyed by widget id. Widget ids are only unique within one
+ * dashboard, so widgets on named dashboards are namespaced as "<dashboard>/<widget>".
+ */
+function secretsKeyFor(dashboardId, widgetId) {
+  if (!dashboardId || dashboardId === DEFAULT_DASHBOARD_ID) return widgetId;
+  return `${dashboardId}/${widgetId}`;
+}
+
 /** Mask sensitive fields in config before sending to browser */
-function maskConfig(config) {
+function maskConfig(config, dashboardId) {
   const secrets = getSecrets();
   const masked = JSON.parse(JSON.stringify(config));
   if (masked.widgets) {
     masked.widgets.forEach(w => {
       if (!w.properties) return;
-      const widgetSecrets = secrets[w.id] || {};
+      const widgetSecrets = secrets[secretsKeyFor(dashboardId, w.id)] || {};
       for (const key of Object.keys(w.properties)) {
-        if (isSensitiveKey(key) && (w.properties[key] === '__SECRET__' || widgetSecrets[key])) {
+        if (isSecretProperty(w.type, key) && (w.properties[key] === '__SECRET__' || widgetSecrets[key])) {
           w.properties[key] = '••••••••';
         }
       }
@@ -522,69 +1476,811 @@ function maskConfig(config) {
   return masked;
 }
 
-/** On save: extract sensitive values into secrets.json, replace with __SECRET__ in config */
-function extractSecrets(config) {
+/**
+ * On save: extract sensitive values into secrets.json, replace with __SECRET__ in config.
+ * A widget duplicated in the builder names its original in `secretsFrom`; its
+ * masked values are copied from the original's secrets.
+ */
+function extractSecrets(config, dashboardId) {
   const secrets = getSecrets();
   if (config.widgets) {
     config.widgets.forEach(w => {
+      const copyFrom = typeof w.secretsFrom === 'string' ? secrets[secretsKeyFor(dashboardId, w.secretsFrom)] : null;
+      delete w.secretsFrom;
       if (!w.properties) return;
+      const secretsKey = secretsKeyFor(dashboardId, w.id);
       for (const key of Object.keys(w.properties)) {
-        if (isSensitiveKey(key)) {
+        if (isSecretProperty(w.type, key)) {
           const val = w.properties[key];
-          if (val && val !== '__SECRET__' && val !== '••••••••') {
-            if (!secrets[w.id]) secrets[w.id] = {};
-            secrets[w.id][key] = val;
+          if (val && val !== '__SECRET__' && val !== '••••••••' && !isDefaultValue(w.type, key, val)) {
+            if (!secrets[secretsKey]) secrets[secretsKey] = {};
+            secrets[secretsKey][key] = val;
             w.properties[key] = '__SECRET__';
           } else if (val === '••••••••') {
             // User didn't change it — keep existing secret, restore placeholder
+            if (copyFrom?.[key] && !secrets[secretsKey]?.[key]) {
+              if (!secrets[secretsKey]) secrets[secretsKey] = {};
+              secrets[secretsKey][key] = copyFrom[key];
+            }
             w.properties[key] = '__SECRET__';
           }
         }
       }
     });
   }
-  writeJsonFile(SECRETS_FILE, secrets);
+  saveSecrets(secrets);
   return config;
 }
 
-// Scan templates directory for meta.json files
-function scanTemplates(templatesDir) {
-  const templates = [];
-  try {
-    const dirs = fs.readdirSync(templatesDir);
-    for (const dir of dirs) {
-      if (dir === 'templates.json' || dir === 'README.md' || dir.startsWith('.')) continue;
-      const metaPath = path.join(templatesDir, dir, 'meta.json');
-      if (fs.existsSync(metaPath)) {
-        try {
-          const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
-          templates.push(meta);
-        } catch (_) {}
-      }
+// Widgets leaving this server (template export) get their secret and private
+// properties reset to the widget's defaults, and local URLs replaced with a placeholder.
+// The builder applies the same rules to copied widgets — see stripSensitiveProps in js/builder.js.
+const PRIVATE_IP_REGEX = /^https?:\/\/(10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|localhost|127\.0\.0\.1)/i;
+
+/** Replace local URLs in (nested) properties; returns { result, stripped } */
+function stripPrivateUrls(props) {
+  if (!props || typeof props !== 'object') return { result: props, stripped: false };
+  let stripped = false;
+  const result = Array.isArray(props) ? [...props] : { ...props };
+  for (const key of Object.keys(result)) {
+    if ((key === 'url' || key === 'endpoint') && typeof result[key] === 'string' && PRIVATE_IP_REGEX.test(result[key])) {
+      result[key] = 'http://your-server:port/path';
+      stripped = true;
+    } else if (typeof result[key] === 'object' && result[key] !== null) {
+      const inner = stripPrivateUrls(result[key]);
+      result[key] = inner.result;
+      if (inner.stripped) stripped = true;
     }
-  } catch (_) {}
+  }
+  return { result, stripped };
+}
+
+/** Replace secrets, private properties and local URLs in a widget's properties; returns { result, stripped } */
+function stripSensitiveProps(type, props) {
+  const { result, stripped } = stripPrivateUrls(props);
+  if (!result || typeof result !== 'object') return { result, stripped };
+  const sensitive = widgetSensitiveProperties(type);
+  const defaults = (WIDGET_DEFINITIONS[type] || {}).properties || {};
+  let changed = stripped;
+  for (const key of [...sensitive.secret, ...sensitive.private]) {
+    if (!(key in result)) continue;
+    const placeholder = key in defaults ? defaults[key] : '';
+    if (result[key] !== placeholder) {
+      result[key] = placeholder;
+      changed = true;
+    }
+  }
+  return { result, stripped: changed };
+}
+
+// ─────────────────────────────────────────────
+// Config versioning & migrations
+// Configs without a version field are version 1. CONFIG_MIGRATIONS[n]
+// upgrades a config from version n-1 to n in place and returns what changed.
+// ─────────────────────────────────────────────
+const CONFIG_VERSION = 2;
+
+// Widget types renamed before configs carried a version
+const LEGACY_WIDGET_TYPES = {
+  'lobster': 'lobsterboard-release',
+  'ai-claude': 'ai-usage-claude',
+  'todo': 'todo-list'
+};
+
+const CONFIG_MIGRATIONS = {
+  2(config) {
+    const changes = [];
+    for (const widget of Array.isArray(config.widgets) ? config.widgets : []) {
+      const renamed = widget && LEGACY_WIDGET_TYPES[widget.type];
+      if (!renamed) continue;
+      changes.push(`widget ${widget.id}: type "${widget.type}" → "${renamed}"`);
+      widget.type = renamed;
+    }
+    return changes;
+  }
+};
+
+function configVersionOf(config) {
+  return config.version === undefined ? 1 : config.version;
+}
+
+/**
+ * Upgrade a config to CONFIG_VERSION. Returns { config, from, changes } where
+ * config is a migrated copy. Configs newer than this server throw (statusCode 400);
+ * malformed configs and versions are returned untouched for validation to report.
+ */
+function migrateConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return { config, from: CONFIG_VERSION, changes: [] };
+  const from = configVersionOf(config);
+  if (from === CONFIG_VERSION || !Number.isInteger(from) || from < 1) return { config, from, changes: [] };
+  if (from > CONFIG_VERSION) {
+    const err = new Error(`Config version ${from} is newer than this server supports (${CONFIG_VERSION}) — upgrade LobsterBoard to load it`);
+    err.statusCode = 400;
+    throw err;
+  }
+  const migrated = JSON.parse(JSON.stringify(config));
+  const changes = [];
+  for (let v = from + 1; v <= CONFIG_VERSION; v++) changes.push(...CONFIG_MIGRATIONS[v](migrated));
+  delete migrated.version;
+  return { config: { version: CONFIG_VERSION, ...migrated }, from, changes };
+}
+
+function logMigration(label, from, changes) {
+  if (from === CONFIG_VERSION || changes.length === 0) return;
+  console.log(`[config] Migrated ${label} from version ${from} to ${CONFIG_VERSION}:`);
+  changes.forEach(change => console.log(`[config]   ${change}`));
+}
+
+/**
+ * Migrate then validate an incoming config (save, API, template import).
+ * A too-new version is reported as a validation error on $.version.
+ * Migrations are logged under `label` unless it is omitted.
+ */
+function prepareConfig(config, label) {
+  let migrated;
+  try {
+    migrated = migrateConfig(config);
+  } catch (e) {
+    return { config, errors: [{ path: '$.version', message: e.message }] };
+  }
+  const errors = validateConfig(migrated.config);
+  if (label && errors.length === 0) logMigration(label, migrated.from, migrated.changes);
+  return { config: migrated.config, errors, from: migrated.from, changes: migrated.changes };
+}
+
+// ─────────────────────────────────────────────
+// Config schema & validation
+// The JSON Schema is published at GET /api/schema/config. Widget property
+// schemas are derived from the defaults of each entry in js/widgets.js.
+// ─────────────────────────────────────────────
+const WIDGETS_FILE = path.join(__dirname, 'js', 'widgets.js');
+const MAX_VALIDATION_ERRORS = 50;
+
+// Properties any widget may carry on top of its own defaults
+const COMMON_WIDGET_PROPERTIES = {
+  title: { type: 'string' },
+  showHeader: { type: 'boolean' },
+  widgetFontAdjust: { type: 'number' }
+};
+
+/** js/widgets.js is a browser script; evaluate it in a sandbox to read the definitions */
+function loadWidgetDefinitions() {
+  const sandbox = { window: {}, module: { exports: {} }, console };
+  try {
+    vm.runInNewContext(fs.readFileSync(WIDGETS_FILE, 'utf8'), sandbox, { filename: WIDGETS_FILE });
+    return sandbox.module.exports || {};
+  } catch (e) {
+    console.error('Failed to load widget definitions:', e.message);
+    return {};
+  }
+}
+
+const WIDGET_DEFINITIONS = loadWidgetDefinitions();
+
+function jsonTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function widgetPropertiesSchema(def) {
+  const properties = { ...COMMON_WIDGET_PROPERTIES };
+  for (const [key, defaultValue] of Object.entries(def.properties || {})) {
+    const type = jsonTypeOf(defaultValue);
+    if (['string', 'number', 'boolean', 'array', 'object'].includes(type)) properties[key] = { type };
+  }
+  return { type: 'object', properties };
+}
+
+let _configSchema = null;
+
+function getConfigSchema() {
+  if (_configSchema) return _configSchema;
+  const types = Object.keys(WIDGET_DEFINITIONS);
+  const widgetProps = {};
+  for (const type of types) widgetProps[type] = widgetPropertiesSchema(WIDGET_DEFINITIONS[type]);
+
+  _configSchema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: '/api/schema/config',
+    title: 'LobsterBoard dashboard config',
+    type: 'object',
+    required: ['widgets'],
+    properties: {
+      $schema: { type: 'string' },
+      version: { type: 'integer', minimum: 1, maximum: CONFIG_VERSION },
+      canvas: {
+        type: 'object',
+        required: ['width', 'height'],
+        properties: {
+          width: { type: 'integer', minimum: 1 },
+          height: { anyOf: [{ type: 'integer', minimum: 1 }, { const: 'auto' }] }
+        }
+      },
+      fontScale: { type: 'number', exclusiveMinimum: 0 },
+      gridSize: { type: 'integer', minimum: 0 },
+      theme: { type: 'string' },
+      widgets: { type: 'array', items: { $ref: '#/$defs/widget' } }
+    },
+    $defs: {
+      widget: {
+        type: 'object',
+        required: ['id', 'type', 'x', 'y', 'width', 'height'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          type: types.length ? { type: 'string', enum: types } : { type: 'string' },
+          x: { type: 'number' },
+          y: { type: 'number' },
+          width: { type: 'number', exclusiveMinimum: 0 },
+          height: { type: 'number', exclusiveMinimum: 0 },
+          properties: { type: 'object' },
+          secretsFrom: { type: 'string' }
+        },
+        allOf: types.map(type => ({
+          if: { properties: { type: { const: type } }, required: ['type'] },
+          then: { properties: { properties: { $ref: `#/$defs/widgetProperties/${type}` } } }
+        }))
+      },
+      widgetProperties: widgetProps
+    }
+  };
+  return _configSchema;
+}
+
+function formatJsonPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+function describeSchema(schema) {
+  if (schema.const !== undefined) return JSON.stringify(schema.const);
+  if (schema.enum) return `one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`;
+  return [].concat(schema.type || 'any').join(' or ');
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return jsonTypeOf(value) === 'object';
+    default: return jsonTypeOf(value) === type;
+  }
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by getConfigSchema()
+ * (type, enum, const, required, properties, items, minimum, maximum, exclusiveMinimum,
+ * minLength, anyOf, allOf, if/then, local $ref). Errors are { path, message }.
+ */
+function validateAgainstSchema(schema, value, root = schema, at = '$', errors = []) {
+  if (errors.length >= MAX_VALIDATION_ERRORS) return errors;
+  if (schema.$ref) {
+    schema = schema.$ref.replace(/^#\//, '').split('/').reduce((node, part) => node && node[part], root);
+    if (!schema) return errors;
+  }
+
+  if (schema.type && ![].concat(schema.type).some(t => matchesType(value, t))) {
+    errors.push({ path: at, message: `must be ${describeSchema(schema)}, got ${jsonTypeOf(value)}` });
+    return errors;
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path: at, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `unknown value ${JSON.stringify(value)}` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push({ path: at, message: `must be > ${schema.exclusiveMinimum}` });
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path: at, message: `must not be empty` });
+  }
+  if (schema.anyOf && !schema.anyOf.some(sub => validateAgainstSchema(sub, value, root, at).length === 0)) {
+    errors.push({ path: at, message: `must be ${schema.anyOf.map(describeSchema).join(' or ')}` });
+  }
+  if (jsonTypeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: formatJsonPath(at, key), message: 'is required' });
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) validateAgainstSchema(sub, value[key], root, formatJsonPath(at, key), errors);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateAgainstSchema(schema.items, item, root, formatJsonPath(at, i), errors));
+  }
+  for (const sub of schema.allOf || []) {
+    if (sub.if) {
+      if (validateAgainstSchema(sub.if, value, root, at).length === 0 && sub.then) {
+        validateAgainstSchema(sub.then, value, root, at, errors);
+      }
+    } else {
+      validateAgainstSchema(sub, value, root, at, errors);
+    }
+  }
+  return errors.slice(0, MAX_VALIDATION_ERRORS);
+}
+
+function validateConfig(config) {
+  return validateAgainstSchema(getConfigSchema(), config);
+}
+
+// ─────────────────────────────────────────────
+// Dashboards — multiple named layouts
+// The default dashboard is config.json; named ones live in dashboards/<id>/
+// ─────────────────────────────────────────────
+const DASHBOARDS_DIR = path.join(DATA_ROOT, 'dashboards');
+const DEFAULT_DASHBOARD_ID = 'default';
+
+function emptyConfig() {
+  return { version: CONFIG_VERSION, canvas: { width: 1920, height: 1080 }, widgets: [] };
+}
+
+function isValidDashboardId(id) {
+  return typeof id === 'string' && /^[a-z0-9][a-z0-9-]{0,63}$/.test(id);
+}
+
+function getDashboardConfigPath(id) {
+  if (!id || id === DEFAULT_DASHBOARD_ID) return CONFIG_FILE;
+  return path.join(DASHBOARDS_DIR, id, 'config.json');
+}
+
+function dashboardExists(id) {
+  if (!id || id === DEFAULT_DASHBOARD_ID) return true;
+  return isValidDashboardId(id) && fs.existsSync(getDashboardConfigPath(id));
+}
+
+function readDashboardConfig(id) {
+  return readJsonFile(getDashboardConfigPath(id), emptyConfig());
+}
+
+function writeDashboardConfig(id, config) {
+  const file = getDashboardConfigPath(id);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(config, null, 2));
+}
+
+function getDashboardMeta(id) {
+  if (!id || id === DEFAULT_DASHBOARD_ID) return { id: DEFAULT_DASHBOARD_ID, name: 'Default' };
+  return { id, name: id, ...readJsonFile(path.join(DASHBOARDS_DIR, id, 'meta.json'), {}) };
+}
+
+function summarizeDashboard(id) {
+  const meta = getDashboardMeta(id);
+  const config = readDashboardConfig(id);
+  let updatedAt = null;
+  try { updatedAt = fs.statSync(getDashboardConfigPath(id)).mtime.toISOString(); } catch (_) {}
+  return {
+    id: meta.id,
+    name: meta.name,
+    createdAt: meta.createdAt || null,
+    updatedAt,
+    widgetCount: (config.widgets || []).length
+  };
+}
+
+function listDashboards() {
+  const dashboards = [summarizeDashboard(DEFAULT_DASHBOARD_ID)];
+  let dirs = [];
+  try { dirs = fs.readdirSync(DASHBOARDS_DIR).sort(); } catch (_) {}
+  for (const dir of dirs) {
+    if (dir === DEFAULT_DASHBOARD_ID || !dashboardExists(dir)) continue;
+    dashboards.push(summarizeDashboard(dir));
+  }
+  return dashboards;
+}
+
+/** Drop the namespaced secrets of a deleted dashboard */
+function deleteDashboardSecrets(id) {
+  const secrets = getSecrets();
+  const prefix = id + '/';
+  let changed = false;
+  for (const key of Object.keys(secrets)) {
+    if (key.startsWith(prefix)) { delete secrets[key]; changed = true; }
+  }
+  if (changed) saveSecrets(secrets);
+}
+
+// ─────────────────────────────────────────────
+// Config history — rolling revisions per dashboard
+// Stored as data/config-history/<dashboard>/<rev>.json (secrets stay as __SECRET__)
+// ─────────────────────────────────────────────
+const HISTORY_DIR = path.join(DATA_DIR, 'config-history');
+const HISTORY_LIMIT = 50;
+
+function getHistoryDir(dashboardId) {
+  return path.join(HISTORY_DIR, dashboardId || DEFAULT_DASHBOARD_ID);
+}
+
+/** Revision numbers present for a dashboard, oldest first */
+function listRevisionNumbers(dashboardId) {
+  let files = [];
+  try { files = fs.readdirSync(getHistoryDir(dashboardId)); } catch (_) {}
+  return files
+    .map(f => f.match(/^(\d+)\.json$/))
+    .filter(Boolean)
+    .map(m => parseInt(m[1], 10))
+    .sort((a, b) => a - b);
+}
+
+function readRevision(dashboardId, rev) {
+  return readJsonFile(path.join(getHistoryDir(dashboardId), `${rev}.json`), null);
+}
+
+function recordRevision(dashboardId, config, source) {
+  const dir = getHistoryDir(dashboardId);
+  fs.mkdirSync(dir, { recursive: true });
+  const revs = listRevisionNumbers(dashboardId);
+  const rev = (revs[revs.length - 1] || 0) + 1;
+  writeJsonFile(path.join(dir, `${rev}.json`), {
+    rev,
+    savedAt: new Date().toISOString(),
+    source,
+    widgetCount: (config.widgets || []).length,
+    config
+  });
+  // Drop the oldest revisions beyond the limit
+  for (const old of revs.slice(0, Math.max(0, revs.length + 1 - HISTORY_LIMIT))) {
+    try { fs.unlinkSync(path.join(dir, `${old}.json`)); } catch (_) {}
+  }
+  return rev;
+}
+
+/**
+ * Write a dashboard config and record it as a new revision. If the dashboard
+ * has no history yet, the config being overwritten is captured first so the
+ * very first save can still be rolled back.
+ */
+function saveDashboardConfig(dashboardId, config, source) {
+  const file = getDashboardConfigPath(dashboardId);
+  if (listRevisionNumbers(dashboardId).length === 0 && fs.existsSync(file)) {
+    const previous = readJsonFile(file, null);
+    if (previous) recordRevision(dashboardId, previous, 'initial');
+  }
+  writeDashboardConfig(dashboardId, config);
+  const rev = recordRevision(dashboardId, config, source);
+  notifyConfigChanged(dashboardId, rev, source);
+  return rev;
+}
+
+// ── Live config events ──
+// Builders subscribe to GET /api/config/events?dashboard=<id> (SSE) and get a
+// config-changed event after every save, so wall displays reload by themselves
+// and editors are warned before overwriting someone else's changes.
+const configEventClients = new Map(); // response → dashboard id
+const MAX_CONFIG_EVENT_CLIENTS = 50;
+const CONFIG_EVENT_KEEPALIVE_MS = 30000;
+
+function notifyConfigChanged(dashboardId, rev, source) {
+  const payload = `event: config-changed\ndata: ${JSON.stringify({ dashboard: dashboardId, rev, source, savedAt: new Date().toISOString() })}\n\n`;
+  for (const [res, id] of configEventClients) {
+    if (id !== dashboardId) continue;
+    try { res.write(payload); } catch (_) { configEventClients.delete(res); }
+  }
+}
+
+// Comment lines keep idle connections open through proxies
+setInterval(() => {
+  for (const res of configEventClients.keys()) {
+    try { res.write(': keepalive\n\n'); } catch (_) { configEventClients.delete(res); }
+  }
+}, CONFIG_EVENT_KEEPALIVE_MS);
+
+// ─────────────────────────────────────────────
+// Audit log — append-only record of administrative actions
+// One JSON object per line in data/audit.log:
+// { at, address, user, action, target, details? }. Secret values are never logged.
+// ─────────────────────────────────────────────
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.log');
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 500;
+
+/** Who made a request: a username, "token:<name>", or null for a PIN session or open server */
+function auditUser(req) {
+  const user = getRequestUser(req);
+  if (!user) return null;
+  return user.token ? `token:${user.token.name}` : user.username;
+}
+
+/**
+ * Append an entry. `options.user` overrides the request's user (e.g. on login,
+ * before the session cookie exists); without a request the address is "cli".
+ */
+function recordAudit(req, action, { target = null, details, user } = {}) {
+  const entry = {
+    at: new Date().toISOString(),
+    address: req ? getClientAddress(req) : 'cli',
+    user: user !== undefined ? user : (req ? auditUser(req) : null),
+    action,
+    target
+  };
+  if (details !== undefined) entry.details = details;
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n');
+  } catch (e) {
+    console.error(`[audit] Failed to record ${action}: ${e.message}`);
+  }
+}
+
+/**
+ * Entries matching the filters, newest first, with paging. `action` matches
+ * exactly or by prefix ("auth" matches "auth.login"); since/until are ISO dates.
+ */
+function queryAudit({ action, user, target, since, until, limit, offset }) {
+  let lines = [];
+  try { lines = fs.readFileSync(AUDIT_FILE, 'utf8').split('\n'); } catch (_) {}
+  const sinceTime = since ? Date.parse(since) : NaN;
+  const untilTime = until ? Date.parse(until) : NaN;
+  const matches = [];
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (!lines[i]) continue;
+    let entry;
+    try { entry = JSON.parse(lines[i]); } catch (_) { continue; }
+    if (action && entry.action !== action && !String(entry.action).startsWith(action + '.')) continue;
+    if (user && entry.user !== user) continue;
+    if (target && entry.target !== target) continue;
+    const at = Date.parse(entry.at);
+    if (!isNaN(sinceTime) && at < sinceTime) continue;
+    if (!isNaN(untilTime) && at > untilTime) continue;
+    matches.push(entry);
+  }
+  return { total: matches.length, offset, limit, entries: matches.slice(offset, offset + limit) };
+}
+
+/**
+ * Bring a stored config up to CONFIG_VERSION. An older config the migrations
+ * changed is written back (recorded as `migrate:v<from>`); one they left alone
+ * is only stamped in memory and picks up the version on its next save. A newer
+ * one throws.
+ */
+function upgradeStoredConfig(dashboardId, config) {
+  const { config: migrated, from, changes } = migrateConfig(config);
+  if (migrated === config || changes.length === 0) return migrated;
+  logMigration(`dashboard "${dashboardId}"`, from, changes);
+  saveDashboardConfig(dashboardId, migrated, `migrate:v${from}`);
+  return migrated;
+}
+
+function loadDashboardConfig(id) {
+  return upgradeStoredConfig(id, readDashboardConfig(id));
+}
+
+function listRevisions(dashboardId) {
+  return listRevisionNumbers(dashboardId).reverse().map(rev => {
+    const entry = readRevision(dashboardId, rev) || {};
+    return { rev, savedAt: entry.savedAt || null, source: entry.source || null, widgetCount: entry.widgetCount || 0 };
+  });
+}
+
+/** Widget-level diff between two configs, matched by widget id */
+function diffConfigs(from, to) {
+  const fromWidgets = new Map((from.widgets || []).map(w => [w.id, w]));
+  const toWidgets = new Map((to.widgets || []).map(w => [w.id, w]));
+  const summarize = w => ({ id: w.id, type: w.type, title: (w.properties && w.properties.title) || null });
+  const added = [], removed = [], changed = [];
+
+  for (const [id, w] of toWidgets) {
+    if (!fromWidgets.has(id)) added.push(summarize(w));
+  }
+  for (const [id, w] of fromWidgets) {
+    const other = toWidgets.get(id);
+    if (!other) { removed.push(summarize(w)); continue; }
+    const fields = [];
+    for (const key of ['type', 'x', 'y', 'width', 'height']) {
+      if (w[key] !== other[key]) fields.push(key);
+    }
+    const props = new Set([...Object.keys(w.properties || {}), ...Object.keys(other.properties || {})]);
+    for (const key of props) {
+      if (JSON.stringify((w.properties || {})[key]) !== JSON.stringify((other.properties || {})[key])) {
+        fields.push(`properties.${key}`);
+      }
+    }
+    if (fields.length) changed.push({ ...summarize(other), fields });
+  }
+
+  const settings = [];
+  for (const key of ['canvas', 'fontScale', 'gridSize']) {
+    if (JSON.stringify(from[key]) !== JSON.stringify(to[key])) settings.push(key);
+  }
+  return { added, removed, changed, settings };
+}
+
+// ── Optimistic concurrency ──
+// A config's ETag is its latest revision number. Saves must send it back in
+// If-Match (or * to overwrite regardless); a stale one gets a 409 with both
+// sides' changes so the builder can offer a merge.
+
+/** Latest revision of a dashboard, 0 before its first save */
+function currentRevision(dashboardId) {
+  const revs = listRevisionNumbers(dashboardId);
+  return revs.length ? revs[revs.length - 1] : 0;
+}
+
+function revisionHeaders(rev) {
+  return { ETag: `"${rev}"`, 'Access-Control-Expose-Headers': 'ETag' };
+}
+
+/**
+ * Check a save's If-Match against the dashboard's current revision. Returns
+ * true when the save may go ahead; otherwise the 428/409 has been sent.
+ * `submitted` is the config as the client sent it (masked secrets and all).
+ */
+function checkConfigPrecondition(req, res, dashboardId, submitted) {
+  const ifMatch = req.headers['if-match'];
+  if (!ifMatch) {
+    sendJson(res, 428, { error: 'If-Match header required: send the ETag from GET /config, or * to overwrite' });
+    return false;
+  }
+  if (ifMatch.trim() === '*') return true;
+  const current = currentRevision(dashboardId);
+  const tags = ifMatch.split(',').map(t => t.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'));
+  if (tags.includes(String(current))) return true;
+
+  // Diff both sides against the revision the client started from, if it is still kept
+  const currentConfig = maskConfig(readDashboardConfig(dashboardId), dashboardId);
+  const base = /^\d+$/.test(tags[0]) ? readRevision(dashboardId, tags[0]) : null;
+  const baseConfig = base && maskConfig(base.config, dashboardId);
+  sendJson(res, 409, {
+    error: 'The dashboard was changed by someone else since you loaded it',
+    rev: current,
+    base: base ? base.rev : null,
+    config: currentConfig,
+    mine: baseConfig ? diffConfigs(baseConfig, submitted) : null,
+    theirs: baseConfig ? diffConfigs(baseConfig, currentConfig) : null
+  }, revisionHeaders(current));
+  return false;
+}
+
+// Scan templates directory for meta.json files
+function scanTemplates(templatesDir) {
+  const templates = [];
+  try {
+    const dirs = fs.readdirSync(templatesDir);
+    for (const dir of dirs) {
+      if (dir === 'templates.json' || dir === 'README.md' || dir.startsWith('.')) continue;
+      const metaPath = path.join(templatesDir, dir, 'meta.json');
+      if (fs.existsSync(metaPath)) {
+        try {
+          const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+          templates.push(meta);
+        } catch (_) {}
+      }
+    }
+  } catch (_) {}
   return templates;
 }
 
-// Release check cache (1 hour TTL)
-let _releaseCache = null;
-let _releaseCacheTime = 0;
-let _lbReleaseCache = null;
-let _lbReleaseCacheTime = 0;
+// Templates shipped with LobsterBoard stay in the package; exported ones are
+// saved in the data root, where one with the same id shadows a shipped one
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, 'templates');
+const USER_TEMPLATES_DIR = path.join(DATA_ROOT, 'templates');
+
+function listTemplates() {
+  const byId = new Map();
+  for (const dir of [BUILTIN_TEMPLATES_DIR, USER_TEMPLATES_DIR]) {
+    for (const meta of scanTemplates(dir)) byId.set(meta.id, meta);
+  }
+  return [...byId.values()];
+}
+
+/** Folder of the template with this id (exported first, then shipped), or null */
+function findTemplateDir(id) {
+  if (!/^[\w-][\w.-]*$/.test(id)) return null;
+  for (const dir of [USER_TEMPLATES_DIR, BUILTIN_TEMPLATES_DIR]) {
+    if (fs.existsSync(path.join(dir, id))) return path.join(dir, id);
+  }
+  return null;
+}
+
+/** Append a template's widgets below the dashboard's own, with fresh ids */
+function mergeTemplate(currentConfig, tplConfig) {
+  // Find max Y of existing widgets
+  let maxY = 0;
+  for (const w of (currentConfig.widgets || [])) {
+    const bottom = (w.y || 0) + (w.height || 100);
+    if (bottom > maxY) maxY = bottom;
+  }
+  const offset = maxY + 100;
+  const added = (tplConfig.widgets || []).map(w => ({
+    ...w,
+    id: w.id + '-tpl-' + Date.now(),
+    y: (w.y || 0) + offset
+  }));
+  return { config: { ...currentConfig, widgets: [...(currentConfig.widgets || []), ...added] }, added };
+}
+
+/**
+ * Save a dashboard as a template in the data root, with the id derived from
+ * its name. Sensitive widget properties are stripped.
+ */
+function exportTemplate(dashboard, { name, description, author, tags, widgetTypes }) {
+  const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (!id) throw new Error('The name needs at least one letter or digit');
+  const tplDir = path.join(USER_TEMPLATES_DIR, id);
+  fs.mkdirSync(tplDir, { recursive: true });
+
+  // Read current config and strip sensitive data
+  const config = loadDashboardConfig(dashboard);
+
+  const cleanWidgets = (config.widgets || []).map(w => {
+    const cleaned = { ...w };
+    if (cleaned.properties) {
+      const { result, stripped } = stripSensitiveProps(w.type, cleaned.properties);
+      cleaned.properties = result;
+      if (stripped) cleaned._templateNote = '⚠️ Configure this widget\'s settings after import';
+    }
+    return cleaned;
+  });
+
+  const cleanConfig = { version: CONFIG_VERSION, canvas: config.canvas, widgets: cleanWidgets };
+  fs.writeFileSync(path.join(tplDir, 'config.json'), JSON.stringify(cleanConfig, null, 2));
+
+  const canvasSize = config.canvas ? `${config.canvas.width}x${config.canvas.height}` : '1920x1080';
+  const meta = {
+    id,
+    name,
+    description: description || '',
+    author: author || 'anonymous',
+    tags: tags || [],
+    canvasSize,
+    widgetCount: cleanWidgets.length,
+    widgetTypes: widgetTypes || [],
+    requiresSetup: [],
+    preview: 'preview.png'
+  };
+  fs.writeFileSync(path.join(tplDir, 'meta.json'), JSON.stringify(meta, null, 2));
+  return meta;
+}
 
 function sendResponse(res, statusCode, contentType, data, extraHeaders = {}) {
   res.writeHead(statusCode, { 'Content-Type': contentType, ...extraHeaders });
   res.end(data);
 }
 
-function sendJson(res, statusCode, data) {
-  sendResponse(res, statusCode, 'application/json', JSON.stringify(data), { 'Access-Control-Allow-Origin': '*' });
+function sendJson(res, statusCode, data, extraHeaders = {}) {
+  sendResponse(res, statusCode, 'application/json', JSON.stringify(data), { 'Access-Control-Allow-Origin': '*', ...extraHeaders });
 }
 
 function sendError(res, message, statusCode = 500) {
   sendJson(res, statusCode, { status: 'error', message });
 }
 
+// A URL path segment, decoded; null when its %-escapes are malformed
+function decodePathSegment(segment) {
+  try { return decodeURIComponent(segment); } catch (_) { return null; }
+}
+
+/** Collect a request body and parse it as JSON; rejects with err.statusCode set */
+function readJsonBody(req, maxBytes = 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let overflow = false;
+    req.on('data', chunk => {
+      if (overflow) return;
+      body += chunk.toString();
+      if (body.length > maxBytes) {
+        overflow = true;
+        const err = new Error('Request body too large');
+        err.statusCode = 413;
+        reject(err);
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (overflow) return;
+      try { resolve(body ? JSON.parse(body) : {}); } catch (e) {
+        const err = new Error(`Invalid JSON in request body: ${e.message}`);
+        err.statusCode = 400;
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
 // Parse iCal (.ics) text into sorted upcoming events
 function parseIcal(text, maxEvents) {
   const now = new Date();
@@ -659,38 +2355,752 @@ function parseIcal(text, maxEvents) {
   return events.slice(0, maxEvents);
 }
 
-const server = http.createServer(async (req, res) => {
-  const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
-  const pathname = parsedUrl.pathname;
+// ─────────────────────────────────────────────
+// HTTP proxy — outbound requests for /api/proxy and the data sources
+// The data sources may fetch any public host; /api/proxy only fetches hosts in
+// the allowlist, LOBSTERBOARD_PROXY_HOSTS. Private and internal addresses (checked on the
+// URL and again on what the name resolves to, for every redirect) are refused
+// unless the host is allowlisted and LOBSTERBOARD_PROXY_ALLOW_PRIVATE is on,
+// e.g. for a Home Assistant or Pi-hole on the LAN.
+// ─────────────────────────────────────────────
+
+const PROXY_MAX_BYTES = 5 * 1024 * 1024;
+const PROXY_DEFAULT_CACHE_SECONDS = 60;
+const PROXY_MAX_CACHE_SECONDS = 3600;
+
+const PRIVATE_ADDRESSES = (() => {
+  const list = new net.BlockList();
+  const ranges = [
+    ['0.0.0.0', 8, 'ipv4'], ['10.0.0.0', 8, 'ipv4'], ['100.64.0.0', 10, 'ipv4'], ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'], ['172.16.0.0', 12, 'ipv4'], ['192.168.0.0', 16, 'ipv4'],
+    ['::', 127, 'ipv6'], ['fc00::', 7, 'ipv6'], ['fe80::', 10, 'ipv6']
+  ];
+  for (const [address, prefix, type] of ranges) list.addSubnet(address, prefix, type);
+  return list;
+})();
+
+function isPrivateAddress(address) {
+  const plain = plainAddress(address);
+  return PRIVATE_ADDRESSES.check(plain, net.isIPv6(plain) ? 'ipv6' : 'ipv4');
+}
+
+// Hosts the proxies refuse to fetch from (SSRF protection); names are checked again once resolved
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (net.isIP(host)) return isPrivateAddress(host);
+  return host === 'localhost' || host.endsWith('.localhost');
+}
+
+/** Comma-separated host names, *.wildcards (subdomains only), IP addresses and CIDR ranges */
+function parseProxyAllowlist(value) {
+  const allowlist = { names: [], addresses: new net.BlockList() };
+  for (const entry of value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)) {
+    try {
+      const [address, prefix] = entry.split('/');
+      const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+      if (type) {
+        if (prefix !== undefined && !/^\d+$/.test(prefix)) throw new Error('bad CIDR prefix');
+        if (prefix === undefined) allowlist.addresses.addAddress(address, type);
+        else allowlist.addresses.addSubnet(address, parseInt(prefix, 10), type);
+      } else if (/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(entry)) {
+        allowlist.names.push(entry);
+      } else {
+        throw new Error('not a host name, IP address or CIDR range');
+      }
+    } catch (e) {
+      console.warn(`[proxy] Ignoring allowlist entry "${entry}": ${e.message}`);
+    }
+  }
+  return allowlist;
+}
+
+const PROXY_ALLOWLIST = parseProxyAllowlist(SETTINGS.proxyHosts);
+
+function isAllowlistedHost(hostname) {
+  const host = plainAddress(hostname.replace(/^\[|\]$/g, '').toLowerCase());
+  if (net.isIP(host)) return PROXY_ALLOWLIST.addresses.check(host, net.isIPv6(host) ? 'ipv6' : 'ipv4');
+  return PROXY_ALLOWLIST.names.some(name => name.startsWith('*.') ? host.endsWith(name.slice(1)) : host === name);
+}
+
+/**
+ * Whether one hop may be fetched: { error, statusCode } when refused, otherwise
+ * { allowPrivate } saying whether the name may resolve to a private address.
+ */
+function checkUpstreamUrl(parsed, allowlistOnly) {
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return { error: 'Only http and https URLs are allowed', statusCode: 400 };
+  const allowlisted = isAllowlistedHost(parsed.hostname);
+  if (allowlistOnly && !allowlisted) return { error: `${parsed.hostname} is not in the proxy allowlist`, statusCode: 403 };
+  const allowPrivate = allowlisted && SETTINGS.proxyAllowPrivate;
+  if (!allowPrivate && isPrivateHost(parsed.hostname)) return { error: 'URLs pointing to private/internal addresses are not allowed', statusCode: 400 };
+  return { allowPrivate };
+}
+
+// dns.lookup that refuses private addresses, so a public name can't point into the LAN
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) { callback(err); return; }
+    const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+    if (addresses.some(isPrivateAddress)) {
+      callback(Object.assign(new Error('URLs pointing to private/internal addresses are not allowed'), { code: 'EPRIVATEADDRESS' }));
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * GET an upstream URL, following up to 3 redirects and checking every hop with
+ * checkUpstreamUrl. Headers are only sent to the first URL's origin, since they
+ * may carry a widget's secrets. Resolves to { status, headers, body }, with body
+ * a Buffer when binary is set; rejects with an Error carrying statusCode 400 or
+ * 403 for refused URLs and 502 for upstream failures.
+ */
+function fetchUpstream(url, { headers = {}, maxBytes = 1024 * 1024, timeout = 15000, binary = false, allowlistOnly = false } = {}) {
+  const fail = (message, statusCode = 502) => Object.assign(new Error(message), { statusCode });
+  return new Promise((resolve, reject) => {
+    let origin = null;
+    const get = (target, redirects) => {
+      if (redirects > 3) { reject(fail('Too many redirects')); return; }
+      let parsed;
+      try { parsed = new URL(target); } catch (_) { reject(fail('Invalid URL', 400)); return; }
+      const policy = checkUpstreamUrl(parsed, allowlistOnly);
+      if (policy.error) { reject(fail(policy.error, policy.statusCode)); return; }
+      if (origin === null) origin = parsed.origin;
+      const mod = parsed.protocol === 'https:' ? https : http;
+      const options = {
+        headers: { 'User-Agent': 'LobsterBoard/1.0', ...(parsed.origin === origin ? headers : {}) },
+        timeout,
+        ...(policy.allowPrivate ? {} : { lookup: publicLookup })
+      };
+      const upstream = mod.get(parsed, options, (proxyRes) => {
+        if ([301, 302, 303, 307, 308].includes(proxyRes.statusCode) && proxyRes.headers.location) {
+          proxyRes.resume();
+          get(new URL(proxyRes.headers.location, parsed).href, redirects + 1);
+          return;
+        }
+        const chunks = [];
+        let size = 0;
+        proxyRes.on('data', chunk => {
+          size += chunk.length;
+          if (size > maxBytes) { proxyRes.destroy(); reject(fail(`Response is larger than ${maxBytes} bytes`)); return; }
+          chunks.push(chunk);
+        });
+        proxyRes.on('end', () => {
+          const body = Buffer.concat(chunks);
+          resolve({ status: proxyRes.statusCode, headers: proxyRes.headers, body: binary ? body : body.toString('utf8') });
+        });
+      });
+      upstream.on('error', e => reject(fail(e.message, e.code === 'EPRIVATEADDRESS' ? 400 : 502)));
+      upstream.on('timeout', () => { upstream.destroy(); reject(fail('Request timed out')); });
+    };
+    get(url, 0);
+  });
+}
+
+/**
+ * The request behind GET /api/proxy. {{name}} in the url (URL-encoded) and in
+ * header values is replaced with the widget's saved secret of that name, found
+ * by ?widgetId= (and ?dashboard=). Headers come as repeated ?header=Name: value.
+ * Secrets only go to the origin of the URL saved for the widget, unless the
+ * request comes from an editor (ctx.canEdit).
+ */
+function proxyRequestParams(query, ctx) {
+  const url = query.get('url');
+  if (!url) throw dataSourceError('Missing url parameter');
+  const widgetId = query.get('widgetId');
+  const secrets = (widgetId && getSecrets()[secretsKeyFor(ctx.dashboardId, widgetId)]) || {};
+  let usesSecrets = false;
+  const inject = (text, encode) => text.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (_, key) => {
+    if (typeof secrets[key] !== 'string') throw dataSourceError(`No saved secret "${key}" for this widget`);
+    usesSecrets = true;
+    return encode ? encodeURIComponent(secrets[key]) : secrets[key];
+  });
+  const headers = {};
+  for (const header of query.getAll('header')) {
+    const colon = header.indexOf(':');
+    const name = header.slice(0, colon).trim();
+    const value = header.slice(colon + 1).trim();
+    if (colon === -1 || !/^[A-Za-z0-9-]+$/.test(name) || /[\r\n]/.test(value)) throw dataSourceError(`Invalid header "${header}" (expected Name: value)`);
+    headers[name] = inject(value, false);
+  }
+  const cache = query.has('cache') ? parseInt(query.get('cache')) : PROXY_DEFAULT_CACHE_SECONDS;
+  if (!(cache >= 0 && cache <= PROXY_MAX_CACHE_SECONDS)) throw dataSourceError(`cache must be 0–${PROXY_MAX_CACHE_SECONDS} seconds`);
+  const target = inject(url, true);
+  if (usesSecrets && !ctx.canEdit) {
+    const savedOrigin = widgetSavedOrigin(ctx.dashboardId, widgetId, secrets);
+    let origin = null;
+    try { origin = new URL(target).origin; } catch (_) { throw dataSourceError('Invalid URL'); }
+    if (origin !== savedOrigin) {
+      throw dataSourceError(`This widget's secrets are only sent to ${savedOrigin || 'the URL saved for it'}; other hosts need the editor role`, 403);
+    }
+  }
+  return { url: target, headers, cache };
+}
+
+// The origin of the URL saved for a widget (its url secret, else its url property), or null
+function widgetSavedOrigin(dashboardId, widgetId, secrets) {
+  let url = secrets.url;
+  if (typeof url !== 'string' && dashboardExists(dashboardId)) {
+    const widget = (readDashboardConfig(dashboardId).widgets || []).find(w => w.id === widgetId);
+    url = widget?.properties?.url;
+  }
+  try { return new URL(url).origin; } catch (_) { return null; }
+}
+
+async function proxyRequest(query, ctx) {
+  const params = proxyRequestParams(query, ctx);
+  return cachedLoad('proxy', params, params.cache * 1000, async ({ url, headers }) => {
+    const upstream = await fetchUpstream(url, { headers, maxBytes: PROXY_MAX_BYTES, binary: true, allowlistOnly: true });
+    if (upstream.status >= 400) throw dataSourceError(`Upstream returned HTTP ${upstream.status}`, 502);
+    return { contentType: upstream.headers['content-type'] || 'application/octet-stream', body: upstream.body };
+  });
+}
+
+// ─────────────────────────────────────────────
+// Data sources — shared upstream fetches for widgets (GET /api/data/:source)
+// Each source turns the query into params, which double as the cache key, and
+// loads them. Results are kept for the source's TTL and concurrent requests
+// for one key wait on the same upstream call, so upstream traffic no longer
+// grows with the number of open screens.
+// ─────────────────────────────────────────────
+
+const DATA_CACHE_MAX_ENTRIES = 500;
+// After a failed refresh the last good data is served, marked stale, for this long
+const DATA_STALE_MAX_MS = 24 * 60 * 60 * 1000;
+const DATA_RETRY_MS = 60 * 1000;
+const dataCache = new Map(); // key → { data, fetchedAt, expires, stale, pending }
+
+function dataSourceError(message, statusCode = 400) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+// The widget's saved secret, looked up by ?widgetId= (and ?dashboard=)
+function widgetSecret(query, ctx, key) {
+  const widgetId = query.get('widgetId');
+  return (widgetId && getSecrets()[secretsKeyFor(ctx.dashboardId, widgetId)]?.[key]) || null;
+}
+
+// A query value, or the saved secret when the browser only has the masked placeholder
+function secretQueryParam(query, ctx, name, secretKey) {
+  const value = query.get(name);
+  if (value && value !== '••••••••' && value !== '__SECRET__') return value;
+  return widgetSecret(query, ctx, secretKey);
+}
+
+function requireRepo(query) {
+  const repo = (query.get('repo') || '').trim();
+  if (!/^[\w.-]+\/[\w.-]+$/.test(repo)) throw dataSourceError('Missing or invalid repo (expected owner/name)');
+  return repo;
+}
+
+async function fetchUpstreamJson(url, options) {
+  const { status, body } = await fetchUpstream(url, options);
+  if (status >= 400) throw dataSourceError(`Upstream returned HTTP ${status}`, 502);
+  try { return JSON.parse(body); } catch (_) { throw dataSourceError('Upstream response is not JSON', 502); }
+}
+
+const PROM_MAX_RANGE = 30 * 24 * 60 * 60;
+const PROM_MAX_POINTS = 1000;
+const PROM_DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// A Prometheus-style duration ("90s", "1h30m") or plain seconds; 0 when empty, null when invalid
+function parsePromDuration(value) {
+  const text = String(value || '').trim();
+  if (!text) return 0;
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+  if (!/^(\d+[smhdw])+$/.test(text)) return null;
+  let seconds = 0;
+  for (const [, amount, unit] of text.matchAll(/(\d+)([smhdw])/g)) seconds += parseInt(amount, 10) * PROM_DURATION_UNITS[unit];
+  return seconds;
+}
+
+/**
+ * name → { ttl, params(query, ctx), load(params), pick?(data, query) }.
+ * params validates the query (throwing dataSourceError) and resolves saved
+ * secrets; pick trims the cached data per request.
+ */
+const DATA_SOURCES = {
+  weather: {
+    ttl: 10 * 60 * 1000,
+    params: (query) => {
+      const location = (query.get('location') || '').trim().toLowerCase();
+      if (!location || location.length > 100) throw dataSourceError('Missing or invalid location');
+      return { location };
+    },
+    load: ({ location }) => fetchUpstreamJson(`https://wttr.in/${encodeURIComponent(location)}?format=j1`)
+  },
+
+  rss: {
+    ttl: 10 * 60 * 1000,
+    params: (query, ctx) => {
+      const url = secretQueryParam(query, ctx, 'url', query.get('secretKey') || 'feedUrl');
+      if (!url) throw dataSourceError('Missing url parameter');
+      return { url };
+    },
+    load: async ({ url }) => {
+      const { status, body } = await fetchUpstream(url, { maxBytes: PROXY_MAX_BYTES });
+      if (status >= 400) throw dataSourceError(`Feed returned HTTP ${status}`, 502);
+      return { xml: body };
+    }
+  },
+
+  calendar: {
+    ttl: 5 * 60 * 1000,
+    params: (query, ctx) => {
+      const url = secretQueryParam(query, ctx, 'url', query.get('secretKey') || 'icalUrl');
+      if (!url) throw dataSourceError('Missing url parameter');
+      return { url };
+    },
+    load: async ({ url }) => {
+      const { status, body } = await fetchUpstream(url, { maxBytes: PROXY_MAX_BYTES });
+      if (status >= 400) throw dataSourceError(`Calendar returned HTTP ${status}`, 502);
+      try { return parseIcal(body, 50); } catch (e) { throw dataSourceError('Failed to parse iCal: ' + e.message, 502); }
+    },
+    pick: (events, query) => events.slice(0, Math.min(parseInt(query.get('max')) || 10, 50))
+  },
+
+  github: {
+    ttl: 15 * 60 * 1000,
+    params: (query, ctx) => ({ repo: requireRepo(query), token: widgetSecret(query, ctx, 'apiKey') }),
+    load: async ({ repo, token }) => {
+      const headers = { Accept: 'application/vnd.github+json', ...(token ? { Authorization: `token ${token}` } : {}) };
+      const [info, pulls] = await Promise.all([
+        fetchUpstreamJson(`https://api.github.com/repos/${repo}`, { headers }),
+        fetchUpstream(`https://api.github.com/repos/${repo}/pulls?state=open&per_page=1`, { headers }).catch(() => null)
+      ]);
+      // One PR per page, so the last page number is the open PR count
+      let openPRs = null;
+      if (pulls && pulls.status < 400) {
+        const last = (pulls.headers.link || '').match(/[?&]page=(\d+)>; rel="last"/);
+        try { openPRs = last ? parseInt(last[1]) : JSON.parse(pulls.body).length; } catch (_) {}
+      }
+      return {
+        repo: info.full_name,
+        stars: info.stargazers_count,
+        forks: info.forks_count,
+        openIssues: info.open_issues_count,
+        openPRs,
+        pushedAt: info.pushed_at
+      };
+    }
+  },
+
+  'github-release': {
+    ttl: 60 * 60 * 1000,
+    params: (query) => ({ repo: requireRepo(query) }),
+    load: async ({ repo }) => {
+      const { status, body } = await fetchUpstream(`https://api.github.com/repos/${repo}/releases/latest`, { headers: { Accept: 'application/vnd.github+json' } });
+      // 404 means the repo has no releases yet
+      if (status === 404) return { tag: null, name: null, url: null, publishedAt: null };
+      if (status >= 400) throw dataSourceError(`Upstream returned HTTP ${status}`, 502);
+      const release = JSON.parse(body);
+      return { tag: release.tag_name, name: release.name, url: release.html_url, publishedAt: release.published_at };
+    }
+  },
+
+  crypto: {
+    ttl: 60 * 1000,
+    params: (query) => {
+      const coins = (query.get('coins') || '').toLowerCase().replace(/\s+/g, '');
+      const currency = (query.get('currency') || 'usd').toLowerCase();
+      if (!/^[a-z0-9-]+(,[a-z0-9-]+)*$/.test(coins) || coins.length > 200) throw dataSourceError('Missing or invalid coins');
+      if (!/^[a-z]{2,10}$/.test(currency)) throw dataSourceError('Invalid currency');
+      return { coins, currency };
+    },
+    load: ({ coins, currency }) => fetchUpstreamJson(`https://api.coingecko.com/api/v3/simple/price?ids=${coins}&vs_currencies=${currency}&include_24hr_change=true`)
+  },
+
+  stocks: {
+    ttl: 60 * 1000,
+    params: (query, ctx) => {
+      const symbols = (query.get('symbols') || '').toUpperCase().split(',').map(s => s.trim()).filter(Boolean);
+      if (!symbols.length || symbols.length > 20 || !symbols.every(s => /^[A-Z0-9.:^-]{1,20}$/.test(s))) {
+        throw dataSourceError('Missing or invalid symbols (up to 20, comma-separated)');
+      }
+      const apiKey = widgetSecret(query, ctx, 'apiKey');
+      if (!apiKey) throw dataSourceError('No API key saved for this widget');
+      return { symbols: symbols.join(','), apiKey };
+    },
+    // symbol → { price, previousClose }, or null when Finnhub has no quote
+    load: async ({ symbols, apiKey }) => {
+      const quotes = {};
+      await Promise.all(symbols.split(',').map(async symbol => {
+        const q = await fetchUpstreamJson(`https://finnhub.io/api/v1/quote?symbol=${encodeURIComponent(symbol)}&token=${encodeURIComponent(apiKey)}`);
+        quotes[symbol] = q.c === 0 && q.h === 0 ? null : { price: q.c, previousClose: q.pc };
+      }));
+      return quotes;
+    }
+  },
+
+  json: {
+    ttl: 30 * 1000,
+    params: (query, ctx) => {
+      // A saved URL always wins, so the widget's API key is only ever sent to it
+      const savedUrl = widgetSecret(query, ctx, 'url');
+      const url = savedUrl || secretQueryParam(query, ctx, 'url', 'url');
+      if (!url) throw dataSourceError('Missing url parameter');
+      const header = query.get('header') || 'Authorization';
+      const apiKey = savedUrl ? widgetSecret(query, ctx, 'apiKey') : null;
+      if (apiKey && !/^[A-Za-z0-9-]+$/.test(header)) throw dataSourceError('Invalid header name');
+      return { url, header: apiKey ? header : null, apiKey };
+    },
+    load: ({ url, header, apiKey }) => fetchUpstreamJson(url, { headers: { Accept: 'application/json', ...(apiKey ? { [header]: apiKey } : {}) } })
+  },
+
+  prometheus: {
+    ttl: 15 * 1000,
+    params: (query, ctx) => {
+      // As for json: a saved server URL wins, so the bearer token only goes to it
+      const savedUrl = widgetSecret(query, ctx, 'url');
+      const url = (savedUrl || secretQueryParam(query, ctx, 'url', 'url') || '').replace(/\/+$/, '');
+      if (!url) throw dataSourceError('Missing url parameter (the Prometheus server)');
+      const promql = (query.get('query') || '').trim();
+      if (!promql || promql.length > 4000) throw dataSourceError('Missing or invalid query');
+      const range = parsePromDuration(query.get('range'));
+      if (range === null || range > PROM_MAX_RANGE) throw dataSourceError('Invalid range (e.g. 1h, at most 30d)');
+      let step = 0;
+      if (range) {
+        step = query.get('step') ? parsePromDuration(query.get('step')) : Math.max(1, Math.ceil(range / 100));
+        if (!step) throw dataSourceError('Invalid step (e.g. 30s)');
+        if (range / step > PROM_MAX_POINTS) throw dataSourceError(`Range and step give more than ${PROM_MAX_POINTS} points per series`);
+      }
+      return { url, query: promql, range, step, token: savedUrl ? widgetSecret(query, ctx, 'apiKey') : null };
+    },
+    load: async ({ url, query, range, step, token }) => {
+      const search = new URLSearchParams({ query });
+      if (range) {
+        const end = Math.floor(Date.now() / 1000);
+        search.set('start', end - range);
+        search.set('end', end);
+        search.set('step', step);
+      }
+      const { status, body } = await fetchUpstream(`${url}/api/v1/${range ? 'query_range' : 'query'}?${search}`, {
+        headers: { Accept: 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+      });
+      let result = null;
+      try { result = JSON.parse(body); } catch (_) {}
+      // Bad queries come back as 400/422 with { status: 'error', error } — pass the message on
+      if (!result || result.status !== 'success') {
+        const message = result?.error ? `Prometheus: ${result.error}` : `Prometheus returned HTTP ${status}`;
+        throw dataSourceError(message, status === 400 || status === 422 ? 400 : 502);
+      }
+      return { resultType: result.data.resultType, result: result.data.result };
+    }
+  }
+};
+
+// Drop expired entries, then the oldest, once the cache grows past its limit
+function pruneDataCache() {
+  if (dataCache.size <= DATA_CACHE_MAX_ENTRIES) return;
+  const now = Date.now();
+  for (const [key, entry] of dataCache) {
+    if (!entry.pending && entry.expires < now) dataCache.delete(key);
+  }
+  for (const [key, entry] of dataCache) {
+    if (dataCache.size <= DATA_CACHE_MAX_ENTRIES) break;
+    if (!entry.pending) dataCache.delete(key);
+  }
+}
+
+/**
+ * load(params), cached for ttl ms under name + params. Callers arriving while
+ * it loads wait for the same call. Resolves to { data, fetchedAt, expires, stale }.
+ */
+async function cachedLoad(name, params, ttl, load) {
+  const key = name + ':' + JSON.stringify(params);
+  let entry = dataCache.get(key);
+  if (!entry) {
+    entry = { data: undefined, fetchedAt: 0, expires: 0, stale: false, pending: null };
+    dataCache.set(key, entry);
+    pruneDataCache();
+  }
+  if (entry.data === undefined || Date.now() >= entry.expires) {
+    if (!entry.pending) {
+      entry.pending = load(params).then(data => {
+        Object.assign(entry, { data, fetchedAt: Date.now(), expires: Date.now() + ttl, stale: false });
+      }, err => {
+        if (entry.data === undefined || Date.now() - entry.fetchedAt > DATA_STALE_MAX_MS) {
+          if (dataCache.get(key) === entry) dataCache.delete(key);
+          throw err;
+        }
+        console.warn(`[data] ${name} refresh failed, serving cached data: ${err.message}`);
+        Object.assign(entry, { expires: Date.now() + Math.min(ttl, DATA_RETRY_MS), stale: true });
+      }).finally(() => { entry.pending = null; });
+    }
+    await entry.pending;
+  }
+  return { data: entry.data, fetchedAt: entry.fetchedAt, expires: entry.expires, stale: entry.stale };
+}
+
+/**
+ * Data for a source and query. Resolves to { data, fetchedAt, maxAge, stale };
+ * rejects with an Error carrying statusCode.
+ */
+async function getSourceData(name, query, ctx = {}) {
+  const source = Object.prototype.hasOwnProperty.call(DATA_SOURCES, name) ? DATA_SOURCES[name] : null;
+  if (!source) throw dataSourceError(`Unknown data source: ${name}`, 404);
+  const result = await cachedLoad(name, source.params(query, ctx), source.ttl, source.load);
+  return {
+    data: source.pick ? source.pick(result.data, query) : result.data,
+    fetchedAt: new Date(result.fetchedAt).toISOString(),
+    maxAge: Math.max(0, Math.round((result.expires - Date.now()) / 1000)),
+    stale: result.stale
+  };
+}
+
+// ─────────────────────────────────────────────
+// Prometheus metrics — GET /metrics
+// The cached system stats plus the server's own state, in the Prometheus text
+// format. Requests are counted by route pattern rather than raw path so ids in
+// URLs don't each become a new series.
+// ─────────────────────────────────────────────
+
+const METRICS_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// Routes without ids in them, labelled as they are
+const METRICS_PATHS = new Set([
+  '/config', '/metrics',
+  '/api/activity', '/api/audit', '/api/auth', '/api/auth/login', '/api/auth/logout', '/api/auth/remove-pin',
+  '/api/auth/set-pin', '/api/auth/status', '/api/browse-dirs', '/api/calendar', '/api/config/diff',
+  '/api/config/events', '/api/config/history', '/api/config/validate', '/api/cron', '/api/dashboards',
+  '/api/latest-image', '/api/lb-release', '/api/logs', '/api/mode', '/api/notes', '/api/pages', '/api/proxy',
+  '/api/quote', '/api/releases', '/api/rss', '/api/schema/config', '/api/sessions', '/api/stats',
+  '/api/stats/stream', '/api/system-log', '/api/templates', '/api/templates/export', '/api/templates/import',
+  '/api/today', '/api/todos', '/api/tokens', '/api/usage/claude', '/api/usage/openai', '/api/users'
+]);
+// Routes with ids in them: [pattern, label]
+const METRICS_ROUTES = [
+  [/^\/api\/tokens\/[^/]+$/, '/api/tokens/:id'],
+  [/^\/api\/users\/[^/]+$/, '/api/users/:username'],
+  [/^\/api\/secrets\/[^/]+\/[^/]+$/, '/api/secrets/:widget/:key'],
+  [/^\/api\/secrets\/[^/]+$/, '/api/secrets/:widget'],
+  [/^\/api\/dashboards\/[^/]+$/, '/api/dashboards/:id'],
+  [/^\/api\/config\/history\/\d+$/, '/api/config/history/:rev'],
+  [/^\/api\/config\/rollback\/\d+$/, '/api/config/rollback/:rev'],
+  [/^\/api\/data\/[\w-]+$/, '/api/data/:source'],
+  [/^\/api\/templates\/[^/]+\/preview$/, '/api/templates/:id/preview'],
+  [/^\/api\/templates\/[^/]+\/screenshot$/, '/api/templates/:id/screenshot'],
+  [/^\/api\/templates\/[^/]+$/, '/api/templates/:id'],
+  [/^\/api\/pages\/[^/]+(\/.*)?$/, '/api/pages/:page/*'],
+  [/^\/api\/todoist\//, '/api/todoist/*'],
+  [/^\/api\/telegram\/stream$/, '/api/telegram/stream'],
+  [/^\/api\/telegram\//, '/api/telegram/*'],
+  [/^\/pages\//, '/pages/*']
+];
+// Event streams stay open for as long as the page does, so their duration isn't a response time
+const METRICS_STREAM_ROUTES = new Set(['/api/stats/stream', '/api/config/events', '/api/telegram/stream']);
+let metricsVersion = 'unknown';
+try { metricsVersion = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8')).version; } catch (_) {}
+const requestCounts = new Map(); // 'method route status' → { method, route, status, count }
+const requestDurations = new Map(); // 'method route' → { method, route, buckets, sum, count }
+
+/**
+ * Route label for a request: a known route or its pattern, "static" for files,
+ * and "unmatched" for any other API path, whatever its status, so requests for
+ * made-up paths can't add series without end
+ */
+function metricsRoute(pathname) {
+  if (METRICS_PATHS.has(pathname)) return pathname;
+  for (const [pattern, route] of METRICS_ROUTES) {
+    if (pattern.test(pathname)) return route;
+  }
+  return pathname.startsWith('/api/') ? 'unmatched' : 'static';
+}
+
+function recordRequest(req, res, seconds) {
+  let pathname;
+  try { pathname = stripBasePath(new URL(req.url, 'http://localhost').pathname); } catch (_) { pathname = ''; }
+  const method = req.method;
+  const route = metricsRoute(pathname);
+  const status = String(res.statusCode);
+
+  const countKey = `${method} ${route} ${status}`;
+  const counted = requestCounts.get(countKey) || { method, route, status, count: 0 };
+  counted.count++;
+  requestCounts.set(countKey, counted);
+
+  if (METRICS_STREAM_ROUTES.has(route)) return;
+  const durationKey = `${method} ${route}`;
+  let timing = requestDurations.get(durationKey);
+  if (!timing) {
+    timing = { method, route, buckets: METRICS_DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    requestDurations.set(durationKey, timing);
+  }
+  METRICS_DURATION_BUCKETS.forEach((le, i) => { if (seconds <= le) timing.buckets[i]++; });
+  timing.sum += seconds;
+  timing.count++;
+}
+
+/** Wraps the request handler to record each response's route, status and duration */
+function withRequestMetrics(handler) {
+  return (req, res) => {
+    const start = process.hrtime.bigint();
+    res.on('close', () => recordRequest(req, res, Number(process.hrtime.bigint() - start) / 1e9));
+    return handler(req, res);
+  };
+}
+
+const escapeLabelValue = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatSample(name, labels, value) {
+  const pairs = Object.entries(labels || {}).map(([k, v]) => `${k}="${escapeLabelValue(v)}"`);
+  const number = Number(value);
+  const formatted = Number.isNaN(number) ? 'NaN' : number === Infinity ? '+Inf' : number === -Infinity ? '-Inf' : String(number);
+  return `${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${formatted}`;
+}
+
+/** The whole scrape as text/plain; version=0.0.4 */
+function renderMetrics() {
+  const lines = [];
+  // samples: [labels, value] pairs; samples with a missing value are left out
+  const metric = (name, type, help, samples) => {
+    const present = samples.filter(([, value]) => value !== null && value !== undefined);
+    if (!present.length) return;
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of present) lines.push(formatSample(name, labels, value));
+  };
+  const { cpu, memory, disk, network, docker } = cachedStats;
+
+  // System
+  metric('lobsterboard_cpu_load_percent', 'gauge', 'Current CPU load across all cores.', [[null, cpu?.currentLoad]]);
+  metric('lobsterboard_cpu_core_load_percent', 'gauge', 'Current CPU load per core.',
+    (cpu?.cpus || []).map((load, core) => [{ core }, load]));
+  metric('lobsterboard_memory_total_bytes', 'gauge', 'Total memory.', [[null, memory?.total]]);
+  metric('lobsterboard_memory_used_bytes', 'gauge', 'Used memory, including buffers and cache.', [[null, memory?.used]]);
+  metric('lobsterboard_memory_free_bytes', 'gauge', 'Free memory.', [[null, memory?.free]]);
+  metric('lobsterboard_memory_active_bytes', 'gauge', 'Memory in active use, excluding buffers and cache.', [[null, memory?.active]]);
+  const filesystems = disk || [];
+  metric('lobsterboard_filesystem_size_bytes', 'gauge', 'Filesystem size.',
+    filesystems.map(d => [{ fs: d.fs, mount: d.mount }, d.size]));
+  metric('lobsterboard_filesystem_used_bytes', 'gauge', 'Filesystem space used.',
+    filesystems.map(d => [{ fs: d.fs, mount: d.mount }, d.used]));
+  metric('lobsterboard_filesystem_available_bytes', 'gauge', 'Filesystem space available.',
+    filesystems.map(d => [{ fs: d.fs, mount: d.mount }, d.available]));
+  const interfaces = network || [];
+  metric('lobsterboard_network_receive_bytes_total', 'counter', 'Bytes received per interface.',
+    interfaces.map(n => [{ iface: n.iface }, n.rx_bytes]));
+  metric('lobsterboard_network_transmit_bytes_total', 'counter', 'Bytes sent per interface.',
+    interfaces.map(n => [{ iface: n.iface }, n.tx_bytes]));
+  metric('lobsterboard_network_receive_bytes_per_second', 'gauge', 'Receive rate per interface.',
+    interfaces.map(n => [{ iface: n.iface }, n.rx_sec]));
+  metric('lobsterboard_network_transmit_bytes_per_second', 'gauge', 'Send rate per interface.',
+    interfaces.map(n => [{ iface: n.iface }, n.tx_sec]));
+  metric('lobsterboard_docker_container_running', 'gauge', 'Whether each Docker container is running (1) or not (0).',
+    (docker || []).map(c => [{ name: c.name, image: c.image, state: c.state }, c.state === 'running' ? 1 : 0]));
+  metric('lobsterboard_system_uptime_seconds', 'gauge', 'Host uptime.', [[null, cachedStats.uptime]]);
+  metric('lobsterboard_stats_timestamp_seconds', 'gauge', 'When the CPU, memory and network stats were last sampled.',
+    [[null, cachedStats.timestamp && cachedStats.timestamp / 1000]]);
+
+  // Server
+  metric('lobsterboard_build_info', 'gauge', 'LobsterBoard version.', [[{ version: metricsVersion }, 1]]);
+  metric('lobsterboard_process_start_time_seconds', 'gauge', 'When the server started, in seconds since the epoch.',
+    [[null, Math.round(Date.now() / 1000 - process.uptime())]]);
+  metric('lobsterboard_process_resident_memory_bytes', 'gauge', 'Resident memory of the server process.', [[null, process.memoryUsage().rss]]);
+  metric('lobsterboard_sse_clients', 'gauge', 'Open server-sent event streams.',
+    [[{ stream: 'stats' }, sseClients.size], [{ stream: 'config' }, configEventClients.size]]);
+  metric('lobsterboard_openclaw_connected', 'gauge', 'Whether the OpenClaw gateway WebSocket is open (1) or not (0).',
+    [[null, _ocWs && _ocWs.readyState === WebSocket.OPEN ? 1 : 0]]);
+  metric('lobsterboard_openclaw_authenticated', 'gauge', 'Whether the OpenClaw gateway accepted the connection (1) or not (0).',
+    [[null, _ocAuthenticated ? 1 : 0]]);
+  metric('lobsterboard_openclaw_pending_requests', 'gauge', 'OpenClaw gateway requests waiting for a reply.', [[null, _ocPending.size]]);
+  metric('lobsterboard_data_cache_entries', 'gauge', 'Entries in the shared data source cache.', [[null, dataCache.size]]);
+  metric('lobsterboard_http_requests_total', 'counter', 'HTTP requests by method, route and status.',
+    [...requestCounts.values()].map(r => [{ method: r.method, route: r.route, status: r.status }, r.count]));
+
+  if (requestDurations.size) {
+    const name = 'lobsterboard_http_request_duration_seconds';
+    lines.push(`# HELP ${name} HTTP response time by method and route, excluding event streams.`, `# TYPE ${name} histogram`);
+    for (const t of requestDurations.values()) {
+      const labels = { method: t.method, route: t.route };
+      METRICS_DURATION_BUCKETS.forEach((le, i) => lines.push(formatSample(`${name}_bucket`, { ...labels, le }, t.buckets[i])));
+      lines.push(formatSample(`${name}_bucket`, { ...labels, le: '+Inf' }, t.count));
+      lines.push(formatSample(`${name}_sum`, labels, t.sum));
+      lines.push(formatSample(`${name}_count`, labels, t.count));
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+const handleRequest = async (req, res) => {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(req.url, getRequestOrigin(req));
+  } catch (_) {
+    sendResponse(res, 400, 'text/plain', 'Bad Request');
+    return;
+  }
+  // The base path itself redirects to its trailing-slash form so app.html's relative links resolve
+  if (BASE_PATH && parsedUrl.pathname === BASE_PATH) {
+    sendResponse(res, 301, 'text/plain', 'Moved Permanently', { Location: `${BASE_PATH}/${parsedUrl.search}` });
+    return;
+  }
+  const pathname = stripBasePath(parsedUrl.pathname);
 
   // CORS preflight for /config
   if (req.method === 'OPTIONS' && pathname === '/config') {
     res.writeHead(204, {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match'
     });
     res.end();
     return;
   }
 
+  // /config?dashboard=<id> — selects a named dashboard; without it, the default one
+  const dashboardId = parsedUrl.searchParams.get('dashboard') || DEFAULT_DASHBOARD_ID;
+
+  // ── Access guard: public mode and role checks for every edit route ──
+  if (isLayoutEditRequest(req.method, pathname) && isPublicMode()) {
+    sendJson(res, 403, { error: 'Dashboard is in public mode. Editing is disabled.' });
+    return;
+  }
+  const requestUser = getRequestUser(req);
+  if (getBearerToken(req) !== null && !requestUser) {
+    sendJson(res, 401, { error: 'Invalid or revoked API token' });
+    return;
+  }
+  let neededScope = requiredScope(req.method, pathname);
+  // Reads stay open until user accounts exist, and in public mode for wall displays
+  if (neededScope === 'read' && (getUsers().length === 0 || isPublicMode())) neededScope = null;
+  if (neededScope) {
+    if (!requestUser) { sendJson(res, 401, { error: 'Login required' }); return; }
+    if (!isAllowed(requestUser, neededScope)) {
+      sendJson(res, 403, { error: requestUser.token
+        ? `API token scope "${requestUser.token.scope}" does not allow this request`
+        : `Requires the ${SCOPE_ROLES[neededScope]} role` });
+      return;
+    }
+  }
+
+  if (pathname === '/config' && (req.method === 'GET' || req.method === 'POST') && !dashboardExists(dashboardId)) {
+    sendJson(res, 404, { error: `Dashboard "${dashboardId}" not found` });
+    return;
+  }
+
   // GET /config - Load dashboard configuration
   if (req.method === 'GET' && pathname === '/config') {
-    fs.readFile(CONFIG_FILE, 'utf8', (err, data) => {
+    fs.readFile(getDashboardConfigPath(dashboardId), 'utf8', (err, data) => {
       if (err) {
         if (err.code === 'ENOENT') {
           // If config.json doesn't exist, return empty config
-          sendJson(res, 200, { canvas: { width: 1920, height: 1080 }, widgets: [] });
+          sendJson(res, 200, emptyConfig(), revisionHeaders(currentRevision(dashboardId)));
         } else {
           sendError(res, `Failed to read config file: ${err.message}`);
         }
         return;
       }
+      let config;
       try {
-        const config = JSON.parse(data);
-        sendJson(res, 200, maskConfig(config));
+        config = JSON.parse(data);
       } catch (parseErr) {
         sendError(res, `Failed to parse config file: ${parseErr.message}`);
+        return;
+      }
+      try {
+        const upgraded = upgradeStoredConfig(dashboardId, config);
+        sendJson(res, 200, maskConfig(upgraded, dashboardId), revisionHeaders(currentRevision(dashboardId)));
+      } catch (migrateErr) {
+        sendError(res, migrateErr.message);
       }
     });
     return;
@@ -708,15 +3118,22 @@ const server = http.createServer(async (req, res) => {
     req.on('end', () => {
       if (overflow) { sendError(res, 'Request body too large', 413); return; }
       try {
-        let config = JSON.parse(body);
-        config = extractSecrets(config);
-        fs.writeFile(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8', (err) => {
-          if (err) {
-            sendError(res, `Failed to write config file: ${err.message}`);
-            return;
-          }
-          sendJson(res, 200, { status: 'success', message: 'Config saved' });
-        });
+        const prepared = prepareConfig(JSON.parse(body), `dashboard "${dashboardId}"`);
+        if (prepared.errors.length) {
+          sendJson(res, 400, { error: 'Config failed validation', errors: prepared.errors });
+          return;
+        }
+        if (!checkConfigPrecondition(req, res, dashboardId, prepared.config)) return;
+        const config = extractSecrets(prepared.config, dashboardId);
+        let rev;
+        try {
+          rev = saveDashboardConfig(dashboardId, config, 'save');
+        } catch (err) {
+          sendError(res, `Failed to write config file: ${err.message}`);
+          return;
+        }
+        recordAudit(req, 'config.save', { target: dashboardId, details: { rev, widgets: (config.widgets || []).length } });
+        sendJson(res, 200, { status: 'success', message: 'Config saved', rev }, revisionHeaders(rev));
       } catch (parseErr) {
         sendError(res, `Invalid JSON in request body: ${parseErr.message}`, 400);
       }
@@ -728,72 +3145,92 @@ const server = http.createServer(async (req, res) => {
   if (req.method === 'OPTIONS' && (pathname.startsWith('/api/') || pathname === '/api/pages')) {
     res.writeHead(204, {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match'
     });
     res.end();
     return;
   }
 
-  // ── Security: PIN auth endpoints ──
+  // ── Security: login & PIN endpoints ──
   if (req.method === 'GET' && pathname === '/api/auth/status') {
     const auth = getAuth();
-    sendJson(res, 200, { hasPin: !!auth.pinHash, publicMode: !!auth.publicMode });
+    const user = getRequestUser(req);
+    sendJson(res, 200, {
+      hasPin: !!auth.pinHash,
+      hasUsers: getUsers().length > 0,
+      publicMode: !!auth.publicMode,
+      authenticated: !!user,
+      user: user ? { username: user.username, role: user.role } : null,
+      ...(user && user.token ? { token: user.token } : {})
+    });
     return;
   }
 
-  if (req.method === 'POST' && pathname === '/api/auth/set-pin') {
-    let body = '';
-    req.on('data', c => body += c);
-    req.on('end', () => {
-      try {
-        const { pin, currentPin } = JSON.parse(body);
-        if (!pin || pin.length < 4 || pin.length > 6 || !/^\d+$/.test(pin)) {
-          sendJson(res, 400, { error: 'PIN must be 4-6 digits' }); return;
-        }
-        const auth = getAuth();
-        // If PIN already set, require current PIN
-        if (auth.pinHash && (!currentPin || hashPin(currentPin) !== auth.pinHash)) {
-          sendJson(res, 403, { error: 'Current PIN is incorrect' }); return;
+  // POST /api/auth/login — { username, password } once user accounts exist, otherwise { pin }
+  if (req.method === 'POST' && pathname === '/api/auth/login') {
+    readJsonBody(req).then(async ({ pin, username, password }) => {
+      if (getUsers().length > 0) {
+        const user = await checkUserLogin(req, res, username, password);
+        if (!user) {
+          recordAudit(req, 'auth.login-failed', { user: typeof username === 'string' ? username.slice(0, 64) : null });
+          return;
         }
-        auth.pinHash = hashPin(pin);
-        writeJsonFile(AUTH_FILE, auth);
-        sendJson(res, 200, { status: 'ok' });
-      } catch (e) { sendError(res, e.message, 400); }
-    });
+        createSession(req, res, user.username, user.role);
+        recordAudit(req, 'auth.login', { user: user.username });
+        sendJson(res, 200, { status: 'ok', user: { username: user.username, role: user.role } });
+        return;
+      }
+      if (getAuth().pinHash && !(await checkPinAttempt(req, res, pin))) {
+        recordAudit(req, 'auth.login-failed', { user: null });
+        return;
+      }
+      createSession(req, res);
+      recordAudit(req, 'auth.login', { user: null });
+      sendJson(res, 200, { status: 'ok', user: { username: null, role: 'admin' } });
+    }).catch(e => sendError(res, e.message, e.statusCode || 500));
     return;
   }
 
-  if (req.method === 'POST' && pathname === '/api/auth/verify-pin') {
-    let body = '';
-    req.on('data', c => body += c);
-    req.on('end', () => {
-      try {
-        const { pin } = JSON.parse(body);
-        const auth = getAuth();
-        if (!auth.pinHash) { sendJson(res, 200, { valid: true }); return; }
-        const valid = hashPin(pin) === auth.pinHash;
-        sendJson(res, 200, { valid });
-      } catch (e) { sendError(res, e.message, 400); }
-    });
+  if (req.method === 'POST' && pathname === '/api/auth/logout') {
+    destroySession(req, res);
+    sendJson(res, 200, { status: 'ok' });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/api/auth/set-pin') {
+    readJsonBody(req).then(async ({ pin, currentPin }) => {
+      if (typeof pin !== 'string' || pin.length < 4 || pin.length > 6 || !/^\d+$/.test(pin)) {
+        sendJson(res, 400, { error: 'PIN must be 4-6 digits' }); return;
+      }
+      if (getUsers().length > 0) {
+        sendJson(res, 400, { error: 'User accounts are enabled; log in with a username and password instead of a PIN' }); return;
+      }
+      // If PIN already set, require current PIN
+      if (getAuth().pinHash && !(await checkPinAttempt(req, res, currentPin, 'Current PIN is incorrect'))) return;
+      const auth = getAuth();
+      const changed = !!auth.pinHash;
+      auth.pinHash = await hashPassword(pin);
+      writeJsonFile(AUTH_FILE, auth);
+      recordAudit(req, changed ? 'auth.change-pin' : 'auth.set-pin');
+      // A new PIN ends every other session
+      sessions.clear();
+      createSession(req, res);
+      sendJson(res, 200, { status: 'ok' });
+    }).catch(e => sendError(res, e.message, e.statusCode || 500));
     return;
   }
 
   if (req.method === 'POST' && pathname === '/api/auth/remove-pin') {
-    let body = '';
-    req.on('data', c => body += c);
-    req.on('end', () => {
-      try {
-        const { pin } = JSON.parse(body);
-        const auth = getAuth();
-        if (auth.pinHash && hashPin(pin) !== auth.pinHash) {
-          sendJson(res, 403, { error: 'PIN is incorrect' }); return;
-        }
-        delete auth.pinHash;
-        writeJsonFile(AUTH_FILE, auth);
-        sendJson(res, 200, { status: 'ok' });
-      } catch (e) { sendError(res, e.message, 400); }
-    });
+    readJsonBody(req).then(async ({ pin }) => {
+      if (getAuth().pinHash && !(await checkPinAttempt(req, res, pin, 'PIN is incorrect'))) return;
+      const auth = getAuth();
+      delete auth.pinHash;
+      writeJsonFile(AUTH_FILE, auth);
+      recordAudit(req, 'auth.remove-pin');
+      sessions.clear();
+      sendJson(res, 200, { status: 'ok' });
+    }).catch(e => sendError(res, e.message, e.statusCode || 500));
     return;
   }
 
@@ -804,29 +3241,176 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  if (req.method === 'POST' && pathname === '/api/mode') {
-    let body = '';
-    req.on('data', c => body += c);
-    req.on('end', () => {
-      try {
-        const { publicMode, pin } = JSON.parse(body);
-        const auth = getAuth();
-        // Require PIN to toggle mode if PIN is set
-        if (auth.pinHash && (!pin || hashPin(pin) !== auth.pinHash)) {
-          sendJson(res, 403, { error: 'PIN required' }); return;
+  if (req.method === 'POST' && pathname === '/api/mode') {
+    readJsonBody(req).then(async ({ publicMode, pin }) => {
+      // Toggling needs an admin, or the PIN itself when only a PIN is configured
+      const user = getRequestUser(req);
+      if (!hasRole(user, 'admin')) {
+        if (user || getUsers().length > 0 || !getAuth().pinHash) {
+          sendJson(res, user ? 403 : 401, { error: user ? 'Requires the admin role' : 'Login required' }); return;
+        }
+        if (!(await checkPinAttempt(req, res, pin, 'PIN required'))) return;
+      }
+      const auth = getAuth();
+      auth.publicMode = !!publicMode;
+      writeJsonFile(AUTH_FILE, auth);
+      recordAudit(req, 'mode.public', { details: { publicMode: auth.publicMode } });
+      sendJson(res, 200, { status: 'ok', publicMode: auth.publicMode });
+    }).catch(e => sendError(res, e.message, e.statusCode || 500));
+    return;
+  }
+
+  // ── API tokens (admin only, see requiredScope) ──
+
+  // GET /api/tokens — list tokens (never the token values)
+  if (req.method === 'GET' && pathname === '/api/tokens') {
+    sendJson(res, 200, getApiTokens().map(publicApiToken));
+    return;
+  }
+
+  // POST /api/tokens — create a token { name, scope }; the value is only returned here
+  if (req.method === 'POST' && pathname === '/api/tokens') {
+    readJsonBody(req).then(({ name, scope }) => {
+      if (typeof name !== 'string' || !name.trim() || name.length > 64) {
+        sendJson(res, 400, { error: 'Name is required (up to 64 characters)' }); return;
+      }
+      if (!TOKEN_SCOPES.includes(scope)) { sendJson(res, 400, { error: `Scope must be one of ${TOKEN_SCOPES.join(', ')}` }); return; }
+      const value = 'lb_' + crypto.randomBytes(32).toString('base64url');
+      const creator = getRequestUser(req);
+      const token = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name: name.trim(),
+        scope,
+        tokenHash: hashApiToken(value),
+        prefix: value.slice(0, 10),
+        createdAt: new Date().toISOString(),
+        createdBy: creator && (creator.username || (creator.token ? `token:${creator.token.name}` : null)),
+        lastUsedAt: null
+      };
+      saveApiTokens([...getApiTokens(), token]);
+      recordAudit(req, 'token.create', { target: token.id, details: { name: token.name, scope } });
+      sendJson(res, 201, { status: 'success', token: value, ...publicApiToken(token) });
+    }).catch(e => sendError(res, e.message, e.statusCode || 500));
+    return;
+  }
+
+  // DELETE /api/tokens/:id — revoke a token
+  const tokenMatch = pathname.match(/^\/api\/tokens\/([^/]+)$/);
+  if (req.method === 'DELETE' && tokenMatch) {
+    const id = decodePathSegment(tokenMatch[1]);
+    if (id === null) { sendJson(res, 400, { error: 'Invalid token id' }); return; }
+    const tokens = getApiTokens();
+    if (!tokens.some(t => t.id === id)) { sendJson(res, 404, { error: `Token "${id}" not found` }); return; }
+    saveApiTokens(tokens.filter(t => t.id !== id));
+    recordAudit(req, 'token.revoke', { target: id, details: { name: tokens.find(t => t.id === id).name } });
+    sendJson(res, 200, { status: 'success', message: 'Token revoked' });
+    return;
+  }
+
+  // ── Audit log (admin only, see requiredScope) ──
+
+  // GET /api/audit?action=&user=&target=&since=&until=&limit=&offset= — newest first
+  if (req.method === 'GET' && pathname === '/api/audit') {
+    const params = parsedUrl.searchParams;
+    const limit = Math.min(parseInt(params.get('limit'), 10) || AUDIT_PAGE_SIZE, AUDIT_MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(params.get('offset'), 10) || 0, 0);
+    for (const key of ['since', 'until']) {
+      if (params.get(key) && isNaN(Date.parse(params.get(key)))) {
+        sendJson(res, 400, { error: `"${key}" must be an ISO date` }); return;
+      }
+    }
+    sendJson(res, 200, queryAudit({
+      action: params.get('action'),
+      user: params.get('user'),
+      target: params.get('target'),
+      since: params.get('since'),
+      until: params.get('until'),
+      limit,
+      offset
+    }));
+    return;
+  }
+
+  // ── Users API (admin only, see requiredScope) ──
+
+  // GET /api/users — list accounts (password hashes are never returned)
+  if (req.method === 'GET' && pathname === '/api/users') {
+    sendJson(res, 200, getUsers().map(publicUser));
+    return;
+  }
+
+  // POST /api/users — create an account { username, password, role }
+  if (req.method === 'POST' && pathname === '/api/users') {
+    readJsonBody(req).then(async ({ username, password, role }) => {
+      const users = getUsers();
+      if (!isValidUsername(username)) {
+        sendJson(res, 400, { error: 'Username must be 1-32 lowercase letters, digits, ".", "_" or "-"' }); return;
+      }
+      if (!ROLES.includes(role)) { sendJson(res, 400, { error: `Role must be one of ${ROLES.join(', ')}` }); return; }
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        sendJson(res, 400, { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` }); return;
+      }
+      if (users.some(u => u.username === username)) { sendJson(res, 409, { error: `User "${username}" already exists` }); return; }
+      // The first account must be an admin, or nobody could manage users afterwards
+      if (users.length === 0 && role !== 'admin') {
+        sendJson(res, 400, { error: 'The first user must be an admin' }); return;
+      }
+      const user = { username, role, passwordHash: await hashPassword(password), createdAt: new Date().toISOString() };
+      saveUsers([...getUsers(), user]);
+      recordAudit(req, 'user.create', { target: username, details: { role } });
+      // The first account switches login from the PIN to accounts, so PIN sessions end here
+      if (users.length === 0) sessions.clear();
+      sendJson(res, 201, { status: 'success', user: publicUser(user) });
+    }).catch(e => sendError(res, e.message, e.statusCode || 500));
+    return;
+  }
+
+  const userMatch = pathname.match(/^\/api\/users\/([^/]+)$/);
+  if (userMatch) {
+    const username = decodePathSegment(userMatch[1]);
+    if (username === null) { sendJson(res, 400, { error: 'Invalid username' }); return; }
+    const users = getUsers();
+    const user = users.find(u => u.username === username);
+    if (!user) { sendJson(res, 404, { error: `User "${username}" not found` }); return; }
+    const otherAdmins = users.filter(u => u.role === 'admin' && u.username !== username).length;
+
+    // PUT /api/users/:username — change role and/or reset password { role?, password? }
+    if (req.method === 'PUT') {
+      readJsonBody(req).then(async ({ role, password }) => {
+        if (role !== undefined && !ROLES.includes(role)) { sendJson(res, 400, { error: `Role must be one of ${ROLES.join(', ')}` }); return; }
+        if (role !== undefined && role !== 'admin' && user.role === 'admin' && otherAdmins === 0) {
+          sendJson(res, 400, { error: 'Cannot demote the last admin' }); return;
         }
-        auth.publicMode = !!publicMode;
-        writeJsonFile(AUTH_FILE, auth);
-        sendJson(res, 200, { status: 'ok', publicMode: auth.publicMode });
-      } catch (e) { sendError(res, e.message, 400); }
-    });
-    return;
+        if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+          sendJson(res, 400, { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` }); return;
+        }
+        if (role !== undefined) user.role = role;
+        if (password !== undefined) user.passwordHash = await hashPassword(password);
+        saveUsers(users);
+        endUserSessions(username);
+        recordAudit(req, 'user.update', {
+          target: username,
+          details: { ...(role !== undefined ? { role } : {}), ...(password !== undefined ? { passwordReset: true } : {}) }
+        });
+        sendJson(res, 200, { status: 'success', user: publicUser(user) });
+      }).catch(e => sendError(res, e.message, e.statusCode || 500));
+      return;
+    }
+
+    // DELETE /api/users/:username — the last admin cannot be deleted
+    if (req.method === 'DELETE') {
+      if (user.role === 'admin' && otherAdmins === 0) { sendJson(res, 400, { error: 'Cannot delete the last admin' }); return; }
+      saveUsers(users.filter(u => u.username !== username));
+      endUserSessions(username);
+      recordAudit(req, 'user.delete', { target: username });
+      sendJson(res, 200, { status: 'success', message: `User "${username}" deleted` });
+      return;
+    }
   }
 
   // ── Security: Secrets management ──
   if (req.method === 'POST' && pathname.match(/^\/api\/secrets\/[^/]+$/)) {
-    if (isPublicMode()) { sendJson(res, 403, { error: 'Forbidden in public mode' }); return; }
-    const widgetId = pathname.split('/')[3];
+    const widgetId = secretsKeyFor(dashboardId, pathname.split('/')[3]);
     let body = '';
     req.on('data', c => body += c);
     req.on('end', () => {
@@ -835,7 +3419,8 @@ const server = http.createServer(async (req, res) => {
         const secrets = getSecrets();
         if (!secrets[widgetId]) secrets[widgetId] = {};
         Object.assign(secrets[widgetId], updates);
-        writeJsonFile(SECRETS_FILE, secrets);
+        saveSecrets(secrets);
+        recordAudit(req, 'secret.set', { target: widgetId, details: { keys: Object.keys(updates) } });
         sendJson(res, 200, { status: 'ok' });
       } catch (e) { sendError(res, e.message, 400); }
     });
@@ -843,30 +3428,214 @@ const server = http.createServer(async (req, res) => {
   }
 
   if (req.method === 'DELETE' && pathname.match(/^\/api\/secrets\/[^/]+\/[^/]+$/)) {
-    if (isPublicMode()) { sendJson(res, 403, { error: 'Forbidden in public mode' }); return; }
     const parts = pathname.split('/');
-    const widgetId = parts[3];
+    const widgetId = secretsKeyFor(dashboardId, parts[3]);
     const key = parts[4];
     const secrets = getSecrets();
     if (secrets[widgetId]) {
       delete secrets[widgetId][key];
       if (Object.keys(secrets[widgetId]).length === 0) delete secrets[widgetId];
-      writeJsonFile(SECRETS_FILE, secrets);
+      saveSecrets(secrets);
+      recordAudit(req, 'secret.delete', { target: widgetId, details: { key } });
     }
     sendJson(res, 200, { status: 'ok' });
     return;
   }
 
-  // ── Public mode guard: block edit-related APIs ──
-  if (isPublicMode()) {
-    const editPaths = ['/config'];
-    const isEditApi = (req.method === 'POST' && editPaths.includes(pathname)) ||
-                      (req.method === 'POST' && pathname.startsWith('/api/templates/')) ||
-                      (req.method === 'DELETE' && pathname.startsWith('/api/templates/'));
-    if (isEditApi) {
-      sendJson(res, 403, { error: 'Dashboard is in public mode. Editing is disabled.' });
+  // ── Dashboards API ──
+
+  // GET /api/dashboards — list all dashboards
+  if (req.method === 'GET' && pathname === '/api/dashboards') {
+    try {
+      sendJson(res, 200, listDashboards());
+    } catch (e) {
+      sendError(res, `Failed to list dashboards: ${e.message}`);
+    }
+    return;
+  }
+
+  // POST /api/dashboards — create a dashboard { name, id?, copyFrom? }
+  if (req.method === 'POST' && pathname === '/api/dashboards') {
+    readJsonBody(req).then(({ name, id, copyFrom }) => {
+      if (!name || typeof name !== 'string') { sendJson(res, 400, { error: 'Name is required' }); return; }
+      const newId = id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      if (!isValidDashboardId(newId)) { sendJson(res, 400, { error: 'Invalid dashboard id' }); return; }
+      if (dashboardExists(newId) || newId === DEFAULT_DASHBOARD_ID) {
+        sendJson(res, 409, { error: `Dashboard "${newId}" already exists` }); return;
+      }
+      if (copyFrom && !dashboardExists(copyFrom)) {
+        sendJson(res, 404, { error: `Dashboard "${copyFrom}" not found` }); return;
+      }
+      let config = copyFrom ? loadDashboardConfig(copyFrom) : emptyConfig();
+      if (copyFrom) {
+        // Re-key copied secrets under the new dashboard so the copies stay independent
+        const secrets = getSecrets();
+        for (const w of (config.widgets || [])) {
+          const fromSecrets = secrets[secretsKeyFor(copyFrom, w.id)];
+          if (fromSecrets) secrets[secretsKeyFor(newId, w.id)] = { ...fromSecrets };
+        }
+        saveSecrets(secrets);
+      }
+      saveDashboardConfig(newId, config, copyFrom ? `copy:${copyFrom}` : 'create');
+      writeJsonFile(path.join(DASHBOARDS_DIR, newId, 'meta.json'), {
+        id: newId,
+        name: name.trim(),
+        createdAt: new Date().toISOString()
+      });
+      recordAudit(req, 'dashboard.create', { target: newId, details: copyFrom ? { copyFrom } : undefined });
+      sendJson(res, 201, { status: 'success', dashboard: summarizeDashboard(newId) });
+    }).catch(e => sendError(res, e.message, e.statusCode || 500));
+    return;
+  }
+
+  const dashboardMatch = pathname.match(/^\/api\/dashboards\/([^/]+)$/);
+  if (dashboardMatch) {
+    const id = decodePathSegment(dashboardMatch[1]);
+    if (id === null) { sendJson(res, 400, { error: 'Invalid dashboard id' }); return; }
+    if (!dashboardExists(id)) { sendJson(res, 404, { error: `Dashboard "${id}" not found` }); return; }
+
+    // GET /api/dashboards/:id — dashboard metadata and (masked) config
+    if (req.method === 'GET') {
+      try {
+        const config = loadDashboardConfig(id);
+        sendJson(res, 200, { ...summarizeDashboard(id), rev: currentRevision(id), config: maskConfig(config, id) }, revisionHeaders(currentRevision(id)));
+      } catch (e) { sendError(res, e.message); }
+      return;
+    }
+
+    // PUT /api/dashboards/:id — replace config and/or rename { name?, config? }
+    // Replacing the config needs If-Match, as for POST /config
+    if (req.method === 'PUT') {
+      readJsonBody(req).then(({ name, config }) => {
+        let prepared = null;
+        if (config !== undefined) {
+          prepared = prepareConfig(config, `dashboard "${id}"`);
+          if (prepared.errors.length) { sendJson(res, 400, { error: 'Config failed validation', errors: prepared.errors }); return; }
+          if (!checkConfigPrecondition(req, res, id, prepared.config)) return;
+        }
+        if (name !== undefined && id !== DEFAULT_DASHBOARD_ID) {
+          if (typeof name !== 'string' || !name.trim()) { sendJson(res, 400, { error: 'Invalid name' }); return; }
+          const metaPath = path.join(DASHBOARDS_DIR, id, 'meta.json');
+          writeJsonFile(metaPath, { ...readJsonFile(metaPath, { id }), name: name.trim() });
+        }
+        const rev = prepared ? saveDashboardConfig(id, extractSecrets(prepared.config, id), 'api') : null;
+        recordAudit(req, 'dashboard.update', {
+          target: id,
+          details: { ...(name !== undefined ? { name } : {}), ...(config !== undefined ? { config: true } : {}) }
+        });
+        sendJson(res, 200, { status: 'success', dashboard: summarizeDashboard(id) }, rev ? revisionHeaders(rev) : {});
+      }).catch(e => sendError(res, e.message, e.statusCode || 500));
+      return;
+    }
+
+    // DELETE /api/dashboards/:id — the default dashboard cannot be deleted
+    if (req.method === 'DELETE') {
+      if (id === DEFAULT_DASHBOARD_ID) { sendJson(res, 400, { error: 'The default dashboard cannot be deleted' }); return; }
+      try {
+        fs.rmSync(path.join(DASHBOARDS_DIR, id), { recursive: true, force: true });
+        fs.rmSync(getHistoryDir(id), { recursive: true, force: true });
+        deleteDashboardSecrets(id);
+        recordAudit(req, 'dashboard.delete', { target: id });
+        sendJson(res, 200, { status: 'success', message: `Dashboard "${id}" deleted` });
+      } catch (e) { sendError(res, e.message); }
+      return;
+    }
+  }
+
+  // ── Config schema ──
+
+  // GET /api/schema/config — JSON Schema for dashboard configs and templates
+  if (req.method === 'GET' && pathname === '/api/schema/config') {
+    sendJson(res, 200, getConfigSchema());
+    return;
+  }
+
+  // POST /api/config/validate — check a config without saving it (older versions are migrated first)
+  if (req.method === 'POST' && pathname === '/api/config/validate') {
+    readJsonBody(req).then(config => {
+      const { errors, from, changes = [] } = prepareConfig(config);
+      sendJson(res, 200, { valid: errors.length === 0, errors, version: from, migrations: changes });
+    }).catch(e => sendError(res, e.message, e.statusCode || 500));
+    return;
+  }
+
+  // ── Config history API (?dashboard=<id>) ──
+  if (pathname.startsWith('/api/config/') && !dashboardExists(dashboardId)) {
+    sendJson(res, 404, { error: `Dashboard "${dashboardId}" not found` });
+    return;
+  }
+
+  // GET /api/config/events — SSE stream of config-changed events for one dashboard
+  if (req.method === 'GET' && pathname === '/api/config/events') {
+    if (configEventClients.size >= MAX_CONFIG_EVENT_CLIENTS) {
+      sendError(res, 'Too many SSE connections', 429);
       return;
     }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+    configEventClients.set(res, dashboardId);
+    req.on('close', () => configEventClients.delete(res));
+    return;
+  }
+
+  // GET /api/config/history — revisions, newest first
+  if (req.method === 'GET' && pathname === '/api/config/history') {
+    sendJson(res, 200, listRevisions(dashboardId));
+    return;
+  }
+
+  // GET /api/config/history/:rev — one revision with its (masked) config
+  const historyMatch = pathname.match(/^\/api\/config\/history\/(\d+)$/);
+  if (req.method === 'GET' && historyMatch) {
+    const entry = readRevision(dashboardId, historyMatch[1]);
+    if (!entry) { sendJson(res, 404, { error: `Revision ${historyMatch[1]} not found` }); return; }
+    sendJson(res, 200, { ...entry, config: maskConfig(entry.config || emptyConfig(), dashboardId) });
+    return;
+  }
+
+  // GET /api/config/diff?from=<rev>&to=<rev|current> — widget-level diff
+  if (req.method === 'GET' && pathname === '/api/config/diff') {
+    const resolve = (ref) => {
+      if (!ref || ref === 'current') return readDashboardConfig(dashboardId);
+      if (!/^\d+$/.test(ref)) return null;
+      const entry = readRevision(dashboardId, ref);
+      return entry ? entry.config : null;
+    };
+    const fromRef = parsedUrl.searchParams.get('from');
+    const toRef = parsedUrl.searchParams.get('to') || 'current';
+    if (!fromRef) { sendJson(res, 400, { error: 'Missing "from" revision' }); return; }
+    const from = resolve(fromRef);
+    const to = resolve(toRef);
+    if (!from) { sendJson(res, 404, { error: `Revision ${fromRef} not found` }); return; }
+    if (!to) { sendJson(res, 404, { error: `Revision ${toRef} not found` }); return; }
+    sendJson(res, 200, { from: fromRef, to: toRef, ...diffConfigs(from, to) });
+    return;
+  }
+
+  // POST /api/config/rollback/:rev — restore a revision (recorded as a new revision)
+  const rollbackMatch = pathname.match(/^\/api\/config\/rollback\/(\d+)$/);
+  if (req.method === 'POST' && rollbackMatch) {
+    const entry = readRevision(dashboardId, rollbackMatch[1]);
+    if (!entry || !entry.config) { sendJson(res, 404, { error: `Revision ${rollbackMatch[1]} not found` }); return; }
+    let restored;
+    try {
+      restored = migrateConfig(entry.config);
+    } catch (e) {
+      sendJson(res, 400, { error: e.message }); return;
+    }
+    try {
+      logMigration(`revision ${entry.rev} of dashboard "${dashboardId}"`, restored.from, restored.changes);
+      const rev = saveDashboardConfig(dashboardId, restored.config, `rollback:${entry.rev}`);
+      recordAudit(req, 'config.rollback', { target: dashboardId, details: { rev, restored: entry.rev } });
+      sendJson(res, 200, { status: 'success', message: `Rolled back to revision ${entry.rev}`, rev });
+    } catch (e) {
+      sendError(res, `Failed to write config file: ${e.message}`);
+    }
+    return;
   }
 
   // ── Pages system routing ──
@@ -886,7 +3655,7 @@ const server = http.createServer(async (req, res) => {
       const contentType = MIME_TYPES[ext] || 'application/octet-stream';
       fs.readFile(resolved, (err, data) => {
         if (err) { sendResponse(res, 404, 'text/plain', 'Not Found'); return; }
-        sendResponse(res, 200, contentType, data);
+        sendResponse(res, 200, contentType, ext === '.html' ? withBasePath(data) : data);
       });
       return;
     }
@@ -919,7 +3688,7 @@ const server = http.createServer(async (req, res) => {
 
   // GET/POST /api/todos - Read/write todo list
   if (pathname === '/api/todos') {
-    const todosFile = path.join(__dirname, 'todos.json');
+    const todosFile = path.join(DATA_ROOT, 'todos.json');
     if (req.method === 'GET') {
       fs.readFile(todosFile, 'utf8', (err, data) => {
         if (err) {
@@ -955,7 +3724,7 @@ const server = http.createServer(async (req, res) => {
 
   // GET/POST /api/notes - Read/write notes content
   if (pathname === '/api/notes') {
-    const notesFile = path.join(__dirname, 'notes.json');
+    const notesFile = path.join(DATA_ROOT, 'notes.json');
     if (req.method === 'GET') {
       fs.readFile(notesFile, 'utf8', (err, data) => {
         if (err) {
@@ -990,7 +3759,7 @@ const server = http.createServer(async (req, res) => {
   }
 
   // ── Todoist API v1 proxy ─────────────────────────────────
-  const TODOIST_TOKEN = process.env.TODOIST_API_TOKEN || '';
+  const TODOIST_TOKEN = SETTINGS.todoistToken;
   if (pathname.startsWith('/api/todoist/')) {
     if (!TODOIST_TOKEN) { sendError(res, 'TODOIST_API_TOKEN not set', 503); return; }
 
@@ -1136,7 +3905,7 @@ const server = http.createServer(async (req, res) => {
   }
 
   // ── Telegram Bridge proxy ─────────────────────────────────
-  const TG_BRIDGE_PORT = process.env.TG_BRIDGE_PORT || 18790;
+  const TG_BRIDGE_PORT = SETTINGS.telegramBridgePort;
   const TG_BRIDGE = `http://127.0.0.1:${TG_BRIDGE_PORT}`;
 
   if (pathname.startsWith('/api/telegram/')) {
@@ -1335,66 +4104,35 @@ const server = http.createServer(async (req, res) => {
 
   // GET /api/releases - OpenClaw release info via WS RPC + GitHub (cached 1hr)
   if (req.method === 'GET' && pathname === '/api/releases') {
-    const now = Date.now();
-    if (_releaseCache && (now - _releaseCacheTime) < 3600000) {
-      sendJson(res, 200, _releaseCache);
-      return;
-    }
-    (async () => {
-      try {
+    getSourceData('github-release', new URLSearchParams({ repo: 'openclaw/openclaw' })).then(({ data }) => {
+      sendJson(res, 200, {
+        status: 'ok',
         // Use version from OpenClaw connect handshake
-        const currentVersion = _ocServerVersion || 'unknown';
-
-        const ghRes = await fetch('https://api.github.com/repos/openclaw/openclaw/releases/latest');
-        const ghData = await ghRes.json();
-        const result = {
-          status: 'ok',
-          current: currentVersion,
-          latest: ghData.tag_name,
-          latestUrl: ghData.html_url,
-          publishedAt: ghData.published_at
-        };
-        _releaseCache = result;
-        _releaseCacheTime = now;
-        sendJson(res, 200, result);
-      } catch (e) {
-        sendError(res, `Release check error: ${e.message}`);
-      }
-    })();
+        current: _ocServerVersion || 'unknown',
+        latest: data.tag,
+        latestUrl: data.url,
+        publishedAt: data.publishedAt
+      });
+    }).catch(e => sendError(res, `Release check error: ${e.message}`));
     return;
   }
 
-  // GET /api/lb-release - LobsterBoard version check
+  // GET /api/lb-release - LobsterBoard version check (cached 1hr)
   if (req.method === 'GET' && pathname === '/api/lb-release') {
-    const now = Date.now();
-    if (_lbReleaseCache && (now - _lbReleaseCacheTime) < 3600000) {
-      sendJson(res, 200, _lbReleaseCache);
-      return;
-    }
-    (async () => {
-      try {
-        let currentVersion = 'unknown';
-        try {
-          const pkgPath = path.join(__dirname, 'package.json');
-          currentVersion = JSON.parse(fs.readFileSync(pkgPath, 'utf8')).version;
-        } catch (_) {}
-
-        const ghRes = await fetch('https://api.github.com/repos/lobsterboard/lobsterboard/releases/latest');
-        const ghData = await ghRes.json();
-        const result = {
-          status: 'ok',
-          current: currentVersion,
-          latest: ghData.tag_name || currentVersion,
-          latestUrl: ghData.html_url || '',
-          publishedAt: ghData.published_at || null
-        };
-        _lbReleaseCache = result;
-        _lbReleaseCacheTime = now;
-        sendJson(res, 200, result);
-      } catch (e) {
-        sendError(res, `LB Release check error: ${e.message}`);
-      }
-    })();
+    let currentVersion = 'unknown';
+    try {
+      const pkgPath = path.join(__dirname, 'package.json');
+      currentVersion = JSON.parse(fs.readFileSync(pkgPath, 'utf8')).version;
+    } catch (_) {}
+    getSourceData('github-release', new URLSearchParams({ repo: 'lobsterboard/lobsterboard' })).then(({ data }) => {
+      sendJson(res, 200, {
+        status: 'ok',
+        current: currentVersion,
+        latest: data.tag || currentVersion,
+        latestUrl: data.url || '',
+        publishedAt: data.publishedAt || null
+      });
+    }).catch(e => sendError(res, `LB Release check error: ${e.message}`));
     return;
   }
 
@@ -1505,148 +4243,48 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  // GET /api/rss?url=<feedUrl>&widgetId=<id>&secretKey=<key> - Server-side RSS proxy
-  if (req.method === 'GET' && pathname === '/api/rss') {
-    let feedUrl = parsedUrl.searchParams.get('url');
-    const rssWidgetId = parsedUrl.searchParams.get('widgetId');
-    const rssSecretKey = parsedUrl.searchParams.get('secretKey') || 'feedUrl';
-    if ((!feedUrl || feedUrl === '••••••••' || feedUrl === '__SECRET__') && rssWidgetId) {
-      const secrets = getSecrets();
-      feedUrl = secrets[rssWidgetId]?.[rssSecretKey] || null;
-    }
-    if (!feedUrl) { sendError(res, 'Missing url parameter', 400); return; }
-
-    // Validate URL: only http/https, block private/internal IPs (SSRF protection)
-    function isPrivateHost(hostname) {
-      const patterns = [
-        /^127\./, /^10\./, /^172\.(1[6-9]|2\d|3[01])\./, /^192\.168\./,
-        /^169\.254\./, /^0\./, /^localhost$/i, /^\[?::1\]?$/, /^\[?fc/i, /^\[?fd/i
-      ];
-      return patterns.some(p => p.test(hostname));
-    }
-    try {
-      const parsed = new URL(feedUrl);
-      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
-        sendError(res, 'Only http and https URLs are allowed', 400); return;
-      }
-      if (isPrivateHost(parsed.hostname)) {
-        sendError(res, 'URLs pointing to private/internal addresses are not allowed', 400); return;
-      }
-    } catch (urlErr) {
-      sendError(res, 'Invalid URL', 400); return;
-    }
-
-    try {
-      const https = require('https');
-      const http2 = require('http');
-      function fetchFeed(url, redirects) {
-        if (redirects > 3) { sendError(res, 'Too many redirects'); return; }
-        // Validate each URL (including redirects) against SSRF
-        try {
-          const rp = new URL(url);
-          if (rp.protocol !== 'http:' && rp.protocol !== 'https:') { sendError(res, 'Redirect to disallowed scheme', 400); return; }
-          if (isPrivateHost(rp.hostname)) { sendError(res, 'Redirect to private address blocked', 400); return; }
-        } catch (_) { sendError(res, 'Invalid redirect URL', 400); return; }
-        const mod = url.startsWith('https') ? https : http2;
-        const req2 = mod.get(url, { headers: { 'User-Agent': 'LobsterBoard/1.0' }, timeout: 15000 }, (proxyRes) => {
-          if ([301, 302, 307, 308].includes(proxyRes.statusCode) && proxyRes.headers.location) {
-            proxyRes.resume();
-            fetchFeed(proxyRes.headers.location, redirects + 1);
-            return;
-          }
-          let body = '';
-          proxyRes.on('data', c => { body += c; if (body.length > 5000000) proxyRes.destroy(); });
-          proxyRes.on('end', () => { sendResponse(res, 200, 'application/xml', body, { 'Access-Control-Allow-Origin': '*' }); });
-        });
-        req2.on('error', e => sendError(res, e.message));
-        req2.on('timeout', () => { req2.destroy(); sendError(res, 'Feed request timed out'); });
-      }
-      fetchFeed(feedUrl, 0);
-    } catch (e) { sendError(res, e.message); }
+  // GET /api/data/:source?<params> - Shared, cached upstream data for widgets
+  const dataSourceMatch = pathname.match(/^\/api\/data\/([\w-]+)$/);
+  if (req.method === 'GET' && dataSourceMatch) {
+    getSourceData(dataSourceMatch[1], parsedUrl.searchParams, { dashboardId })
+      .then(result => sendJson(res, 200, result))
+      .catch(e => sendJson(res, e.statusCode || 500, { error: e.message }));
     return;
   }
 
-  // GET /api/calendar?url=<icalUrl>&max=<maxEvents>&widgetId=<id>&secretKey=<key> - iCal feed proxy + parser
-  if (req.method === 'GET' && pathname === '/api/calendar') {
-    let icalUrl = parsedUrl.searchParams.get('url');
-    const maxEvents = Math.min(parseInt(parsedUrl.searchParams.get('max')) || 10, 50);
-    const widgetId = parsedUrl.searchParams.get('widgetId');
-    const secretKey = parsedUrl.searchParams.get('secretKey') || 'icalUrl';
-    // If url is masked/placeholder, resolve from secrets
-    if ((!icalUrl || icalUrl === '••••••••' || icalUrl === '__SECRET__') && widgetId) {
-      const secrets = getSecrets();
-      icalUrl = secrets[widgetId]?.[secretKey] || null;
-    }
-    if (!icalUrl) { sendError(res, 'Missing url parameter', 400); return; }
-
-    // Validate URL: only http/https, block private/internal IPs
-    function isPrivateHost(hostname) {
-      const patterns = [
-        /^127\./, /^10\./, /^172\.(1[6-9]|2\d|3[01])\./, /^192\.168\./,
-        /^169\.254\./, /^0\./, /^localhost$/i, /^\[?::1\]?$/, /^\[?fc/i, /^\[?fd/i
-      ];
-      return patterns.some(p => p.test(hostname));
-    }
-    try {
-      const parsed = new URL(icalUrl);
-      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
-        sendError(res, 'Only http and https URLs are allowed', 400); return;
-      }
-      if (isPrivateHost(parsed.hostname)) {
-        sendError(res, 'URLs pointing to private/internal addresses are not allowed', 400); return;
-      }
-    } catch (urlErr) {
-      sendError(res, 'Invalid URL', 400); return;
-    }
+  // GET /api/proxy?url=<url>&header=<Name: value>&widgetId=<id>&cache=<seconds> - Fetch an allowlisted URL, injecting the widget's secrets
+  if (req.method === 'GET' && pathname === '/api/proxy') {
+    const canEdit = !!requestUser && isAllowed(requestUser, 'write-config');
+    proxyRequest(parsedUrl.searchParams, { dashboardId, canEdit }).then(({ data, fetchedAt }) => {
+      sendResponse(res, 200, data.contentType, data.body, {
+        'Age': String(Math.round((Date.now() - fetchedAt) / 1000)),
+        // Upstream HTML must not run scripts on this origin
+        'Content-Security-Policy': 'sandbox',
+        'X-Content-Type-Options': 'nosniff'
+      });
+    }).catch(e => sendJson(res, e.statusCode || 500, { error: e.message }));
+    return;
+  }
 
-    // 5-minute cache keyed by url+max
-    if (!global._calendarCache) global._calendarCache = {};
-    const cacheKey = icalUrl + '|' + maxEvents;
-    const cached = global._calendarCache[cacheKey];
-    if (cached && Date.now() - cached.ts < 300000) {
-      sendJson(res, 200, cached.data);
-      return;
-    }
+  // GET /api/rss?url=<feedUrl>&widgetId=<id>&secretKey=<key>&dashboard=<id> - RSS feed (the rss data source, as XML)
+  if (req.method === 'GET' && pathname === '/api/rss') {
+    getSourceData('rss', parsedUrl.searchParams, { dashboardId })
+      .then(({ data }) => sendResponse(res, 200, 'application/xml', data.xml, { 'Access-Control-Allow-Origin': '*' }))
+      .catch(e => sendError(res, e.message, e.statusCode || 500));
+    return;
+  }
 
-    try {
-      const https = require('https');
-      const http2 = require('http');
-      function fetchIcal(url, redirects) {
-        if (redirects > 3) { sendError(res, 'Too many redirects'); return; }
-        // Validate each URL (including redirects) against SSRF
-        try {
-          const rp = new URL(url);
-          if (rp.protocol !== 'http:' && rp.protocol !== 'https:') { sendError(res, 'Redirect to disallowed scheme', 400); return; }
-          if (isPrivateHost(rp.hostname)) { sendError(res, 'Redirect to private address blocked', 400); return; }
-        } catch (_) { sendError(res, 'Invalid redirect URL', 400); return; }
-        const mod = url.startsWith('https') ? https : http2;
-        const req2 = mod.get(url, { headers: { 'User-Agent': 'LobsterBoard/1.0' }, timeout: 15000 }, (proxyRes) => {
-          if ([301, 302, 307, 308].includes(proxyRes.statusCode) && proxyRes.headers.location) {
-            proxyRes.resume();
-            fetchIcal(proxyRes.headers.location, redirects + 1);
-            return;
-          }
-          let body = '';
-          proxyRes.on('data', c => { body += c; if (body.length > 5000000) proxyRes.destroy(); });
-          proxyRes.on('end', () => {
-            try {
-              const events = parseIcal(body, maxEvents);
-              global._calendarCache[cacheKey] = { ts: Date.now(), data: events };
-              sendJson(res, 200, events);
-            } catch (e) { sendError(res, 'Failed to parse iCal: ' + e.message); }
-          });
-        });
-        req2.on('error', e => sendError(res, e.message));
-        req2.on('timeout', () => { req2.destroy(); sendError(res, 'Request timed out'); });
-      }
-      fetchIcal(icalUrl, 0);
-    } catch (e) { sendError(res, e.message); }
+  // GET /api/calendar?url=<icalUrl>&max=<maxEvents>&widgetId=<id>&secretKey=<key> - upcoming iCal events (the calendar data source)
+  if (req.method === 'GET' && pathname === '/api/calendar') {
+    getSourceData('calendar', parsedUrl.searchParams, { dashboardId })
+      .then(({ data }) => sendJson(res, 200, data))
+      .catch(e => sendError(res, e.message, e.statusCode || 500));
     return;
   }
 
   // GET /api/usage/claude - Anthropic Claude usage proxy
   if (req.method === 'GET' && pathname === '/api/usage/claude') {
-    let apiKey = process.env.ANTHROPIC_ADMIN_KEY;
+    let apiKey = SETTINGS.anthropicAdminKey;
     if (!apiKey) {
       try {
         const cfg = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
@@ -1722,7 +4360,7 @@ const server = http.createServer(async (req, res) => {
 
   // GET /api/usage/openai - OpenAI usage proxy
   if (req.method === 'GET' && pathname === '/api/usage/openai') {
-    let apiKey = process.env.OPENAI_API_KEY;
+    let apiKey = SETTINGS.openaiApiKey;
     if (!apiKey) {
       try {
         const cfg = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
@@ -1799,6 +4437,12 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // GET /metrics - Prometheus scrape endpoint
+  if (req.method === 'GET' && pathname === '/metrics' && SETTINGS.metrics) {
+    sendResponse(res, 200, 'text/plain; version=0.0.4; charset=utf-8', renderMetrics(), { 'Cache-Control': 'no-store' });
+    return;
+  }
+
   // GET /api/stats/stream - SSE endpoint for live stats
   if (req.method === 'GET' && pathname === '/api/stats/stream') {
     if (sseClients.size >= 10) {
@@ -1818,13 +4462,11 @@ const server = http.createServer(async (req, res) => {
   }
 
   // ── Templates API ──
-  const TEMPLATES_DIR = path.join(__dirname, 'templates');
 
   // GET /api/templates — list all templates
   if (req.method === 'GET' && pathname === '/api/templates') {
     try {
-      const templates = scanTemplates(TEMPLATES_DIR);
-      sendJson(res, 200, templates);
+      sendJson(res, 200, listTemplates());
     } catch (e) {
       sendError(res, `Failed to list templates: ${e.message}`);
     }
@@ -1833,9 +4475,9 @@ const server = http.createServer(async (req, res) => {
 
   // GET /api/templates/:id — get a template's config.json
   if (req.method === 'GET' && pathname.match(/^\/api\/templates\/([^/]+)$/) && !pathname.endsWith('/preview')) {
-    const id = pathname.split('/')[3];
-    const configPath = path.join(TEMPLATES_DIR, id, 'config.json');
-    if (!fs.existsSync(configPath)) { sendJson(res, 404, { error: 'Template not found' }); return; }
+    const tplDir = findTemplateDir(pathname.split('/')[3]);
+    const configPath = tplDir && path.join(tplDir, 'config.json');
+    if (!configPath || !fs.existsSync(configPath)) { sendJson(res, 404, { error: 'Template not found' }); return; }
     try {
       const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
       sendJson(res, 200, config);
@@ -1845,11 +4487,11 @@ const server = http.createServer(async (req, res) => {
 
   // GET /api/templates/:id/preview — serve preview image
   if (req.method === 'GET' && pathname.match(/^\/api\/templates\/([^/]+)\/preview$/)) {
-    const id = pathname.split('/')[3];
-    const metaPath = path.join(TEMPLATES_DIR, id, 'meta.json');
+    const tplDir = findTemplateDir(pathname.split('/')[3]);
+    if (!tplDir) { sendResponse(res, 404, 'text/plain', 'No preview'); return; }
     let previewFile = 'preview.png';
-    try { previewFile = JSON.parse(fs.readFileSync(metaPath, 'utf8')).preview || 'preview.png'; } catch (_) {}
-    const previewPath = path.join(TEMPLATES_DIR, id, previewFile);
+    try { previewFile = JSON.parse(fs.readFileSync(path.join(tplDir, 'meta.json'), 'utf8')).preview || 'preview.png'; } catch (_) {}
+    const previewPath = path.join(tplDir, previewFile);
     if (!fs.existsSync(previewPath)) { sendResponse(res, 404, 'text/plain', 'No preview'); return; }
     const ext = path.extname(previewPath).toLowerCase();
     const ct = MIME_TYPES[ext] || 'application/octet-stream';
@@ -1866,12 +4508,14 @@ const server = http.createServer(async (req, res) => {
     req.on('data', c => body += c);
     req.on('end', () => {
       try {
-        const { id, mode } = JSON.parse(body);
+        const { id, mode, dashboard = dashboardId } = JSON.parse(body);
         if (!id) { sendJson(res, 400, { error: 'Missing template id' }); return; }
         if (!mode) { sendJson(res, 400, { error: 'Missing import mode' }); return; }
+        if (!dashboardExists(dashboard)) { sendJson(res, 404, { error: `Dashboard "${dashboard}" not found` }); return; }
         
-        const tplConfigPath = path.join(TEMPLATES_DIR, id, 'config.json');
-        if (!fs.existsSync(tplConfigPath)) { sendJson(res, 404, { error: `Template "${id}" not found` }); return; }
+        const tplDir = findTemplateDir(String(id));
+        const tplConfigPath = tplDir && path.join(tplDir, 'config.json');
+        if (!tplConfigPath || !fs.existsSync(tplConfigPath)) { sendJson(res, 404, { error: `Template "${id}" not found` }); return; }
         
         let tplConfig;
         try {
@@ -1879,35 +4523,28 @@ const server = http.createServer(async (req, res) => {
         } catch (parseErr) {
           sendJson(res, 500, { error: `Template config is invalid JSON: ${parseErr.message}` }); return;
         }
+        const prepared = prepareConfig(tplConfig, `template "${id}"`);
+        if (prepared.errors.length) {
+          sendJson(res, 400, { error: `Template "${id}" failed validation`, errors: prepared.errors }); return;
+        }
+        tplConfig = prepared.config;
 
         if (mode === 'replace') {
           try {
-            fs.writeFileSync(CONFIG_FILE, JSON.stringify(tplConfig, null, 2));
+            saveDashboardConfig(dashboard, tplConfig, `template-replace:${id}`);
           } catch (writeErr) {
             sendJson(res, 500, { error: `Failed to write config: ${writeErr.message}` }); return;
           }
+          recordAudit(req, 'template.import', { target: id, details: { dashboard, mode } });
           sendJson(res, 200, { status: 'success', message: 'Template imported (replace)' });
         } else if (mode === 'merge') {
-          let currentConfig = { canvas: { width: 1920, height: 1080 }, widgets: [] };
-          try { currentConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')); } catch (_) {}
-          // Find max Y of existing widgets
-          let maxY = 0;
-          for (const w of (currentConfig.widgets || [])) {
-            const bottom = (w.y || 0) + (w.height || 100);
-            if (bottom > maxY) maxY = bottom;
-          }
-          const offset = maxY + 100;
-          const newWidgets = (tplConfig.widgets || []).map(w => ({
-            ...w,
-            id: w.id + '-tpl-' + Date.now(),
-            y: (w.y || 0) + offset
-          }));
-          currentConfig.widgets = [...(currentConfig.widgets || []), ...newWidgets];
+          const { config: merged, added: newWidgets } = mergeTemplate(loadDashboardConfig(dashboard), tplConfig);
           try {
-            fs.writeFileSync(CONFIG_FILE, JSON.stringify(currentConfig, null, 2));
+            saveDashboardConfig(dashboard, merged, `template-merge:${id}`);
           } catch (writeErr) {
             sendJson(res, 500, { error: `Failed to write config: ${writeErr.message}` }); return;
           }
+          recordAudit(req, 'template.import', { target: id, details: { dashboard, mode, widgets: newWidgets.length } });
           sendJson(res, 200, { status: 'success', message: `Merged ${newWidgets.length} widgets` });
         } else {
           sendJson(res, 400, { error: 'Invalid mode. Use "replace" or "merge"' });
@@ -1962,83 +4599,11 @@ const server = http.createServer(async (req, res) => {
     req.on('data', c => body += c);
     req.on('end', () => {
       try {
-        const { name, description, author, tags, widgetTypes } = JSON.parse(body);
+        const { name, description, author, tags, widgetTypes, dashboard = dashboardId } = JSON.parse(body);
         if (!name) { sendJson(res, 400, { error: 'Name is required' }); return; }
-        const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
-        const tplDir = path.join(TEMPLATES_DIR, id);
-        fs.mkdirSync(tplDir, { recursive: true });
-
-        // Read current config and strip sensitive data
-        let config = { canvas: { width: 1920, height: 1080 }, widgets: [] };
-        try { config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')); } catch (_) {}
-
-        const sensitiveKeys = ['apiKey', 'api_key', 'token', 'secret', 'password'];
-        const privateIpRegex = /^https?:\/\/(10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|localhost|127\.0\.0\.1)/i;
-        // URLs that may contain private auth tokens — strip them in templates
-        const privateUrlKeys = ['icalUrl'];
-        const privateUrlPatterns = [/[?&/]private[-_]?[a-f0-9]/i, /caldav\.icloud\.com/i, /\/private\//i];
-
-        function stripSensitive(props) {
-          if (!props || typeof props !== 'object') return props;
-          let stripped = false;
-          const result = Array.isArray(props) ? [...props] : { ...props };
-          for (const key of Object.keys(result)) {
-            if (sensitiveKeys.includes(key)) {
-              result[key] = 'YOUR_API_KEY_HERE';
-              stripped = true;
-            } else if ((key === 'url' || key === 'endpoint') && typeof result[key] === 'string' && privateIpRegex.test(result[key])) {
-              result[key] = 'http://your-server:port/path';
-              stripped = true;
-            } else if (privateUrlKeys.includes(key) && typeof result[key] === 'string') {
-              // Always strip private calendar/feed URLs — they contain auth tokens
-              if (result[key] && (result[key].length > 0)) {
-                const hasPrivateToken = privateUrlPatterns.some(p => p.test(result[key]));
-                if (hasPrivateToken) {
-                  result[key] = '';
-                  stripped = true;
-                }
-              }
-            } else if (typeof result[key] === 'object' && result[key] !== null) {
-              const inner = stripSensitive(result[key]);
-              result[key] = inner.result;
-              if (inner.stripped) stripped = true;
-            }
-          }
-          return { result, stripped };
-        }
-
-        const cleanWidgets = (config.widgets || []).map(w => {
-          const cleaned = { ...w };
-          if (cleaned.properties) {
-            const { result, stripped } = stripSensitive(cleaned.properties);
-            cleaned.properties = result;
-            if (stripped) cleaned._templateNote = '⚠️ Configure this widget\'s settings after import';
-          }
-          return cleaned;
-        });
-
-        const cleanConfig = { canvas: config.canvas, widgets: cleanWidgets };
-        fs.writeFileSync(path.join(tplDir, 'config.json'), JSON.stringify(cleanConfig, null, 2));
-
-        const canvasSize = config.canvas ? `${config.canvas.width}x${config.canvas.height}` : '1920x1080';
-        const meta = {
-          id,
-          name,
-          description: description || '',
-          author: author || 'anonymous',
-          tags: tags || [],
-          canvasSize,
-          widgetCount: cleanWidgets.length,
-          widgetTypes: widgetTypes || [],
-          requiresSetup: [],
-          preview: 'preview.png'
-        };
-        fs.writeFileSync(path.join(tplDir, 'meta.json'), JSON.stringify(meta, null, 2));
-
-        // Rebuild templates.json
-        const templates = scanTemplates(TEMPLATES_DIR);
-        fs.writeFileSync(path.join(TEMPLATES_DIR, 'templates.json'), JSON.stringify(templates, null, 2));
-
+        if (!dashboardExists(dashboard)) { sendJson(res, 404, { error: `Dashboard "${dashboard}" not found` }); return; }
+        const { id } = exportTemplate(dashboard, { name, description, author, tags, widgetTypes });
+        recordAudit(req, 'template.export', { target: id, details: { dashboard } });
         sendJson(res, 200, { status: 'success', id, message: `Template "${name}" exported` });
       } catch (e) { sendError(res, e.message); }
     });
@@ -2047,9 +4612,8 @@ const server = http.createServer(async (req, res) => {
 
   // POST /api/templates/:id/screenshot — upload preview image
   if (req.method === 'POST' && pathname.match(/^\/api\/templates\/[^/]+\/screenshot$/)) {
-    const tplId = pathname.split('/')[3];
-    const tplDir = path.join(TEMPLATES_DIR, tplId);
-    if (!fs.existsSync(tplDir)) { sendJson(res, 404, { error: 'Template not found' }); return; }
+    const tplDir = findTemplateDir(pathname.split('/')[3]);
+    if (!tplDir) { sendJson(res, 404, { error: 'Template not found' }); return; }
     let body = '';
     req.on('data', c => body += c);
     req.on('end', () => {
@@ -2068,10 +4632,11 @@ const server = http.createServer(async (req, res) => {
   // DELETE /api/templates/:id — delete a template
   if (req.method === 'DELETE' && pathname.match(/^\/api\/templates\/[^/]+$/)) {
     const tplId = pathname.split('/')[3];
-    const tplDir = path.join(TEMPLATES_DIR, tplId);
-    if (!fs.existsSync(tplDir)) { sendJson(res, 404, { error: 'Template not found' }); return; }
+    const tplDir = findTemplateDir(tplId);
+    if (!tplDir) { sendJson(res, 404, { error: 'Template not found' }); return; }
     try {
       fs.rmSync(tplDir, { recursive: true, force: true });
+      recordAudit(req, 'template.delete', { target: tplId });
       sendJson(res, 200, { status: 'success', message: `Template "${tplId}" deleted` });
     } catch (e) { sendError(res, e.message); }
     return;
@@ -2102,9 +4667,9 @@ const server = http.createServer(async (req, res) => {
       }
       return;
     }
-    sendResponse(res, 200, contentType, data);
+    sendResponse(res, 200, contentType, ext === '.html' ? withBasePath(data) : data);
   });
-});
+};
 
 // GET /api/latest-image?dir=<path> - newest image from a directory
 // (inserted before graceful shutdown)
@@ -2132,14 +4697,439 @@ const latestImageHandler = (parsedUrl, res) => {
   } catch (error) { sendResponse(res, 200, 'application/json', JSON.stringify({ status: 'error', message: error.message })); }
 };
 
-// Graceful shutdown
-process.on('SIGTERM', () => server.close(() => process.exit(0)));
-process.on('SIGINT', () => server.close(() => process.exit(0)));
+// ─────────────────────────────────────────────
+// Zip archives
+// Just enough of the format for dashboard exports, template imports and
+// backups: stored or deflated entries, no zip64. Unix file modes are kept so
+// secrets.key stays private after a restore.
+// ─────────────────────────────────────────────
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (const byte of buf) crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/** entries: [{ name, data (Buffer or string), mode?, mtime? }] → zip file contents */
+function createZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name);
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data);
+    const deflated = zlib.deflateRawSync(data);
+    const stored = deflated.length >= data.length;
+    const body = stored ? data : deflated;
+    const { time, date } = dosDateTime(entry.mtime || new Date());
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4); // made on Unix, so the mode below is read
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(((0o100000 | (entry.mode || 0o644)) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + body.length;
+  }
+  const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/** Zip file contents → [{ name, data, mode }] for every file (folders are skipped) */
+function readZip(buf) {
+  let endAt = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { endAt = i; break; }
+  }
+  if (endAt === -1) throw new Error('Not a zip file');
+  const count = buf.readUInt16LE(endAt + 10);
+  let at = buf.readUInt32LE(endAt + 16);
+  if (at === 0xffffffff) throw new Error('Zip64 archives are not supported');
+
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(at) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+    const method = buf.readUInt16LE(at + 10);
+    const crc = buf.readUInt32LE(at + 16);
+    const compressedSize = buf.readUInt32LE(at + 20);
+    const nameLength = buf.readUInt16LE(at + 28);
+    const extraLength = buf.readUInt16LE(at + 30);
+    const commentLength = buf.readUInt16LE(at + 32);
+    const madeOnUnix = buf.readUInt8(at + 5) === 3;
+    const attributes = buf.readUInt32LE(at + 38);
+    const localAt = buf.readUInt32LE(at + 42);
+    const name = buf.toString('utf8', at + 46, at + 46 + nameLength);
+    at += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith('/')) continue;
+
+    const dataAt = localAt + 30 + buf.readUInt16LE(localAt + 26) + buf.readUInt16LE(localAt + 28);
+    const body = buf.subarray(dataAt, dataAt + compressedSize);
+    let data;
+    if (method === 0) data = Buffer.from(body);
+    else if (method === 8) data = zlib.inflateRawSync(body);
+    else throw new Error(`${name}: unsupported compression method ${method}`);
+    if (crc32(data) !== crc) throw new Error(`${name}: checksum mismatch`);
+    entries.push({ name, data, mode: madeOnUnix ? (attributes >>> 16) & 0o777 : null });
+  }
+  return entries;
+}
+
+// ─────────────────────────────────────────────
+// Administration commands
+// `lobsterboard <command>` works directly on the data directory, so it can be
+// used on a headless machine or while the server is stopped. A running server
+// sees the changes on its next request; open dashboards see them on reload.
+// ─────────────────────────────────────────────
+const EXPORT_SCRIPT = path.join(__dirname, 'js', 'export.js');
+const BACKUP_MANIFEST = 'lobsterboard-backup.json';
+// Written while the server runs, so restore can refuse to swap the data out from under it
+const SERVER_PID_FILE = path.join(DATA_ROOT, 'server.pid');
+
+/** The pid of a server running on this data directory, or null */
+function runningServerPid() {
+  let pid;
+  try { pid = parseInt(fs.readFileSync(SERVER_PID_FILE, 'utf8'), 10); } catch (_) { return null; }
+  if (!pid || pid === process.pid) return null;
+  try {
+    process.kill(pid, 0);
+    return pid;
+  } catch (e) {
+    return e.code === 'EPERM' ? pid : null;
+  }
+}
+
+/** js/export.js is a browser script that uses WIDGETS; run both in one sandbox */
+function loadDashboardExporter() {
+  const sandbox = { window: {}, module: { exports: {} }, console };
+  vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(WIDGETS_FILE, 'utf8'), sandbox, { filename: WIDGETS_FILE });
+  sandbox.module = { exports: {} };
+  vm.runInContext(fs.readFileSync(EXPORT_SCRIPT, 'utf8'), sandbox, { filename: EXPORT_SCRIPT });
+  return sandbox.module.exports;
+}
+
+function commandDashboard() {
+  const dashboard = CLI.options.dashboard || DEFAULT_DASHBOARD_ID;
+  if (!dashboardExists(dashboard)) throw new Error(`Dashboard "${dashboard}" not found`);
+  return dashboard;
+}
+
+/**
+ * Write a file the user named, refusing to replace one unless --force is
+ * given. With `mode`, a replaced file is narrowed to it before it is written.
+ */
+function writeOutputFile(file, data, mode) {
+  const exists = fs.existsSync(file);
+  if (exists && !CLI.options.force) throw new Error(`${file} already exists (use --force to overwrite)`);
+  if (exists && mode) fs.chmodSync(file, mode);
+  fs.writeFileSync(file, data, mode ? { mode } : undefined);
+}
+
+function askLine(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => rl.question(question, answer => { rl.close(); resolve(answer.trim()); }));
+}
+
+/** Every file under dir, as paths relative to it with forward slashes */
+function listFilesRecursive(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relative = prefix + entry.name;
+    if (entry.isDirectory()) files.push(...listFilesRecursive(path.join(dir, entry.name), relative + '/'));
+    else if (entry.isFile()) files.push(relative);
+  }
+  return files;
+}
+
+/** The config.json of a template given as an id, a template folder or a zip */
+function readTemplateSource(source) {
+  if (fs.existsSync(source) && fs.statSync(source).isFile()) {
+    // The config.json closest to the top, so a zipped template folder works too
+    const config = readZip(fs.readFileSync(source))
+      .filter(e => path.posix.basename(e.name) === 'config.json')
+      .sort((a, b) => a.name.split('/').length - b.name.split('/').length)[0];
+    if (!config) throw new Error(`${source} has no config.json`);
+    return { label: path.basename(source, '.zip'), text: config.data.toString('utf8') };
+  }
+  const tplDir = fs.existsSync(path.join(source, 'config.json')) ? source : findTemplateDir(source);
+  if (!tplDir) throw new Error(`Template "${source}" not found`);
+  return { label: path.basename(tplDir), text: fs.readFileSync(path.join(tplDir, 'config.json'), 'utf8') };
+}
+
+function parseConfigText(text, label) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${label} is not valid JSON: ${e.message}`);
+  }
+}
+
+function printValidationErrors(errors) {
+  errors.forEach(e => console.error(`  ${e.path} ${e.message}`));
+}
+
+const COMMAND_HANDLERS = {
+  export() {
+    const dashboard = commandDashboard();
+    const { dashboardExportFiles } = loadDashboardExporter();
+    const files = dashboardExportFiles(maskConfig(loadDashboardConfig(dashboard), dashboard));
+    const output = CLI.options.output || 'openclaw-dashboard.zip';
+    writeOutputFile(output, createZip(Object.entries(files).map(([name, data]) => ({ name, data }))));
+    console.log(`[export] Wrote dashboard "${dashboard}" to ${output}`);
+  },
+
+  import([source]) {
+    if (!source) throw new Error('Usage: lobsterboard import <template-id|folder|file.zip> [--dashboard <id>] [--mode replace|merge]');
+    const dashboard = commandDashboard();
+    const mode = CLI.options.mode || 'replace';
+    if (!['replace', 'merge'].includes(mode)) throw new Error('Invalid mode. Use "replace" or "merge"');
+    const { label, text } = readTemplateSource(source);
+    const prepared = prepareConfig(parseConfigText(text, source), `template "${label}"`);
+    if (prepared.errors.length) {
+      printValidationErrors(prepared.errors);
+      throw new Error(`Template "${label}" failed validation`);
+    }
+    if (mode === 'replace') {
+      saveDashboardConfig(dashboard, prepared.config, `template-replace:${label}`);
+      recordAudit(null, 'template.import', { target: label, details: { dashboard, mode } });
+      console.log(`[import] Replaced dashboard "${dashboard}" with "${label}"`);
+    } else {
+      const { config, added } = mergeTemplate(loadDashboardConfig(dashboard), prepared.config);
+      saveDashboardConfig(dashboard, config, `template-merge:${label}`);
+      recordAudit(null, 'template.import', { target: label, details: { dashboard, mode, widgets: added.length } });
+      console.log(`[import] Merged ${added.length} widgets from "${label}" into dashboard "${dashboard}"`);
+    }
+  },
+
+  validate([file]) {
+    if (!file) throw new Error('Usage: lobsterboard validate <config.json>');
+    const prepared = prepareConfig(parseConfigText(fs.readFileSync(file, 'utf8'), file));
+    if (prepared.errors.length) {
+      printValidationErrors(prepared.errors);
+      throw new Error(`${file} is invalid (${prepared.errors.length} error${prepared.errors.length === 1 ? '' : 's'})`);
+    }
+    const upgrade = prepared.from === CONFIG_VERSION ? '' : ` after upgrading from version ${prepared.from}`;
+    console.log(`[validate] ${file} is valid${upgrade}`);
+  },
+
+  async 'set-pin'([pin]) {
+    if (getUsers().length > 0) throw new Error('User accounts are enabled; log in with a username and password instead of a PIN');
+    if (pin === undefined) pin = await askLine('New PIN (4-6 digits): ');
+    if (!/^\d{4,6}$/.test(pin)) throw new Error('PIN must be 4-6 digits');
+    const auth = getAuth();
+    const changed = !!auth.pinHash;
+    auth.pinHash = await hashPassword(pin);
+    writeJsonFile(AUTH_FILE, auth);
+    recordAudit(null, changed ? 'auth.change-pin' : 'auth.set-pin');
+    console.log(`[auth] ${changed ? 'Changed' : 'Set'} the edit PIN; sessions started with the old one stay valid until the server restarts`);
+  },
+
+  public([state]) {
+    if (!['on', 'off'].includes(state)) throw new Error('Usage: lobsterboard public on|off');
+    const auth = getAuth();
+    auth.publicMode = state === 'on';
+    writeJsonFile(AUTH_FILE, auth);
+    recordAudit(null, 'mode.public', { details: { publicMode: auth.publicMode } });
+    console.log(`[auth] Public mode is ${state}`);
+  },
+
+  templates([action, arg]) {
+    if (action === 'list') {
+      const exported = new Set(scanTemplates(USER_TEMPLATES_DIR).map(t => t.id));
+      const templates = listTemplates();
+      if (!templates.length) console.log('No templates');
+      for (const t of templates) {
+        console.log(`${t.id.padEnd(40)}${String(t.widgetCount ?? '?').padStart(4)} widgets  ${exported.has(t.id) ? 'exported' : 'shipped '}  ${t.name || ''}`);
+      }
+    } else if (action === 'export' && arg) {
+      const dashboard = commandDashboard();
+      const meta = exportTemplate(dashboard, { name: arg });
+      recordAudit(null, 'template.export', { target: meta.id, details: { dashboard } });
+      console.log(`[templates] Saved dashboard "${dashboard}" as template "${meta.id}" in ${USER_TEMPLATES_DIR}`);
+    } else if (action === 'delete' && arg) {
+      const tplDir = findTemplateDir(arg);
+      if (!tplDir) throw new Error(`Template "${arg}" not found`);
+      fs.rmSync(tplDir, { recursive: true, force: true });
+      recordAudit(null, 'template.delete', { target: arg });
+      console.log(`[templates] Deleted template "${arg}"`);
+    } else {
+      throw new Error('Usage: lobsterboard templates list | export <name> [--dashboard <id>] | delete <id>');
+    }
+  },
+
+  backup() {
+    const output = path.resolve(CLI.options.output || `lobsterboard-backup-${new Date().toISOString().slice(0, 10)}.zip`);
+    // Whoever has both secrets.json and the key can read every secret, so the key only goes in on request
+    const skipped = [output, SERVER_PID_FILE, ...(CLI.options.includeKey ? [] : [SECRETS_KEY_FILE, SECRETS_KEY_FILE + '.old'])];
+    const entries = listFilesRecursive(DATA_ROOT)
+      .filter(name => !skipped.includes(path.join(DATA_ROOT, name)))
+      .map(name => {
+        const stat = fs.statSync(path.join(DATA_ROOT, name));
+        return { name, data: fs.readFileSync(path.join(DATA_ROOT, name)), mode: stat.mode & 0o777, mtime: stat.mtime };
+      });
+    const includesKey = entries.some(e => path.join(DATA_ROOT, e.name) === SECRETS_KEY_FILE);
+    const manifest = { createdAt: new Date().toISOString(), dataDir: DATA_ROOT, files: entries.length, includesKey };
+    // Password hashes, TLS keys and secrets are inside: only the owner may read it
+    writeOutputFile(output, createZip([{ name: BACKUP_MANIFEST, data: JSON.stringify(manifest, null, 2) }, ...entries]), 0o600);
+    console.log(`[backup] Wrote ${entries.length} files from ${DATA_ROOT} to ${output}`);
+    if (!includesKey && fs.existsSync(SECRETS_KEY_FILE)) {
+      console.log(`[backup] ${SECRETS_KEY_FILE} was left out; keep a copy of it somewhere else, or back up with --include-key`);
+    }
+  },
+
+  restore([file]) {
+    if (!file) throw new Error('Usage: lobsterboard restore <backup.zip> [--force]');
+    const entries = readZip(fs.readFileSync(file));
+    if (!entries.some(e => e.name === BACKUP_MANIFEST)) throw new Error(`${file} is not a LobsterBoard backup`);
+    const unsafe = entries.find(e => path.isAbsolute(e.name) || e.name.split(/[\\/]/).includes('..'));
+    if (unsafe) throw new Error(`${file} contains an unsafe path: ${unsafe.name}`);
+
+    const serverPid = runningServerPid();
+    if (serverPid) {
+      throw new Error(`A server (pid ${serverPid}) is using ${DATA_ROOT}; stop it first (delete ${SERVER_PID_FILE} if it is not running)`);
+    }
+    const existing = fs.readdirSync(DATA_ROOT)
+      .filter(name => name !== path.basename(LEGACY_MIGRATION_MARKER) && name !== path.basename(SERVER_PID_FILE));
+    if (existing.length && !CLI.options.force) {
+      throw new Error(`${DATA_ROOT} already holds data (${existing.join(', ')}); use --force to replace it`);
+    }
+
+    // Unpack into a sibling folder and swap it in, so a failed write leaves the current data as it was
+    const staging = `${DATA_ROOT}.restore-${process.pid}`;
+    const previous = `${DATA_ROOT}.previous-${process.pid}`;
+    const files = entries.filter(e => e.name !== BACKUP_MANIFEST);
+    try {
+      fs.rmSync(staging, { recursive: true, force: true });
+      fs.mkdirSync(staging, { mode: fs.statSync(DATA_ROOT).mode & 0o777 });
+      for (const entry of files) {
+        const target = path.join(staging, entry.name);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, entry.data, { mode: entry.mode || 0o644 });
+        if (entry.mode) fs.chmodSync(target, entry.mode);
+      }
+      const marker = path.join(staging, path.basename(LEGACY_MIGRATION_MARKER));
+      if (fs.existsSync(LEGACY_MIGRATION_MARKER) && !fs.existsSync(marker)) fs.copyFileSync(LEGACY_MIGRATION_MARKER, marker);
+      // A backup made without --include-key keeps the key already in place
+      const keyName = path.relative(DATA_ROOT, SECRETS_KEY_FILE);
+      const stagedKey = path.join(staging, keyName);
+      if (!keyName.startsWith('..') && fs.existsSync(SECRETS_KEY_FILE) && !fs.existsSync(stagedKey)) {
+        fs.mkdirSync(path.dirname(stagedKey), { recursive: true });
+        fs.copyFileSync(SECRETS_KEY_FILE, stagedKey);
+      }
+      fs.renameSync(DATA_ROOT, previous);
+    } catch (e) {
+      fs.rmSync(staging, { recursive: true, force: true });
+      throw new Error(`Restore failed, ${DATA_ROOT} is unchanged: ${e.message}`);
+    }
+    try {
+      fs.renameSync(staging, DATA_ROOT);
+    } catch (e) {
+      fs.renameSync(previous, DATA_ROOT);
+      fs.rmSync(staging, { recursive: true, force: true });
+      throw new Error(`Restore failed, ${DATA_ROOT} is unchanged: ${e.message}`);
+    }
+    fs.rmSync(previous, { recursive: true, force: true });
+    console.log(`[restore] Restored ${files.length} files from ${file} into ${DATA_ROOT}`);
+    if (fs.existsSync(SECRETS_FILE) && !fs.existsSync(SECRETS_KEY_FILE) && !SETTINGS.secretsKey) {
+      console.log(`[restore] The backup has no secrets.key: copy the key you kept to ${SECRETS_KEY_FILE} (or set LOBSTERBOARD_SECRETS_KEY) before starting the server, or the saved secrets can't be read`);
+    }
+  }
+};
+
+/** Run `lobsterboard <command> ...` and return the exit code */
+async function runCommand([name, ...args]) {
+  if (name === 'secrets') return runSecretsCommand(args);
+  try {
+    await COMMAND_HANDLERS[name](args);
+    return 0;
+  } catch (e) {
+    console.error(`[${name}] ${e.message}`);
+    return 1;
+  }
+}
+
+function startServer() {
+  try {
+    initSecretsStore();
+  } catch (e) {
+    console.error(`[secrets] ${e.message} — refusing to start so saved secrets are not overwritten`);
+    process.exit(1);
+  }
+
+  if (!isValidBasePath(BASE_PATH)) {
+    console.error(`[server] Invalid base path "${BASE_PATH}" — use a path like /board`);
+    process.exit(1);
+  }
+
+  let tlsOptions = null;
+  try {
+    tlsOptions = loadTlsOptions();
+  } catch (e) {
+    console.error(`[tls] ${e.message}`);
+    process.exit(1);
+  }
+
+  const handler = SETTINGS.metrics ? withRequestMetrics(handleRequest) : handleRequest;
+  const server = tlsOptions ? https.createServer(tlsOptions, handler) : http.createServer(handler);
 
-server.listen(PORT, HOST, () => {
-  console.log(`
-🦞 LobsterBoard Builder Server running at http://${HOST}:${PORT}
+  // Graceful shutdown
+  process.on('SIGTERM', () => server.close(() => process.exit(0)));
+  process.on('SIGINT', () => server.close(() => process.exit(0)));
+
+  server.listen(PORT, HOST, () => {
+    fs.writeFileSync(SERVER_PID_FILE, String(process.pid));
+    process.on('exit', () => {
+      try { fs.unlinkSync(SERVER_PID_FILE); } catch (_) {}
+    });
+    console.log(`
+🦞 LobsterBoard Builder Server running at ${tlsOptions ? 'https' : 'http'}://${HOST}:${server.address().port}${BASE_PATH}/
 
    Press Ctrl+C to stop
 `);
-});
+  });
+}
+
+if (COMMAND) runCommand(COMMAND).then(code => process.exit(code));
+else startServer();
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { tempDataDir, removeDir, runCommand, startServer, postJson, login } = require('./helpers.cjs');
+
+const EMPTY_CONFIG = { canvas: { width: 1920, height: 1080 }, widgets: [] };
+
+function saveConfig(url, cookie) {
+  return postJson(`${url}/config`, EMPTY_CONFIG, { 'If-Match': '*', ...(cookie ? { Cookie: cookie } : {}) });
+}
+
+const readAuth = dataDir => JSON.parse(fs.readFileSync(path.join(dataDir, 'auth.json'), 'utf8'));
+
+test('the PIN is stored as a salted scrypt hash', (t) => {
+  const dataDir = tempDataDir();
+  t.after(() => removeDir(dataDir));
+  assert.strictEqual(runCommand(dataDir, ['set-pin', '1234']).status, 0);
+  const first = readAuth(dataDir).pinHash;
+  assert.match(first, /^scrypt\$\d+\$\d+\$\d+\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+
+  assert.strictEqual(runCommand(dataDir, ['set-pin', '1234']).status, 0);
+  assert.notStrictEqual(readAuth(dataDir).pinHash, first, 'a new salt each time');
+});
+
+test('a legacy SHA-256 PIN hash still logs in and is upgraded to scrypt', async (t) => {
+  const dataDir = tempDataDir();
+  fs.writeFileSync(path.join(dataDir, 'auth.json'), JSON.stringify({ pinHash: crypto.createHash('sha256').update('4321').digest('hex') }));
+  const lb = await startServer(dataDir);
+  t.after(async () => { await lb.stop(); removeDir(dataDir); });
+
+  await login(lb.url, { pin: '4321' });
+  assert.match(readAuth(dataDir).pinHash, /^scrypt\$/);
+  await login(lb.url, { pin: '4321' });
+});
+
+test('edits need a session from the PIN, and logging out ends it', async (t) => {
+  const dataDir = tempDataDir();
+  assert.strictEqual(runCommand(dataDir, ['set-pin', '1234']).status, 0);
+  const lb = await startServer(dataDir);
+  t.after(async () => { await lb.stop(); removeDir(dataDir); });
+
+  assert.strictEqual((await saveConfig(lb.url)).status, 401);
+  assert.strictEqual((await postJson(`${lb.url}/api/auth/login`, { pin: '0000' })).status, 403);
+  assert.strictEqual((await saveConfig(lb.url, 'lb_session=made-up')).status, 401);
+
+  const res = await postJson(`${lb.url}/api/auth/login`, { pin: '1234' });
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('set-cookie'), /^lb_session=[^;]+; HttpOnly; SameSite=Strict; Path=\/; Max-Age=43200$/);
+  const cookie = res.headers.get('set-cookie').split(';')[0];
+  assert.strictEqual((await saveConfig(lb.url, cookie)).status, 200);
+
+  assert.strictEqual((await postJson(`${lb.url}/api/auth/logout`, {}, { Cookie: cookie })).status, 200);
+  assert.strictEqual((await saveConfig(lb.url, cookie)).status, 401);
+});
+
+test('five wrong PINs lock the client out, even for the right PIN', async (t) => {
+  const dataDir = tempDataDir();
+  assert.strictEqual(runCommand(dataDir, ['set-pin', '1234']).status, 0);
+  const lb = await startServer(dataDir);
+  t.after(async () => { await lb.stop(); removeDir(dataDir); });
+
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual((await postJson(`${lb.url}/api/auth/login`, { pin: '0000' })).status, 403, `attempt ${i + 1}`);
+  }
+  const locked = await postJson(`${lb.url}/api/auth/login`, { pin: '1234' });
+  assert.strictEqual(locked.status, 429);
+  assert.strictEqual(locked.headers.get('retry-after'), '60');
+  assert.strictEqual((await locked.json()).retryAfter, 60);
+});
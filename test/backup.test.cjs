@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDataDir, removeDir, runCommand, startServer } = require('./helpers.cjs');
+
+function writeFile(dir, name, data, mode) {
+  fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+  fs.writeFileSync(path.join(dir, name), data);
+  if (mode) fs.chmodSync(path.join(dir, name), mode);
+}
+
+const modeOf = file => fs.statSync(file).mode & 0o777;
+
+test('backup --include-key and restore round-trip files, folders and modes', (t) => {
+  const source = tempDataDir();
+  const target = tempDataDir();
+  t.after(() => { removeDir(source); removeDir(target); });
+  writeFile(source, 'config.json', '{"widgets":[]}');
+  writeFile(source, 'secrets.key', 'k'.repeat(64), 0o600);
+  writeFile(source, 'data/config-history/default/1.json', JSON.stringify({ rev: 1, padding: 'x'.repeat(5000) }));
+  writeFile(source, 'data/pages/run.sh', '#!/bin/sh\n', 0o755);
+  writeFile(source, 'data/binary.bin', Buffer.from([0, 1, 2, 255, 254, 0]));
+
+  const zip = path.join(source, '..', `${path.basename(source)}.zip`);
+  t.after(() => fs.rmSync(zip, { force: true }));
+  const backup = runCommand(source, ['backup', '--output', zip, '--include-key']);
+  assert.strictEqual(backup.status, 0, backup.stderr);
+  assert.strictEqual(modeOf(zip), 0o600);
+
+  const restore = runCommand(target, ['restore', zip]);
+  assert.strictEqual(restore.status, 0, restore.stderr);
+  for (const name of ['config.json', 'secrets.key', 'data/config-history/default/1.json', 'data/pages/run.sh', 'data/binary.bin']) {
+    assert.deepStrictEqual(fs.readFileSync(path.join(target, name)), fs.readFileSync(path.join(source, name)), name);
+  }
+  assert.strictEqual(modeOf(path.join(target, 'secrets.key')), 0o600);
+  assert.strictEqual(modeOf(path.join(target, 'data/pages/run.sh')), 0o755);
+  assert.ok(fs.existsSync(path.join(target, '.legacy-migrated')));
+});
+
+test('restore refuses existing data without --force', (t) => {
+  const source = tempDataDir();
+  const target = tempDataDir();
+  t.after(() => { removeDir(source); removeDir(target); });
+  writeFile(source, 'config.json', '{"widgets":[]}');
+  writeFile(target, 'config.json', 'old');
+  const zip = path.join(source, 'backup.zip');
+  assert.strictEqual(runCommand(source, ['backup', '--output', zip]).status, 0);
+
+  const refused = runCommand(target, ['restore', zip]);
+  assert.notStrictEqual(refused.status, 0);
+  assert.match(refused.stderr, /already holds data/);
+  assert.strictEqual(fs.readFileSync(path.join(target, 'config.json'), 'utf8'), 'old');
+
+  assert.strictEqual(runCommand(target, ['restore', zip, '--force']).status, 0);
+  assert.strictEqual(fs.readFileSync(path.join(target, 'config.json'), 'utf8'), '{"widgets":[]}');
+});
+
+test('a restore that fails part-way leaves the current data as it was', (t) => {
+  const source = tempDataDir();
+  const target = tempDataDir();
+  t.after(() => { removeDir(source); removeDir(target); });
+  // Renaming the file "conflict-b" to "conflict-a" in the zip makes it clash with the folder conflict-a/
+  writeFile(source, 'conflict-a/inner.json', '{}');
+  writeFile(source, 'conflict-b', 'file');
+  writeFile(target, 'config.json', 'old');
+  const zip = path.join(source, 'backup.zip');
+  assert.strictEqual(runCommand(source, ['backup', '--output', zip]).status, 0);
+  const bytes = fs.readFileSync(zip);
+  fs.writeFileSync(zip, Buffer.from(bytes.toString('latin1').split('conflict-b').join('conflict-a'), 'latin1'));
+
+  const result = runCommand(target, ['restore', zip, '--force']);
+  assert.notStrictEqual(result.status, 0);
+  assert.match(result.stderr, /unchanged/);
+  assert.strictEqual(fs.readFileSync(path.join(target, 'config.json'), 'utf8'), 'old');
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(target)).filter(name => name.startsWith(`${path.basename(target)}.`)), []);
+});
+
+test('restore refuses while a server uses the data directory', async (t) => {
+  const source = tempDataDir();
+  const target = tempDataDir();
+  const server = await startServer(target);
+  t.after(async () => { await server.stop(); removeDir(source); removeDir(target); });
+  const zip = path.join(source, 'backup.zip');
+  assert.strictEqual(runCommand(source, ['backup', '--output', zip]).status, 0);
+
+  const result = runCommand(target, ['restore', zip, '--force']);
+  assert.notStrictEqual(result.status, 0);
+  assert.match(result.stderr, /stop it first/);
+});
+
+test('a backup leaves secrets.key out by default, and restore keeps the key in place', (t) => {
+  const source = tempDataDir();
+  const fresh = tempDataDir();
+  t.after(() => { removeDir(source); removeDir(fresh); });
+  writeFile(source, 'config.json', '{"widgets":[]}');
+  writeFile(source, 'secrets.json', '{"encrypted":true}');
+  writeFile(source, 'secrets.key', 'k'.repeat(64), 0o600);
+  const zip = path.join(source, 'backup.zip');
+  // An existing, world-readable file is narrowed when it is replaced
+  fs.writeFileSync(zip, 'old');
+  fs.chmodSync(zip, 0o644);
+
+  const backup = runCommand(source, ['backup', '--output', zip, '--force']);
+  assert.strictEqual(backup.status, 0, backup.stderr);
+  assert.match(backup.stdout, /secrets\.key was left out/);
+  assert.strictEqual(modeOf(zip), 0o600);
+
+  const intoFresh = runCommand(fresh, ['restore', zip]);
+  assert.strictEqual(intoFresh.status, 0, intoFresh.stderr);
+  assert.ok(!fs.existsSync(path.join(fresh, 'secrets.key')));
+  assert.match(intoFresh.stdout, /has no secrets\.key/);
+
+  const overCurrent = runCommand(source, ['restore', zip, '--force']);
+  assert.strictEqual(overCurrent.status, 0, overCurrent.stderr);
+  assert.strictEqual(fs.readFileSync(path.join(source, 'secrets.key'), 'utf8'), 'k'.repeat(64));
+  assert.doesNotMatch(overCurrent.stdout, /has no secrets\.key/);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDataDir, removeDir, startServer, postJson } = require('./helpers.cjs');
+
+const widget = (id, title) => ({ id, type: 'text-header', x: 0, y: 0, width: 200, height: 50, properties: { title } });
+const layout = (...widgets) => ({ canvas: { width: 1920, height: 1080 }, widgets });
+// Server logs arrive over a pipe, so give them a moment to catch up with the HTTP response
+const settle = () => new Promise(resolve => setTimeout(resolve, 200));
+
+test('a malformed escape in a dashboard id is refused without stopping the server', async (t) => {
+  const dataDir = tempDataDir();
+  const lb = await startServer(dataDir);
+  t.after(async () => { await lb.stop(); removeDir(dataDir); });
+
+  const res = await fetch(`${lb.url}/api/dashboards/%E0%A4%A`);
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual((await fetch(`${lb.url}/api/dashboards`)).status, 200);
+});
+
+test('saves must send the ETag they loaded; a stale one gets 409 with both sides\' changes', async (t) => {
+  const dataDir = tempDataDir();
+  const lb = await startServer(dataDir);
+  t.after(async () => { await lb.stop(); removeDir(dataDir); });
+  const save = (config, ifMatch) => postJson(`${lb.url}/config`, config, ifMatch === undefined ? {} : { 'If-Match': ifMatch });
+
+  assert.strictEqual((await fetch(`${lb.url}/config`)).headers.get('etag'), '"0"');
+  const missing = await save(layout());
+  assert.strictEqual(missing.status, 428);
+  assert.match((await missing.json()).error, /If-Match header required/);
+
+  let res = await save(layout(widget('w-base', 'Base')), '"0"');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('etag'), '"1"');
+  assert.strictEqual((await res.json()).rev, 1);
+
+  // Two editors load revision 1; the first save wins
+  const loaded = (await fetch(`${lb.url}/config`)).headers.get('etag');
+  assert.strictEqual(loaded, '"1"');
+  res = await save(layout(widget('w-base', 'Base'), widget('w-theirs', 'Theirs')), loaded);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('etag'), '"2"');
+
+  const stale = await save(layout(widget('w-base', 'Base'), widget('w-mine', 'Mine')), loaded);
+  assert.strictEqual(stale.status, 409);
+  assert.strictEqual(stale.headers.get('etag'), '"2"');
+  const conflict = await stale.json();
+  assert.strictEqual(conflict.rev, 2);
+  assert.strictEqual(conflict.base, 1);
+  assert.deepStrictEqual(conflict.config.widgets.map(w => w.id), ['w-base', 'w-theirs']);
+  assert.deepStrictEqual(conflict.mine.added.map(w => w.id), ['w-mine']);
+  assert.deepStrictEqual(conflict.theirs.added.map(w => w.id), ['w-theirs']);
+
+  // Saving again from the current revision, or with *, goes through
+  assert.strictEqual((await save(layout(widget('w-base', 'Base'), widget('w-mine', 'Mine')), '"2"')).status, 200);
+  assert.strictEqual((await save(layout(), '*')).status, 200);
+  assert.strictEqual((await fetch(`${lb.url}/config`)).headers.get('etag'), '"4"');
+});
+
+test('reading a config the migrations leave alone neither logs nor rewrites it', async (t) => {
+  const dataDir = tempDataDir();
+  const configFile = path.join(dataDir, 'config.json');
+  const lb = await startServer(dataDir);
+  t.after(async () => { await lb.stop(); removeDir(dataDir); });
+
+  for (let i = 0; i < 2; i++) assert.strictEqual((await fetch(`${lb.url}/config`)).status, 200);
+
+  const unversioned = JSON.stringify(layout(widget('w-1', 'One')));
+  fs.writeFileSync(configFile, unversioned);
+  for (let i = 0; i < 2; i++) {
+    const res = await fetch(`${lb.url}/config`);
+    assert.strictEqual((await res.json()).version, 2);
+    assert.strictEqual(res.headers.get('etag'), '"0"');
+  }
+  assert.strictEqual(fs.readFileSync(configFile, 'utf8'), unversioned);
+  await settle();
+  assert.doesNotMatch(lb.output(), /Migrated/);
+
+  // A rename is a real change: logged once and written back
+  fs.writeFileSync(configFile, JSON.stringify(layout({ ...widget('w-1', 'One'), type: 'todo' })));
+  for (let i = 0; i < 2; i++) await fetch(`${lb.url}/config`);
+  await settle();
+  assert.strictEqual(lb.output().match(/Migrated dashboard "default" from version 1 to 2:/g).length, 1);
+  assert.strictEqual(JSON.parse(fs.readFileSync(configFile, 'utf8')).widgets[0].type, 'todo-list');
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadExporter } = require('./helpers.cjs');
+
+const LAYOUT = {
+  canvas: { width: 1920, height: 1080 },
+  widgets: [
+    { id: 'widget-1', type: 'weather', x: 0, y: 0, width: 200, height: 120, properties: { title: 'Weather', location: 'Oslo', units: 'C', refreshInterval: 600 } },
+    { id: 'widget-2', type: 'release', x: 0, y: 200, width: 200, height: 120, properties: { title: 'Release', repo: 'openclaw/openclaw', currentVersion: '' } }
+  ]
+};
+
+function response(status, body, contentType) {
+  return {
+    status,
+    ok: status < 400,
+    headers: { get: name => (name.toLowerCase() === 'content-type' ? contentType || null : null) },
+    json: async () => (typeof body === 'string' ? JSON.parse(body) : body)
+  };
+}
+
+/** Run an exported dashboard.js with the given fetch; resolves to its elements once the widgets settle */
+async function runDashboard(fetch) {
+  const { dashboardExportFiles } = loadExporter();
+  const elements = {};
+  const context = {
+    console: { log() {}, error() {} },
+    location: { search: '' },
+    URLSearchParams,
+    fetch,
+    setInterval: () => 0,
+    document: {
+      addEventListener() {},
+      getElementById: id => (elements[id] ||= { textContent: '', innerHTML: '', style: {}, dataset: {}, setAttribute() {} })
+    }
+  };
+  context.window = context;
+  vm.createContext(context);
+  vm.runInContext(dashboardExportFiles(LAYOUT)['js/dashboard.js'], context);
+  for (let i = 0; i < 10; i++) await new Promise(resolve => setImmediate(resolve));
+  return elements;
+}
+
+const WEATHER = { current_condition: [{ temp_C: '4', temp_F: '39', weatherDesc: [{ value: 'Snow' }], weatherCode: '371' }] };
+
+test('an exported dashboard fetches public data directly when its server has no /api/data', async () => {
+  const requested = [];
+  const elements = await runDashboard(async url => {
+    requested.push(url);
+    if (url.startsWith('/api/data/')) return response(404, 'Not Found');
+    if (url === 'https://wttr.in/Oslo?format=j1') return response(200, WEATHER, 'application/json');
+    if (url === 'https://api.github.com/repos/openclaw/openclaw/releases/latest') return response(200, { tag_name: 'v2.1.0' }, 'application/json');
+    return response(500, {});
+  });
+
+  assert.strictEqual(elements['widget-1-value'].textContent, '4°C');
+  assert.strictEqual(elements['widget-1-label'].textContent, 'Snow');
+  assert.strictEqual(elements['widget-2-current'].textContent, 'v2.1.0');
+  assert.ok(requested.includes('https://wttr.in/Oslo?format=j1'));
+});
+
+test('an exported dashboard served by LobsterBoard uses its data sources', async () => {
+  const requested = [];
+  const elements = await runDashboard(async url => {
+    requested.push(url);
+    if (url === '/api/data/weather?location=Oslo') return response(200, { data: WEATHER, maxAge: 60 }, 'application/json; charset=utf-8');
+    if (url === '/api/data/github-release?repo=openclaw%2Fopenclaw') return response(200, { data: { tag: 'v2.2.0' }, maxAge: 60 }, 'application/json');
+    return response(500, {});
+  });
+
+  assert.strictEqual(elements['widget-1-value'].textContent, '4°C');
+  assert.strictEqual(elements['widget-2-current'].textContent, 'v2.2.0');
+  assert.ok(requested.every(url => url.startsWith('/api/data/')));
+});
@@ -0,0 +1,143 @@
+/**
+ * Test helpers: run server.cjs as a command or as a server on a throwaway
+ * data directory, the way a user would.
+ */
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const SERVER = path.join(__dirname, '..', 'server.cjs');
+const WIDGETS_FILE = path.join(__dirname, '..', 'js', 'widgets.js');
+const EXPORT_FILE = path.join(__dirname, '..', 'js', 'export.js');
+
+/**
+ * A new, empty data directory. The legacy-migration marker is written up front
+ * so the server doesn't move files out of the checkout into it.
+ */
+function tempDataDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lobsterboard-test-'));
+  fs.writeFileSync(path.join(dir, '.legacy-migrated'), '{}');
+  return dir;
+}
+
+function removeDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/** `node server.cjs <args> --data-dir <dataDir>` → { status, stdout, stderr }; `env` adds variables */
+function runCommand(dataDir, args, env = {}) {
+  const result = spawnSync(process.execPath, [SERVER, ...args, '--data-dir', dataDir], {
+    encoding: 'utf8',
+    timeout: 30000,
+    env: { ...process.env, ...env }
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+/**
+ * Start a server on a free port; resolves to { url, dataDir, stop() } once it
+ * listens. stop() resolves when the process has exited.
+ */
+function startServer(dataDir, args = [], env = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SERVER, '--port', '0', '--data-dir', dataDir, '--no-openclaw', ...args], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, ...env }
+    });
+    let output = '';
+    let started = false;
+    const timer = setTimeout(() => { child.kill(); reject(new Error(`Server did not start:\n${output}`)); }, 20000);
+    const onData = chunk => {
+      output += chunk;
+      const match = !started && output.match(/running at (https?:\/\/[^/\s]+)/);
+      if (!match) return;
+      started = true;
+      clearTimeout(timer);
+      resolve({
+        url: match[1],
+        dataDir,
+        output: () => output,
+        stop: () => new Promise(done => {
+          if (child.exitCode !== null) { done(); return; }
+          child.once('exit', done);
+          child.kill('SIGKILL');
+        })
+      });
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.once('exit', code => { clearTimeout(timer); reject(new Error(`Server exited with ${code}:\n${output}`)); });
+  });
+}
+
+/** A local upstream that records the X-Key header of every request; resolves to { origin, seen, close() } */
+function startUpstream() {
+  return new Promise(resolve => {
+    const seen = [];
+    const server = http.createServer((req, res) => {
+      seen.push(req.headers['x-key'] || null);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"ok":true}');
+    });
+    server.listen(0, '127.0.0.1', () => resolve({
+      origin: `http://127.0.0.1:${server.address().port}`,
+      seen,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+/** POST JSON to a running server → fetch Response; `headers` adds e.g. a Cookie */
+function postJson(url, body, headers = {}) {
+  return fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) });
+}
+
+/** Log in (with { pin } or { username, password }) and return the session cookie for later requests */
+async function login(serverUrl, credentials) {
+  const res = await postJson(`${serverUrl}/api/auth/login`, credentials);
+  if (res.status !== 200) throw new Error(`Login failed with ${res.status}: ${await res.text()}`);
+  return res.headers.get('set-cookie').split(';')[0];
+}
+
+/**
+ * Add user accounts to a server that has none yet; the first must be an
+ * admin, created while every request still counts as one. Resolves to
+ * username → session cookie.
+ */
+async function createUsers(serverUrl, users) {
+  const cookies = {};
+  for (const user of users) {
+    const headers = Object.keys(cookies).length ? { Cookie: Object.values(cookies)[0] } : {};
+    const res = await postJson(`${serverUrl}/api/users`, user, headers);
+    if (res.status !== 200 && res.status !== 201) throw new Error(`Creating ${user.username} failed with ${res.status}: ${await res.text()}`);
+    cookies[user.username] = await login(serverUrl, { username: user.username, password: user.password });
+  }
+  return cookies;
+}
+
+/**
+ * Run js/widgets.js in a sandbox whose global object doubles as window, so its
+ * top-level helpers (_promSeries, fetchData, …) and WIDGETS are reachable on
+ * the returned context. Extra globals (document, fetch stubs) go in `globals`.
+ */
+function loadWidgets(globals = {}) {
+  const context = { console, module: { exports: {} }, ...globals };
+  context.window = context;
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(WIDGETS_FILE, 'utf8'), context, { filename: WIDGETS_FILE });
+  context.WIDGETS = context.module.exports;
+  return context;
+}
+
+/** js/export.js's exports, run next to widgets.js as the server does */
+function loadExporter() {
+  const context = loadWidgets();
+  context.module = { exports: {} };
+  vm.runInContext(fs.readFileSync(EXPORT_FILE, 'utf8'), context, { filename: EXPORT_FILE });
+  return context.module.exports;
+}
+
+module.exports = { tempDataDir, removeDir, runCommand, startServer, startUpstream, postJson, login, createUsers, loadWidgets, loadExporter };
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempDataDir, removeDir, startServer } = require('./helpers.cjs');
+
+/** route label → summed request count from lobsterboard_http_requests_total */
+async function requestsByRoute(url) {
+  const text = await (await fetch(`${url}/metrics`)).text();
+  const routes = {};
+  for (const [, route, count] of text.matchAll(/^lobsterboard_http_requests_total\{[^}]*route="([^"]*)"[^}]*\} (\d+)$/gm)) {
+    routes[route] = (routes[route] || 0) + Number(count);
+  }
+  return routes;
+}
+
+test('requests for unknown paths share the "unmatched" route label, whatever their status', async (t) => {
+  const dataDir = tempDataDir();
+  const lb = await startServer(dataDir);
+  t.after(async () => { await lb.stop(); removeDir(dataDir); });
+  // With a PIN, anonymous writes are refused with 401/403 before any route runs
+  const res = await fetch(`${lb.url}/api/auth/set-pin`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"pin":"1234"}' });
+  assert.strictEqual(res.status, 200);
+
+  const statuses = new Set();
+  for (let i = 0; i < 5; i++) {
+    for (const [method, path] of [['POST', `/api/dashboards/x/made-up-${i}`], ['GET', `/api/made-up-${i}`], ['DELETE', `/api/secrets/a/b/c${i}`], ['POST', `/api/pages-${i}`]]) {
+      statuses.add((await fetch(lb.url + path, { method })).status);
+    }
+  }
+  assert.ok(statuses.size > 1, `expected several statuses, got ${[...statuses]}`);
+
+  const routes = await requestsByRoute(lb.url);
+  assert.strictEqual(routes.unmatched, 20);
+  assert.deepStrictEqual(Object.keys(routes).filter(route => route.includes('made-up') || route.includes('pages-')), []);
+  assert.strictEqual(routes['/api/auth/set-pin'], 1);
+});
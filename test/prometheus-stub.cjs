@@ -0,0 +1,83 @@
+/**
+ * A stand-in Prometheus server for tests. /api/v1/query and /api/v1/query_range
+ * answer from RESPONSES by query, the way Prometheus shapes its results, and
+ * every request is kept in `requests` for the test to look at.
+ */
+const http = require('http');
+
+const NOW = 1700000000;
+
+const RESPONSES = {
+  // Instant queries
+  'scalar(count(up))': { status: 200, body: { status: 'success', data: { resultType: 'scalar', result: [NOW, '3'] } } },
+  'up': {
+    status: 200,
+    body: {
+      status: 'success',
+      data: {
+        resultType: 'vector',
+        result: [
+          { metric: { __name__: 'up', instance: 'web-1:9100', job: 'node' }, value: [NOW, '1'] },
+          { metric: { __name__: 'up', instance: 'web-2:9100', job: 'node' }, value: [NOW, '0'] }
+        ]
+      }
+    }
+  },
+  'odd_values': {
+    status: 200,
+    body: {
+      status: 'success',
+      data: {
+        resultType: 'vector',
+        result: [
+          { metric: { kind: 'inf' }, value: [NOW, '+Inf'] },
+          { metric: { kind: 'neg' }, value: [NOW, '-Inf'] },
+          { metric: { kind: 'nan' }, value: [NOW, 'NaN'] }
+        ]
+      }
+    }
+  },
+  // Errors as Prometheus reports them: 400 for bad queries, 422 when evaluation fails
+  'rate(up[5m]': { status: 400, body: { status: 'error', errorType: 'bad_data', error: '1:12: parse error: unclosed left parenthesis' } },
+  'huge_query': { status: 422, body: { status: 'error', errorType: 'execution', error: 'query processing would load too many samples into memory' } },
+  'broken': { status: 500, body: 'internal error' }
+};
+
+// Range queries: two series with one sample per step from start to end
+function rangeResponse(params) {
+  const start = Number(params.get('start'));
+  const end = Number(params.get('end'));
+  const step = Number(params.get('step'));
+  const series = (instance, offset) => {
+    const values = [];
+    for (let time = start, i = 0; time <= end; time += step, i++) values.push([time, String(offset + i)]);
+    return { metric: { instance }, values };
+  };
+  return { status: 200, body: { status: 'success', data: { resultType: 'matrix', result: [series('web-1', 0), series('web-2', 100)] } } };
+}
+
+/** Start the stub on a free port; resolves to { url, requests, close() } */
+function startPrometheusStub() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, params: url.searchParams, authorization: req.headers.authorization || null });
+    const query = url.searchParams.get('query');
+    let reply;
+    if (url.pathname === '/api/v1/query_range') reply = RESPONSES[query] || rangeResponse(url.searchParams);
+    else if (url.pathname === '/api/v1/query') reply = RESPONSES[query] || { status: 200, body: { status: 'success', data: { resultType: 'vector', result: [] } } };
+    else reply = { status: 404, body: '404 page not found' };
+    const text = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body);
+    res.writeHead(reply.status, { 'Content-Type': typeof reply.body === 'string' ? 'text/plain' : 'application/json' });
+    res.end(text);
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+module.exports = { startPrometheusStub, RESPONSES };
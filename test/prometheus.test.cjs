@@ -0,0 +1,120 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { tempDataDir, removeDir, startServer, loadWidgets } = require('./helpers.cjs');
+const { startPrometheusStub, RESPONSES } = require('./prometheus-stub.cjs');
+
+let prometheus, lb, dataDir;
+
+before(async () => {
+  prometheus = await startPrometheusStub();
+  dataDir = tempDataDir();
+  lb = await startServer(dataDir, ['--proxy-hosts', '127.0.0.1', '--proxy-allow-private']);
+});
+
+after(async () => {
+  await lb.stop();
+  await prometheus.close();
+  removeDir(dataDir);
+});
+
+/** GET /api/data/prometheus against the stub → { status, body } */
+async function query(params) {
+  const res = await fetch(`${lb.url}/api/data/prometheus?` + new URLSearchParams({ url: prometheus.url, ...params }));
+  return { status: res.status, body: await res.json() };
+}
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('instant queries return scalar and vector results as Prometheus sent them', async () => {
+  const scalar = await query({ query: 'scalar(count(up))' });
+  assert.strictEqual(scalar.status, 200);
+  assert.deepStrictEqual(scalar.body.data, RESPONSES['scalar(count(up))'].body.data);
+  assert.strictEqual(prometheus.requests.at(-1).path, '/api/v1/query');
+
+  const vector = await query({ query: 'up' });
+  assert.strictEqual(vector.status, 200);
+  assert.deepStrictEqual(vector.body.data, RESPONSES.up.body.data);
+});
+
+test('range queries use query_range with about 100 points, or the given step', async () => {
+  const matrix = await query({ query: 'rate(node_cpu_seconds_total[5m])', range: '1h' });
+  assert.strictEqual(matrix.status, 200);
+  const request = prometheus.requests.at(-1);
+  assert.strictEqual(request.path, '/api/v1/query_range');
+  assert.strictEqual(request.params.get('end') - request.params.get('start'), 3600);
+  assert.strictEqual(request.params.get('step'), '36');
+  assert.strictEqual(matrix.body.data.resultType, 'matrix');
+  assert.strictEqual(matrix.body.data.result[0].values.length, 101);
+
+  await query({ query: 'rate(node_cpu_seconds_total[5m])', range: '6h', step: '5m' });
+  assert.strictEqual(prometheus.requests.at(-1).params.get('step'), '300');
+
+  const tooMany = await query({ query: 'up', range: '1d', step: '1s' });
+  assert.strictEqual(tooMany.status, 400);
+  assert.match(tooMany.body.error, /more than 1000 points/);
+});
+
+test('Prometheus errors are passed on: 400 for bad queries, 502 when the server fails', async () => {
+  const parse = await query({ query: 'rate(up[5m]' });
+  assert.strictEqual(parse.status, 400);
+  assert.strictEqual(parse.body.error, 'Prometheus: 1:12: parse error: unclosed left parenthesis');
+
+  const execution = await query({ query: 'huge_query' });
+  assert.strictEqual(execution.status, 400);
+  assert.strictEqual(execution.body.error, 'Prometheus: query processing would load too many samples into memory');
+
+  const broken = await query({ query: 'broken' });
+  assert.strictEqual(broken.status, 502);
+  assert.strictEqual(broken.body.error, 'Prometheus returned HTTP 500');
+});
+
+test('_promSeries flattens scalar, vector and matrix results', async () => {
+  const { _promSeries } = loadWidgets();
+
+  const scalar = _promSeries((await query({ query: 'scalar(count(up))' })).body.data);
+  assert.deepStrictEqual(plain(scalar), [{ labels: {}, value: 3, values: [[1700000000, 3]] }]);
+
+  const vector = _promSeries((await query({ query: 'up' })).body.data);
+  assert.deepStrictEqual(plain(vector.map(s => [s.labels.instance, s.value])), [['web-1:9100', 1], ['web-2:9100', 0]]);
+
+  const matrix = _promSeries((await query({ query: 'rate(node_cpu_seconds_total[5m])', range: '1h' })).body.data);
+  assert.strictEqual(matrix.length, 2);
+  assert.strictEqual(matrix[1].values.length, 101);
+  assert.strictEqual(matrix[1].value, 200);
+
+  const odd = _promSeries((await query({ query: 'odd_values' })).body.data);
+  assert.strictEqual(odd[0].value, Infinity);
+  assert.strictEqual(odd[1].value, -Infinity);
+  assert.ok(Number.isNaN(odd[2].value));
+});
+
+test('_renderPromResult shows each display from the stub\'s results', async () => {
+  const { _renderPromResult } = loadWidgets();
+  const scalar = (await query({ query: 'scalar(count(up))' })).body.data;
+  const vector = (await query({ query: 'up' })).body.data;
+  const matrix = (await query({ query: 'rate(node_cpu_seconds_total[5m])', range: '1h' })).body.data;
+  const odd = (await query({ query: 'odd_values' })).body.data;
+
+  const kpi = _renderPromResult(scalar, { display: 'kpi', unit: 'hosts', decimals: 0, thresholds: '3:red' });
+  assert.match(kpi, /color:var\(--accent-red\);">3 hosts</);
+
+  const table = _renderPromResult(vector, { display: 'table', legend: '{{instance}} ({{job}})', decimals: 0 });
+  assert.match(table, /<span>web-1:9100 \(node\)<\/span><span style="color:var\(--text-primary\);">1<\/span>/);
+  assert.match(table, /<span>web-2:9100 \(node\)<\/span><span style="color:var\(--text-primary\);">0<\/span>/);
+  assert.match(_renderPromResult(vector, { display: 'table', limit: 1 }), /up\{instance=&quot;web-1:9100&quot;, job=&quot;node&quot;\}/);
+  assert.doesNotMatch(_renderPromResult(vector, { display: 'table', limit: 1 }), /web-2/);
+
+  const gauge = _renderPromResult(scalar, { display: 'gauge', min: 0, max: 10 });
+  assert.match(gauge, /stroke-dashoffset="87\.96"/);
+  assert.match(gauge, /<div class="kpi-ring-label">3\.00<\/div>/);
+
+  const sparkline = _renderPromResult(matrix, { display: 'sparkline', legend: '{{instance}}' });
+  const lines = [...sparkline.matchAll(/<polyline [^>]*points="([^"]*)"/g)].map(m => m[1].split(' '));
+  assert.strictEqual(lines.length, 2);
+  assert.strictEqual(lines[0].length, 101);
+  assert.strictEqual(lines[0][0], '0.00,96.00');
+  assert.strictEqual(lines[1].at(-1), '100.00,4.00');
+
+  assert.match(_renderPromResult(odd, { display: 'table' }), /∞[\s\S]*-∞[\s\S]*NaN/);
+  assert.match(_renderPromResult({ resultType: 'vector', result: [] }, {}), /No data/);
+});
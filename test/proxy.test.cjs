@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempDataDir, removeDir, startServer, startUpstream } = require('./helpers.cjs');
+
+test('the proxy only sends a widget\'s secrets to the origin saved for it', async (t) => {
+  const saved = await startUpstream();
+  const other = await startUpstream();
+  const dataDir = tempDataDir();
+  const lb = await startServer(dataDir, ['--proxy-hosts', '127.0.0.1', '--proxy-allow-private']);
+  t.after(async () => {
+    await lb.stop();
+    await saved.close();
+    await other.close();
+    removeDir(dataDir);
+  });
+
+  // Before a PIN exists every request may edit: save the widget, then lock editing
+  const widget = { id: 'widget-1', type: 'json-api', x: 0, y: 0, width: 300, height: 150, properties: { title: 'API', url: `${saved.origin}/data`, apiKey: 'sk-123' } };
+  let res = await fetch(`${lb.url}/config`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'If-Match': '*' },
+    body: JSON.stringify({ canvas: { width: 1920, height: 1080 }, widgets: [widget] })
+  });
+  assert.strictEqual(res.status, 200, await res.text());
+  res = await fetch(`${lb.url}/api/auth/set-pin`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"pin":"1234"}' });
+  assert.strictEqual(res.status, 200);
+  const editorCookie = res.headers.get('set-cookie').split(';')[0];
+
+  const proxy = (origin, headers) => fetch(`${lb.url}/api/proxy?` + new URLSearchParams({
+    url: `${origin}/data`, header: 'X-Key: {{apiKey}}', widgetId: 'widget-1', cache: '0'
+  }), { headers });
+
+  res = await proxy(saved.origin);
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(saved.seen, ['sk-123']);
+
+  res = await proxy(other.origin);
+  assert.strictEqual(res.status, 403);
+  assert.match((await res.json()).error, /only sent to/);
+  assert.deepStrictEqual(other.seen, []);
+
+  res = await proxy(other.origin, { Cookie: editorCookie });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(other.seen, ['sk-123']);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempDataDir, removeDir, startServer, postJson, createUsers } = require('./helpers.cjs');
+
+const USERS = [
+  { username: 'admin', password: 'admin-password', role: 'admin' },
+  { username: 'editor', password: 'editor-password', role: 'editor' },
+  { username: 'viewer', password: 'viewer-password', role: 'viewer' }
+];
+
+// One request per scope, with the least role that may make it
+const SCOPE_REQUESTS = [
+  { scope: 'read', role: 'viewer', method: 'GET', path: '/config' },
+  { scope: 'write-config', role: 'editor', method: 'POST', path: '/config', body: { canvas: { width: 1920, height: 1080 }, widgets: [] } },
+  { scope: 'write-data', role: 'editor', method: 'POST', path: '/api/todos', body: [] },
+  { scope: 'admin', role: 'admin', method: 'GET', path: '/api/users' }
+];
+const ROLE_BELOW = { viewer: null, editor: 'viewer', admin: 'editor' };
+
+function send(url, { method, path, body }, cookie) {
+  const headers = { 'If-Match': '*', ...(cookie ? { Cookie: cookie } : {}) };
+  if (body === undefined) return fetch(url + path, { method, headers });
+  return postJson(url + path, body, headers);
+}
+
+test('each scope answers 401 without a login, 403 for the role below and 200 for its role', async (t) => {
+  const dataDir = tempDataDir();
+  const lb = await startServer(dataDir);
+  t.after(async () => { await lb.stop(); removeDir(dataDir); });
+  const cookies = await createUsers(lb.url, USERS);
+
+  for (const request of SCOPE_REQUESTS) {
+    assert.strictEqual((await send(lb.url, request)).status, 401, `${request.scope} anonymously`);
+    const below = ROLE_BELOW[request.role];
+    if (below) assert.strictEqual((await send(lb.url, request, cookies[below])).status, 403, `${request.scope} as ${below}`);
+    assert.strictEqual((await send(lb.url, request, cookies[request.role])).status, 200, `${request.scope} as ${request.role}`);
+  }
+});
+
+test('public mode opens reads to everyone and keeps layout edits closed', async (t) => {
+  const dataDir = tempDataDir();
+  const lb = await startServer(dataDir);
+  t.after(async () => { await lb.stop(); removeDir(dataDir); });
+  const cookies = await createUsers(lb.url, USERS);
+  const res = await postJson(`${lb.url}/api/mode`, { publicMode: true }, { Cookie: cookies.admin });
+  assert.strictEqual(res.status, 200);
+
+  assert.strictEqual((await send(lb.url, SCOPE_REQUESTS[0])).status, 200);
+  assert.strictEqual((await send(lb.url, SCOPE_REQUESTS[1], cookies.admin)).status, 403);
+});
+
+test('Todoist and Telegram writes need the editor role once accounts exist', async (t) => {
+  const dataDir = tempDataDir();
+  const lb = await startServer(dataDir);
+  t.after(async () => { await lb.stop(); removeDir(dataDir); });
+  const cookies = await createUsers(lb.url, [
+    { username: 'admin', password: 'admin-password', role: 'admin' },
+    { username: 'viewer', password: 'viewer-password', role: 'viewer' }
+  ]);
+
+  for (const [method, path] of [['POST', '/api/todoist/tasks'], ['DELETE', '/api/todoist/tasks/123'], ['POST', '/api/telegram/send']]) {
+    assert.strictEqual((await fetch(lb.url + path, { method })).status, 401, `${method} ${path} anonymously`);
+    assert.strictEqual((await fetch(lb.url + path, { method, headers: { Cookie: cookies.viewer } })).status, 403, `${method} ${path} as a viewer`);
+  }
+});
+
+test('a malformed escape in a username is refused without stopping the server', async (t) => {
+  const dataDir = tempDataDir();
+  const lb = await startServer(dataDir);
+  t.after(async () => { await lb.stop(); removeDir(dataDir); });
+  const cookies = await createUsers(lb.url, [{ username: 'admin', password: 'admin-password', role: 'admin' }]);
+
+  const res = await fetch(`${lb.url}/api/users/%E0%A4%A`, { method: 'DELETE', headers: { Cookie: cookies.admin } });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual((await fetch(`${lb.url}/api/users`, { headers: { Cookie: cookies.admin } })).status, 200);
+});
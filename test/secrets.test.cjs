@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDataDir, removeDir, runCommand, startServer, startUpstream } = require('./helpers.cjs');
+
+const modeOf = file => fs.statSync(file).mode & 0o777;
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+/** The X-Key the server sends through /api/proxy for widget-1's saved apiKey */
+async function sentKey(lb, upstream) {
+  const res = await fetch(`${lb.url}/api/proxy?` + new URLSearchParams({
+    url: `${upstream.origin}/data`, header: 'X-Key: {{apiKey}}', widgetId: 'widget-1', cache: '0'
+  }));
+  assert.strictEqual(res.status, 200, await res.text());
+  return upstream.seen.at(-1);
+}
+
+test('secrets are encrypted at rest, and survive a key rotation', async (t) => {
+  const upstream = await startUpstream();
+  const dataDir = tempDataDir();
+  const secretsFile = path.join(dataDir, 'secrets.json');
+  const keyFile = path.join(dataDir, 'secrets.key');
+  const proxyArgs = ['--proxy-hosts', '127.0.0.1', '--proxy-allow-private'];
+  let lb = null;
+  t.after(async () => { if (lb) await lb.stop(); await upstream.close(); removeDir(dataDir); });
+
+  // What an older version left behind: a plaintext secrets.json
+  const widget = { id: 'widget-1', type: 'json-api', x: 0, y: 0, width: 300, height: 150, properties: { title: 'API', url: `${upstream.origin}/data`, apiKey: '__SECRET__' } };
+  fs.writeFileSync(path.join(dataDir, 'config.json'), JSON.stringify({ version: 2, canvas: { width: 1920, height: 1080 }, widgets: [widget] }));
+  fs.writeFileSync(secretsFile, JSON.stringify({ 'widget-1': { apiKey: 'sk-plain' } }));
+
+  lb = await startServer(dataDir, proxyArgs);
+  const encrypted = readJson(secretsFile);
+  assert.strictEqual(encrypted.algorithm, 'aes-256-gcm');
+  assert.ok(!fs.readFileSync(secretsFile, 'utf8').includes('sk-plain'));
+  assert.strictEqual(modeOf(secretsFile), 0o600);
+  assert.strictEqual(modeOf(keyFile), 0o600);
+  assert.strictEqual(await sentKey(lb, upstream), 'sk-plain');
+  await lb.stop();
+  lb = null;
+
+  const oldKey = fs.readFileSync(keyFile, 'utf8');
+  const rotate = runCommand(dataDir, ['secrets', 'rotate']);
+  assert.strictEqual(rotate.status, 0, rotate.stderr);
+  assert.notStrictEqual(fs.readFileSync(keyFile, 'utf8'), oldKey);
+  assert.notStrictEqual(readJson(secretsFile).keyId, encrypted.keyId);
+  assert.ok(!fs.existsSync(keyFile + '.old'));
+
+  lb = await startServer(dataDir, proxyArgs);
+  assert.strictEqual(await sentKey(lb, upstream), 'sk-plain');
+});
+
+test('a wrong master key is refused instead of overwriting the secrets', async (t) => {
+  const dataDir = tempDataDir();
+  t.after(() => removeDir(dataDir));
+  fs.writeFileSync(path.join(dataDir, 'secrets.json'), JSON.stringify({ 'widget-1': { apiKey: 'sk-plain' } }));
+  assert.strictEqual(runCommand(dataDir, ['secrets', 'rotate']).status, 0);
+  const before = fs.readFileSync(path.join(dataDir, 'secrets.json'), 'utf8');
+
+  const rotate = runCommand(dataDir, ['secrets', 'rotate'], { LOBSTERBOARD_SECRETS_KEY: 'not-the-key', LOBSTERBOARD_SECRETS_NEW_KEY: 'another-key' });
+  assert.notStrictEqual(rotate.status, 0);
+  assert.match(rotate.stderr, /different master key/);
+
+  await assert.rejects(startServer(dataDir, [], { LOBSTERBOARD_SECRETS_KEY: 'not-the-key' }), /refusing to start/);
+  assert.strictEqual(fs.readFileSync(path.join(dataDir, 'secrets.json'), 'utf8'), before);
+});
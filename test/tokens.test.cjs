@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDataDir, removeDir, startServer, postJson, createUsers } = require('./helpers.cjs');
+
+const CONFIG = { canvas: { width: 1920, height: 1080 }, widgets: [] };
+
+test('tokens are limited to their scope and stop working once revoked', async (t) => {
+  const dataDir = tempDataDir();
+  const lb = await startServer(dataDir);
+  t.after(async () => { await lb.stop(); removeDir(dataDir); });
+  const { admin } = await createUsers(lb.url, [{ username: 'admin', password: 'admin-password', role: 'admin' }]);
+
+  const tokens = {};
+  for (const scope of ['read-only', 'write-config', 'write-data', 'admin']) {
+    const res = await postJson(`${lb.url}/api/tokens`, { name: scope, scope }, { Cookie: admin });
+    assert.strictEqual(res.status, 201);
+    tokens[scope] = await res.json();
+  }
+  const stored = fs.readFileSync(path.join(dataDir, 'tokens.json'), 'utf8');
+  for (const { token } of Object.values(tokens)) assert.ok(!stored.includes(token), 'only a hash of the token is stored');
+
+  const as = scope => ({ Authorization: `Bearer ${tokens[scope].token}`, 'If-Match': '*' });
+  const getConfig = scope => fetch(`${lb.url}/config`, { headers: as(scope) });
+  const saveConfig = scope => postJson(`${lb.url}/config`, CONFIG, as(scope));
+  const saveTodos = scope => postJson(`${lb.url}/api/todos`, [], as(scope));
+  const listUsers = scope => fetch(`${lb.url}/api/users`, { headers: as(scope) });
+
+  for (const scope of Object.keys(tokens)) assert.strictEqual((await getConfig(scope)).status, 200, `${scope} reads`);
+  assert.strictEqual((await saveConfig('read-only')).status, 403);
+  assert.strictEqual((await saveTodos('read-only')).status, 403);
+  assert.strictEqual((await saveConfig('write-config')).status, 200);
+  assert.strictEqual((await saveTodos('write-config')).status, 403);
+  assert.strictEqual((await saveTodos('write-data')).status, 200);
+  assert.strictEqual((await saveConfig('write-data')).status, 403);
+  assert.strictEqual((await listUsers('write-config')).status, 403);
+  assert.strictEqual((await listUsers('admin')).status, 200);
+
+  const unknown = await fetch(`${lb.url}/config`, { headers: { Authorization: 'Bearer lb_made-up' } });
+  assert.strictEqual(unknown.status, 401);
+
+  const revoked = await fetch(`${lb.url}/api/tokens/${tokens['write-data'].id}`, { method: 'DELETE', headers: { Cookie: admin } });
+  assert.strictEqual(revoked.status, 200);
+  assert.strictEqual((await saveTodos('write-data')).status, 401);
+  assert.strictEqual((await getConfig('write-data')).status, 401);
+
+  const listed = await (await fetch(`${lb.url}/api/tokens`, { headers: { Cookie: admin } })).json();
+  assert.deepStrictEqual(listed.map(token => token.scope).sort(), ['admin', 'read-only', 'write-config']);
+  assert.ok(listed.every(token => token.lastUsedAt && !('tokenHash' in token)));
+});
+
+test('a malformed escape in a token id is refused without stopping the server', async (t) => {
+  const dataDir = tempDataDir();
+  const lb = await startServer(dataDir);
+  t.after(async () => { await lb.stop(); removeDir(dataDir); });
+  const cookies = await createUsers(lb.url, [{ username: 'admin', password: 'admin-password', role: 'admin' }]);
+
+  const res = await fetch(`${lb.url}/api/tokens/%E0%A4%A`, { method: 'DELETE', headers: { Cookie: cookies.admin } });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual((await fetch(`${lb.url}/api/tokens`, { headers: { Cookie: cookies.admin } })).status, 200);
+});
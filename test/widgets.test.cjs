@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadWidgets } = require('./helpers.cjs');
+
+/** Run a widget's generated script against stub elements; resolves once its first update settles */
+async function runWidget(context, type, props) {
+  const elements = {};
+  context.document = {
+    getElementById: id => (elements[id] ||= { innerHTML: '', textContent: '', style: {} })
+  };
+  context.setInterval = () => 0;
+  const widget = context.WIDGETS[type];
+  vm.runInContext(widget.generateJs({ ...widget.properties, id: 'widget-1', ...props }), context);
+  await new Promise(resolve => setImmediate(resolve));
+  return elements;
+}
+
+test('json-api passes quotes, backslashes and newlines in its settings through unchanged', async () => {
+  const context = loadWidgets();
+  const calls = [];
+  context.fetchData = async (source, params) => {
+    calls.push({ source, params });
+    return { "it's": { line: 'a\\b' } };
+  };
+  const props = {
+    url: "https://api.example.com/it's.json?q=\\'",
+    path: '$["it\'s"].line',
+    template: "It's {{value}}\n</div>'; alert(1); '",
+    thresholds: "0:'red'",
+    apiKeyHeader: "X-Key'"
+  };
+  const elements = await runWidget(context, 'json-api', props);
+
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].params.url, props.url);
+  assert.strictEqual(calls[0].params.header, props.apiKeyHeader);
+  assert.strictEqual(elements['widget-1-body'].innerHTML, context._renderTemplate(props.template, { value: 'a\\b', data: {} }));
+});